@@ -0,0 +1,38 @@
+/* eslint-disable no-restricted-globals */
+// --- Cross-Origin Isolation 用の Service Worker (coi-serviceworker と同じ仕組み) ---
+// GitHub Pages のように COOP / COEP ヘッダーを付けられないホスティングでも SharedArrayBuffer
+// (Stop の KeyboardInterrupt / Pause / Step / input() / 実行中の REPL と UART 送信) を使えるようにする。
+// 1. ページからは普通の <script> として読み込まれ、自分自身を Service Worker として登録して1回だけリロードする
+// 2. Service Worker としては、このサイトのレスポンスに COOP / COEP を付け直して返す
+// 開発サーバー (src/setupProxy.js) のように最初から隔離されていれば何もしない
+const RELOAD_KEY = 'coiReloaded';
+
+if (typeof window === 'undefined') {
+  self.addEventListener('install', () => self.skipWaiting());
+  self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+  self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') return;
+    event.respondWith(fetch(request).then((response) => {
+      if (response.status === 0) return response; // 他のサイトの no-cors (Pyodide の CDN は自分で CORP を付けている)
+      const headers = new Headers(response.headers);
+      headers.set('Cross-Origin-Opener-Policy', 'same-origin');
+      headers.set('Cross-Origin-Embedder-Policy', 'require-corp');
+      headers.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+    }));
+  });
+} else if (window.crossOriginIsolated) {
+  window.sessionStorage.removeItem(RELOAD_KEY);
+} else if (window.isSecureContext && 'serviceWorker' in navigator) {
+  // 登録した直後のページはまだ Service Worker を通っていないので、1回だけ読み直す
+  // (読み直しても隔離されなければ、あきらめて共有メモリ無しで動かす = ワーカー再起動で Stop)
+  navigator.serviceWorker.register(document.currentScript.src)
+    .then(() => navigator.serviceWorker.ready)
+    .then(() => {
+      if (navigator.serviceWorker.controller && window.sessionStorage.getItem(RELOAD_KEY)) return;
+      window.sessionStorage.setItem(RELOAD_KEY, '1');
+      window.location.reload();
+    })
+    .catch((err) => console.warn('coi-serviceworker:', err));
+}
@@ -1,121 +1,48 @@
-import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
 import { Canvas, useFrame } from '@react-three/fiber';
-import { OrbitControls, Tube, RoundedBox, Text, Instance, Instances, Html } from '@react-three/drei';
+import { OrbitControls, RoundedBox, Text, Instance, Instances, Html } from '@react-three/drei';
 import * as THREE from 'three';
-
-// --- 1. Python実行エンジン ---
-function usePythonEngine() {
-  const [pinStates, setPinStates] = useState({});
-  const [ready, setReady] = useState(false);
-  const [logs, setLogs] = useState([]);
-  const pyodideRef = useRef(null);
-  const isRunningRef = useRef(false);
-
-  useEffect(() => {
-    const init = async () => {
-      if (window.loadPyodide && !pyodideRef.current) {
-        try {
-          const py = await window.loadPyodide({ indexURL: "https://cdn.jsdelivr.net/pyodide/v0.23.4/full/" });
-          pyodideRef.current = py;
-          window.picoPinUpdate = (pin, state) => { if (isRunningRef.current) setPinStates(prev => ({ ...prev, [pin]: state })); };
-          window.picoLog = (msg) => { if (isRunningRef.current) setLogs(prev => [...prev, "> " + msg]); };
-          py.setStdout({ batched: (msg) => { if (isRunningRef.current) setLogs(prev => [...prev, msg]) }});
-          setReady(true);
-        } catch (e) { console.error(e); }
-      }
-    };
-    init();
-  }, []);
-
-  const run = async (inputCode) => {
-    if (!pyodideRef.current) return;
-    isRunningRef.current = true;
-    setPinStates({});
-    setLogs([">>> 実行開始"]);
-    let transformedCode = inputCode.replace(/time\.sleep\(/g, "await asyncio.sleep(");
-    const header = "import asyncio\nimport time\n"; 
-    const shim = `
-import js
-class Pin:
-    OUT = "OUT"
-    IN = "IN"
-    def __init__(self, pin, mode=OUT): 
-        self.pin = pin
-        self.mode = mode
-    def value(self, val):
-        js.window.picoPinUpdate(self.pin, val == 1)
-def print(*args):
-    msg = " ".join(map(str, args))
-    js.window.picoLog(msg)
-`;
-    try {
-      await pyodideRef.current.runPythonAsync(shim + "\n" + header + transformedCode);
-      if (isRunningRef.current) setLogs(prev => [...prev, ">>> 実行終了"]);
-    } catch (err) {
-      if (isRunningRef.current) setLogs(prev => [...prev, "Error: " + err.message]);
-    }
-  };
-
-  const stop = () => {
-    isRunningRef.current = false;
-    setPinStates({});
-    setLogs(prev => [...prev, ">>> 停止 (リセット)"]);
-  };
-
-  return { pinStates, ready, logs, run, stop, isRunning: isRunningRef.current };
-}
-
-// --- 2. 座標 & 物理定数 ---
-const PITCH = 0.254;
-const ROW_COUNT = 30;
-const GAP_CENTER = 0.762;
-
-// ★改良: 電源レール対応の座標計算
-// Col 0, -1: 左電源レール / Col 11, 12: 右電源レール
-function getHolePos(row, col) {
-  const zOffset = -((ROW_COUNT - 1) * PITCH) / 2;
-  const z = zOffset + (row - 1) * PITCH;
-  let x = 0;
-
-  if (col >= 1 && col <= 5) { // Main Left
-    x = -(0.3 + (5 - col) * PITCH);
-  } else if (col >= 6 && col <= 10) { // Main Right
-    x = (0.3 + (col - 6) * PITCH);
-  } else if (col === 0) { // Power L Inner (+)
-    x = -2.0;
-  } else if (col === -1) { // Power L Outer (-)
-    x = -2.3;
-  } else if (col === 11) { // Power R Inner (+)
-    x = 2.0;
-  } else if (col === 12) { // Power R Outer (-)
-    x = 2.3;
-  }
-  return [x, 0.15, z];
-}
-
-// 穴ID生成 (電源レール対応)
-function getHoleId(row, col) {
-  if (col === 0) return `PL+-${row}`; // Power Left +
-  if (col === -1) return `PL--${row}`; // Power Left -
-  if (col === 11) return `PR+-${row}`; // Power Right +
-  if (col === 12) return `PR--${row}`; // Power Right -
-  
-  const side = col <= 5 ? 'L' : 'R';
-  return `${side}-${row}`;
+import { PITCH, BREADBOARDS, getLayout, layoutHoles, boardX, getHolePos, nearestHole, netLine, holeLabel } from './breadboard';
+import { BOARDS, PICO_PINOUT, PICO_ROWS, HEADER_SPAN, boardPins, boardFits, boardAt, boardPinAt, usbPowered } from './picoBoard';
+import { usePythonEngine } from './usePythonEngine';
+import { useBuzzerSound } from './useBuzzerSound';
+import LogicAnalyzer, { formatTime } from './LogicAnalyzer';
+import CodeEditor from './CodeEditor';
+import FilePanel from './FilePanel';
+import Console from './Console';
+import SerialPlotter from './SerialPlotter';
+import UartTerminal from './UartTerminal';
+import SchematicView from './SchematicView';
+import { MAIN_FILE, applyFileChanges } from './picoFiles';
+import { BLINK_EXAMPLE } from './examples';
+import { readProject, serializeProject, loadFromStorage, saveToStorage, PROJECT_VERSION } from './projectFile';
+import { FAST, MIN_SPEED, MAX_SPEED } from './virtualClock';
+import { solveCircuit, compKey, isPwmState, pinDuty } from './circuitSolver';
+import { checkCircuit, ERROR } from './circuitRules';
+import { PARTS, TOOLS, getPart, getTool, partTool, partDefaults, partPins, partPlaceable, createPart, copyParts, partRows, movePart, rotatePart, flipPart } from './parts';
+import { createHistory, currentCircuit, commitHistory, canUndo, canRedo, undoHistory, redoHistory, jumpHistory } from './circuitHistory';
+import { PART_VIEWS, SimTimeScale, BoardLayout, formatSI } from './partViews';
+import { measureVoltage, measureResistance, CONTINUITY_OHMS } from './multimeter';
+import { busWiring } from './busDevices';
+import { schematicNetlist } from './schematic';
+
+const INITIAL_PROJECT = readProject(BLINK_EXAMPLE).state;
+// 履歴に積む回路 (部品 + Pico の位置 + ブレッドボードの形)
+const circuitOf = (state) => ({ components: state.components, board: state.board, breadboard: state.breadboard });
+const PART_ORDER = Object.keys(PARTS); // 部品リストの並び順
+const plural = (n) => `${n} part${n === 1 ? '' : 's'}`;
+
+// ドラッグ中の部品の行き先 (drag.leg: null = 全体を移動 / 0, 1 = 始点, 終点の足だけ)
+function draggedPart(item, drag, hole) {
+  if (drag.leg === 0) return { ...item, sR: hole.row, sC: hole.col };
+  if (drag.leg === 1) return { ...item, eR: hole.row, eC: hole.col };
+  return movePart(item, hole.row - drag.origin.row, hole.col - drag.origin.col);
 }
 
-// PicoのGNDピン定義 (Row番号)
-const GND_ROWS = [3, 8, 13, 18, 23, 28]; 
-
-function getGpioFromHole(row, col) {
-  if (col < 1 || col > 10) return null; // 電源レールにはPico刺さらない
-  if (col <= 5) {
-    const leftMap = { 1:0, 2:1, 4:2, 5:3, 6:4, 7:5, 9:6, 10:7, 11:8, 12:9, 14:10, 15:11, 16:12, 17:13, 19:14, 20:15 };
-    return leftMap[row] !== undefined ? leftMap[row] : null;
-  } else {
-    const rightMap = { 20:16, 19:17, 17:18, 16:19, 15:20, 14:21, 12:22, 10:26, 9:27, 7:28 };
-    return rightMap[row] !== undefined ? rightMap[row] : null;
-  }
+// 部品の3D上の位置 = ピンの穴の平均
+function partCenter(item, layout, y = 0.6) {
+  const holes = partPins(item).map(p => getHolePos(p.row, p.col, layout));
+  return [holes.reduce((sum, h) => sum + h[0], 0) / holes.length, y, holes.reduce((sum, h) => sum + h[2], 0) / holes.length];
 }
 
 // --- 3. 3D部品 ---
@@ -129,169 +56,13 @@ function Tooltip({ position, text }) {
   );
 }
 
-function Electron({ path, speed = 0.5, offset = 0, reverse = false }) {
-  const meshRef = useRef();
-  const progress = useRef(offset);
-  const color = useMemo(() => new THREE.Color('#ffff00'), []);
-
-  useFrame((state, delta) => {
-    if (!meshRef.current || !path) return;
-    progress.current += speed * delta;
-    if (progress.current > 1) progress.current -= 1;
-    const t = reverse ? 1.0 - progress.current : progress.current;
-    meshRef.current.position.copy(path.getPointAt(t));
-  });
-  return <mesh ref={meshRef}><sphereGeometry args={[0.04]} /><meshBasicMaterial color={color} toneMapped={false}/></mesh>;
-}
-
-function useComponentPath(start, end, height) {
-  return useMemo(() => {
-    const pStart = new THREE.Vector3(...start);
-    const pEnd = new THREE.Vector3(...end);
-    const sink = 0.3;
-    const points = [
-      pStart.clone().setY(pStart.y - sink),
-      pStart,
-      pStart.clone().setY(height),
-      pEnd.clone().setY(height),
-      pEnd,
-      pEnd.clone().setY(pEnd.y - sink)
-    ];
-    return new THREE.CatmullRomCurve3(points, false, 'catmullrom', 0.05);
-  }, [start, end, height]);
-}
-
-function ResistorComponent({ item, setHoverInfo, hasCurrent }) {
-  const { sR, sC, eR, eC, scale, ohms = 330, name } = item;
-  const start = getHolePos(sR, sC);
-  const end = getHolePos(eR, eC);
-  const height = 0.4 * scale;
-  const path = useComponentPath(start, end, height);
-  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height);
-  const direction = new THREE.Vector3(...end).sub(new THREE.Vector3(...start));
-  const angleY = Math.atan2(direction.x, direction.z) + Math.PI / 2;
-  const legRadius = 0.015 * scale;
-  
-  const tooltipText = `[${name || 'Res'}]\n${ohms}Ω`;
-
-  return (
-    <group 
-      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
-      onPointerOut={() => setHoverInfo(null)}
-    >
-      <group position={mid} rotation={[0, angleY, 0]} scale={[scale, scale, scale]}>
-        <mesh rotation={[0,0,Math.PI/2]}><cylinderGeometry args={[0.12, 0.12, 0.6]} /><meshStandardMaterial color="#e0c0a0" /></mesh>
-        <mesh rotation={[0,0,Math.PI/2]} position={[0.15, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="brown" /></mesh>
-        <mesh rotation={[0,0,Math.PI/2]} position={[0.05, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="black" /></mesh>
-        <mesh rotation={[0,0,Math.PI/2]} position={[-0.05, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="red" /></mesh>
-        <mesh rotation={[0,0,Math.PI/2]} position={[-0.2, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="gold" metalness={0.8} /></mesh>
-      </group>
-      <Tube args={[path, 64, legRadius, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>
-      {hasCurrent && [0, 0.2, 0.4, 0.6, 0.8].map(i => <Electron key={i} path={path} offset={i} />)}
-    </group>
-  );
-}
-
-function LEDComponent({ item, setHoverInfo, hasCurrent }) {
-  const { sR, sC, eR, eC, name } = item;
-  const start = getHolePos(sR, sC);
-  const end = getHolePos(eR, eC);
-  const height = 0.5;
-  const path = useComponentPath(start, end, height);
-  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height + 0.1); 
-  const tooltipText = `[${name || 'LED'}]`;
-
-  return (
-    <group
-      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
-      onPointerOut={() => setHoverInfo(null)}
-    >
-      <group position={mid}>
-        <mesh position={[0, 0.2, 0]}><sphereGeometry args={[0.18, 32, 16, 0, Math.PI * 2, 0, Math.PI/2]} /><meshStandardMaterial color={hasCurrent ? "#ff0000" : "#aa0000"} emissive={hasCurrent ? "#ff0000" : "#000"} emissiveIntensity={hasCurrent ? 2 : 0} transparent opacity={0.9} roughness={0.1}/></mesh>
-        <mesh position={[0, 0.05, 0]}><cylinderGeometry args={[0.18, 0.18, 0.3]} /><meshStandardMaterial color={hasCurrent ? "#ff0000" : "#aa0000"} emissive={hasCurrent ? "#ff0000" : "#000"} transparent opacity={0.9} /></mesh>
-        <mesh position={[0, -0.1, 0]}><cylinderGeometry args={[0.2, 0.2, 0.05]} /><meshStandardMaterial color={hasCurrent ? "#ff0000" : "#aa0000"} transparent opacity={0.8} /></mesh>
-      </group>
-      <Tube args={[path, 64, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>
-      {hasCurrent && [0, 0.2, 0.4, 0.6, 0.8].map(i => <Electron key={i} path={path} offset={i} />)}
-    </group>
-  );
-}
-
-function CleanWire({ item, setHoverInfo, hasCurrent }) {
-  const { sR, sC, eR, eC, color: userColor, name } = item;
-  const start = getHolePos(sR, sC);
-  const end = getHolePos(eR, eC);
-  const path = useMemo(() => {
-    const pStart = new THREE.Vector3(...start); pStart.y += 0.15;
-    const pEnd = new THREE.Vector3(...end); pEnd.y += 0.15;
-    const points = [pStart, new THREE.Vector3(pStart.x, 0.5 + 2*0.2, pStart.z), new THREE.Vector3(pEnd.x, 0.5 + 2*0.2, pEnd.z), pEnd];
-    return new THREE.CatmullRomCurve3(points, false, 'catmullrom', 0.1);
-  }, [start, end]);
-
-  const mid = path.getPointAt(0.5);
-  const tooltipText = `[${name || 'Wire'}]`;
-
-  return (
-    <group 
-      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
-      onPointerOut={() => setHoverInfo(null)}
-    >
-      <Tube args={[path, 64, 0.045, 8, false]}>
-        <meshPhysicalMaterial color={userColor} transparent opacity={0.5} roughness={0.2} metalness={0.1} />
-      </Tube>
-      <mesh position={[start[0],0.1,start[2]]}><cylinderGeometry args={[0.025,0.025,0.4]}/><meshStandardMaterial color="#ccc"/></mesh>
-      <mesh position={[end[0],0.1,end[2]]}><cylinderGeometry args={[0.025,0.025,0.4]}/><meshStandardMaterial color="#ccc"/></mesh>
-      {hasCurrent && [0,0.2,0.4,0.6,0.8].map(i => <Electron key={i} path={path} offset={i} />)}
-    </group>
-  );
-}
-
 // ★改良: 電源レールの内部接続も含めた可視化
-function BreadboardInternalFlow({ activeNodes, isSimulating }) {
-  const lines = useMemo(() => {
-    const flows = [];
-    const activeRows = new Set();
-    const powerLines = new Set();
-
-    activeNodes.forEach(id => {
-      if (id.startsWith('P')) { // 電源レール (PL+-, PR+-)
-        // PL+-1 -> PL+ (列全体)
-        const prefix = id.split('-')[0]; // PL+, PL-, PR+, PR-
-        powerLines.add(prefix);
-      } else {
-        const [side, rowStr] = id.split('-');
-        activeRows.add(`${side}-${parseInt(rowStr)}`);
-      }
-    });
-
-    // メインエリアの横線
-    activeRows.forEach(key => {
-      const [side, rowStr] = key.split('-');
-      const row = parseInt(rowStr);
-      const startCol = side === 'L' ? 1 : 6;
-      const endCol = side === 'L' ? 5 : 10;
-      const startPos = getHolePos(row, startCol);
-      const endPos = getHolePos(row, endCol);
-      startPos[1] = 0.16; endPos[1] = 0.16;
-      flows.push({ start: startPos, end: endPos, type: 'row' });
-    });
-
-    // 電源レールの縦線
-    powerLines.forEach(prefix => { // PL+ など
-      let col = 0;
-      if (prefix === 'PL+') col = 0;
-      else if (prefix === 'PL-') col = -1;
-      else if (prefix === 'PR+') col = 11;
-      else if (prefix === 'PR-') col = 12;
-      
-      const startPos = getHolePos(1, col);
-      const endPos = getHolePos(30, col);
-      startPos[1] = 0.16; endPos[1] = 0.16;
-      flows.push({ start: startPos, end: endPos, type: 'col' });
-    });
-
-    return flows;
-  }, [activeNodes]);
+// activeNets: "L-25" (行) / "PL+" (電源レール列全体) / "B2:R-3" (2枚目のボード)
+function BreadboardInternalFlow({ activeNets, isSimulating, layout }) {
+  const lines = useMemo(() => [...activeNets].map(key => {
+    const [start, end] = netLine(key, layout);
+    return { start, end, type: start[2] === end[2] ? 'row' : 'col' };
+  }), [activeNets, layout]);
 
   if (!isSimulating) return null;
 
@@ -318,424 +89,791 @@ function BreadboardInternalFlow({ activeNodes, isSimulating }) {
   );
 }
 
-function Breadboard({ onHoleClick, selectedHole, draftStart, activeNodes, isSimulating }) {
-  const holes = useMemo(() => {
-    const temp = [];
-    // Main
-    for (let r=1; r<=ROW_COUNT; r++) {
-      for (let c=1; c<=10; c++) temp.push({pos: getHolePos(r,c), r, c});
-    }
-    // Power Rails (Left: 0, -1 / Right: 11, 12)
-    for (let r=1; r<=ROW_COUNT; r++) {
-      temp.push({pos: getHolePos(r, 0), r, c: 0});
-      temp.push({pos: getHolePos(r, -1), r, c: -1});
-      temp.push({pos: getHolePos(r, 11), r, c: 11});
-      temp.push({pos: getHolePos(r, 12), r, c: 12});
-    }
-    return temp;
-  }, []);
+// ボード1枚 (本体 + 電源レールの色線)
+function BoardBase({ x, rows, rails }) {
+  const length = rows * PITCH;
+  return (
+    <group position={[x, 0, 0]}>
+      {/* Main Board */}
+      <RoundedBox args={[rails ? 5.5 : 3.2, 0.3, length+0.5]} radius={0.1}><meshStandardMaterial color="#fff"/></RoundedBox>
+      {rails && <>
+        {/* Power Rails (Visual only) */}
+        <mesh position={[-2.15, 0.16, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.5, length]} /><meshBasicMaterial color="#f8f8f8" /></mesh>
+        <mesh position={[2.15, 0.16, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.5, length]} /><meshBasicMaterial color="#f8f8f8" /></mesh>
+        {/* Lines */}
+        <mesh position={[-2.0, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, length]} /><meshBasicMaterial color="red" /></mesh>
+        <mesh position={[-2.3, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, length]} /><meshBasicMaterial color="blue" /></mesh>
+        <mesh position={[2.0, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, length]} /><meshBasicMaterial color="red" /></mesh>
+        <mesh position={[2.3, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, length]} /><meshBasicMaterial color="blue" /></mesh>
+      </>}
+    </group>
+  );
+}
+
+function Breadboard({ layout, onHoleClick, onHoleHover, hoverHole, hoverOk, selectedHole, draftStart, activeNets, isSimulating }) {
+  const holes = useMemo(() => layoutHoles(layout).map(h => ({ ...h, pos: getHolePos(h.row, h.col, layout) })), [layout]);
+  const ringAt = (hole) => [getHolePos(hole.row, hole.col, layout)[0], 0.16, getHolePos(hole.row, hole.col, layout)[2]];
+  const width = boardX(layout.boards - 1, layout) - boardX(0, layout) + 5.5;
 
   return (
     <group position={[0, -0.15, 0]}>
-      {/* Main Board */}
-      <RoundedBox args={[5.5, 0.3, ROW_COUNT*PITCH+0.5]} radius={0.1}><meshStandardMaterial color="#fff"/></RoundedBox>
-      {/* Power Rails (Visual only) */}
-      <mesh position={[-2.15, 0.16, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.5, ROW_COUNT*PITCH]} /><meshBasicMaterial color="#f8f8f8" /></mesh>
-      <mesh position={[2.15, 0.16, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.5, ROW_COUNT*PITCH]} /><meshBasicMaterial color="#f8f8f8" /></mesh>
-      {/* Lines */}
-      <mesh position={[-2.0, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, ROW_COUNT*PITCH]} /><meshBasicMaterial color="red" /></mesh>
-      <mesh position={[-2.3, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, ROW_COUNT*PITCH]} /><meshBasicMaterial color="blue" /></mesh>
-      <mesh position={[2.0, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, ROW_COUNT*PITCH]} /><meshBasicMaterial color="red" /></mesh>
-      <mesh position={[2.3, 0.17, 0]} rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[0.05, ROW_COUNT*PITCH]} /><meshBasicMaterial color="blue" /></mesh>
-
-      <Instances range={holes.length}>
+      {Array.from({ length: layout.boards }).map((_, i) => <BoardBase key={i} x={boardX(i, layout)} rows={layout.rows} rails={layout.rails} />)}
+
+      <Instances key={layout.type} range={holes.length}>
         <boxGeometry args={[0.12, 0.1, 0.12]} />
         <meshStandardMaterial color="#111" />
-        {holes.map((h, i) => (<Instance key={i} position={[h.pos[0], 0.15, h.pos[2]]} onClick={(e) => { e.stopPropagation(); onHoleClick(h.r, h.c); }} />))}
+        {holes.map((h, i) => (<Instance key={i} position={[h.pos[0], 0.15, h.pos[2]]} />))}
       </Instances>
-      
-      {selectedHole && <mesh position={[getHolePos(selectedHole.row, selectedHole.col)[0], 0.16, getHolePos(selectedHole.row, selectedHole.col)[2]]} rotation={[-Math.PI/2, 0, 0]}><ringGeometry args={[0.08, 0.12, 32]} /><meshBasicMaterial color="yellow" side={THREE.DoubleSide} /></mesh>}
-      {draftStart && <mesh position={[getHolePos(draftStart.row, draftStart.col)[0], 0.16, getHolePos(draftStart.row, draftStart.col)[2]]} rotation={[-Math.PI/2, 0, 0]}><ringGeometry args={[0.08, 0.12, 32]} /><meshBasicMaterial color="#00ffff" side={THREE.DoubleSide} /></mesh>}
-      <BreadboardInternalFlow activeNodes={activeNodes} isSimulating={isSimulating} />
+      {/* 穴のクリック/ホバーは見えない板で受けて一番近い穴にスナップする */}
+      <mesh position={[0, 0.21, 0]} rotation={[-Math.PI/2, 0, 0]}
+        onPointerMove={(e) => onHoleHover(nearestHole(e.point.x, e.point.z, layout))}
+        onPointerOut={() => onHoleHover(null)}
+        onClick={(e) => { const hole = nearestHole(e.point.x, e.point.z, layout); if (hole) { e.stopPropagation(); onHoleClick(hole.row, hole.col); } }}>
+        <planeGeometry args={[width, layout.rows*PITCH+0.5]} />
+        <meshBasicMaterial visible={false} />
+      </mesh>
+      {hoverHole && <mesh position={[ringAt(hoverHole)[0], 0.22, ringAt(hoverHole)[2]]} rotation={[-Math.PI/2, 0, 0]}><ringGeometry args={[0.07, 0.11, 32]} /><meshBasicMaterial color={hoverOk ? '#ffffff' : '#ff4444'} transparent opacity={0.8} side={THREE.DoubleSide} depthWrite={false} /></mesh>}
+
+      {selectedHole && <mesh position={ringAt(selectedHole)} rotation={[-Math.PI/2, 0, 0]}><ringGeometry args={[0.08, 0.12, 32]} /><meshBasicMaterial color="yellow" side={THREE.DoubleSide} /></mesh>}
+      {draftStart && <mesh position={ringAt(draftStart)} rotation={[-Math.PI/2, 0, 0]}><ringGeometry args={[0.08, 0.12, 32]} /><meshBasicMaterial color="#00ffff" side={THREE.DoubleSide} /></mesh>}
+      <BreadboardInternalFlow activeNets={activeNets} isSimulating={isSimulating} layout={layout} />
     </group>
   );
 }
 
-function Pico({ pinStates }) {
-  const [, yRef, zRef] = getHolePos(1, 3);
-  const isInternalLedOn = pinStates[25];
-  const leftPins = [{name:"GP0",color:"#fff"},{name:"GP1",color:"#fff"},{name:"GND",color:"#000",bg:"#ccc"},{name:"GP2",color:"#fff"},{name:"GP3",color:"#fff"},{name:"GP4",color:"#fff"},{name:"GP5",color:"#fff"},{name:"GND",color:"#000",bg:"#ccc"},{name:"GP6",color:"#fff"},{name:"GP7",color:"#fff"},{name:"GP8",color:"#fff"},{name:"GP9",color:"#fff"},{name:"GND",color:"#000",bg:"#ccc"},{name:"GP10",color:"#fff"},{name:"GP11",color:"#fff"},{name:"GP12",color:"#fff"},{name:"GP13",color:"#fff"},{name:"GND",color:"#000",bg:"#ccc"},{name:"GP14",color:"#fff"},{name:"GP15",color:"#fff"}];
-  const rightPins = [{name:"VBUS",color:"#ffcccc"},{name:"VSYS",color:"#ffcccc"},{name:"GND",color:"#000",bg:"#ccc"},{name:"3V3_EN",color:"#ffcccc"},{name:"3V3",color:"#ffcccc"},{name:"ADC_REF",color:"#ffcccc"},{name:"GP28",color:"#fff"},{name:"GND",color:"#000",bg:"#ccc"},{name:"GP27",color:"#fff"},{name:"GP26",color:"#fff"},{name:"RUN",color:"#ffcccc"},{name:"GP22",color:"#fff"},{name:"GND",color:"#000",bg:"#ccc"},{name:"GP21",color:"#fff"},{name:"GP20",color:"#fff"},{name:"GP19",color:"#fff"},{name:"GP18",color:"#fff"},{name:"GND",color:"#000",bg:"#ccc"},{name:"GP17",color:"#fff"},{name:"GP16",color:"#fff"}];
+// PWM出力中のピンにデューティ比のバーと数値を表示 (Pico基板上, ピンの内側)
+function PwmBadge({ state, side }) {
+  if (!isPwmState(state)) return null;
+  const x = side === 'left' ? 0.35 : -0.35;
+  const width = 0.3;
   return (
-    <group position={[0, yRef+0.05, zRef+(19*PITCH)/2]}>
+    <group position={[x, 0.21, 0]}>
+      <mesh rotation={[-Math.PI/2, 0, 0]}><planeGeometry args={[width, 0.08]} /><meshBasicMaterial color="#333" /></mesh>
+      <mesh rotation={[-Math.PI/2, 0, 0]} position={[-(width * (1 - state.duty)) / 2, 0.001, 0]}><planeGeometry args={[Math.max(0.001, width * state.duty), 0.08]} /><meshBasicMaterial color="orange" /></mesh>
+      <Text position={[0, 0.01, 0.1]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.07} color="orange">{`${Math.round(state.duty * 100)}% ${state.freq}Hz`}</Text>
+    </group>
+  );
+}
+
+// ピン名の色 (GND = 黒地, 電源/制御ピン = ピンク, GPIO = 白)
+const pinLabelStyle = (name) => (name === 'GND' ? { color: '#000', bg: '#ccc' } : name.startsWith('GP') ? { color: '#fff' } : { color: '#ffcccc' });
+
+// Pico 本体: 刺した位置 (board.row, board.col) と向き (board.rotation) に置く。
+// 基板の図は USB が上の向きで描き (左 = ピン1-20, 右 = ピン40-21), 180° のときは全体を回す
+function Pico({ pinStates, board, layout }) {
+  const info = BOARDS[board.type] || BOARDS.pico;
+  const [xLeft, y, zTop] = getHolePos(board.row, board.col, layout);
+  const [xRight] = getHolePos(board.row, board.col + HEADER_SPAN, layout);
+  const halfWidth = (xRight - xLeft) / 2;
+  const ledDuty = pinDuty(pinStates[25]); // PWM時は平均の明るさ (Pico W は Pin("LED"))
+  const isInternalLedOn = ledDuty > 0;
+  const gpioOf = (pinName) => (pinName.startsWith('GP') ? Number(pinName.slice(2)) : null);
+  const leftPins = PICO_PINOUT.slice(0, PICO_ROWS).map(name => ({ name, ...pinLabelStyle(name) }));
+  const rightPins = PICO_PINOUT.slice(PICO_ROWS).reverse().map(name => ({ name, ...pinLabelStyle(name) }));
+  return (
+    <group position={[(xLeft + xRight) / 2, y+0.05, zTop+((PICO_ROWS-1)*PITCH)/2]} rotation={[0, board.rotation === 180 ? Math.PI : 0, 0]}>
       <RoundedBox args={[2.1, 0.08, 5.2]} radius={0.05}><meshStandardMaterial color="#006600"/></RoundedBox>
       <mesh position={[0, 0.15, -2.4]}><boxGeometry args={[0.8, 0.25, 0.6]} /><meshStandardMaterial color="silver" /></mesh>
-      <Text position={[0, 0.1, 0]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.4}>RPi Pico</Text>
-      <mesh position={[-0.4, 0.1, -1.8]}><boxGeometry args={[0.2, 0.05, 0.2]} /><meshStandardMaterial color={isInternalLedOn ? "#00ff00" : "#003300"} emissive={isInternalLedOn ? "#00ff00" : "#000"} /></mesh>
+      <Text position={[0, 0.1, 0]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.4}>{info.silk}</Text>
+      {/* Pico W: 無線モジュールのシールドとアンテナ */}
+      {info.wireless && <>
+        <mesh position={[0, 0.1, 1.6]}><boxGeometry args={[1.0, 0.12, 1.0]} /><meshStandardMaterial color="silver" metalness={0.8} roughness={0.3} /></mesh>
+        <mesh position={[0, 0.05, 2.4]}><boxGeometry args={[1.4, 0.03, 0.25]} /><meshStandardMaterial color="#c8a040" /></mesh>
+      </>}
+      <mesh position={[-0.4, 0.1, -1.8]}><boxGeometry args={[0.2, 0.05, 0.2]} /><meshStandardMaterial color={isInternalLedOn ? "#00ff00" : "#003300"} emissive={isInternalLedOn ? "#00ff00" : "#000"} emissiveIntensity={ledDuty} /></mesh>
       <Text position={[-0.4, 0.11, -1.5]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.15} color="white">LED</Text>
-      {Array.from({ length: 20 }).map((_, i) => (
+      {Array.from({ length: PICO_ROWS }).map((_, i) => (
         <React.Fragment key={i}>
-          <group position={[-0.889, -0.15, -2.413 + i * PITCH]}><mesh position={[0, 0.08, 0]}><boxGeometry args={[0.1, 0.1, 0.24]} /><meshStandardMaterial color="black" /></mesh><mesh position={[0, 0, 0]}><cylinderGeometry args={[0.03, 0.03, 0.5]} /><meshStandardMaterial color="gold" metalness={1} roughness={0.3} /></mesh><Text position={[-0.5, 0.21, 0]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.12} color={leftPins[i].color} anchorX="right" outlineWidth={0.01} outlineColor="#003300">{leftPins[i].name}</Text></group>
-          <group position={[0.889, -0.15, -2.413 + i * PITCH]}><mesh position={[0, 0.08, 0]}><boxGeometry args={[0.1, 0.1, 0.24]} /><meshStandardMaterial color="black" /></mesh><mesh position={[0, 0, 0]}><cylinderGeometry args={[0.03, 0.03, 0.5]} /><meshStandardMaterial color="gold" metalness={1} roughness={0.3} /></mesh><Text position={[0.5, 0.21, 0]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.12} color={rightPins[i].color} anchorX="left" outlineWidth={0.01} outlineColor="#003300">{rightPins[i].name}</Text></group>
+          <group position={[-halfWidth, -0.15, -2.413 + i * PITCH]}><mesh position={[0, 0.08, 0]}><boxGeometry args={[0.1, 0.1, 0.24]} /><meshStandardMaterial color="black" /></mesh><mesh position={[0, 0, 0]}><cylinderGeometry args={[0.03, 0.03, 0.5]} /><meshStandardMaterial color="gold" metalness={1} roughness={0.3} /></mesh><Text position={[-0.5, 0.21, 0]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.12} color={leftPins[i].color} anchorX="right" outlineWidth={0.01} outlineColor="#003300">{leftPins[i].name}</Text><PwmBadge state={pinStates[gpioOf(leftPins[i].name)]} side="left" /></group>
+          <group position={[halfWidth, -0.15, -2.413 + i * PITCH]}><mesh position={[0, 0.08, 0]}><boxGeometry args={[0.1, 0.1, 0.24]} /><meshStandardMaterial color="black" /></mesh><mesh position={[0, 0, 0]}><cylinderGeometry args={[0.03, 0.03, 0.5]} /><meshStandardMaterial color="gold" metalness={1} roughness={0.3} /></mesh><Text position={[0.5, 0.21, 0]} rotation={[-Math.PI/2, 0, 0]} fontSize={0.12} color={rightPins[i].color} anchorX="left" outlineWidth={0.01} outlineColor="#003300">{rightPins[i].name}</Text><PwmBadge state={pinStates[gpioOf(rightPins[i].name)]} side="right" /></group>
         </React.Fragment>
       ))}
     </group>
   );
 }
 
+// ルールチェックで問題のある部品/ピンの目印 (赤=エラー, 黄=警告 が点滅)
+function IssueMarker({ position, severity }) {
+  const ref = useRef();
+  useFrame(({ clock }) => { if (ref.current) ref.current.material.opacity = 0.35 + 0.35 * Math.sin(clock.elapsedTime * 6); });
+  return (
+    <mesh ref={ref} position={position} rotation={[-Math.PI/2, 0, 0]}>
+      <torusGeometry args={[0.28, 0.04, 8, 32]} />
+      <meshBasicMaterial color={severity === ERROR ? '#ff3333' : '#ffcc00'} transparent depthWrite={false} />
+    </mesh>
+  );
+}
+
+// マルチメーターのプローブ (穴に斜めに刺したテスト棒) と、2本の間に浮かぶ表示
+function Probe({ position, color }) {
+  const [x, , z] = position;
+  const body = color === 'red' ? '#d22' : '#222';
+  return (
+    <group position={[x, 0, z]} rotation={[0, 0, color === 'red' ? -0.35 : 0.35]}>
+      <mesh position={[0, 0.2, 0]}><cylinderGeometry args={[0.015, 0.015, 0.4, 8]} /><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></mesh>
+      <mesh position={[0, 0.45, 0]}><cylinderGeometry args={[0.09, 0.03, 0.1, 16]} /><meshStandardMaterial color={body} /></mesh>
+      <mesh position={[0, 1.0, 0]}><cylinderGeometry args={[0.07, 0.07, 1.0, 16]} /><meshStandardMaterial color={body} /></mesh>
+    </group>
+  );
+}
+
+const probeMidpoint = (probes, layout) => {
+  const [a, b] = [probes.red, probes.black].map(p => getHolePos(p.row, p.col, layout));
+  return [(a[0] + b[0]) / 2, 1.8, (a[2] + b[2]) / 2];
+};
+
+function MeterReadout({ position, meter, mode }) {
+  return (
+    <Html position={position} style={{ pointerEvents: 'none' }}>
+      <div style={{ transform: 'translate3d(-50%, -100%, 0)', background: '#333', padding: '5px', borderRadius: '6px', border: '2px solid #ffcc00', boxShadow: '0 4px 6px rgba(0,0,0,0.4)' }}>
+        <div style={{ background: meter.continuity ? '#e8f5a0' : '#b9c9a3', color: '#111', fontFamily: 'monospace', fontSize: '18px', fontWeight: 'bold', padding: '2px 10px', minWidth: '100px', textAlign: 'right', borderRadius: '3px' }}>
+          {meter.text}
+        </div>
+        <div style={{ color: '#ffcc00', fontSize: '10px', marginTop: '2px', textAlign: 'center' }}>{mode === 'volts' ? 'V DC' : `Ω${meter.continuity ? ' 🔔' : ''}`}</div>
+      </div>
+    </Html>
+  );
+}
+
+// 置く前/ドラッグ中の部品の半透明プレビュー (マウスのイベントは受けない)
+function GhostPart({ children }) {
+  const ref = useRef();
+  useLayoutEffect(() => {
+    ref.current.traverse(obj => {
+      obj.raycast = () => null;
+      if (obj.material) { obj.material.transparent = true; obj.material.opacity = 0.4; obj.material.depthWrite = false; }
+    });
+  });
+  return <group ref={ref}>{children}</group>;
+}
+
+// 足の端のつまみ (選択中の部品の足をドラッグで刺し直す)
+function LegHandle({ position, onGrab }) {
+  const [hovered, setHovered] = useState(false);
+  return (
+    <mesh position={position} onPointerDown={onGrab} onPointerOver={(e) => { e.stopPropagation(); setHovered(true); }} onPointerOut={() => setHovered(false)}>
+      <sphereGeometry args={[hovered ? 0.08 : 0.06, 16, 8]} />
+      <meshBasicMaterial color={hovered ? '#ffffff' : '#33ccff'} />
+    </mesh>
+  );
+}
+
+// 選択中の部品の目印 (水色の輪) / 回路図でカーソルを合わせた部品・ネットの穴 (黄色)
+function SelectionMarker({ position, color = '#33ccff', radius = 0.36 }) {
+  return (
+    <mesh position={position} rotation={[-Math.PI/2, 0, 0]}>
+      <torusGeometry args={[radius, 0.03, 8, 32]} />
+      <meshBasicMaterial color={color} transparent opacity={0.8} depthWrite={false} />
+    </mesh>
+  );
+}
+
+// 壊れたピン/部品から立ちのぼる煙 (magic smoke)
+function MagicSmoke({ position }) {
+  const puffs = useRef([]);
+  useFrame(({ clock }) => {
+    puffs.current.forEach((puff, i) => {
+      if (!puff) return;
+      const t = (clock.elapsedTime * 0.5 + i / 4) % 1;
+      puff.position.set(Math.sin(i * 2.1 + t * 3) * 0.1, t * 1.2, Math.cos(i * 1.7) * 0.1);
+      puff.scale.setScalar(0.08 + t * 0.2);
+      puff.material.opacity = 0.6 * (1 - t);
+    });
+  });
+  return (
+    <group position={position}>
+      {[0, 1, 2, 3].map(i => (
+        <mesh key={i} ref={el => { puffs.current[i] = el; }}><sphereGeometry args={[1, 12, 8]} /><meshBasicMaterial color="#888" transparent depthWrite={false} /></mesh>
+      ))}
+    </group>
+  );
+}
 
 // --- 4. メインアプリUI ---
 
 export default function App() {
-  const { pinStates, ready, logs, run, stop, isRunning } = usePythonEngine();
+  const { pinStates, pinPulls, ready, logs, plot, clearPlot, run, stop, isRunning, currentLine, error, fileChanges, inputPrompt, replBusy, repl, sendInput, interruptProgram, setInputs, devices, setWiring, uartSend, capture, clock, timeScaleRef, canPause, setSpeed, pause, resume, step } = usePythonEngine();
   const [leftPanelWidth, setLeftPanelWidth] = useState(500);
   const [editorHeight, setEditorHeight] = useState(400);
   const [hoverInfo, setHoverInfo] = useState(null);
-
-  const [toolMode, setToolMode] = useState('cursor');
+  const [showLogic, setShowLogic] = useState(false); // ロジックアナライザ (ログの下)
+  const [showSchematic, setShowSchematic] = useState(false); // 回路図 (3D の下)
+  const [schematicHover, setSchematicHover] = useState(null); // 回路図でカーソルを合わせた { part } / { net } (3D に目印)
+  const [hoveredPart, setHoveredPart] = useState(null); // 3D でカーソルを合わせた部品 (回路図で光らせる)
+  const [muted, setMuted] = useState(false); // ブザーの音
+  const [outputTab, setOutputTab] = useState('console'); // エディタの下: 'console' (ログ + REPL) / 'plotter' (シリアルプロッタ) / 'uart' (UART 端末)
+
+  const [toolMode, setToolMode] = useState('cursor'); // 'cursor' / 'pico' / 'meter' または parts.js の TOOLS の id
   const [draftStart, setDraftStart] = useState(null);
-  const [editingId, setEditingId] = useState(null); 
-  const [editType, setEditType] = useState(null); 
-
-  // ★初期データ更新 (クリーンな状態)
-  const [wires, setWires] = useState([
-    { id: 1, sR: 20, sC: 2, eR: 25, eC: 2, color: "green", level: 2, name: "Wire 1" },
-    { id: 2, sR: 28, sC: 10, eR: 18, eC: 10, color: "black", level: 1, name: "Wire 2" }
-  ]);
-  const [leds, setLeds] = useState([
-    { id: 1, sR: 25, sC: 7, eR: 28, eC: 7, name: "LED 1" }
-  ]);
-  const [resistors, setResistors] = useState([
-    { id: 1, sR: 25, sC: 3, eR: 25, eC: 6, scale: 1, ohms: 330, name: "Resistor 1" }
-  ]);
-  const [code, setCode] = useState(`import time\ntest = Pin(15, Pin.OUT)\n\nprint("Start")\nfor i in range(5):\n    test.value(1)\n    time.sleep(0.5)\n    test.value(0)\n    time.sleep(0.5)\nprint("Done")`);
+  const [editingKey, setEditingKey] = useState(null); // 編集中の部品 (compKey)
+  const [draftProps, setDraftProps] = useState({}); // ツールごとの「次に置く部品」のプロパティ
+
+  // ★部品は種類を問わず1つのリスト (種類ごとの定義は parts.js)。Pico の位置/ブレッドボードの形と合わせて、変更はすべて履歴に積む (Undo / Redo)
+  const [history, setHistory] = useState(() => createHistory(circuitOf(INITIAL_PROJECT)));
+  const { components, board, breadboard } = currentCircuit(history);
+  const layout = useMemo(() => getLayout(breadboard), [breadboard]);
+  const [selectedKeys, setSelectedKeys] = useState([]); // 複数選択 (compKey)
+  const [clipboard, setClipboard] = useState(null); // コピーした部品 { items, pastes }
+  const [hoverHole, setHoverHole] = useState(null); // マウスの下の穴
+  const [probes, setProbes] = useState({ red: null, black: null }); // マルチメーターのプローブを刺した穴
+  const [meterMode, setMeterMode] = useState('volts'); // 'volts' (DC 電圧) / 'ohms' (抵抗・導通)
+  const [beep, setBeep] = useState(false); // 導通ブザー
+  const [beepEnabled, setBeepEnabled] = useState(true); // 導通ブザーの音 (部品のブザーの 🔇 とは別)
+  const [drag, setDrag] = useState(null); // 3Dでドラッグ中 { key, leg: null | 0 | 1, origin: 掴んだ穴 }
+  const [switchStates, setSwitchStates] = useState({}); // 押しボタンの押下状態 (保存しない)
+  const [chipTempC, setChipTempC] = useState(27); // RP2040 内蔵温度センサ (ADC4)
+  const [damageEnabled, setDamageEnabled] = useState(false); // 実行中のショート/過電流でピンやLEDを壊す
+  const [damage, setDamage] = useState({ pins: {}, parts: {} });
+  // Pico のファイル (picoFiles.js) と、エディタで開いているファイル (無くなっていたら main.py)
+  const [files, setFiles] = useState(INITIAL_PROJECT.files);
+  const [activeFile, setActiveFile] = useState(MAIN_FILE);
+  const openFile = files[activeFile] !== undefined ? activeFile : MAIN_FILE;
+  const setOpenText = (text) => setFiles(prev => ({ ...prev, [openFile]: text }));
+  // プログラムが書いた/消したファイルを反映する (実行中にエディタで書き換えたファイルはそのまま)
+  useEffect(() => { if (fileChanges) setFiles(prev => applyFileChanges(prev, fileChanges)); }, [fileChanges]);
 
   const [selectedHole, setSelectedHole] = useState(null);
+  const [notice, setNotice] = useState(null); // 読み込みエラー/変換/貼り付けの通知 { kind: 'error' | 'info', lines: [] }
 
-  const [inputWire, setInputWire] = useState({ sR: 1, sC: 1, eR: 1, eC: 1, color: 'blue', name: 'Wire X' });
-  const [inputLed, setInputLed] = useState({ sR: 1, sC: 1, eR: 2, eC: 1, name: 'LED X' });
-  const [inputResistor, setInputResistor] = useState({ sR: 1, sC: 1, eR: 2, eC: 1, scale: 1.0, ohms: 330, name: 'Res X' });
-
-  const [newResistorOhms, setNewResistorOhms] = useState(330);
-  const [newWireColor, setNewWireColor] = useState('green');
-
-  // --- ★ 回路成立チェック (Source to Sink Path Finding) ---
-  const { activeIds, activeNodes } = useMemo(() => {
-    const netMap = {}; 
-    let netCount = 0;
-    const getNetId = (holeId) => {
-      if (netMap[holeId] === undefined) netMap[holeId] = netCount++;
-      return netMap[holeId];
-    };
-
-    // 1. グラフ構築 (電源レール対応)
-    const connAdj = {};
-    const addConn = (id1, id2) => {
-      if(!connAdj[id1]) connAdj[id1] = []; if(!connAdj[id2]) connAdj[id2] = [];
-      connAdj[id1].push(id2); connAdj[id2].push(id1);
-    };
+  // --- ★ 回路シミュレーション (節点解析) ---
+  const circuitInput = useMemo(() => ({ components, board, breadboard, switchStates, chipTempC, pinStates, pinPulls, damage }), [components, board, breadboard, switchStates, chipTempC, pinStates, pinPulls, damage]);
+  const circuit = useMemo(() => solveCircuit(circuitInput), [circuitInput]);
+  const getElec = (item) => circuit.parts[compKey(item.type, item.id)] || { voltage: 0, current: 0 };
 
-    // 部品の接続
-    const registerComp = (item) => {
-      const h1 = getHoleId(item.sR, item.sC);
-      const h2 = getHoleId(item.eR, item.eC);
-      addConn(h1, h2);
-    };
-    wires.forEach(registerComp); resistors.forEach(registerComp); leds.forEach(registerComp);
-
-    // ブレッドボード内部の接続 (横5穴 & 電源レール縦)
-    // 本来はUnion-Find等でまとめるが、簡易的に「同じネットならつながっている」とするため
-    // ここでは部品の端点ベースでグラフを作る。
-    // ただし、同じ行(Row)の穴同士は自動的につながる必要がある。
-    // -> 簡易化: グラフのノードを「穴ID」ではなく「NetID(行/レール単位)」にするのが正解だが、
-    //    今の実装(HoleID)ベースだと、同じ行の穴を全結合する必要がある。
-    //    → 計算量削減のため、部品の端点が含まれる行だけを「ハブ」として登録する。
-    
-    const rowNodes = {}; // "L-25" -> ["L-25"] (行ごとの穴リスト)
-    // 電源レールも同様 "PL+" -> [...]
-    
-    const getGroupKey = (holeId) => {
-      if (holeId.startsWith('P')) return holeId.split('-')[0]; // PL+, PR-
-      const [side, rowStr] = holeId.split('-');
-      return `${side}-${rowStr}`; // L-25
-    };
-
-    // 部品が刺さっている穴をグループ化
-    const usedHoles = new Set();
-    [...wires, ...leds, ...resistors].forEach(i => {
-      usedHoles.add(getHoleId(i.sR, i.sC));
-      usedHoles.add(getHoleId(i.eR, i.eC));
-    });
-
-    // 同じグループ(行/レール)内の穴同士を結ぶエッジを追加
-    const groups = {};
-    usedHoles.forEach(h => {
-      const key = getGroupKey(h);
-      if (!groups[key]) groups[key] = [];
-      groups[key].push(h);
-    });
-    Object.values(groups).forEach(list => {
-      for(let i=0; i<list.length-1; i++) {
-        addConn(list[i], list[i+1]);
-      }
+  // --- ★ 電気的ルールチェック ---
+  const issues = useMemo(() => checkCircuit(circuitInput, circuit), [circuitInput, circuit]);
+  // 実行中に壊れるほどの電流が流れたら、そのピン/LEDを壊れた状態にする (Repair で元に戻す)
+  useEffect(() => {
+    if (!isRunning || !damageEnabled) return;
+    const fatal = issues.filter(issue => issue.damage);
+    if (fatal.length === 0) return;
+    setDamage(prev => {
+      const next = { pins: { ...prev.pins }, parts: { ...prev.parts } };
+      fatal.forEach(issue => {
+        if (issue.rule === 'short' || issue.rule === 'overvoltage') issue.pins.forEach(pin => { next.pins[pin] = true; });
+        else issue.parts.forEach(key => { next.parts[key] = true; });
+      });
+      return next;
     });
-
-
-    // 2. ソース(GPIO High) と シンク(GND) の特定
-    const sources = [];
-    const sinks = [];
-    usedHoles.forEach(holeId => {
-      if (holeId.startsWith('P')) return; // 電源レールにPicoは刺さらない
-      const [side, rowStr] = holeId.split('-');
-      const row = parseInt(rowStr);
-      const col = side === 'L' ? 1 : 6;
-      const pin = getGpioFromHole(row, col);
-      
-      if (pin !== null && pinStates[pin]) sources.push(holeId);
-      if (GND_ROWS.includes(row)) sinks.push(holeId);
+  }, [issues, isRunning, damageEnabled]);
+  const repairDamage = () => setDamage({ pins: {}, parts: {} });
+
+  // 問題のある部品/ピンの3D上の位置
+  const issueMarkers = useMemo(() => {
+    const items = {};
+    components.forEach(item => { items[compKey(item.type, item.id)] = item; });
+    const pinPos = (pin) => {
+      const hole = boardPins(board).find(p => p.gpio === Number(pin));
+      if (!hole) return null;
+      const [x, , z] = getHolePos(hole.row, hole.col, layout);
+      return [x, 0.4, z];
+    };
+    const markers = [];
+    issues.forEach(issue => {
+      issue.parts.forEach(key => { if (items[key]) markers.push({ key: `${issue.id}:${key}`, position: partCenter(items[key], layout), severity: issue.severity }); });
+      issue.pins.forEach(pin => { const pos = pinPos(pin); if (pos) markers.push({ key: `${issue.id}:GP${pin}`, position: pos, severity: issue.severity }); });
     });
-
-    // 3. BFS (Source -> ?)
-    const powered = new Set();
-    const queueP = [...sources];
-    queueP.forEach(s => powered.add(s));
-    while(queueP.length > 0) {
-      const curr = queueP.shift();
-      if(connAdj[curr]) {
-        connAdj[curr].forEach(next => {
-          if(!powered.has(next)) { powered.add(next); queueP.push(next); }
-        });
-      }
+    const smoke = [
+      ...Object.keys(damage.pins).map(pin => ({ key: `GP${pin}`, position: pinPos(pin) })),
+      ...Object.keys(damage.parts).filter(key => items[key]).map(key => ({ key, position: partCenter(items[key], layout) })),
+    ].filter(m => m.position);
+    return { markers, smoke };
+  }, [issues, damage, components, board, layout]);
+
+  // --- 電源 / RUN ピン: 3V3 が出ていない or RUN が LOW の間はリセット (戻ったら最初から起動し直す) ---
+  const bootPendingRef = useRef(false);
+  const { running: powered } = circuit.power;
+  useEffect(() => {
+    if (powered && bootPendingRef.current && !isRunning) { bootPendingRef.current = false; run(files); }
+    else if (!powered && isRunning) { bootPendingRef.current = true; stop(); }
+  }, [powered, isRunning, files, run, stop]);
+  const runCode = () => {
+    if (powered) { run(files); return; }
+    bootPendingRef.current = true;
+    setNotice({ kind: 'info', lines: ['Pico に電源が入っていません (USB / VSYS, 3V3_EN, RUN を確認)。電源が入ると起動します'] });
+  };
+  const stopCode = () => { bootPendingRef.current = false; stop(); };
+
+  // 回路から求めた入力レベル/ADC電圧を Python 側 (Pin.value / Pin.irq / ADC.read_u16) へ渡す
+  useEffect(() => { setInputs(circuit.inputLevels, circuit.adcVoltages); }, [circuit, setInputs]);
+  // I2C / SPI / UART / NeoPixel の配線 (どのデバイスがどの GPIO に直結され、電源が入っているか) も同じく Python 側へ
+  const wiring = useMemo(() => busWiring(circuitInput, circuit), [circuitInput, circuit]);
+  useEffect(() => { setWiring(wiring); }, [wiring, setWiring]);
+
+  // --- 回路図: 配線だけで決まる (スイッチの状態やピンの出力では変わらない) ので開いている間だけ作る ---
+  const schematic = useMemo(() => (showSchematic ? schematicNetlist({ components, board, breadboard }) : null), [showSchematic, components, board, breadboard]);
+  const schematicMarkers = useMemo(() => {
+    if (!schematic || !schematicHover) return [];
+    if (schematicHover.net) {
+      return (schematic.nets[schematicHover.net] || { holes: [] }).holes.map((h, i) => {
+        const [x, , z] = getHolePos(h.row, h.col, layout);
+        return { key: `${schematicHover.net}:${i}`, position: [x, 0.2, z], radius: 0.12 };
+      });
     }
-
-    // 4. BFS (Sink <- ?)
-    const grounded = new Set();
-    const queueG = [...sinks];
-    queueG.forEach(s => grounded.add(s));
-    while(queueG.length > 0) {
-      const curr = queueG.shift();
-      if(connAdj[curr]) {
-        connAdj[curr].forEach(next => {
-          if(!grounded.has(next)) { grounded.add(next); queueG.push(next); }
-        });
-      }
+    const item = components.find(c => compKey(c.type, c.id) === schematicHover.part);
+    return item ? [{ key: schematicHover.part, position: partCenter(item, layout, 0.55), radius: 0.42 }] : [];
+  }, [schematic, schematicHover, components, layout]);
+
+  // --- マルチメーター: 電圧はいつでも (実行中はピンの出力で変わる), 抵抗は停止中だけ置いた部品から求める ---
+  const meter = useMemo(() => {
+    if (!probes.red || !probes.black) return null;
+    if (meterMode === 'volts') return { text: `${measureVoltage(circuitInput, circuit, probes.red, probes.black).toFixed(3)} V` };
+    if (isRunning) return { text: '-- Ω', note: '抵抗は ■ Stop してから測ります' };
+    const ohms = measureResistance(circuitInput, probes.red, probes.black);
+    return { text: ohms === Infinity ? 'OL Ω' : formatSI(ohms, 'Ω'), continuity: ohms < CONTINUITY_OHMS };
+  }, [probes, meterMode, circuitInput, circuit, isRunning]);
+  const continuity = !!(meter && meter.continuity);
+  useEffect(() => {
+    if (!continuity) return undefined;
+    setBeep(true);
+    const timer = setTimeout(() => setBeep(false), 300);
+    return () => { clearTimeout(timer); setBeep(false); };
+  }, [continuity, probes]);
+
+  // ブザーは回路の解 (+ の行に直結された PWM) から鳴らす。一時停止中 / 停止後は鳴らさない
+  const sounding = isRunning && !clock.paused;
+  const tones = useMemo(() => components.filter(item => item.type === 'buzzer').map(item => {
+    const key = compKey(item.type, item.id);
+    const { freq = 0, volume = 0 } = (sounding && circuit.parts[key]) || {};
+    return { key, freq, volume };
+  }), [components, circuit, sounding]);
+  useBuzzerSound(tones, !muted);
+  // テスターの導通ブザーは別の音 (ブザー部品の 🔇 では消えない / テスターの設定で消す)
+  const beepTones = useMemo(() => [{ key: 'meter', freq: beep ? 2700 : 0, volume: 1 }], [beep]);
+  useBuzzerSound(beepTones, beepEnabled);
+
+  const pressSwitch = (id, pressed) => setSwitchStates(prev => ({ ...prev, [id]: pressed }));
+
+  // --- 回路の変更は必ずここを通す (履歴の1件 = 1操作。mergeKey が同じ連続操作は1件にまとめる) ---
+  const commitCircuit = (label, update, mergeKey) => setHistory(prev => commitHistory(prev, update(currentCircuit(prev)), label, { mergeKey }));
+  const changeCircuit = (label, change, mergeKey) => commitCircuit(label, prev => {
+    const next = change(prev.components);
+    return next === prev.components ? prev : { ...prev, components: next };
+  }, mergeKey);
+  // Pico の位置/種類, ブレッドボードのテンプレート
+  const changeBoard = (label, patch) => commitCircuit(label, prev => ({ ...prev, ...patch }));
+  const nameOf = (key) => (components.find(c => compKey(c.type, c.id) === key) || {}).name || key;
+  const updateComponent = (key, patch) => {
+    const fields = Object.keys(patch).join(', ');
+    changeCircuit(`Edit ${nameOf(key)} (${fields})`, prev => prev.map(c => (compKey(c.type, c.id) === key ? { ...c, ...patch } : c)), `${key}:${fields}`);
+  };
+  const removeComponent = (key) => changeCircuit(`Delete ${nameOf(key)}`, prev => prev.filter(c => compKey(c.type, c.id) !== key));
+  const undo = () => setHistory(undoHistory);
+  const redo = () => setHistory(redoHistory);
+
+  // --- 複数選択 / コピー / 貼り付け ---
+  const selection = components.filter(c => selectedKeys.includes(compKey(c.type, c.id)));
+  const toggleSelect = (key, additive = true) => setSelectedKeys(prev => {
+    if (!additive) return prev.length === 1 && prev[0] === key ? [] : [key];
+    return prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key];
+  });
+  const copySelection = () => { if (selection.length > 0) setClipboard({ items: selection, pastes: 0 }); };
+  // 元の部品が使っている行数ぶん下にずらして置く (LED+抵抗の段を続けて並べられる)
+  const pasteItems = (items, times, label) => {
+    const { min, max } = partRows(items);
+    const result = copyParts(items, components, (max - min + 1) * times, layout);
+    if (!result) {
+      setNotice({ kind: 'error', lines: [`${label}: ブレッドボードに収まりません (${plural(items.length)}, ${(max - min + 1) * times} 行下)`] });
+      return false;
     }
+    changeCircuit(`${label} ${plural(items.length)}`, () => result.components);
+    setSelectedKeys(result.added.map(c => compKey(c.type, c.id)));
+    return true;
+  };
+  const pasteClipboard = () => {
+    if (clipboard && pasteItems(clipboard.items, clipboard.pastes + 1, 'Paste')) setClipboard({ ...clipboard, pastes: clipboard.pastes + 1 });
+  };
+  const duplicateSelection = () => { if (selection.length > 0) pasteItems(selection, 1, 'Duplicate'); };
+  const deleteSelection = () => {
+    if (selection.length === 0) return;
+    changeCircuit(`Delete ${plural(selection.length)}`, prev => prev.filter(c => !selectedKeys.includes(compKey(c.type, c.id))));
+    setSelectedKeys([]);
+  };
 
-    // 5. 両方につながっている部品だけActive
-    const activeSet = new Set();
-    const check = (item) => {
-      const h1 = getHoleId(item.sR, item.sC);
-      const h2 = getHoleId(item.eR, item.eC);
-      // 両端のどちらかがPowered、もう片方がGrounded... ではなく
-      // 「両端ともPoweredかつGroundedな経路上にある」のが正しい
-      // 簡易的に: 両端が (Powered AND Grounded) セットに含まれるか
-      const p1 = powered.has(h1); const g1 = grounded.has(h1);
-      const p2 = powered.has(h2); const g2 = grounded.has(h2);
-      
-      if ((p1 && g1) || (p2 && g2)) {
-         // 少なくとも片方が有効な経路上にいればOKとみなす (直列回路ならこれで十分)
-         activeSet.add(item.id);
-      }
-    };
-    [...wires, ...leds, ...resistors].forEach(check);
-
-    // 可視化用ノード
-    const validNodes = new Set();
-    powered.forEach(n => { if(grounded.has(n)) validNodes.add(n); });
-
-    return { activeIds: activeSet, activeNodes: validNodes };
-
-  }, [wires, leds, resistors, pinStates]);
-
-  const isCompActive = (id) => activeIds.has(id);
+  // --- プロジェクトの保存/読み込み (形式は projectFile.js) ---
+  const applyProject = (state, label) => {
+    // ファイルの読み込みは履歴に積む (Undo で戻せる) / 起動時の復元は履歴の始まり
+    setHistory(prev => (label ? commitHistory(prev, circuitOf(state), label) : createHistory(circuitOf(state))));
+    setSelectedKeys([]); setFiles(state.files); setActiveFile(MAIN_FILE);
+    if (typeof state.chipTempC === 'number') setChipTempC(state.chipTempC);
+  };
+  // 読み込み結果の通知 (エラーなら state は変えない / 古い形式なら変換した旨を出す)
+  const reportLoad = (result, source) => {
+    if (result.errors.length > 0) setNotice({ kind: 'error', lines: [`${source} を読み込めませんでした:`, ...result.errors] });
+    else if (result.fromVersion < PROJECT_VERSION) setNotice({ kind: 'info', lines: [`${source}: 旧形式 (v${result.fromVersion}) から v${PROJECT_VERSION} に変換しました`] });
+    else setNotice(null);
+  };
 
   useEffect(() => {
-    const saved = localStorage.getItem('pico_sim_data_v15'); // Version up
-    if (saved) {
-      try {
-        const data = JSON.parse(saved);
-        setWires(data.wires || []); setLeds(data.leds || []); setResistors(data.resistors || []); setCode(data.code || "");
-      } catch(e) {}
-    }
+    const result = loadFromStorage(localStorage); // 旧キー (pico_sim_data_v15 など) もここで引き継ぐ
+    if (!result) return;
+    if (result.state) applyProject(result.state);
+    reportLoad(result, 'localStorage');
   }, []);
   useEffect(() => {
-    localStorage.setItem('pico_sim_data_v15', JSON.stringify({ wires, leds, resistors, code }));
-  }, [wires, leds, resistors, code]);
+    saveToStorage(localStorage, { components, board, breadboard, files, chipTempC });
+  }, [components, board, breadboard, files, chipTempC]);
 
   const saveToFile = () => {
-    const blob = new Blob([JSON.stringify({ wires, leds, resistors, code }, null, 2)], { type: 'application/json' });
+    const blob = new Blob([serializeProject({ components, board, breadboard, files, chipTempC })], { type: 'application/json' });
     const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'pico_circuit.json'; a.click();
   };
   const loadFromFile = (e) => {
     const file = e.target.files[0];
+    e.target.value = ''; // 同じファイルを続けて読み込めるように
     if (!file) return;
     const r = new FileReader();
     r.onload = (ev) => {
-      try {
-        const d = JSON.parse(ev.target.result);
-        setWires(d.wires); setLeds(d.leds); setResistors(d.resistors); setCode(d.code);
-      } catch(e) { alert("Error"); }
+      const result = readProject(ev.target.result);
+      if (result.state) { applyProject(result.state, `Load ${file.name}`); repairDamage(); }
+      reportLoad(result, file.name);
     };
     r.readAsText(file);
   };
-  const clearCircuit = () => { if(window.confirm("Clear circuit?")) { setWires([]); setLeds([]); setResistors([]); } };
-  const clearCode = () => { if(window.confirm("Clear code?")) setCode(""); };
-
-  const removeWire = (id) => setWires(wires.filter(w => w.id !== id));
-  const removeLed = (id) => setLeds(leds.filter(l => l.id !== id));
-  const removeResistor = (id) => setResistors(resistors.filter(r => r.id !== id));
+  // 回路のクリアは Undo で戻せるので確認しない
+  const clearCircuit = () => { changeCircuit('Clear circuit', () => []); setSelectedKeys([]); cancelEdit(); repairDamage(); };
+  const clearCode = () => { if(window.confirm(`Clear ${openFile}?`)) setOpenText(""); };
+
+  const editingItem = editingKey ? components.find(c => compKey(c.type, c.id) === editingKey) || null : null;
+  const activeTool = getTool(toolMode);
+  const activeDef = activeTool && getPart(activeTool.type);
+  // 設定パネルの値: 編集中の部品, または次に置く部品 (既定値 + ツールの初期値 + 入力した値)
+  const settingValues = editingItem || (activeTool ? { type: activeTool.type, ...partDefaults(activeDef), ...activeTool.props, ...draftProps[toolMode] } : null);
+  const changeSetting = (patch) => {
+    if (editingItem) updateComponent(editingKey, patch);
+    else setDraftProps(prev => ({ ...prev, [toolMode]: { ...prev[toolMode], ...patch } }));
+  };
 
-  const startEdit = (item, type) => {
-    setEditingId(item.id);
-    setEditType(type);
-    setToolMode(type); 
+  const selectTool = (id) => { setToolMode(id); setDraftStart(null); setEditingKey(null); };
+  // 編集: プロパティはその場で反映, 穴をクリックし直すと置き直す
+  const startEdit = (item) => {
+    const tool = partTool(item);
+    setEditingKey(compKey(item.type, item.id));
+    setToolMode(tool ? tool.id : 'cursor');
     setDraftStart(null);
-    if (type === 'wire') setInputWire({ sR: item.sR, sC: item.sC, eR: item.eR, eC: item.eC, color: item.color, name: item.name });
-    if (type === 'led') setInputLed({ sR: item.sR, sC: item.sC, eR: item.eR, eC: item.eC, name: item.name });
-    if (type === 'resistor') setInputResistor({ sR: item.sR, sC: item.sC, eR: item.eR, eC: item.eC, scale: item.scale, ohms: item.ohms, name: item.name });
   };
 
   const cancelEdit = () => {
-    setEditingId(null); setEditType(null); setDraftStart(null);
+    setEditingKey(null); setDraftStart(null);
   };
 
   const handleHoleClick = (row, col) => {
-    if (toolMode === 'cursor') {
+    if (toolMode === 'pico') {
+      const next = boardAt(board, row, col);
+      if (boardFits(next, layout) && (next.row !== board.row || next.col !== board.col)) changeBoard(`Move ${BOARDS[board.type].silk}`, { board: next });
+      return;
+    }
+    // 1回目 = 赤, 2回目 = 黒, 3回目からは赤を刺し直す
+    if (toolMode === 'meter') {
+      setProbes(prev => (!prev.red || prev.black ? { red: { row, col }, black: null } : { ...prev, black: { row, col } }));
+      return;
+    }
+    if (toolMode === 'cursor' || !activeDef) {
       setSelectedHole({ row, col });
       return;
     }
+    const place = (position) => {
+      if (editingItem) {
+        changeCircuit(`Move ${editingItem.name}`, prev => prev.map(c => (compKey(c.type, c.id) === editingKey ? { ...c, ...position } : c)));
+        setEditingKey(null);
+        return;
+      }
+      const item = createPart(toolMode, { ...draftProps[toolMode], ...position }, components);
+      changeCircuit(`Add ${item.name}`, prev => [...prev, item]);
+    };
+    // 形の決まった部品は1クリック (全部のピンが穴に収まる位置だけ)
+    if (activeDef.placement === 'footprint') {
+      const position = activeDef.anchor ? activeDef.anchor(row, col) : { row, col };
+      if (partPlaceable({ ...settingValues, ...position }, layout)) place(position);
+      return;
+    }
     if (!draftStart) {
       setDraftStart({ row, col });
-    } else {
-      const sR = draftStart.row; const sC = draftStart.col;
-      const eR = row; const eC = col;
-      if (sR === eR && sC === eC) { setDraftStart(null); return; }
-
-      if (editingId) {
-        if (editType === 'wire') setWires(wires.map(w => w.id === editingId ? { ...w, sR, sC, eR, eC, color: inputWire.color, name: inputWire.name } : w));
-        else if (editType === 'led') setLeds(leds.map(l => l.id === editingId ? { ...l, sR, sC, eR, eC, name: inputLed.name } : l));
-        else if (editType === 'resistor') setResistors(resistors.map(r => r.id === editingId ? { ...r, sR, sC, eR, eC, ohms: Number(newResistorOhms), name: inputResistor.name } : r));
-        setEditingId(null); setEditType(null);
-      } else {
-        if (toolMode === 'wire') setWires([...wires, { id: Date.now(), sR, sC, eR, eC, color: inputWire.color, level: 2, name: `Wire ${wires.length + 1}` }]);
-        else if (toolMode === 'led') setLeds([...leds, { id: Date.now(), sR, sC, eR, eC, name: `LED ${leds.length + 1}` }]);
-        else if (toolMode === 'resistor') setResistors([...resistors, { id: Date.now(), sR, sC, eR, eC, scale: 1.0, ohms: Number(newResistorOhms), name: `Resistor ${resistors.length + 1}` }]);
-      }
-      setDraftStart(null);
+      return;
     }
+    const position = { sR: draftStart.row, sC: draftStart.col, eR: row, eC: col };
+    setDraftStart(null);
+    if (position.sR === row && position.sC === col) return;
+    if (partPlaceable({ ...settingValues, ...position }, layout)) place(position);
+  };
+
+  // 選択中の部品を回転/反転 (置けなくなる部品はそのまま)
+  const transformSelection = (label, transform) => {
+    const changed = new Map();
+    selection.forEach(item => {
+      const next = transform(item);
+      if (next !== item && partPlaceable(next, layout)) changed.set(compKey(item.type, item.id), next);
+    });
+    if (changed.size === 0) return;
+    changeCircuit(`${label} ${plural(changed.size)}`, prev => prev.map(c => changed.get(compKey(c.type, c.id)) || c));
   };
+  const rotate = () => {
+    if (toolMode === 'pico') changeBoard(`Rotate ${BOARDS[board.type].silk}`, { board: { ...board, rotation: board.rotation === 180 ? 0 : 180 } });
+    else if (selection.length > 0) transformSelection('Rotate', rotatePart);
+    else if (activeDef && activeDef.placement === 'footprint') changeSetting({ rotation: settingValues.rotation === 180 ? 0 : 180 });
+  };
+
+  // --- 3Dでのドラッグ / プレビュー ---
+  const startDrag = (e, key, leg = null) => {
+    if (toolMode !== 'cursor' || e.button !== 0) return;
+    const item = components.find(c => compKey(c.type, c.id) === key);
+    const origin = leg === null ? nearestHole(e.point.x, e.point.z, layout) : { row: leg === 0 ? item.sR : item.eR, col: leg === 0 ? item.sC : item.eC };
+    if (!origin) return;
+    e.stopPropagation();
+    setDrag({ key, leg, origin });
+    setHoverHole(origin);
+  };
+  const dragItem = drag && components.find(c => compKey(c.type, c.id) === drag.key);
+  // 半透明で出す部品: ドラッグの行き先 / 1クリックで置く部品 / 2クリック目を待っている部品
+  let ghost = null;
+  if (dragItem && hoverHole) ghost = draggedPart(dragItem, drag, hoverHole);
+  else if (!drag && hoverHole && activeDef && activeDef.placement === 'footprint') ghost = { ...settingValues, ...(activeDef.anchor ? activeDef.anchor(hoverHole.row, hoverHole.col) : hoverHole) };
+  else if (!drag && hoverHole && activeDef && draftStart) ghost = { ...settingValues, sR: draftStart.row, sC: draftStart.col, eR: hoverHole.row, eC: hoverHole.col };
+  const ghostOk = toolMode === 'pico' ? !hoverHole || boardFits(boardAt(board, hoverHole.row, hoverHole.col), layout) : !ghost || partPlaceable(ghost, layout);
+
+  // ボタンを離した場所 (ブレッドボードの外でも受けるため window で拾う)
+  const dropRef = useRef(null);
+  dropRef.current = () => {
+    if (!drag) return;
+    setDrag(null);
+    if (!dragItem || !ghost || !ghostOk) return;
+    if (partPins(ghost).every((p, i) => { const q = partPins(dragItem)[i]; return p.row === q.row && p.col === q.col; })) return;
+    const label = drag.leg === null ? `Move ${dragItem.name}` : `Move ${dragItem.name} leg ${getPart(dragItem.type).legs[drag.leg]}`;
+    changeCircuit(label, prev => prev.map(c => (compKey(c.type, c.id) === drag.key ? ghost : c)));
+  };
+  useEffect(() => {
+    const onPointerUp = () => dropRef.current();
+    window.addEventListener('pointerup', onPointerUp);
+    return () => window.removeEventListener('pointerup', onPointerUp);
+  }, []);
+
+  // --- キーボード操作 (コードエディタや入力欄では各自の Undo / コピーを使う) ---
+  const shortcutRef = useRef(null);
+  shortcutRef.current = (e) => {
+    if (e.target.closest && e.target.closest('textarea, input, select')) return;
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (mod && key === 'z' && !e.shiftKey) undo();
+    else if (mod && (key === 'y' || (key === 'z' && e.shiftKey))) redo();
+    else if (mod && key === 'c') copySelection();
+    else if (mod && key === 'v') pasteClipboard();
+    else if (mod && key === 'd') duplicateSelection();
+    else if (mod && key === 'a') setSelectedKeys(components.map(c => compKey(c.type, c.id)));
+    else if (key === 'delete' || key === 'backspace') deleteSelection();
+    else if (key === 'escape') { setSelectedKeys([]); setDraftStart(null); setDrag(null); }
+    else if (!mod && key === 'r') rotate();
+    else if (!mod && key === 'f') transformSelection('Flip', flipPart);
+    else return;
+    e.preventDefault();
+  };
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutRef.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // 部品リストは種類ごと (登録順) にまとめる
+  const sortedComponents = useMemo(() => [...components].sort((a, b) => PART_ORDER.indexOf(a.type) - PART_ORDER.indexOf(b.type)), [components]);
 
   const startHorizontalResize = useCallback((e) => { e.preventDefault(); const startX = e.clientX; const startWidth = leftPanelWidth; const onMouseMove = (moveEvent) => setLeftPanelWidth(Math.max(300, Math.min(800, startWidth + (moveEvent.clientX - startX)))); const onMouseUp = () => { document.removeEventListener('mousemove', onMouseMove); document.removeEventListener('mouseup', onMouseUp); }; document.addEventListener('mousemove', onMouseMove); document.addEventListener('mouseup', onMouseUp); }, [leftPanelWidth]);
   const startVerticalResize = useCallback((e) => { e.preventDefault(); const startY = e.clientY; const startHeight = editorHeight; const onMouseMove = (moveEvent) => setEditorHeight(Math.max(200, Math.min(window.innerHeight - 200, startHeight + (moveEvent.clientY - startY)))); const onMouseUp = () => { document.removeEventListener('mousemove', onMouseMove); document.removeEventListener('mouseup', onMouseUp); }; document.addEventListener('mousemove', onMouseMove); document.addEventListener('mouseup', onMouseUp); }, [editorHeight]);
-  const getWireLabelColor = (color) => color === 'black' ? '#aaa' : color;
 
   return (
     <div style={{ height: '100vh', display: 'flex', overflow: 'hidden' }}>
       <div style={{ width: leftPanelWidth, display: 'flex', flexDirection: 'column', background: '#1e1e1e', color: '#fff' }}>
         {/* Editor Area */}
         <div style={{ height: editorHeight, display: 'flex', flexDirection: 'column' }}>
-          <div style={{ padding: '10px', background: '#007acc', fontWeight: 'bold' }}>Selected: {selectedHole ? (selectedHole.col===0 ? "Power L+" : selectedHole.col===-1 ? "Power L-" : selectedHole.col===11 ? "Power R+" : selectedHole.col===12 ? "Power R-" : `Row ${selectedHole.row}, Col ${selectedHole.col}`) : "(Click a hole)"}</div>
+          <div style={{ padding: '10px', background: '#007acc', fontWeight: 'bold' }}>Selected: {selectedHole ? `${holeLabel(selectedHole.row, selectedHole.col, layout)}${boardPinAt(board, selectedHole.row, selectedHole.col) ? ` (${boardPinAt(board, selectedHole.row, selectedHole.col).name})` : ''}` : "(Click a hole)"}</div>
           <div style={{ padding: '5px 10px', background: '#333', display: 'flex', gap: '10px', fontSize:'12px', alignItems:'center', flexWrap:'wrap' }}>
             <button onClick={saveToFile} style={{cursor:'pointer', border:'none', background:'#555', color:'white', padding:'4px 8px', borderRadius:'3px'}}>💾 Save</button>
             <label style={{cursor:'pointer', background:'#555', color:'white', padding:'4px 8px', borderRadius:'3px'}}>📂 Load <input type="file" accept=".json" onChange={loadFromFile} style={{display:'none'}} /></label>
             <span style={{width:'1px', height:'15px', background:'#666'}}></span>
+            <button onClick={undo} disabled={!canUndo(history)} title="Ctrl+Z" style={{cursor:'pointer', border:'none', background:'#555', color:'white', padding:'4px 8px', borderRadius:'3px'}}>↶ Undo</button>
+            <button onClick={redo} disabled={!canRedo(history)} title="Ctrl+Y / Ctrl+Shift+Z" style={{cursor:'pointer', border:'none', background:'#555', color:'white', padding:'4px 8px', borderRadius:'3px'}}>↷ Redo</button>
+            <span style={{width:'1px', height:'15px', background:'#666'}}></span>
             <button onClick={clearCircuit} style={{cursor:'pointer', color:'#ff9999', background:'none', border:'none'}}>🗑 Clear</button>
             <button onClick={clearCode} style={{cursor:'pointer', color:'#ff9999', background:'none', border:'none'}}>📄 Clear Code</button>
           </div>
-          <div style={{ padding: '10px', background: '#252526', display: 'flex', gap: '10px' }}>
-            <button onClick={() => run(code)} disabled={!ready} style={{ background: 'green', color: 'white', padding: '8px 20px', border:'none', cursor:'pointer', fontWeight:'bold', borderRadius:'4px' }}>▶ Run</button>
-            <button onClick={stop} style={{ background: 'red', color: 'white', padding: '8px 20px', border:'none', cursor:'pointer', fontWeight:'bold', borderRadius:'4px' }}>■ Stop</button>
+          {notice && (
+            <div style={{ padding: '5px 10px', background: notice.kind === 'error' ? '#5a1d1d' : '#1d3d5a', fontSize: '12px', display: 'flex', justifyContent: 'space-between', maxHeight: '100px', overflowY: 'auto' }}>
+              <div>{notice.lines.map((line, i) => <div key={i} style={{ fontFamily: i > 0 ? 'monospace' : 'inherit' }}>{line}</div>)}</div>
+              <button onClick={() => setNotice(null)} style={{ alignSelf: 'flex-start', cursor: 'pointer', border: 'none', background: 'none', color: 'white' }}>✕</button>
+            </div>
+          )}
+          <div style={{ padding: '10px', background: '#252526', display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+            <button onClick={runCode} disabled={!ready} style={{ background: 'green', color: 'white', padding: '8px 20px', border:'none', cursor:'pointer', fontWeight:'bold', borderRadius:'4px' }}>▶ Run</button>
+            <button onClick={stopCode} style={{ background: 'red', color: 'white', padding: '8px 20px', border:'none', cursor:'pointer', fontWeight:'bold', borderRadius:'4px' }}>■ Stop</button>
+            <button onClick={clock.paused ? resume : pause} disabled={!canPause || !isRunning} title={canPause ? '' : 'Cross-Origin Isolation が必要です'} style={{ background: '#444', color: 'white', padding: '8px 12px', border:'none', cursor:'pointer', borderRadius:'4px' }}>{clock.paused ? '▶ Resume' : '⏸ Pause'}</button>
+            <button onClick={step} disabled={!canPause || !isRunning || !clock.paused} title="次のピン変化 / sleep まで進める" style={{ background: '#444', color: 'white', padding: '8px 12px', border:'none', cursor:'pointer', borderRadius:'4px' }}>⏭ Step</button>
+            <button onClick={() => setShowLogic(!showLogic)} style={{ marginLeft: 'auto', background: showLogic ? '#007acc' : '#444', color: 'white', padding: '8px 12px', border:'none', cursor:'pointer', borderRadius:'4px' }}>📈 Logic</button>
+            <button onClick={() => setShowSchematic(!showSchematic)} style={{ background: showSchematic ? '#007acc' : '#444', color: 'white', padding: '8px 12px', border:'none', cursor:'pointer', borderRadius:'4px' }}>📐 Schematic</button>
+          </div>
+          <div style={{ padding: '4px 10px', background: '#252526', display: 'flex', gap: '10px', alignItems: 'center', fontSize: '12px', borderTop: '1px solid #333' }}>
+            <span title="シミュレーション時刻 (ticks_ms と同じ)" style={{ fontFamily: 'monospace', minWidth: '90px' }}>⏱ {formatTime(clock.simUs)}</span>
+            {/* 速度は対数スライダー (0.1x - 100x) */}
+            <input type="range" min={Math.log10(MIN_SPEED)} max={Math.log10(MAX_SPEED)} step={0.1} value={Math.log10(clock.speed === FAST ? 1 : clock.speed)} disabled={clock.speed === FAST} onChange={e => setSpeed(Number(Math.pow(10, Number(e.target.value)).toPrecision(2)))} style={{ flex: 1 }} />
+            <span style={{ minWidth: '40px' }}>{clock.speed === FAST ? 'max' : `${clock.speed}x`}</span>
+            <button onClick={() => setSpeed(1)} style={{cursor:'pointer', border:'none', background:'#555', color:'white', padding:'2px 6px', borderRadius:'3px'}}>1x</button>
+            <label title="sleep を待たずに最速で実行"><input type="checkbox" checked={clock.speed === FAST} onChange={e => setSpeed(e.target.checked ? FAST : 1)} /> ⚡ Fast</label>
+            <button onClick={() => setMuted(!muted)} title={muted ? 'ブザーの音を出す' : 'ブザーの音を消す'} style={{cursor:'pointer', border:'none', background:'#555', color:'white', padding:'2px 6px', borderRadius:'3px'}}>{muted ? '🔇' : '🔊'}</button>
+          </div>
+          <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+            <FilePanel files={files} active={files[openFile] !== undefined ? openFile : null} onSelect={setActiveFile} onChange={(next, open) => { setFiles(next); setActiveFile(open); }} onError={(message) => setNotice({ kind: 'error', lines: [message] })} />
+            {/* エラーの行は実行したときの中身のまま編集していない間だけ出す */}
+            <CodeEditor value={files[openFile] ?? ''} onChange={setOpenText}
+              currentLine={isRunning && currentLine && currentLine.file === openFile ? currentLine.line : null}
+              error={error && error.file === openFile && error.source === files[openFile] ? error : null} />
           </div>
-          <textarea value={code} onChange={(e) => setCode(e.target.value)} spellCheck="false" style={{ flex: 1, background: '#111', color: '#eee', border: 'none', padding: '15px', resize: 'none', fontFamily: 'Consolas, monospace', fontSize: '14px', outline: 'none' }} />
-          <div style={{ height: '100px', background: '#000', padding: '10px', fontSize: '12px', overflowY: 'auto', fontFamily: 'monospace', borderTop: '1px solid #444' }}>{logs.map((l, i) => <div key={i}>{l}</div>)}</div>
+          <div style={{ display: 'flex', background: '#252526', borderTop: '1px solid #444', fontSize: '12px' }}>
+            {[['console', '🖥 Console'], ['plotter', '📉 Plotter'], ['uart', '🔌 UART']].map(([tab, label]) => (
+              <button key={tab} onClick={() => setOutputTab(tab)} style={{ cursor: 'pointer', border: 'none', padding: '3px 10px', color: 'white', background: outputTab === tab ? '#1e1e1e' : 'transparent', borderBottom: outputTab === tab ? '2px solid #007acc' : '2px solid transparent' }}>{label}</button>
+            ))}
+          </div>
+          {/* 入力途中の行/履歴を残すため Console は隠すだけ */}
+          <div style={{ display: outputTab === 'console' ? 'block' : 'none' }}>
+            <Console logs={logs} ready={ready} inputPrompt={inputPrompt} busy={replBusy} onRepl={(source) => repl(source, files)} onInput={sendInput} onInterrupt={interruptProgram} />
+          </div>
+          {outputTab === 'plotter' && <SerialPlotter plot={plot} onClear={clearPlot} width={leftPanelWidth} />}
+          {outputTab === 'uart' && <UartTerminal terminals={components.filter(item => item.type === 'uart').map(item => ({ key: compKey(item.type, item.id), name: item.name }))} devices={devices} isRunning={isRunning} onSend={uartSend} />}
+          {showLogic && <LogicAnalyzer capture={capture} isRunning={isRunning} width={leftPanelWidth} />}
         </div>
         <div onMouseDown={startVerticalResize} style={{ height: '5px', background: '#444', cursor: 'row-resize', width: '100%', borderTop: '1px solid #333', borderBottom: '1px solid #333' }}></div>
         
         <div style={{ flex: 1, overflowY: 'auto', background: '#222' }}>
           <div style={{ padding: '15px' }}>
+            <div style={{ fontWeight: 'bold', marginBottom: '5px', color:'#fff', display:'flex', justifyContent:'space-between', alignItems:'center' }}>
+              Rule Check {issues.length > 0 ? `(${issues.length})` : '✔'}
+              <div style={{display:'flex', gap:'5px', alignItems:'center', fontSize:'11px', fontWeight:'normal'}}>
+                <label title="実行中のショート/過電流でピンやLEDを壊す"><input type="checkbox" checked={damageEnabled} onChange={e=>setDamageEnabled(e.target.checked)} /> 💨 Damage</label>
+                <button onClick={repairDamage} disabled={Object.keys(damage.pins).length + Object.keys(damage.parts).length === 0} style={{cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>🔧 Repair</button>
+              </div>
+            </div>
+            <div style={{ background:'#1a1a1a', border:'1px solid #333', padding:'5px', marginBottom:'15px', maxHeight:'120px', overflowY:'auto', fontSize:'12px' }}>
+              {issues.length === 0 && <div style={{color:'#6a9955'}}>No issues found</div>}
+              {issues.map(issue => (
+                <div key={issue.id} style={{ color: issue.severity === ERROR ? '#ff7777' : '#ffcc66', padding:'2px 0' }}>{issue.severity === ERROR ? '⛔' : '⚠'} {issue.message}</div>
+              ))}
+            </div>
             <div style={{ fontWeight: 'bold', marginBottom: '10px', color:'#fff', display:'flex', justifyContent:'space-between', alignItems:'center' }}>
               Toolbox
-              {editingId && <div style={{background:'orange', color:'black', padding:'2px 8px', borderRadius:'4px', fontSize:'11px'}}>EDITING...</div>}
+              {editingItem && <div style={{background:'orange', color:'black', padding:'2px 8px', borderRadius:'4px', fontSize:'11px'}}>EDITING...</div>}
             </div>
             
-            <div style={{ display: 'flex', gap: '5px', marginBottom: '15px' }}>
-              <button onClick={() => {setToolMode('cursor'); setDraftStart(null); cancelEdit();}} style={{ flex:1, padding:'8px', background: toolMode==='cursor' ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer' }}>👆 Select</button>
-              <button onClick={() => {setToolMode('wire'); setDraftStart(null); cancelEdit();}} style={{ flex:1, padding:'8px', background: toolMode==='wire' ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer' }}>⚡ Wire</button>
-              <button onClick={() => {setToolMode('led'); setDraftStart(null); cancelEdit();}} style={{ flex:1, padding:'8px', background: toolMode==='led' ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer' }}>💡 LED</button>
-              <button onClick={() => {setToolMode('resistor'); setDraftStart(null); cancelEdit();}} style={{ flex:1, padding:'8px', background: toolMode==='resistor' ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer' }}>📏 Res</button>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', marginBottom: '15px' }}>
+              <button onClick={() => selectTool('cursor')} style={{ flex:1, padding:'8px', background: toolMode==='cursor' ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer' }}>👆 Select</button>
+              <button onClick={() => selectTool('pico')} style={{ flex:1, padding:'8px', background: toolMode==='pico' ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer', whiteSpace:'nowrap' }}>🍓 Pico</button>
+              <button onClick={() => selectTool('meter')} style={{ flex:1, padding:'8px', background: toolMode==='meter' ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer', whiteSpace:'nowrap' }}>📟 Meter</button>
+              {TOOLS.map(tool => (
+                <button key={tool.id} onClick={() => selectTool(tool.id)} style={{ flex:1, padding:'8px', background: toolMode===tool.id ? '#007acc':'#444', color:'white', border:'none', cursor:'pointer', whiteSpace:'nowrap' }}>{tool.label}</button>
+              ))}
             </div>
 
             <div style={{ padding:'10px', background:'#333', borderRadius:'4px', marginBottom:'15px' }}>
-              {toolMode === 'cursor' && <div style={{color:'#aaa', fontSize:'12px'}}>Select item from list below to Edit/Delete.</div>}
-              {toolMode === 'wire' && (
+              {toolMode === 'cursor' && <div style={{color:'#aaa', fontSize:'12px'}}>Select item from list below to Edit/Delete. Click / Shift+Click parts to select (Ctrl+C / Ctrl+V / Ctrl+D / Del), drag to move, drag the blue leg ends to re-plug, R = rotate, F = flip.</div>}
+              {toolMode === 'pico' && (
                 <div>
-                  <div style={{marginBottom:'5px', color:'#4ec9b0'}}>Wire Settings</div>
-                  {editingId && (
-                    <div style={{marginBottom:'5px'}}>
-                       Name: <input type="text" value={inputWire.name} onChange={e=>setInputWire({...inputWire, name:e.target.value})} style={{width:'100px'}}/>
-                    </div>
-                  )}
-                  <select value={newWireColor} onChange={e=>setNewWireColor(e.target.value)} style={{width:'100%', padding:'5px'}}>
-                    <option value="green">Green</option><option value="black">Black</option><option value="red">Red</option><option value="blue">Blue</option><option value="yellow">Yellow</option>
+                  <div style={{marginBottom:'5px', color:'#7fd37f'}}>Board & Breadboard</div>
+                  <select value={board.type} onChange={e=>changeBoard(`Board: ${BOARDS[e.target.value].label}`, { board: { ...board, type: e.target.value } })} style={{width:'100%', padding:'5px', marginBottom:'5px'}}>
+                    {Object.entries(BOARDS).map(([type, b]) => <option key={type} value={type}>{b.label}</option>)}
+                  </select>
+                  <select value={board.rotation} onChange={e=>changeBoard(`Rotate ${BOARDS[board.type].silk}`, { board: { ...board, rotation: Number(e.target.value) } })} style={{width:'100%', padding:'5px', marginBottom:'5px'}}>
+                    <option value={0}>USB up (pin 1 top-left)</option>
+                    <option value={180}>USB down (pin 1 bottom-right)</option>
                   </select>
-                  <div style={{fontSize:'11px', marginTop:'5px', color:'#ccc'}}>Click Start -> End</div>
+                  <label style={{display:'block', marginBottom:'5px', fontSize:'12px'}}><input type="checkbox" checked={usbPowered(board)} onChange={e=>changeBoard(e.target.checked ? 'Plug in USB' : 'Unplug USB', { board: { ...board, usb: e.target.checked } })} /> USB connected (5V on VBUS)</label>
+                  <div style={{marginBottom:'5px', fontSize:'11px', fontFamily:'monospace', color: circuit.power.running ? '#6a9955' : '#ffcc66'}}>
+                    {['VBUS', 'VSYS', '3V3'].map(name => `${name} ${circuit.power.volts[name].toFixed(2)}V`).join(' / ')} — {circuit.power.running ? 'running' : circuit.power.regulator ? 'RESET (RUN low)' : 'OFF (no VSYS / 3V3_EN low)'}
+                  </div>
+                  <select value={layout.type} onChange={e=>changeBoard(`Breadboard: ${BREADBOARDS[e.target.value].label}`, { breadboard: e.target.value })} style={{width:'100%', padding:'5px', marginBottom:'5px'}}>
+                    {Object.entries(BREADBOARDS).map(([type, b]) => <option key={type} value={type}>{b.label}</option>)}
+                  </select>
+                  <div style={{fontSize:'11px', color:'#ccc'}}>Click a hole to move the {BOARDS[board.type].silk} there (pin 1 / 21 goes into the clicked row), R = rotate. {boardFits(board, layout) ? `Header rows ${board.row}-${board.row + PICO_ROWS - 1}.` : '⚠ Not plugged in: no pin is connected.'}</div>
                 </div>
               )}
-              {toolMode === 'led' && (
+              {toolMode === 'meter' && (
                 <div>
-                  <div style={{marginBottom:'5px', color:'#ce9178'}}>LED Settings</div>
-                  {editingId && (
-                    <div style={{marginBottom:'5px'}}>
-                       Name: <input type="text" value={inputLed.name} onChange={e=>setInputLed({...inputLed, name:e.target.value})} style={{width:'100px'}}/>
-                    </div>
-                  )}
-                  <div style={{fontSize:'11px', color:'#ccc'}}>Click Anode(+) -> Cathode(-)</div>
+                  <div style={{marginBottom:'5px', color:'#ffcc66'}}>Multimeter</div>
+                  <select value={meterMode} onChange={e=>setMeterMode(e.target.value)} style={{width:'100%', padding:'5px', marginBottom:'5px'}}>
+                    <option value="volts">DC voltage (V)</option>
+                    <option value="ohms">Resistance / continuity (Ω 🔔)</option>
+                  </select>
+                  <div style={{marginBottom:'5px', fontSize:'12px', fontFamily:'monospace'}}>
+                    <span style={{color:'#ff6666'}}>● {probes.red ? holeLabel(probes.red.row, probes.red.col, layout) : '-'}</span>{'  '}
+                    <span style={{color:'#aaa'}}>● {probes.black ? holeLabel(probes.black.row, probes.black.col, layout) : '-'}</span>{'  '}
+                    {meter && <b>{meter.text}</b>}
+                    {meter && meter.note && <div style={{color:'#ffcc66'}}>{meter.note}</div>}
+                  </div>
+                  <button onClick={() => setProbes({ red: null, black: null })} style={{cursor:'pointer', border:'none', background:'#555', color:'white', padding:'2px 6px', borderRadius:'3px', marginBottom:'5px'}}>Clear probes</button>
+                  <label style={{marginLeft:'8px', fontSize:'12px'}}><input type="checkbox" checked={beepEnabled} onChange={e => setBeepEnabled(e.target.checked)} /> 🔔 Beep</label>
+                  <div style={{fontSize:'11px', color:'#ccc'}}>Click 赤プローブの穴 -> 黒プローブの穴 (もう一度クリックで刺し直し)。電圧は実行中の値、抵抗はプログラムを止めて置いた部品 (抵抗・線・スイッチ) から測ります。30Ω 未満で導通ブザー</div>
                 </div>
               )}
-              {toolMode === 'resistor' && (
+              {activeDef && (
                 <div>
-                  <div style={{marginBottom:'5px', color:'#dcdcaa'}}>Resistor Settings</div>
-                  {editingId && (
+                  <div style={{marginBottom:'5px', color: activeDef.color}}>{(!editingItem && activeTool.title) || activeDef.title} Settings</div>
+                  {editingItem && (
                     <div style={{marginBottom:'5px'}}>
-                       Name: <input type="text" value={inputResistor.name} onChange={e=>setInputResistor({...inputResistor, name:e.target.value})} style={{width:'100px'}}/>
+                       Name: <input type="text" value={editingItem.name} onChange={e=>changeSetting({ name: e.target.value })} style={{width:'100px'}}/>
                     </div>
                   )}
-                  <input type="number" value={newResistorOhms} onChange={e=>setNewResistorOhms(e.target.value)} style={{width:'60px', marginRight:'5px'}} /> Ω
-                  <div style={{fontSize:'11px', marginTop:'5px', color:'#ccc'}}>Click Start -> End</div>
+                  {activeDef.props.filter(prop => !prop.hidden && !prop.slider && (!prop.when || prop.when(settingValues))).map(prop => (
+                    <div key={prop.key} style={{marginBottom:'5px'}}>
+                      {prop.type === 'select' || prop.type === 'color' ? (
+                        <select value={settingValues[prop.key]} onChange={e=>changeSetting({ [prop.key]: e.target.value })} style={{width:'100%', padding:'5px'}}>
+                          {prop.options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                      ) : prop.type === 'number' ? (
+                        <><input type="number" value={settingValues[prop.key]} onChange={e=>changeSetting({ [prop.key]: Number(e.target.value) })} style={{width:'70px', marginRight:'5px'}} /> {prop.unit}</>
+                      ) : (
+                        <>{prop.label}: <input type="text" value={settingValues[prop.key]} onChange={e=>changeSetting({ [prop.key]: e.target.value })} style={{width:'100px'}} /></>
+                      )}
+                    </div>
+                  ))}
+                  <div style={{fontSize:'11px', color:'#ccc'}}>{activeDef.hint}</div>
                 </div>
               )}
             </div>
 
             <div style={{ borderTop:'1px solid #444', paddingTop:'10px' }}>
-              <div style={{fontSize:'12px', color:'#888', marginBottom:'5px'}}>Components List</div>
+              <div style={{fontSize:'12px', color:'#888', marginBottom:'5px', display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+                Components List
+                <label title="RP2040 内蔵温度センサ (ADC4)">Chip {chipTempC}℃ <input type="range" min={-10} max={80} value={chipTempC} onChange={e=>setChipTempC(Number(e.target.value))} style={{width:'80px', verticalAlign:'middle'}} /></label>
+              </div>
+              <div style={{display:'flex', gap:'5px', marginBottom:'5px', fontSize:'11px', alignItems:'center'}}>
+                <span style={{color:'#888', marginRight:'auto'}}>{selection.length > 0 ? `${plural(selection.length)} selected` : 'No selection'}</span>
+                <button onClick={copySelection} disabled={selection.length === 0} title="Ctrl+C" style={{cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>📋 Copy</button>
+                <button onClick={pasteClipboard} disabled={!clipboard} title="Ctrl+V (使っている行数ぶん下にずらして置く)" style={{cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>📥 Paste</button>
+                <button onClick={duplicateSelection} disabled={selection.length === 0} title="Ctrl+D" style={{cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>⧉ Duplicate</button>
+                <button onClick={deleteSelection} disabled={selection.length === 0} title="Delete" style={{cursor:'pointer', border:'none', background:'#d33', color:'white', borderRadius:'3px', padding:'2px 6px'}}>Delete</button>
+              </div>
               <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
-                {wires.map(w => (
-                  <div key={w.id} style={{ display: 'flex', justifyContent: 'space-between', padding:'4px', borderBottom:'1px solid #333', fontSize:'12px', background: editingId===w.id?'#444':'transparent', alignItems:'center' }}>
-                    <span style={{color: getWireLabelColor(w.color), fontWeight:'bold'}}>{w.name}</span>
-                    <div>
-                      <button onClick={() => startEdit(w, 'wire')} style={{marginRight:'5px', cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>✎</button>
-                      <button onClick={() => removeWire(w.id)} style={{color:'white', border:'none', background:'#d33', cursor:'pointer', borderRadius:'3px', padding:'2px 6px'}}>x</button>
-                    </div>
-                  </div>
-                ))}
-                {leds.map(l => (
-                  <div key={l.id} style={{ display: 'flex', justifyContent: 'space-between', padding:'4px', borderBottom:'1px solid #333', fontSize:'12px', background: editingId===l.id?'#444':'transparent', alignItems:'center' }}>
-                    <span style={{color:'#ce9178', fontWeight:'bold'}}>{l.name}</span>
-                    <div>
-                      <button onClick={() => startEdit(l, 'led')} style={{marginRight:'5px', cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>✎</button>
-                      <button onClick={() => removeLed(l.id)} style={{color:'white', border:'none', background:'#d33', cursor:'pointer', borderRadius:'3px', padding:'2px 6px'}}>x</button>
-                    </div>
-                  </div>
-                ))}
-                {resistors.map(r => (
-                  <div key={r.id} style={{ display: 'flex', justifyContent: 'space-between', padding:'4px', borderBottom:'1px solid #333', fontSize:'12px', background: editingId===r.id?'#444':'transparent', alignItems:'center' }}>
-                    <span style={{color:'#dcdcaa', fontWeight:'bold'}}>{r.name} ({r.ohms}Ω)</span>
-                    <div>
-                      <button onClick={() => startEdit(r, 'resistor')} style={{marginRight:'5px', cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>✎</button>
-                      <button onClick={() => removeResistor(r.id)} style={{color:'white', border:'none', background:'#d33', cursor:'pointer', borderRadius:'3px', padding:'2px 6px'}}>x</button>
+                {sortedComponents.map(item => {
+                  const key = compKey(item.type, item.id);
+                  const def = getPart(item.type);
+                  const view = PART_VIEWS[item.type] || {};
+                  return (
+                    <div key={key} style={{ display: 'flex', justifyContent: 'space-between', padding:'4px', borderBottom:'1px solid #333', fontSize:'12px', background: editingKey===key?'#444':selectedKeys.includes(key)?'#264f78':'transparent', alignItems:'center' }}>
+                      <label style={{color: view.labelColor ? view.labelColor(item) : def.color, fontWeight:'bold', cursor:'pointer'}}><input type="checkbox" checked={selectedKeys.includes(key)} onChange={() => toggleSelect(key)} style={{verticalAlign:'middle'}} /> {item.name}{view.summary ? ` ${view.summary(item)}` : ''}</label>
+                      <div style={{display:'flex', alignItems:'center'}}>
+                        {def.props.filter(prop => prop.slider && (!prop.when || prop.when(item))).map(prop => (
+                          <input key={prop.key} type="range" min={prop.slider.min} max={prop.slider.max} step={prop.slider.step} value={item[prop.key] ?? prop.default} onChange={e=>updateComponent(key, { [prop.key]: Number(e.target.value) })} style={{width:'80px', marginRight:'5px'}} />
+                        ))}
+                        <button onClick={() => startEdit(item)} style={{marginRight:'5px', cursor:'pointer', border:'none', background:'#555', color:'white', borderRadius:'3px', padding:'2px 6px'}}>✎</button>
+                        <button onClick={() => removeComponent(key)} style={{color:'white', border:'none', background:'#d33', cursor:'pointer', borderRadius:'3px', padding:'2px 6px'}}>x</button>
+                      </div>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
+              </div>
+            </div>
+
+            <div style={{ borderTop:'1px solid #444', paddingTop:'10px', marginTop:'10px' }}>
+              <div style={{fontSize:'12px', color:'#888', marginBottom:'5px'}}>History ({history.index + 1}/{history.entries.length})</div>
+              {/* 新しい順。クリックでその時点に戻る (その先は Redo で戻れる) */}
+              <div style={{ maxHeight: '150px', overflowY: 'auto', fontSize: '12px', background:'#1a1a1a', border:'1px solid #333' }}>
+                {history.entries.map((entry, i) => (
+                  <div key={i} onClick={() => setHistory(prev => jumpHistory(prev, i))} style={{ padding:'2px 5px', cursor:'pointer', color: i > history.index ? '#666' : '#ccc', background: i === history.index ? '#264f78' : 'transparent' }}>{i === history.index ? '▶ ' : ''}{entry.label}</div>
+                )).reverse()}
               </div>
             </div>
 
@@ -744,19 +882,47 @@ export default function App() {
       </div>
       <div onMouseDown={startHorizontalResize} style={{ width: '5px', background: '#444', cursor: 'col-resize', height: '100%', borderLeft: '1px solid #333', borderRight: '1px solid #333' }}></div>
       
-      <div style={{ flex: 1, background: '#111' }}>
+      <div style={{ flex: 1, background: '#111', display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+        <div style={{ flex: 1, minHeight: 0 }}>
         <Canvas camera={{ position: [5, 12, 5], fov: 45 }}>
-          <color attach="background" args={['#222']} />
-          <ambientLight intensity={0.6} />
-          <directionalLight position={[5, 10, 5]} intensity={1} />
-          <OrbitControls makeDefault target={[0, 0, 0]} />
-          <Breadboard onHoleClick={handleHoleClick} selectedHole={selectedHole} draftStart={draftStart} activeNodes={activeNodes} isSimulating={isRunning} />
-          <Pico pinStates={pinStates} />
-          {wires.map(w => <CleanWire key={w.id} item={w} hasCurrent={isCompActive(w.id)} setHoverInfo={setHoverInfo} isSimulating={isRunning} />)}
-          {leds.map(l => <LEDComponent key={l.id} item={l} hasCurrent={isCompActive(l.id)} setHoverInfo={setHoverInfo} isSimulating={isRunning} />)}
-          {resistors.map(r => <ResistorComponent key={r.id} item={r} hasCurrent={isCompActive(r.id)} setHoverInfo={setHoverInfo} isSimulating={isRunning} />)}
-          {hoverInfo && <Tooltip position={hoverInfo.pos} text={hoverInfo.text} />}
+          <SimTimeScale.Provider value={timeScaleRef}>
+            <color attach="background" args={['#222']} />
+            <ambientLight intensity={0.6} />
+            <directionalLight position={[5, 10, 5]} intensity={1} />
+            <OrbitControls makeDefault target={[0, 0, 0]} enabled={!drag} />
+            <BoardLayout.Provider value={layout}>
+            <Breadboard layout={layout} onHoleClick={handleHoleClick} onHoleHover={setHoverHole} hoverHole={hoverHole} hoverOk={ghostOk} selectedHole={selectedHole} draftStart={draftStart} activeNets={circuit.activeNets} isSimulating={isRunning} />
+            <Pico pinStates={pinStates} board={board} layout={layout} />
+            {components.map(item => {
+              const view = PART_VIEWS[item.type];
+              if (!view) return null;
+              const key = compKey(item.type, item.id);
+              const View = view.render;
+              const select = (e) => { if (toolMode !== 'cursor') return; e.stopPropagation(); toggleSelect(key, e.shiftKey || e.ctrlKey || e.metaKey); };
+              const hover = (info) => { setHoverInfo(info); setHoveredPart(info ? key : null); };
+              return <group key={key} onClick={select} onPointerDown={e => startDrag(e, key)}><View item={item} elec={getElec(item)} setHoverInfo={hover} onChange={patch => updateComponent(key, patch)} pressed={!!switchStates[item.id]} onPress={pressed => pressSwitch(item.id, pressed)} device={devices[key]} /></group>;
+            })}
+            {ghost && ghostOk && PART_VIEWS[ghost.type] && (() => {
+              const View = PART_VIEWS[ghost.type].render;
+              return <GhostPart key={`ghost-${ghost.type}`}><View item={ghost} elec={{ voltage: 0, current: 0 }} setHoverInfo={() => {}} onChange={() => {}} pressed={false} onPress={() => {}} /></GhostPart>;
+            })()}
+            {selection.map(item => <SelectionMarker key={compKey(item.type, item.id)} position={partCenter(item, layout, 0.55)} />)}
+            {schematicMarkers.map(m => <SelectionMarker key={`schematic:${m.key}`} position={m.position} radius={m.radius} color="#ffcc00" />)}
+            {toolMode === 'cursor' && !drag && selection.filter(item => getPart(item.type).placement === 'span').map(item => [0, 1].map(leg => {
+              const [x, , z] = leg === 0 ? getHolePos(item.sR, item.sC, layout) : getHolePos(item.eR, item.eC, layout);
+              const key = compKey(item.type, item.id);
+              return <LegHandle key={`${key}:${leg}`} position={[x, 0.25, z]} onGrab={e => startDrag(e, key, leg)} />;
+            }))}
+            {issueMarkers.markers.map(m => <IssueMarker key={m.key} position={m.position} severity={m.severity} />)}
+            {issueMarkers.smoke.map(m => <MagicSmoke key={m.key} position={m.position} />)}
+            {toolMode === 'meter' && ['red', 'black'].map(color => probes[color] && <Probe key={color} color={color} position={getHolePos(probes[color].row, probes[color].col, layout)} />)}
+            {toolMode === 'meter' && meter && <MeterReadout position={probeMidpoint(probes, layout)} meter={meter} mode={meterMode} />}
+            {hoverInfo && <Tooltip position={hoverInfo.pos} text={hoverInfo.text} />}
+            </BoardLayout.Provider>
+          </SimTimeScale.Provider>
         </Canvas>
+        </div>
+        {schematic && <SchematicView schematic={schematic} circuit={circuitInput} highlight={schematicHover || (hoveredPart && { part: hoveredPart })} onHover={setSchematicHover} />}
       </div>
     </div>
   );
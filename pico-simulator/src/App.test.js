@@ -1,8 +1,36 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// jsdom には Worker も WebGL も無いので、Python エンジンは動かさずに UI だけ描画する
+jest.mock('./usePythonEngine', () => ({
+  usePythonEngine: () => ({
+    pinStates: {}, pinPulls: {}, ready: true, logs: [], run: jest.fn(), stop: jest.fn(), isRunning: false, setInputs: jest.fn(),
+    capture: { events: [], last: {}, endUs: 0, truncated: false },
+    clock: { simUs: 0, speed: 1, paused: false }, timeScaleRef: { current: 1 }, canPause: false,
+    setSpeed: jest.fn(), pause: jest.fn(), resume: jest.fn(), step: jest.fn(),
+    devices: {}, setWiring: jest.fn(), uartSend: jest.fn(),
+  }),
+}));
+
+beforeAll(() => {
+  global.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+
+test('renders the editor, toolbox and bundled example', () => {
+  render(<App />);
+  expect(screen.getByText('▶ Run')).toBeInTheDocument();
+  expect(screen.getByText(/Toolbox/)).toBeInTheDocument();
+  expect(screen.getByText('LED 1')).toBeInTheDocument();
+  // ツールボックスは部品レジストリから作る
+  expect(screen.getByText('🔢 7Seg')).toBeInTheDocument();
+  expect(screen.getByText('🌈 RGB')).toBeInTheDocument();
+  expect(screen.getByDisplayValue(/Pin\(15, Pin.OUT\)/)).toBeInTheDocument();
+});
+
+test('schematic view labels the example nets after the Pico pins', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByText('📐 Schematic'));
+  expect(screen.getByText('⬇ SPICE')).toBeInTheDocument();
+  expect(screen.getByText('GP15')).toBeInTheDocument();
+  expect(screen.getAllByText('N1')).toHaveLength(2); // 抵抗と LED の間
 });
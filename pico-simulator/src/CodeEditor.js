@@ -0,0 +1,123 @@
+import React, { useMemo, useRef, useLayoutEffect } from 'react';
+import { tokenizePython, indentAfter, shiftLines, leadingSpace, INDENT } from './pythonSource';
+
+// --- コードエディタ ---
+// 透明な textarea をハイライト済みの <pre> に重ねる (入力/選択/IME はブラウザの textarea のまま)
+// 行番号 / 実行中の行 / エラーの行とメッセージを表示する
+const LINE_HEIGHT = 20;
+const PAD = 10;
+const GUTTER_WIDTH = 44;
+const FONT = { fontFamily: 'Consolas, monospace', fontSize: '14px', lineHeight: `${LINE_HEIGHT}px`, tabSize: 4, whiteSpace: 'pre' };
+
+const TOKEN_COLORS = {
+  keyword: '#569cd6', builtin: '#dcdcaa', string: '#ce9178', comment: '#6a9955',
+  number: '#b5cea8', decorator: '#c586c0', def: '#4ec9b0',
+};
+const CURRENT_BG = 'rgba(255, 215, 0, 0.12)';
+const ERROR_BG = 'rgba(255, 80, 80, 0.18)';
+
+// 変わった部分だけを置き換える { start, end, text } (先頭/末尾の共通部分を除く)
+function diffRange(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let tail = 0;
+  while (tail < before.length - start && tail < after.length - start && before[before.length - 1 - tail] === after[after.length - 1 - tail]) tail++;
+  return { start, end: before.length - tail, text: after.slice(start, after.length - tail) };
+}
+
+export default function CodeEditor({ value, onChange, currentLine, error }) {
+  const textRef = useRef(null);
+  const preRef = useRef(null);
+  const gutterRef = useRef(null);
+  const pendingSelection = useRef(null);
+  const lines = useMemo(() => tokenizePython(value), [value]);
+  const errorLine = error ? error.line : null;
+
+  // execCommand が使えずに onChange で書き換えたときは、再描画後に選択範囲を戻す
+  useLayoutEffect(() => {
+    const sel = pendingSelection.current;
+    if (!sel || !textRef.current) return;
+    pendingSelection.current = null;
+    textRef.current.setSelectionRange(sel.start, sel.end);
+  }, [value]);
+
+  // 置き換えは insertText で行う (ブラウザの Ctrl+Z で戻せる)
+  const edit = (next, selStart, selEnd) => {
+    const ta = textRef.current;
+    const { start, end, text } = diffRange(value, next);
+    ta.setSelectionRange(start, end);
+    if (document.execCommand && document.execCommand('insertText', false, text)) {
+      ta.setSelectionRange(selStart, selEnd);
+    } else {
+      pendingSelection.current = { start: selStart, end: selEnd };
+      onChange(next);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    const ta = e.target;
+    const { selectionStart: start, selectionEnd: end } = ta;
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      if (e.shiftKey || value.slice(start, end).includes('\n')) {
+        const shifted = shiftLines(value, start, end, e.shiftKey);
+        edit(shifted.text, shifted.start, shifted.end);
+      } else {
+        edit(value.slice(0, start) + INDENT + value.slice(end), start + INDENT.length, start + INDENT.length);
+      }
+    } else if (e.key === 'Enter' && !e.isComposing) {
+      // 改行に前の行のインデント (":" の後は1段深く) を付ける
+      e.preventDefault();
+      const insert = '\n' + indentAfter(value.slice(lineStart, start));
+      edit(value.slice(0, start) + insert + value.slice(end), start + insert.length, start + insert.length);
+    } else if (e.key === 'Backspace' && start === end && start > lineStart) {
+      // 行頭の空白の中では1段ずつ消す
+      const before = value.slice(lineStart, start);
+      if (leadingSpace(before) !== before || before.includes('\t')) return;
+      e.preventDefault();
+      const remove = (before.length - 1) % INDENT.length + 1;
+      edit(value.slice(0, start - remove) + value.slice(end), start - remove, start - remove);
+    }
+  };
+
+  // textarea のスクロールに <pre> と行番号を合わせる
+  const handleScroll = (e) => {
+    preRef.current.scrollTop = e.target.scrollTop;
+    preRef.current.scrollLeft = e.target.scrollLeft;
+    gutterRef.current.scrollTop = e.target.scrollTop;
+  };
+
+  const lineBackground = (n) => (n === errorLine ? ERROR_BG : n === currentLine ? CURRENT_BG : 'transparent');
+
+  return (
+    <div style={{ flex: 1, display: 'flex', minHeight: 0, background: '#111', position: 'relative' }}>
+      <div ref={gutterRef} style={{ ...FONT, width: GUTTER_WIDTH, flexShrink: 0, overflow: 'hidden', background: '#1a1a1a', color: '#666', textAlign: 'right', paddingTop: PAD, userSelect: 'none', fontSize: '12px' }}>
+        {lines.map((_, i) => {
+          const n = i + 1;
+          const marker = n === errorLine ? <span style={{ color: '#ff5555' }}>●</span> : n === currentLine ? <span style={{ color: 'gold' }}>▶</span> : null;
+          return (
+            <div key={n} title={n === errorLine ? error.message : undefined} style={{ height: LINE_HEIGHT, paddingRight: 6, background: lineBackground(n), color: n === errorLine || n === currentLine ? '#ddd' : undefined }}>
+              {marker} {n}
+            </div>
+          );
+        })}
+        <div style={{ height: LINE_HEIGHT * 2 }} />
+      </div>
+      <div style={{ flex: 1, position: 'relative', minWidth: 0 }}>
+        <pre ref={preRef} aria-hidden="true" style={{ ...FONT, position: 'absolute', inset: 0, margin: 0, overflow: 'hidden', color: '#d4d4d4', pointerEvents: 'none' }}>
+          <div style={{ padding: PAD, paddingBottom: PAD + LINE_HEIGHT * 2, minWidth: 'max-content' }}>
+            {lines.map((tokens, i) => (
+              <div key={i} style={{ height: LINE_HEIGHT, background: lineBackground(i + 1), margin: `0 -${PAD}px`, padding: `0 ${PAD}px` }}>
+                {tokens.length === 0 ? ' ' : tokens.map((t, j) => <span key={j} style={t.kind ? { color: TOKEN_COLORS[t.kind] } : undefined}>{t.text}</span>)}
+                {i + 1 === errorLine && <span style={{ color: '#ff7777', fontStyle: 'italic', marginLeft: '2em' }}>◀ {error.message}</span>}
+              </div>
+            ))}
+          </div>
+        </pre>
+        <textarea ref={textRef} value={value} onChange={(e) => onChange(e.target.value)} onKeyDown={handleKeyDown} onScroll={handleScroll} spellCheck="false" wrap="off"
+          style={{ ...FONT, position: 'absolute', inset: 0, width: '100%', height: '100%', boxSizing: 'border-box', margin: 0, padding: PAD, border: 'none', outline: 'none', resize: 'none', background: 'transparent', color: 'transparent', caretColor: '#eee', overflow: 'auto' }} />
+      </div>
+    </div>
+  );
+}
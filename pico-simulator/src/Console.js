@@ -0,0 +1,78 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { replNeedsMore, indentAfter } from './pythonSource';
+
+// --- コンソール (ログ + REPL) ---
+// 一番下の入力欄: ">>> " で REPL の文 (ブロックは "... " で続けて空行で実行) / input() の待ち中はそのプロンプトで1行入力
+// ↑↓: 履歴 / Ctrl+C: 実行中のプログラム (REPL の文) を止める
+const MAX_HISTORY = 100;
+
+export default function Console({ logs, ready, inputPrompt, busy, onRepl, onInput, onInterrupt }) {
+  const [text, setText] = useState('');
+  const [pending, setPending] = useState([]); // 入力途中のブロック
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(null); // ↑↓ で選んでいる履歴 (null = 入力中の行)
+  const scrollRef = useRef(null);
+  const waitingInput = inputPrompt !== null && inputPrompt !== undefined;
+
+  // 新しい出力が来たら一番下へ
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+  }, [logs, pending]);
+
+  const submit = () => {
+    if (waitingInput) { onInput(text); setText(''); return; }
+    const lines = [...pending, text];
+    if (pending.length === 0 && text.trim() === '') return;
+    if (replNeedsMore(lines)) {
+      setPending(lines);
+      setText(indentAfter(text));
+      return;
+    }
+    // ブロックの最後の空行は送らない
+    const source = (lines[lines.length - 1].trim() === '' ? lines.slice(0, -1) : lines).join('\n');
+    onRepl(source);
+    setHistory(prev => [...prev.filter(h => h !== source), source].slice(-MAX_HISTORY));
+    setHistoryIndex(null);
+    setPending([]);
+    setText('');
+  };
+
+  const browse = (delta) => {
+    if (history.length === 0 || pending.length > 0) return;
+    const next = historyIndex === null ? (delta < 0 ? history.length - 1 : null) : historyIndex + delta;
+    if (next !== null && (next < 0 || next >= history.length)) return;
+    setHistoryIndex(next);
+    setText(next === null ? '' : history[next]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); submit(); }
+    else if (e.key === 'ArrowUp' && !waitingInput) { e.preventDefault(); browse(-1); }
+    else if (e.key === 'ArrowDown' && !waitingInput) { e.preventDefault(); browse(1); }
+    else if (e.key === 'c' && e.ctrlKey && e.target.selectionStart === e.target.selectionEnd) {
+      // 選択していなければコピーではなく割り込み (入力途中のブロックも捨てる)
+      e.preventDefault();
+      setPending([]);
+      setText('');
+      onInterrupt();
+    } else if (e.key === 'Tab' && !waitingInput) {
+      e.preventDefault();
+      setText(prev => `${prev}    `);
+    }
+  };
+
+  const prompt = waitingInput ? inputPrompt : pending.length > 0 ? '... ' : '>>> ';
+  return (
+    <div ref={scrollRef} onClick={(e) => { const input = e.currentTarget.querySelector('input'); if (input && !window.getSelection().toString()) input.focus(); }}
+      style={{ height: '120px', background: '#000', padding: '10px', fontSize: '12px', overflowY: 'auto', fontFamily: 'monospace', borderTop: '1px solid #444', whiteSpace: 'pre-wrap' }}>
+      {logs.map((l, i) => <div key={i}>{l}</div>)}
+      {pending.map((line, i) => <div key={`pending-${i}`} style={{ color: '#aaa' }}>{(i === 0 ? '>>> ' : '... ') + line}</div>)}
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        <span style={{ color: waitingInput ? '#fff' : '#6a9955', whiteSpace: 'pre' }}>{prompt}</span>
+        <input value={text} onChange={(e) => setText(e.target.value)} onKeyDown={handleKeyDown} disabled={!ready} spellCheck="false"
+          placeholder={busy && !waitingInput ? '(実行中)' : ''}
+          style={{ flex: 1, background: 'transparent', border: 'none', outline: 'none', color: '#eee', fontFamily: 'monospace', fontSize: '12px', padding: 0 }} />
+      </div>
+    </div>
+  );
+}
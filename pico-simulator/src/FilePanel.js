@@ -0,0 +1,70 @@
+import React, { useRef } from 'react';
+import { fileTree, fileName, checkNewPath, renameFile, removeFile, MAIN_FILE } from './picoFiles';
+
+// --- Pico のファイル一覧 (エディタの左) ---
+// 新規 / アップロード / 名前の変更 / 削除 / ダウンロード。変更は onChange(files, 開くファイル) で返す
+const iconButton = { cursor: 'pointer', border: 'none', background: '#444', color: 'white', borderRadius: '3px', padding: '1px 4px', fontSize: '11px' };
+
+export default function FilePanel({ files, active, onSelect, onChange, onError }) {
+  const uploadRef = useRef(null);
+
+  const newFile = () => {
+    const path = window.prompt('New file (folders with "/", e.g. lib/leds.py)', 'lib/module.py');
+    if (path === null) return;
+    const problem = checkNewPath(files, path.trim());
+    if (problem) { onError(`New file: ${problem}`); return; }
+    onChange({ ...files, [path.trim()]: '' }, path.trim());
+  };
+  const rename = () => {
+    const path = window.prompt(`Rename ${active} to`, active);
+    if (path === null || path.trim() === active) return;
+    const problem = checkNewPath(files, path.trim());
+    if (problem) { onError(`Rename: ${problem}`); return; }
+    onChange(renameFile(files, active, path.trim()), path.trim());
+  };
+  const remove = () => {
+    if (!window.confirm(`Delete ${active}?`)) return;
+    const next = removeFile(files, active);
+    onChange(next, next[MAIN_FILE] !== undefined ? MAIN_FILE : Object.keys(next)[0] || null);
+  };
+  const download = () => {
+    const blob = new Blob([files[active]], { type: 'text/plain' });
+    const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = fileName(active); a.click();
+  };
+  // 選んだファイルは一番上に置く (同じ名前があれば確認して上書き)
+  const upload = async (e) => {
+    const picked = [...e.target.files];
+    e.target.value = '';
+    const next = { ...files };
+    for (const file of picked) {
+      const exists = next[file.name] !== undefined;
+      const problem = exists ? null : checkNewPath(next, file.name);
+      if (problem) { onError(`Upload: ${problem}`); return; }
+      if (exists && !window.confirm(`Replace ${file.name}?`)) continue;
+      next[file.name] = await file.text();
+    }
+    if (picked.length > 0) onChange(next, picked[picked.length - 1].name);
+  };
+
+  return (
+    <div style={{ width: '130px', flexShrink: 0, background: '#1e1e1e', borderRight: '1px solid #333', display: 'flex', flexDirection: 'column', fontSize: '12px' }}>
+      <div style={{ display: 'flex', gap: '3px', padding: '4px', borderBottom: '1px solid #333', flexWrap: 'wrap' }}>
+        <button onClick={newFile} title="New file" style={iconButton}>＋</button>
+        <button onClick={() => uploadRef.current.click()} title="Upload files" style={iconButton}>⬆</button>
+        <button onClick={download} disabled={!active} title="Download" style={iconButton}>⬇</button>
+        <button onClick={rename} disabled={!active} title="Rename" style={iconButton}>✎</button>
+        <button onClick={remove} disabled={!active} title="Delete" style={iconButton}>🗑</button>
+        <input ref={uploadRef} type="file" multiple onChange={upload} style={{ display: 'none' }} />
+      </div>
+      <div style={{ flex: 1, overflowY: 'auto', padding: '2px 0' }}>
+        {fileTree(files).map(row => (
+          <div key={row.path} onClick={row.dir ? undefined : () => onSelect(row.path)} title={row.path}
+            style={{ padding: `2px 6px 2px ${6 + row.depth * 10}px`, cursor: row.dir ? 'default' : 'pointer', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis',
+              background: row.path === active ? '#094771' : 'transparent', color: row.dir ? '#888' : row.path === MAIN_FILE ? '#fff' : '#ccc', fontWeight: row.path === MAIN_FILE ? 'bold' : 'normal' }}>
+            {row.dir ? '📁' : '📄'} {row.name}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
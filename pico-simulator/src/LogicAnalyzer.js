@@ -0,0 +1,200 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { captureTracks, segmentIndexAt, measureAt, toVcd } from './logicCapture';
+import { isPwmState } from './circuitSolver';
+
+// --- ロジックアナライザ (波形パネル) ---
+// ホイール: ズーム / ドラッグ: スクロール / クリック: カーソルA / Shift+クリック: カーソルB
+const LABEL_WIDTH = 50;
+const ROW_HEIGHT = 22;
+const AXIS_HEIGHT = 16;
+const MIN_SPAN_US = 20;
+const DEFAULT_SPAN_US = 2e6;
+
+export const formatTime = (us) => {
+  if (us === null || us === undefined) return '-';
+  const abs = Math.abs(us);
+  if (abs >= 1e6) return `${(us / 1e6).toFixed(3)}s`;
+  if (abs >= 1e3) return `${(us / 1e3).toFixed(3)}ms`;
+  return `${Math.round(us)}µs`;
+};
+
+// 目盛り間隔 (1, 2, 5 x 10^n)
+function tickStep(span, count) {
+  const raw = span / Math.max(1, count);
+  const pow = Math.pow(10, Math.floor(Math.log10(raw)));
+  return [1, 2, 5, 10].map(m => m * pow).find(step => step >= raw);
+}
+
+// 1ピン分の波形 (表示範囲内だけ描く。1px未満の細かい変化は縦線にまとめる)
+function Track({ track, top, start, end, endUs, x }) {
+  const high = top + 4;
+  const low = top + ROW_HEIGHT - 4;
+  const mid = (high + low) / 2;
+  const yOf = (v) => (v === 1 ? high : v === 0 ? low : mid);
+  const first = Math.max(0, segmentIndexAt(track, start));
+  let d = '';
+  const pwmShapes = [];
+  const busy = [];
+  let lastPx = null;
+  for (let i = first; i < track.length && track[i].t <= end; i++) {
+    const seg = track[i];
+    const t0 = Math.max(seg.t, start);
+    const t1 = Math.min(i + 1 < track.length ? track[i + 1].t : endUs, end);
+    if (t1 < t0) continue;
+    const x0 = x(t0);
+    const x1 = x(t1);
+    if (isPwmState(seg.value)) {
+      const { duty, freq } = seg.value;
+      const periodPx = x(t0 + 1e6 / freq) - x0;
+      if (periodPx >= 4 && (x1 - x0) / periodPx < 2000) {
+        // 周期が見える倍率ならパルス列として描く
+        let pulses = '';
+        for (let t = seg.t + Math.floor((t0 - seg.t) / (1e6 / freq)) * (1e6 / freq); t < t1; t += 1e6 / freq) {
+          const on = Math.max(x(t), x0);
+          const off = Math.min(x(t + duty * 1e6 / freq), x1);
+          const next = Math.min(x(t + 1e6 / freq), x1);
+          if (off > on) pulses += `M${on},${low} V${high} H${off} V${low} `;
+          pulses += `M${Math.max(off, on)},${low} H${next} `;
+        }
+        pwmShapes.push(<path key={i} d={pulses} stroke="orange" fill="none" strokeWidth={1} />);
+      } else {
+        pwmShapes.push(
+          <g key={i}>
+            <rect x={x0} y={high} width={Math.max(1, x1 - x0)} height={low - high} fill="orange" opacity={0.15 + 0.6 * duty} />
+            {x1 - x0 > 50 && <text x={x0 + 3} y={mid + 3} fontSize={9} fill="#fff">{`${Math.round(duty * 100)}% ${freq}Hz`}</text>}
+          </g>
+        );
+      }
+      lastPx = null;
+      continue;
+    }
+    const px = Math.round(x0);
+    if (lastPx !== null && px === lastPx) { busy.push(px); continue; }
+    lastPx = px;
+    d += `${d ? 'L' : 'M'}${x0},${yOf(seg.value)} H${x1} `;
+  }
+  return (
+    <g>
+      <path d={d} stroke="#4ec9b0" fill="none" strokeWidth={1.5} />
+      {pwmShapes}
+      {[...new Set(busy)].map(px => <line key={px} x1={px} x2={px} y1={high} y2={low} stroke="#4ec9b0" />)}
+    </g>
+  );
+}
+
+export default function LogicAnalyzer({ capture, isRunning, width }) {
+  const tracks = useMemo(() => captureTracks(capture), [capture]);
+  const pins = Object.keys(tracks).map(Number).sort((a, b) => a - b);
+  const [span, setSpan] = useState(DEFAULT_SPAN_US);
+  const [viewStart, setViewStart] = useState(0);
+  const [follow, setFollow] = useState(true); // 実行中は最新の時刻を追いかける
+  const [cursors, setCursors] = useState({ a: null, b: null });
+  const [selectedPin, setSelectedPin] = useState(null);
+  const dragRef = useRef(null);
+
+  const plotWidth = Math.max(50, width - LABEL_WIDTH);
+  const endUs = capture.endUs;
+  const start = follow ? Math.max(0, endUs - span) : viewStart;
+  const end = start + span;
+  const x = (t) => LABEL_WIDTH + ((t - start) / span) * plotWidth;
+  const timeAt = (clientX, rect) => start + ((clientX - rect.left - LABEL_WIDTH) / plotWidth) * span;
+  const height = AXIS_HEIGHT + Math.max(1, pins.length) * ROW_HEIGHT;
+
+  const zoom = (factor, center = start + span / 2) => {
+    const nextSpan = Math.min(Math.max(MIN_SPAN_US, span * factor), Math.max(DEFAULT_SPAN_US, endUs * 2));
+    setFollow(false);
+    setViewStart(Math.max(0, center - ((center - start) / span) * nextSpan));
+    setSpan(nextSpan);
+  };
+  const fit = () => { setFollow(false); setViewStart(0); setSpan(Math.max(MIN_SPAN_US, endUs)); };
+
+  const onWheel = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    zoom(e.deltaY > 0 ? 1.25 : 0.8, timeAt(e.clientX, rect));
+  };
+  const onMouseDown = (e) => { dragRef.current = { x: e.clientX, start, moved: false }; };
+  const onMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    if (Math.abs(dx) < 3 && !drag.moved) return;
+    drag.moved = true;
+    setFollow(false);
+    setViewStart(Math.max(0, drag.start - (dx / plotWidth) * span));
+  };
+  const onMouseUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (e.clientX - rect.left < LABEL_WIDTH) {
+      const row = Math.floor((e.clientY - rect.top - AXIS_HEIGHT) / ROW_HEIGHT);
+      if (pins[row] !== undefined) setSelectedPin(pins[row]);
+      return;
+    }
+    const t = Math.max(0, timeAt(e.clientX, rect));
+    setCursors(prev => (e.shiftKey ? { ...prev, b: t } : { ...prev, a: t }));
+  };
+
+  const exportVcd = () => {
+    const blob = new Blob([toVcd(capture)], { type: 'text/plain' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'capture.vcd';
+    a.click();
+  };
+
+  const step = tickStep(span, plotWidth / 80);
+  const ticks = [];
+  for (let t = Math.ceil(start / step) * step; t <= end; t += step) ticks.push(t);
+
+  const delta = cursors.a !== null && cursors.b !== null ? Math.abs(cursors.b - cursors.a) : null;
+  const measurePin = selectedPin ?? pins[0];
+  const measured = cursors.a !== null && tracks[measurePin] ? measureAt(tracks[measurePin], cursors.a, endUs) : null;
+
+  const btn = { cursor:'pointer', border:'none', background:'#555', color:'white', padding:'2px 6px', borderRadius:'3px' };
+  return (
+    <div style={{ background: '#111', borderTop: '1px solid #444', fontSize: '11px', userSelect: 'none' }}>
+      <div style={{ display: 'flex', gap: '5px', alignItems: 'center', padding: '3px 5px', background: '#2d2d2d', flexWrap: 'wrap' }}>
+        <span style={{ fontWeight: 'bold' }}>Logic</span>
+        <button onClick={() => zoom(0.5)} style={btn}>＋</button>
+        <button onClick={() => zoom(2)} style={btn}>－</button>
+        <button onClick={fit} style={btn}>Fit</button>
+        <label><input type="checkbox" checked={follow} onChange={e => setFollow(e.target.checked)} /> Follow</label>
+        <button onClick={() => setCursors({ a: null, b: null })} style={btn}>Clear cursors</button>
+        <button onClick={exportVcd} disabled={capture.events.length === 0} style={btn}>⬇ VCD</button>
+        <span style={{ color: '#888' }}>{capture.events.length} events{capture.truncated ? ' (truncated)' : ''}{isRunning ? ' ●REC' : ''}</span>
+      </div>
+      <div style={{ padding: '2px 5px', color: '#ccc', minHeight: '14px' }}>
+        A: {formatTime(cursors.a)} / B: {formatTime(cursors.b)}
+        {delta !== null && <> / Δ: {formatTime(delta)}{delta > 0 ? ` (${(1e6 / delta).toFixed(2)}Hz)` : ''}</>}
+        {measured && <> | GP{measurePin} @A: width {formatTime(measured.width)}, period {formatTime(measured.period)}{measured.duty !== null ? `, duty ${(measured.duty * 100).toFixed(1)}%` : ''}</>}
+      </div>
+      <svg width={LABEL_WIDTH + plotWidth} height={height} onWheel={onWheel} onMouseDown={onMouseDown} onMouseMove={onMouseMove} onMouseUp={onMouseUp} onMouseLeave={() => { dragRef.current = null; }} style={{ display: 'block', cursor: 'crosshair' }}>
+        {ticks.map(t => (
+          <g key={t}>
+            <line x1={x(t)} x2={x(t)} y1={AXIS_HEIGHT - 4} y2={height} stroke="#333" />
+            <text x={x(t) + 2} y={AXIS_HEIGHT - 5} fontSize={9} fill="#888">{formatTime(t)}</text>
+          </g>
+        ))}
+        {pins.length === 0 && <text x={LABEL_WIDTH} y={AXIS_HEIGHT + 14} fontSize={11} fill="#666">Run a program to capture pin changes</text>}
+        {pins.map((pin, row) => {
+          const top = AXIS_HEIGHT + row * ROW_HEIGHT;
+          return (
+            <g key={pin}>
+              <rect x={0} y={top} width={LABEL_WIDTH - 2} height={ROW_HEIGHT - 1} fill={pin === measurePin ? '#264f78' : '#222'} />
+              <text x={4} y={top + 15} fontSize={11} fill="#fff">GP{pin}</text>
+              <Track track={tracks[pin]} top={top} start={start} end={end} endUs={endUs} x={x} />
+            </g>
+          );
+        })}
+        {[['a', '#ffcc00'], ['b', '#00aaff']].map(([name, color]) => cursors[name] !== null && cursors[name] >= start && cursors[name] <= end && (
+          <g key={name}>
+            <line x1={x(cursors[name])} x2={x(cursors[name])} y1={0} y2={height} stroke={color} strokeDasharray="3,2" />
+            <text x={x(cursors[name]) + 2} y={10} fontSize={9} fill={color}>{name.toUpperCase()}</text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,233 @@
+import React, { useRef } from 'react';
+import { getPart, isSwitchClosed } from './parts';
+import { PART_VIEWS } from './partViews';
+import { spiceNetlist, NET_KINDS } from './schematic';
+
+// --- 回路図 (2D SVG) ---
+// schematic.js の schematicNetlist を、部品ごとの記号 + ピンごとのネットラベルで並べて描く (配線の線は引かず、同じ名前のラベル = つながっている)
+// 2本足の部品 (抵抗 / LED / スイッチ / 電池 ...) は縦向きの記号 (始点のピンが上), 多ピンの部品は箱 + ピン名
+// GND は接地記号, Pico の電源ピンは電源記号, GPIO は緑の名前。1本しかつながっていないネットはオレンジ (つなぎ忘れ)
+// highlight: { part: 部品のキー } | { net: ネット名 } (3D 側でカーソルを合わせた部品 / こちらでカーソルを合わせたもの)
+const CELL_W = 170;
+const SPAN_H = 150;
+const LEG = 40; // 2本足の記号の中心 -> ピンの端
+const BOX_W = 56;
+const PIN_GAP = 20;
+const STUB = 10;
+const COLUMNS = 6;
+const INK = '#ccc';
+const HIGHLIGHT = '#ffcc00';
+const NET_COLORS = { [NET_KINDS.ground]: '#9cdcfe', [NET_KINDS.power]: '#f14c4c', [NET_KINDS.gpio]: '#4ec9b0', [NET_KINDS.local]: '#999' };
+const DANGLING = '#f48771';
+// ラベルの向き (部品から離れる方向): [dx, dy, 下向きの記号を回す角度]
+const DIRS = { up: [0, -1, 180], down: [0, 1, 0], left: [-1, 0, 90], right: [1, 0, -90] };
+
+const download = (blob, name) => {
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = name; a.click();
+};
+
+// 抵抗のギザギザ (上下のピンから ±20 の範囲)
+const ZIGZAG = [[0, -LEG], [0, -20], ...[-15, -9, -3, 3, 9, 15].map((y, i) => [i % 2 ? -6 : 6, y]), [0, 20], [0, LEG]].map(p => p.join(',')).join(' ');
+const Arrow = ({ x1, y1, x2, y2, stroke }) => {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const head = [angle + 2.6, angle - 2.6].map(a => `${x2 + 5 * Math.cos(a)},${y2 + 5 * Math.sin(a)}`);
+  return <g><line x1={x1} y1={y1} x2={x2} y2={y2} /><polygon points={`${x2},${y2} ${head.join(' ')}`} fill={stroke} /></g>;
+};
+
+// 2本足の部品の記号 (中心が原点, legs[0] が (0, -LEG), legs[1] が (0, LEG))
+function SpanSymbol({ item, stroke, switchStates }) {
+  switch (item.type) {
+    case 'resistor':
+      return <polyline points={ZIGZAG} fill="none" />;
+    case 'pot':
+      return <g><polyline points={ZIGZAG} fill="none" /><line x1={36} y1={0} x2={14} y2={0} /><polygon points="9,0 15,-4 15,4" fill={stroke} /></g>;
+    case 'sensor':
+      return (
+        <g>
+          <polyline points={ZIGZAG} fill="none" />
+          {item.kind === 'thermistor'
+            ? <g><polyline points="-18,16 -12,16 12,-16" fill="none" /><text x={10} y={14} fontSize={9} fill={stroke} stroke="none">t°</text></g>
+            : <g><Arrow x1={24} y1={-18} x2={11} y2={-8} stroke={stroke} /><Arrow x1={24} y1={-6} x2={11} y2={4} stroke={stroke} /></g>}
+        </g>
+      );
+    case 'led':
+      return (
+        <g>
+          <line x1={0} y1={-LEG} x2={0} y2={-8} /><line x1={0} y1={8} x2={0} y2={LEG} />
+          <polygon points="-10,-8 10,-8 0,8" fill="none" /><line x1={-10} y1={8} x2={10} y2={8} />
+          <Arrow x1={12} y1={-2} x2={22} y2={-10} stroke={stroke} /><Arrow x1={12} y1={6} x2={22} y2={-2} stroke={stroke} />
+        </g>
+      );
+    case 'switch': {
+      const closed = isSwitchClosed(item, switchStates);
+      return (
+        <g>
+          <line x1={0} y1={-LEG} x2={0} y2={-12} /><line x1={0} y1={12} x2={0} y2={LEG} />
+          <circle cx={0} cy={-12} r={2} fill="none" /><circle cx={0} cy={12} r={2} fill="none" />
+          {item.kind === 'slide'
+            ? <line x1={0} y1={12} x2={closed ? 0 : -12} y2={closed ? -12 : -8} />
+            : <g><line x1={closed ? -2 : -8} y1={-16} x2={closed ? -2 : -8} y2={16} /><line x1={closed ? -2 : -8} y1={0} x2={-18} y2={0} /><line x1={-18} y1={-4} x2={-18} y2={4} /></g>}
+        </g>
+      );
+    }
+    case 'supply':
+      return (
+        <g>
+          <line x1={0} y1={-LEG} x2={0} y2={-4} /><line x1={0} y1={4} x2={0} y2={LEG} />
+          <line x1={-14} y1={-4} x2={14} y2={-4} /><line x1={-7} y1={4} x2={7} y2={4} strokeWidth={3} />
+          <text x={10} y={-10} fontSize={10} fill={stroke} stroke="none">+</text>
+        </g>
+      );
+    case 'buzzer':
+      return (
+        <g>
+          <line x1={0} y1={-LEG} x2={0} y2={-7} /><line x1={0} y1={7} x2={0} y2={LEG} />
+          <line x1={-12} y1={-7} x2={12} y2={-7} /><line x1={-12} y1={7} x2={12} y2={7} /><rect x={-9} y={-4} width={18} height={8} fill="none" />
+          <text x={8} y={-12} fontSize={10} fill={stroke} stroke="none">+</text>
+        </g>
+      );
+    default:
+      return <g><line x1={0} y1={-LEG} x2={0} y2={-12} /><line x1={0} y1={12} x2={0} y2={LEG} /><rect x={-8} y={-12} width={16} height={24} fill="none" /></g>;
+  }
+}
+
+// ピンの端から外向きに出すネットラベル
+function NetLabel({ x, y, dir, net, highlighted, onHover }) {
+  const [dx, dy, angle] = DIRS[dir];
+  const ex = x + dx * STUB;
+  const ey = y + dy * STUB;
+  const dangling = net.pins.length < 2 && net.kind === NET_KINDS.local;
+  const color = highlighted ? HIGHLIGHT : dangling ? DANGLING : NET_COLORS[net.kind];
+  const text = { x: ex + dx * 6, y: ey + dy * 6 + (dy > 0 ? 8 : dy === 0 ? 4 : 0), anchor: dx < 0 ? 'end' : dx > 0 ? 'start' : 'middle' };
+  return (
+    <g onMouseEnter={() => onHover({ net: net.name })} onMouseLeave={() => onHover(null)} style={{ cursor: 'default' }}>
+      <title>{dangling ? `${net.name}: ほかに何もつながっていません` : `${net.name} (${net.pins.length} pins)`}</title>
+      <line x1={x} y1={y} x2={ex} y2={ey} stroke={color} strokeWidth={highlighted ? 2 : 1} />
+      {net.kind === NET_KINDS.ground ? (
+        <g transform={`translate(${ex},${ey}) rotate(${angle})`} stroke={color} strokeWidth={highlighted ? 2 : 1}>
+          <line x1={-9} y1={0} x2={9} y2={0} /><line x1={-6} y1={4} x2={6} y2={4} /><line x1={-3} y1={8} x2={3} y2={8} />
+        </g>
+      ) : (
+        <g>
+          {net.kind === NET_KINDS.power
+            ? <g transform={`translate(${ex},${ey}) rotate(${angle})`}><line x1={-7} y1={0} x2={7} y2={0} stroke={color} strokeWidth={2} /></g>
+            : <circle cx={ex} cy={ey} r={2} fill={color} />}
+          <text x={text.x} y={text.y} textAnchor={text.anchor} fontSize={10} fontWeight={highlighted || net.kind !== NET_KINDS.local ? 'bold' : 'normal'} fill={color}>{net.name}</text>
+        </g>
+      )}
+    </g>
+  );
+}
+
+// 多ピンの部品の左側のピン数: 6本以上は左右に分ける (7セグは左右の足の並びのまま)
+const leftCount = (pins) => (pins.length > 5 ? Math.ceil(pins.length / 2) : pins.length);
+
+// 部品1つ分 (記号 + 名前 + ネットラベル)。span の部品は記号の中心, それ以外は箱の上端の中央が原点
+function SchematicPart({ part, nets, highlight, onHover, switchStates }) {
+  const { key, item, pins } = part;
+  const def = getPart(item.type);
+  const view = PART_VIEWS[item.type];
+  const summary = view && view.summary ? view.summary(item) : '';
+  const stroke = highlight.part === key ? HIGHLIGHT : INK;
+  const netHighlighted = (name) => highlight.net === name;
+  const hover = { onMouseEnter: () => onHover({ part: key }), onMouseLeave: () => onHover(null) };
+
+  if (def.placement !== 'footprint') {
+    const pinPos = (name) => (name === def.legs[0] ? [0, -LEG, 'up'] : name === def.legs[1] ? [0, LEG, 'down'] : [36, 0, 'right']);
+    return (
+      <g>
+        <g {...hover}>
+          <rect x={-CELL_W / 2 + 4} y={-LEG + 6} width={CELL_W / 2 + 20} height={LEG * 2 - 12} fill="transparent" />
+          <g stroke={stroke} strokeWidth={highlight.part === key ? 2 : 1.5}><SpanSymbol item={item} stroke={stroke} switchStates={switchStates} /></g>
+          <text x={-20} y={-2} textAnchor="end" fontSize={11} fill={stroke}>{item.name}</text>
+          {summary && <text x={-20} y={12} textAnchor="end" fontSize={9} fill="#888">{summary}</text>}
+        </g>
+        {pins.map(pin => {
+          const [x, y, dir] = pinPos(pin.name);
+          return <NetLabel key={pin.name} x={x} y={y} dir={dir} net={nets[pin.net]} highlighted={netHighlighted(pin.net)} onHover={onHover} />;
+        })}
+      </g>
+    );
+  }
+
+  const left = pins.slice(0, leftCount(pins));
+  const right = pins.slice(left.length);
+  const height = Math.max(left.length, right.length) * PIN_GAP + 4;
+  return (
+    <g>
+      <g {...hover}>
+        <rect x={-BOX_W / 2} y={0} width={BOX_W} height={height} fill="#252526" stroke={stroke} strokeWidth={highlight.part === key ? 2 : 1.5} />
+        <text x={0} y={-6} textAnchor="middle" fontSize={11} fill={stroke}>{item.name}</text>
+        {summary && <text x={0} y={height + 12} textAnchor="middle" fontSize={9} fill="#888">{summary}</text>}
+        {[left, right].map((side, s) => side.map((pin, i) => (
+          <text key={pin.name} x={s === 0 ? -BOX_W / 2 + 4 : BOX_W / 2 - 4} y={i * PIN_GAP + 16} textAnchor={s === 0 ? 'start' : 'end'} fontSize={9} fill={INK}>{pin.name}</text>
+        )))}
+      </g>
+      {[left, right].map((side, s) => side.map((pin, i) => {
+        const x = s === 0 ? -BOX_W / 2 : BOX_W / 2;
+        const y = i * PIN_GAP + 13;
+        const end = x + (s === 0 ? -STUB : STUB);
+        return (
+          <g key={pin.name}>
+            <line x1={x} y1={y} x2={end} y2={y} stroke={stroke} strokeWidth={1.5} />
+            <NetLabel x={end} y={y} dir={s === 0 ? 'left' : 'right'} net={nets[pin.net]} highlighted={netHighlighted(pin.net)} onHover={onHover} />
+          </g>
+        );
+      }))}
+    </g>
+  );
+}
+
+// 部品をマス目に並べる (行の高さはその行で一番高い部品に合わせる)
+function layoutParts(parts) {
+  const cells = [];
+  let top = 10;
+  for (let start = 0; start < parts.length; start += COLUMNS) {
+    const row = parts.slice(start, start + COLUMNS).map(part => {
+      const span = getPart(part.item.type).placement !== 'footprint';
+      return { part, span, height: span ? SPAN_H : Math.max(leftCount(part.pins), 1) * PIN_GAP + 50 };
+    });
+    const height = Math.max(...row.map(cell => cell.height));
+    for (let i = 0; i < row.length; i++) {
+      const x = i * CELL_W + CELL_W / 2 + (row[i].span ? 20 : 0);
+      cells.push({ ...row[i], x, y: row[i].span ? top + height / 2 : top + 20 });
+    }
+    top += height;
+  }
+  return { cells, width: Math.min(COLUMNS, Math.max(parts.length, 1)) * CELL_W, height: top + 10 };
+}
+
+export default function SchematicView({ schematic, circuit, highlight, onHover }) {
+  const svgRef = useRef(null);
+  const { parts, nets, wires } = schematic;
+  const { cells, width, height } = layoutParts(parts);
+  // 3D で導線にカーソルを合わせたら、その導線がつないでいるネットを光らせる
+  const shown = highlight && highlight.part && wires[highlight.part] ? { net: wires[highlight.part] } : highlight || {};
+
+  const exportSvg = () => download(new Blob([new XMLSerializer().serializeToString(svgRef.current)], { type: 'image/svg+xml' }), 'schematic.svg');
+  const exportSpice = () => download(new Blob([spiceNetlist(circuit)], { type: 'text/plain' }), 'pico_circuit.cir');
+
+  const btn = { cursor:'pointer', border:'none', background:'#555', color:'white', padding:'2px 6px', borderRadius:'3px' };
+  return (
+    <div style={{ height: '280px', display: 'flex', flexDirection: 'column', background: '#1e1e1e', borderTop: '1px solid #444', fontSize: '11px', color: '#ccc' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', padding: '3px 6px', background: '#2d2d2d' }}>
+        <span style={{ fontWeight: 'bold' }}>Schematic</span>
+        <span style={{ color: '#888' }}>{parts.length} parts / {Object.keys(nets).length} nets — 同じ名前のラベルどうしがつながっています</span>
+        <span style={{ flex: 1 }} />
+        <button onClick={exportSvg} disabled={parts.length === 0} style={btn}>⬇ SVG</button>
+        <button onClick={exportSpice} title="ngspice 用のネットリスト (今のピンの状態で .op 解析)" style={btn}>⬇ SPICE</button>
+      </div>
+      <div style={{ flex: 1, overflow: 'auto' }}>
+        <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" width={width} height={height} fontFamily="monospace" style={{ display: 'block' }}>
+          <rect width={width} height={height} fill="#1e1e1e" />
+          {parts.length === 0 && <text x={10} y={24} fontSize={11} fill="#666">部品を置くとここに回路図が出ます</text>}
+          {cells.map(({ part, x, y }) => (
+            <g key={part.key} transform={`translate(${x},${y})`}>
+              <SchematicPart part={part} nets={nets} highlight={shown} onHover={onHover} switchStates={circuit.switchStates || {}} />
+            </g>
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+}
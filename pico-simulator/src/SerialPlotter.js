@@ -0,0 +1,84 @@
+import React, { useState, useMemo } from 'react';
+import { ringItems, plotRange, plotToCsv } from './serialOutput';
+import { formatTime } from './LogicAnalyzer';
+
+// --- シリアルプロッタ (print した数値のグラフ) ---
+// 横軸 = シミュレーション時刻 (直近 WINDOWS の範囲) / 縦軸は表示中の値で自動調整
+// 凡例クリック: 系列の表示/非表示 / Pause: 表示を止める (データは溜め続ける)
+const HEIGHT = 180;
+const AXIS_WIDTH = 50;
+const LEGEND_HEIGHT = 18;
+const COLORS = ['#4ec9b0', '#ce9178', '#569cd6', '#dcdcaa', '#c586c0', '#f44747', '#b5cea8', '#9cdcfe'];
+const WINDOWS = [{ label: '5s', us: 5e6 }, { label: '10s', us: 10e6 }, { label: '30s', us: 30e6 }, { label: 'all', us: Infinity }];
+
+export default function SerialPlotter({ plot, onClear, width }) {
+  const [frozen, setFrozen] = useState(null); // Pause したときのデータ { names, items } (リングバッファは書き換わるのでコピー)
+  const [windowUs, setWindowUs] = useState(10e6);
+  const [hidden, setHidden] = useState([]);
+  const allNames = frozen ? frozen.names : plot.names;
+  const names = allNames.filter(name => !hidden.includes(name));
+
+  const { points, start, end } = useMemo(() => {
+    const all = frozen ? frozen.items : ringItems(plot.points);
+    const last = all.length > 0 ? all[all.length - 1].t : 0;
+    const from = windowUs === Infinity ? (all.length > 0 ? all[0].t : 0) : last - windowUs;
+    return { points: all.filter(p => p.t >= from), start: from, end: Math.max(last, from + 1) };
+  }, [plot, frozen, windowUs]);
+  const range = plotRange(points, names);
+
+  const chartWidth = Math.max(100, width - AXIS_WIDTH - 10);
+  const x = (t) => AXIS_WIDTH + ((t - start) / (end - start)) * chartWidth;
+  const y = (v) => LEGEND_HEIGHT + (1 - (v - range.min) / (range.max - range.min)) * (HEIGHT - LEGEND_HEIGHT - 16);
+  // 値の無い点で線を切る
+  const pathOf = (name) => {
+    let d = '';
+    let pen = false;
+    points.forEach(({ t, values }) => {
+      const v = values[name];
+      if (v === undefined || !Number.isFinite(v)) { pen = false; return; }
+      d += `${pen ? 'L' : 'M'}${x(t).toFixed(1)},${y(v).toFixed(1)} `;
+      pen = true;
+    });
+    return d;
+  };
+
+  const exportCsv = () => {
+    const blob = new Blob([plotToCsv(plot)], { type: 'text/csv' });
+    const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'serial_plot.csv'; a.click();
+  };
+  const toggle = (name) => setHidden(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+  const button = { cursor: 'pointer', border: 'none', background: '#555', color: 'white', borderRadius: '3px', padding: '2px 6px' };
+
+  return (
+    <div style={{ background: '#111', borderTop: '1px solid #444', fontSize: '11px', color: '#ccc' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', padding: '3px 6px', background: '#252526' }}>
+        <button onClick={() => setFrozen(frozen ? null : { names: [...plot.names], items: ringItems(plot.points) })} style={{ ...button, background: frozen ? '#007acc' : '#555' }}>{frozen ? '▶ Live' : '⏸ Pause'}</button>
+        {WINDOWS.map(w => (
+          <button key={w.label} onClick={() => setWindowUs(w.us)} style={{ ...button, background: windowUs === w.us ? '#007acc' : '#444' }}>{w.label}</button>
+        ))}
+        <span style={{ flex: 1 }} />
+        <button onClick={exportCsv} disabled={plot.points.size === 0} style={button}>⬇ CSV</button>
+        <button onClick={() => { setFrozen(null); onClear(); }} style={button}>🗑</button>
+      </div>
+      <svg width={width} height={HEIGHT} style={{ display: 'block' }}>
+        {allNames.map((name, i) => (
+          <g key={name} onClick={() => toggle(name)} style={{ cursor: 'pointer' }}>
+            <rect x={AXIS_WIDTH + i * 90} y={4} width={10} height={10} fill={hidden.includes(name) ? 'none' : COLORS[i % COLORS.length]} stroke={COLORS[i % COLORS.length]} />
+            <text x={AXIS_WIDTH + i * 90 + 14} y={13} fill="#ccc" fontSize={10}>{name}</text>
+          </g>
+        ))}
+        {points.length === 0 && <text x={AXIS_WIDTH + 10} y={HEIGHT / 2} fill="#666" fontSize={11}>print("temp:", value) や print(a, b) の数値がここに出ます</text>}
+        {/* 縦軸: 最大 / 中央 / 最小 */}
+        {[range.max, (range.min + range.max) / 2, range.min].map((v, i) => (
+          <g key={i}>
+            <line x1={AXIS_WIDTH} x2={AXIS_WIDTH + chartWidth} y1={y(v)} y2={y(v)} stroke="#333" />
+            <text x={AXIS_WIDTH - 4} y={y(v) + 3} fill="#888" fontSize={9} textAnchor="end">{Number(v.toPrecision(4))}</text>
+          </g>
+        ))}
+        <text x={AXIS_WIDTH} y={HEIGHT - 3} fill="#888" fontSize={9}>{formatTime(start)}</text>
+        <text x={AXIS_WIDTH + chartWidth} y={HEIGHT - 3} fill="#888" fontSize={9} textAnchor="end">{formatTime(end)}</text>
+        {allNames.map((name, i) => (hidden.includes(name) ? null : <path key={name} d={pathOf(name)} stroke={COLORS[i % COLORS.length]} fill="none" strokeWidth={1.5} />))}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+// --- UART 端末 (USB-UART 部品の先の PC のシリアルモニタ) ---
+// 上: Pico の TX から届いたバイト / 下: 入力した1行を行末コード付きで Pico の RX へ送る
+// 送れるのはプログラム (または REPL の文) の実行中だけ。Pico 側で UART() を作っていなければ届かない
+const LINE_ENDINGS = [{ label: 'LF', value: '\n' }, { label: 'CRLF', value: '\r\n' }, { label: 'CR', value: '\r' }, { label: 'なし', value: '' }];
+
+const decode = (bytes) => new TextDecoder().decode(Uint8Array.from(bytes));
+
+export default function UartTerminal({ terminals, devices, isRunning, onSend }) {
+  const [selected, setSelected] = useState(null);
+  const [text, setText] = useState('');
+  const [ending, setEnding] = useState('\n');
+  const [cleared, setCleared] = useState({}); // 端末ごとに Clear した時点の受信バイト数
+  const scrollRef = useRef(null);
+  const terminal = terminals.find(t => t.key === selected) || terminals[0];
+  const received = terminal && devices[terminal.key] ? devices[terminal.key].received : [];
+  const shown = received.slice(Math.min(cleared[terminal && terminal.key] || 0, received.length));
+
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+  }, [shown.length]);
+
+  const send = () => {
+    if (!terminal || !onSend(terminal.key, text + ending)) return;
+    setText('');
+  };
+  const button = { cursor: 'pointer', border: 'none', background: '#555', color: 'white', borderRadius: '3px', padding: '2px 6px' };
+
+  if (!terminal) {
+    return <div style={{ height: '120px', background: '#000', padding: '10px', fontSize: '12px', color: '#666', borderTop: '1px solid #444' }}>USB-UART 部品 (🔌 UART) を置き、Pico の TX を RX に, RX を TX に, GND 同士をつなぐとここで送受信できます</div>;
+  }
+  return (
+    <div style={{ background: '#000', borderTop: '1px solid #444', fontSize: '12px' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', padding: '3px 6px', background: '#252526', fontSize: '11px', color: '#ccc' }}>
+        {terminals.length > 1 ? (
+          <select value={terminal.key} onChange={e => setSelected(e.target.value)} style={{ background: '#333', color: 'white', border: '1px solid #555' }}>
+            {terminals.map(t => <option key={t.key} value={t.key}>{t.name}</option>)}
+          </select>
+        ) : <span>{terminal.name}</span>}
+        <span style={{ color: '#888' }}>{received.length} bytes</span>
+        <span style={{ flex: 1 }} />
+        <button onClick={() => setCleared(prev => ({ ...prev, [terminal.key]: received.length }))} style={button}>🗑</button>
+      </div>
+      <div ref={scrollRef} style={{ height: '96px', padding: '4px 10px', overflowY: 'auto', fontFamily: 'monospace', whiteSpace: 'pre-wrap', color: '#d7ba7d' }}>{decode(shown)}</div>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', padding: '3px 6px', borderTop: '1px solid #333' }}>
+        <input value={text} onChange={e => setText(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); send(); } }} spellCheck="false"
+          placeholder={isRunning ? 'Pico へ送る文字列' : '(実行中だけ送れます)'}
+          style={{ flex: 1, background: '#111', border: '1px solid #333', outline: 'none', color: '#eee', fontFamily: 'monospace', fontSize: '12px', padding: '2px 4px' }} />
+        <select value={ending} onChange={e => setEnding(e.target.value)} title="行末" style={{ background: '#333', color: 'white', border: '1px solid #555' }}>
+          {LINE_ENDINGS.map(le => <option key={le.label} value={le.value}>{le.label}</option>)}
+        </select>
+        <button onClick={send} disabled={!isRunning} style={button}>Send</button>
+      </div>
+    </div>
+  );
+}
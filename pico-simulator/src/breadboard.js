@@ -0,0 +1,138 @@
+// --- ブレッドボード座標 & 穴マッピング ---
+export const PITCH = 0.254;
+export const GAP_CENTER = 0.762;
+
+// ★ブレッドボードのテンプレート (rows = 行数, boards = 横に並べる枚数, rails = 電源レールの有無)
+// 電源レールはボードごとに別 (ボード同士をつなぐならジャンパ線で)
+export const BREADBOARDS = {
+  half: { label: 'Half-size (30 rows)', rows: 30, boards: 1, rails: true },
+  full: { label: 'Full-size (63 rows)', rows: 63, boards: 1, rails: true },
+  mini: { label: 'Mini (17 rows, no rails)', rows: 17, boards: 1, rails: false },
+  dual: { label: '2 x Half-size side by side', rows: 30, boards: 2, rails: true },
+};
+export const DEFAULT_BREADBOARD = 'half';
+export const getLayout = (type = DEFAULT_BREADBOARD) => ({ type, ...(BREADBOARDS[type] || BREADBOARDS[DEFAULT_BREADBOARD]) });
+export const DEFAULT_LAYOUT = getLayout();
+
+// 列番号: 1枚目 = -1..12 (Col 0, -1: 左電源レール / 1-5, 6-10: 本体 / 11, 12: 右電源レール)
+// 2枚目以降は BOARD_COLS ずつずらす (2枚目 = 13..26)
+export const BOARD_COLS = 14;
+const BOARD_SPACING = 6.0; // 並べたボードの中心の間隔 (x)
+const LOCAL_COLS = [-1, 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+const isRailCol = (c) => c === -1 || c === 0 || c === 11 || c === 12;
+
+// 列番号 -> { board: 何枚目 (0始まり), col: そのボードでの列 (-1..12) }
+export const splitCol = (col) => {
+  const board = Math.floor((col + 1) / BOARD_COLS);
+  return { board, col: col - board * BOARD_COLS };
+};
+export const boardCol = (board, col) => col + board * BOARD_COLS;
+
+// そのレイアウトの列番号の範囲 (電源レールの無いボードは本体だけ)
+export const colRange = (layout = DEFAULT_LAYOUT) => ({
+  min: layout.rails ? -1 : 1,
+  max: boardCol(layout.boards - 1, layout.rails ? 12 : 10),
+});
+
+// 実在する穴か
+export function isHole(row, col, layout = DEFAULT_LAYOUT) {
+  if (!Number.isInteger(row) || !Number.isInteger(col) || row < 1 || row > layout.rows) return false;
+  const { board, col: c } = splitCol(col);
+  if (board < 0 || board >= layout.boards) return false;
+  return (c >= 1 && c <= 10) || (layout.rails && isRailCol(c));
+}
+
+// 全部の穴 [{ row, col }]
+export function layoutHoles(layout = DEFAULT_LAYOUT) {
+  const holes = [];
+  for (let board = 0; board < layout.boards; board++) {
+    for (let row = 1; row <= layout.rows; row++) {
+      LOCAL_COLS.forEach(c => { if (isHole(row, boardCol(board, c), layout)) holes.push({ row, col: boardCol(board, c) }); });
+    }
+  }
+  return holes;
+}
+
+// ボードの中心の x
+export const boardX = (board, layout = DEFAULT_LAYOUT) => (board - (layout.boards - 1) / 2) * BOARD_SPACING;
+
+// ★改良: 電源レール対応の座標計算
+export function getHolePos(row, col, layout = DEFAULT_LAYOUT) {
+  const zOffset = -((layout.rows - 1) * PITCH) / 2;
+  const z = zOffset + (row - 1) * PITCH;
+  const { board, col: c } = splitCol(col);
+  let x = 0;
+
+  if (c >= 1 && c <= 5) { // Main Left
+    x = -(0.3 + (5 - c) * PITCH);
+  } else if (c >= 6 && c <= 10) { // Main Right
+    x = (0.3 + (c - 6) * PITCH);
+  } else if (c === 0) { // Power L Inner (+)
+    x = -2.0;
+  } else if (c === -1) { // Power L Outer (-)
+    x = -2.3;
+  } else if (c === 11) { // Power R Inner (+)
+    x = 2.0;
+  } else if (c === 12) { // Power R Outer (-)
+    x = 2.3;
+  }
+  return [boardX(board, layout) + x, 0.15, z];
+}
+
+// 3D座標 (x, z) に一番近い穴 (ブレッドボードの外なら null)。ホバー/ドラッグのスナップに使う
+export function nearestHole(x, z, layout = DEFAULT_LAYOUT) {
+  const zOffset = -((layout.rows - 1) * PITCH) / 2;
+  const row = Math.round((z - zOffset) / PITCH) + 1;
+  const board = Math.round(x / BOARD_SPACING + (layout.boards - 1) / 2);
+  if (row < 1 || row > layout.rows || board < 0 || board >= layout.boards) return null;
+  const cols = LOCAL_COLS.map(c => boardCol(board, c)).filter(col => isHole(row, col, layout));
+  const dist = (col) => Math.abs(getHolePos(row, col, layout)[0] - x);
+  const col = cols.reduce((best, c) => (dist(c) < dist(best) ? c : best));
+  return dist(col) <= PITCH ? { row, col } : null;
+}
+
+// 穴ID生成 (電源レール対応, 2枚目以降は "B2:" を付ける)
+export function getHoleId(row, col) {
+  const { board, col: c } = splitCol(col);
+  const prefix = board > 0 ? `B${board + 1}:` : '';
+  if (c === 0) return `${prefix}PL+-${row}`; // Power Left +
+  if (c === -1) return `${prefix}PL--${row}`; // Power Left -
+  if (c === 11) return `${prefix}PR+-${row}`; // Power Right +
+  if (c === 12) return `${prefix}PR--${row}`; // Power Right -
+
+  const side = c <= 5 ? 'L' : 'R';
+  return `${prefix}${side}-${row}`;
+}
+
+// 穴ID -> ネットキー (同じ行の5穴 / 電源レール1本が1つのネット)
+export function getNetKey(holeId) {
+  const at = holeId.indexOf(':') + 1;
+  const prefix = holeId.slice(0, at);
+  const id = holeId.slice(at);
+  if (id.startsWith('P')) return prefix + id.slice(0, 3); // PL+, PR-
+  return prefix + id; // L-25
+}
+
+// 電源レール: ネットキー -> そのボードでの列 (+ = 赤線, - = 青線)
+export const RAIL_COLS = { 'PL+': 0, 'PL-': -1, 'PR+': 11, 'PR-': 12 };
+// ネットキー -> そのネットの穴の両端 [[x, y, z], [x, y, z]] (電流が流れている行/レールの表示用)
+export function netLine(netKey, layout = DEFAULT_LAYOUT) {
+  const at = netKey.indexOf(':') + 1;
+  const board = at ? Number(netKey.slice(1, at - 1)) - 1 : 0;
+  const id = netKey.slice(at);
+  if (id in RAIL_COLS) {
+    const col = boardCol(board, RAIL_COLS[id]);
+    return [getHolePos(1, col, layout), getHolePos(layout.rows, col, layout)];
+  }
+  const [side, row] = id.split('-');
+  const [first, last] = side === 'L' ? [1, 5] : [6, 10];
+  return [getHolePos(Number(row), boardCol(board, first), layout), getHolePos(Number(row), boardCol(board, last), layout)];
+}
+
+// 穴の表示名 ("Power L+ (Row 3)", "Board 2: Row 5, Col 3")
+export function holeLabel(row, col, layout = DEFAULT_LAYOUT) {
+  const { board, col: c } = splitCol(col);
+  const prefix = layout.boards > 1 ? `Board ${board + 1}: ` : '';
+  const rails = { 0: 'Power L+', '-1': 'Power L-', 11: 'Power R+', 12: 'Power R-' };
+  return rails[c] ? `${prefix}${rails[c]} (Row ${row})` : `${prefix}Row ${row}, Col ${c}`;
+}
@@ -0,0 +1,288 @@
+import { circuitNodes, wireGroups, compKey, GROUND } from './circuitSolver';
+import { getPart, partPins } from './parts';
+
+// --- バス (I2C / SPI / UART) の仮想デバイス ---
+// machine.I2C / SPI / UART の転送はホスト (ワーカー / simulator.js) の createBus に届き、
+// ブレッドボード上で信号線がその GPIO に直結されている (同じ行 / ジャンパ線) デバイスとやりとりする。
+// 配線 (busWiring) はメインスレッドで回路から求めてワーカーへ渡す (engineProtocol.js の writeBusWiring)。
+// デバイスの表示 (OLED の画面 / 端末が受け取ったバイト) は takeUpdates の差分をメッセージで UI へ送り、mergeDeviceUpdates で積む。
+export const DEVICE_MIN_VOLTAGE = 2.5; // これ以上の電圧が VCC-GND にかかっていれば動く
+export const UART_RX_BUFFER = 256; // Pico の UART の受信バッファ (あふれた分は捨てる)
+export const TERMINAL_MAX_BYTES = 16384; // UART 端末に表示しておくバイト数
+
+// ★配線: { gpio: { GPIO番号: グループ }, devices: [{ key, kind, model, address?, count?, pins: { ピン名: グループ }, powered }] }
+// グループ = ジャンパ線/閉じたスイッチで直結されたネットのまとまり (同じグループ同士が電気的に同じ線)
+export function busWiring(circuit, solved) {
+  const { components = [] } = circuit;
+  const { nodeOfHole, gpio } = circuitNodes(circuit);
+  const { find } = wireGroups(circuit, nodeOfHole);
+  const voltages = (solved && solved.voltages) || {};
+  const gpioGroups = Object.fromEntries(Object.entries(gpio).map(([pin, net]) => [pin, find(net)]));
+  const devices = [];
+  components.forEach(item => {
+    const def = getPart(item.type);
+    if (!def || !def.bus) return;
+    const { pins, power, ...spec } = def.bus(item);
+    const nets = Object.fromEntries(partPins(item).map(({ name, row, col }) => [name, nodeOfHole(row, col)]));
+    const powered = power
+      ? (voltages[nets[power]] || 0) - (voltages[nets.GND] || 0) > DEVICE_MIN_VOLTAGE
+      : find(nets.GND) === find(GROUND);
+    devices.push({
+      key: compKey(item.type, item.id), ...spec,
+      pins: Object.fromEntries(pins.map(name => [name, find(nets[name])])), powered,
+    });
+  });
+  return { gpio: gpioGroups, devices };
+}
+
+// バイト列 <-> 16進文字列 (Python とのやりとり)
+export const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+export const fromHex = (hex) => Array.from({ length: hex.length / 2 }, (_, i) => parseInt(hex.substr(i * 2, 2), 16));
+
+// --- SSD1306 (128x64 OLED コントローラ) ---
+// I2C の書き込み: 制御バイト (0x80 = 次の1バイトだけ / 0x00 = 残り全部、0x40 のビットが立っていればデータ) + コマンド/データ
+// 引数付きのコマンドは1バイトずつ別の書き込みで送られても続きとして受け取る (ssd1306.py の write_cmd)
+export const OLED_WIDTH = 128;
+export const OLED_HEIGHT = 64;
+const OLED_PAGES = OLED_HEIGHT / 8;
+const SSD1306_ARGS = { 0x81: 1, 0x20: 1, 0x21: 2, 0x22: 2, 0xA8: 1, 0xD3: 1, 0xD5: 1, 0xD9: 1, 0xDA: 1, 0xDB: 1, 0x8D: 1, 0xAD: 1, 0xA3: 2, 0xD6: 1, 0x26: 6, 0x27: 6, 0x29: 5, 0x2A: 5 };
+
+function createSsd1306() {
+  const ram = new Uint8Array(OLED_WIDTH * OLED_PAGES);
+  // 電源投入時の値 (データシートのリセット値)
+  const st = { on: false, chargePump: false, contrast: 0x7F, invert: false, allOn: false, remap: false, comReverse: false, startLine: 0, mode: 2, col: 0, page: 0, colStart: 0, colEnd: OLED_WIDTH - 1, pageStart: 0, pageEnd: OLED_PAGES - 1 };
+  let pending = null; // 引数待ちのコマンド { cmd, args }
+  let dirty = true;
+
+  const run = (cmd, args) => {
+    if (cmd === 0xAE || cmd === 0xAF) st.on = cmd === 0xAF;
+    else if (cmd === 0x81) st.contrast = args[0];
+    else if (cmd === 0xA4 || cmd === 0xA5) st.allOn = cmd === 0xA5;
+    else if (cmd === 0xA6 || cmd === 0xA7) st.invert = cmd === 0xA7;
+    else if (cmd === 0xA0 || cmd === 0xA1) st.remap = cmd === 0xA1;
+    else if ((cmd & 0xF0) === 0xC0) st.comReverse = (cmd & 0x08) !== 0;
+    else if (cmd >= 0x40 && cmd <= 0x7F) st.startLine = cmd & 0x3F;
+    else if (cmd === 0x8D) st.chargePump = (args[0] & 0x04) !== 0;
+    else if (cmd === 0x20) st.mode = args[0] & 0x03;
+    else if (cmd === 0x21) { st.colStart = args[0] & 0x7F; st.colEnd = args[1] & 0x7F; st.col = st.colStart; }
+    else if (cmd === 0x22) { st.pageStart = args[0] & 0x07; st.pageEnd = args[1] & 0x07; st.page = st.pageStart; }
+    else if (cmd >= 0xB0 && cmd <= 0xB7) st.page = cmd & 0x07;
+    else if (cmd <= 0x0F) st.col = (st.col & 0xF0) | cmd;
+    else if (cmd <= 0x1F) st.col = (st.col & 0x0F) | ((cmd & 0x0F) << 4);
+    else return; // スクロール / タイミング設定などは表示に影響しないので無視
+    dirty = true;
+  };
+  const command = (byte) => {
+    if (pending) pending.args.push(byte);
+    else pending = { cmd: byte, args: [] };
+    if (pending.args.length < (SSD1306_ARGS[pending.cmd] || 0)) return;
+    run(pending.cmd, pending.args);
+    pending = null;
+  };
+  // GDDRAM へ1バイト (縦8ドット) 書いてアドレスを進める (0 = 水平 / 1 = 垂直 / 2 = ページ アドレッシング)
+  const data = (byte) => {
+    ram[st.page * OLED_WIDTH + st.col] = byte;
+    dirty = true;
+    if (st.mode === 2) { st.col = (st.col + 1) % OLED_WIDTH; return; }
+    const wrapCol = () => { st.col = st.col >= st.colEnd ? st.colStart : st.col + 1; return st.col === st.colStart; };
+    const wrapPage = () => { st.page = st.page >= st.pageEnd ? st.pageStart : st.page + 1; return st.page === st.pageStart; };
+    if (st.mode === 1) { if (wrapPage()) wrapCol(); } else if (wrapCol()) wrapPage();
+  };
+
+  return {
+    write: (bytes) => {
+      for (let i = 0; i < bytes.length;) {
+        const control = bytes[i++];
+        const handle = control & 0x40 ? data : command;
+        if (control & 0x80) { if (i < bytes.length) handle(bytes[i++]); } else { while (i < bytes.length) handle(bytes[i++]); }
+      }
+    },
+    // 読み出しはステータスバイト (bit6 = 表示 OFF) だけ
+    read: (n) => Array.from({ length: n }, () => (st.on ? 0x00 : 0x40)),
+    view: () => ({ on: st.on && st.chargePump, contrast: st.contrast, invert: st.invert, allOn: st.allOn, remap: st.remap, comReverse: st.comReverse, startLine: st.startLine, ram: ram.slice() }),
+    update() {
+      if (!dirty) return null;
+      dirty = false;
+      return this.view();
+    },
+  };
+}
+
+// 画面のドット (左上から行ごと, 1 = 点灯)。A1 (セグメント反転) + C8 (COM 逆順) でモジュールの向きどおりに見える
+export function ssd1306Pixels(view) {
+  const pixels = new Uint8Array(OLED_WIDTH * OLED_HEIGHT);
+  if (!view || !view.on) return pixels;
+  for (let y = 0; y < OLED_HEIGHT; y++) {
+    const row = ((view.comReverse ? y : OLED_HEIGHT - 1 - y) + view.startLine) % OLED_HEIGHT;
+    for (let x = 0; x < OLED_WIDTH; x++) {
+      const col = view.remap ? x : OLED_WIDTH - 1 - x;
+      const bit = (view.ram[(row >> 3) * OLED_WIDTH + col] >> (row & 7)) & 1;
+      pixels[y * OLED_WIDTH + x] = view.allOn ? 1 : bit ^ (view.invert ? 1 : 0);
+    }
+  }
+  return pixels;
+}
+
+// --- UART 端末 (USB-シリアル変換の先の PC) ---
+// Pico の TX から受け取ったバイトを溜める。差分 (update) は最後に渡してから届いた分
+function createTerminal() {
+  let received = [];
+  let sent = 0;
+  return {
+    receive: (bytes) => {
+      received = [...received, ...bytes];
+      const dropped = Math.max(0, received.length - TERMINAL_MAX_BYTES);
+      received = received.slice(dropped);
+      sent = Math.max(0, sent - dropped);
+    },
+    view: () => ({ received }),
+    update() {
+      if (sent === received.length) return null;
+      const fresh = received.slice(sent);
+      sent = received.length;
+      return { received: fresh };
+    },
+  };
+}
+
+// --- WS2812 (NeoPixel) ---
+// DIN から届いたバイト列の先頭 count 個分 (1個 = G, R, B の3バイト) で色を変え、残りは DOUT から次の LED へ送る。
+// 24ビットそろわなかった LED は前の色のまま。表示は R, G, B の順に並べ直す
+function createWs2812() {
+  let grb = [];
+  let dirty = false;
+  return {
+    shift: (bytes, count) => {
+      const size = count * 3;
+      const latched = Math.min(bytes.length, size) - (Math.min(bytes.length, size) % 3);
+      grb = Array.from({ length: size }, (_, i) => (i < latched ? bytes[i] : grb[i] || 0));
+      dirty = true;
+      return bytes.slice(size);
+    },
+    view: () => ({ rgb: grb.map((_, i) => grb[i - (i % 3) + [1, 0, 2][i % 3]]) }),
+    update() {
+      if (!dirty) return null;
+      dirty = false;
+      return this.view();
+    },
+  };
+}
+
+// model -> { create, merge(前の表示, 差分) } (UI 側で差分を積む)
+export const DEVICE_MODELS = {
+  ssd1306: { create: createSsd1306, merge: (prev, update) => update },
+  ws2812: { create: createWs2812, merge: (prev, update) => update },
+  terminal: { create: createTerminal, merge: (prev, update) => ({ received: [...(prev ? prev.received : []), ...update.received].slice(-TERMINAL_MAX_BYTES) }) },
+};
+
+// UI 側: takeUpdates の差分を積む (null = 外された / 電源が切れた)
+export function mergeDeviceUpdates(devices, updates) {
+  const next = { ...devices };
+  Object.entries(updates).forEach(([key, update]) => {
+    if (update === null) delete next[key];
+    else next[key] = { model: update.model, ...DEVICE_MODELS[update.model].merge(devices[key], update) };
+  });
+  return next;
+}
+
+// ★ホスト側のバス: ピン番号で転送を受けて、そのピンにつながったデバイスへ届ける
+export function createBus() {
+  let wiring = { gpio: {}, devices: [] };
+  let models = {}; // key -> デバイスの状態 (電源が入っている間だけ)
+  let removed = new Set(); // 次の takeUpdates で null を送るデバイス
+  let rx = {}; // Pico の UART の受信バッファ (RX の GPIO 番号 -> バイト列)
+  const group = (pin) => wiring.gpio[pin];
+  // 指定したピン名がすべて指定した GPIO と同じ線につながっている、電源の入ったデバイス
+  const devicesOn = (kind, pins) => wiring.devices.filter(d => d.kind === kind && d.powered
+    && Object.entries(pins).every(([name, pin]) => group(pin) !== undefined && d.pins[name] === group(pin)));
+  const model = (device) => {
+    if (!models[device.key]) {
+      models[device.key] = { model: device.model, state: DEVICE_MODELS[device.model].create() };
+      removed.delete(device.key);
+    }
+    return models[device.key].state;
+  };
+  // RX バッファへ (その RX ピンと同じ線の送信元から)
+  const deliver = (txGroup, bytes) => {
+    Object.keys(rx).forEach(pin => {
+      if (group(pin) === txGroup) rx[pin] = [...rx[pin], ...bytes].slice(0, UART_RX_BUFFER);
+    });
+  };
+
+  return {
+    setWiring: (next) => {
+      wiring = next;
+      // 外された / 電源の切れたデバイスは状態を失う (OLED の画面は消える)
+      Object.keys(models).forEach(key => {
+        if (next.devices.some(d => d.key === key && d.powered)) return;
+        delete models[key];
+        removed.add(key);
+      });
+    },
+    reset: () => {
+      Object.keys(models).forEach(key => removed.add(key));
+      models = {};
+      rx = {};
+    },
+    // --- I2C (アドレスが応答 (ACK) しなければ false / null) ---
+    i2cScan: (sda, scl) => [...new Set(devicesOn('i2c', { SDA: sda, SCL: scl }).map(d => d.address))].sort((a, b) => a - b),
+    i2cWrite: (sda, scl, address, bytes) => {
+      const targets = devicesOn('i2c', { SDA: sda, SCL: scl }).filter(d => d.address === address);
+      targets.forEach(d => model(d).write(bytes));
+      return targets.length > 0;
+    },
+    i2cRead: (sda, scl, address, n) => {
+      const target = devicesOn('i2c', { SDA: sda, SCL: scl }).find(d => d.address === address);
+      return target ? model(target).read(n) : null;
+    },
+    // --- SPI: MOSI と MISO を直結 (ループバック) していれば送ったバイトが返る。何もつながっていない MISO は 0 (内蔵プルダウン) ---
+    spiTransfer: (sck, mosi, miso, bytes) => (group(mosi) !== undefined && group(mosi) === group(miso) ? [...bytes] : bytes.map(() => 0)),
+    // --- UART: TX の線につながった RX (Pico 自身の UART / 端末) に届く ---
+    uartOpen: (rxPin) => { rx[rxPin] = []; },
+    uartWrite: (txPin, bytes) => {
+      const txGroup = group(txPin);
+      if (txGroup === undefined) return;
+      deliver(txGroup, bytes);
+      wiring.devices.filter(d => d.kind === 'uart' && d.powered && d.pins.RX === txGroup).forEach(d => model(d).receive(bytes));
+    },
+    uartRead: (rxPin, n) => {
+      const buffer = rx[rxPin] || [];
+      const count = n < 0 ? buffer.length : Math.min(n, buffer.length);
+      rx[rxPin] = buffer.slice(count);
+      return buffer.slice(0, count);
+    },
+    uartAny: (rxPin) => (rx[rxPin] || []).length,
+    // --- NeoPixel: DIN がその GPIO と同じ線の LED へ。あふれた分は DOUT の線の先の LED へ (数珠つなぎ) ---
+    bitstream: (pin, bytes) => {
+      const chained = new Set(); // DOUT を自分の DIN に戻した配線でも止まるように
+      const shift = (din, data) => wiring.devices
+        .filter(d => d.kind === 'neopixel' && d.powered && d.pins.DIN === din && !chained.has(d.key))
+        .forEach(d => {
+          chained.add(d.key);
+          const rest = model(d).shift(data, d.count);
+          if (rest.length > 0) shift(d.pins.DOUT, rest);
+        });
+      if (group(pin) !== undefined) shift(group(pin), [...bytes]);
+    },
+    // 端末から送る (端末の TX の線につながった Pico の RX へ)。届け先が無ければ false
+    send: (key, bytes) => {
+      const device = wiring.devices.find(d => d.key === key && d.kind === 'uart' && d.powered);
+      if (!device || !Object.keys(rx).some(pin => group(pin) === device.pins.TX)) return false;
+      deliver(device.pins.TX, bytes);
+      return true;
+    },
+    // デバイスの今の表示 (ヘッドレスのテスト用)
+    view: (key) => (models[key] ? { model: models[key].model, ...models[key].state.view() } : null),
+    // 前回からの表示の差分 { key: 差分 | null } (無ければ null)
+    takeUpdates: () => {
+      const updates = {};
+      removed.forEach(key => { updates[key] = null; });
+      removed = new Set();
+      Object.entries(models).forEach(([key, { model: name, state }]) => {
+        const update = state.update();
+        if (update) updates[key] = { model: name, ...update };
+      });
+      return Object.keys(updates).length > 0 ? updates : null;
+    },
+  };
+}
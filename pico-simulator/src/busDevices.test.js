@@ -0,0 +1,111 @@
+import { busWiring, createBus, ssd1306Pixels, mergeDeviceUpdates, OLED_WIDTH, UART_RX_BUFFER } from './busDevices';
+import { solveCircuit } from './circuitSolver';
+
+const wiringOf = (components) => {
+  const circuit = { components, pinStates: {}, pinPulls: {} };
+  return busWiring(circuit, solveCircuit(circuit));
+};
+const busOf = (components) => {
+  const bus = createBus();
+  bus.setWiring(wiringOf(components));
+  return bus;
+};
+const wire = (id, sR, sC, eR, eC) => ({ type: 'wire', id, name: `Wire ${id}`, sR, sC, eR, eC });
+
+// OLED を左の Row 23-26 (GND, VCC, SCL, SDA) に刺し、GND (左 Row 13) / 3V3 (右 Row 5) / GP9 (左 Row 12) / GP8 (左 Row 11) へ
+const oled = (patch = {}) => ({ type: 'oled', id: 1, name: 'OLED 1', row: 23, col: 1, rotation: 0, address: '0x3C', color: 'white', ...patch });
+const oledWires = () => [wire(1, 23, 2, 13, 2), wire(2, 24, 2, 5, 9), wire(3, 25, 2, 12, 2), wire(4, 26, 2, 11, 2)];
+
+test('i2c scan finds only powered devices whose SDA/SCL are wired to the chosen GPIOs', () => {
+  const wiring = wiringOf([oled(), ...oledWires()]);
+  expect(wiring.devices).toEqual([expect.objectContaining({ key: 'oled:1', kind: 'i2c', address: 0x3C, powered: true })]);
+  expect(wiring.devices[0].pins.SDA).toBe(wiring.gpio[8]);
+
+  expect(busOf([oled(), ...oledWires()]).i2cScan(8, 9)).toEqual([0x3C]);
+  expect(busOf([oled({ address: '0x3D' }), ...oledWires()]).i2cScan(8, 9)).toEqual([0x3D]);
+  // 別のピンでスキャン / SDA を GP6 (左 Row 9) へ / VCC の線が無い / 部品だけ置いて配線しない
+  expect(busOf([oled(), ...oledWires()]).i2cScan(6, 7)).toEqual([]);
+  expect(busOf([oled(), ...oledWires().slice(0, 3), wire(4, 26, 2, 9, 2)]).i2cScan(8, 9)).toEqual([]);
+  expect(busOf([oled(), ...oledWires().filter(w => w.id !== 2)]).i2cScan(8, 9)).toEqual([]);
+  expect(busOf([oled()]).i2cScan(8, 9)).toEqual([]);
+});
+
+test('SSD1306 commands and data end up as pixels, and a NACK reports false / null', () => {
+  const bus = busOf([oled(), ...oledWires()]);
+  // チャージポンプ ON, 表示 ON, セグメント反転 + COM 逆順 (ssd1306.py と同じ向き) を1バイトずつ
+  [[0x8D], [0x14], [0xA1], [0xC8], [0xAF]].forEach(([cmd]) => expect(bus.i2cWrite(8, 9, 0x3C, [0x80, cmd])).toBe(true));
+  // 列 0-127 / ページ 0-7 の水平アドレッシングでデータを2バイト
+  bus.i2cWrite(8, 9, 0x3C, [0x00, 0x20, 0x00, 0x21, 0, 127, 0x22, 0, 7]);
+  bus.i2cWrite(8, 9, 0x3C, [0x40, 0x01, 0xFF]);
+
+  const view = bus.view('oled:1');
+  expect(view).toMatchObject({ model: 'ssd1306', on: true, remap: true, comReverse: true });
+  const pixels = ssd1306Pixels(view);
+  const lit = (x, y) => pixels[y * OLED_WIDTH + x];
+  expect([lit(0, 0), lit(0, 1), lit(1, 0), lit(1, 7), lit(1, 8), lit(2, 0)]).toEqual([1, 0, 1, 1, 0, 0]);
+  expect(bus.i2cRead(8, 9, 0x3C, 1)).toEqual([0x00]);
+
+  expect(bus.i2cWrite(8, 9, 0x3D, [0x80, 0xAF])).toBe(false);
+  expect(bus.i2cRead(8, 9, 0x3D, 1)).toBe(null);
+
+  // 差分は変化があったときだけ。電源の線を抜くと画面は消えて null が届く
+  expect(bus.takeUpdates()).toEqual({ 'oled:1': expect.objectContaining({ model: 'ssd1306', on: true }) });
+  expect(bus.takeUpdates()).toBe(null);
+  bus.setWiring(wiringOf([oled(), ...oledWires().filter(w => w.id !== 2)]));
+  expect(bus.takeUpdates()).toEqual({ 'oled:1': null });
+  expect(bus.view('oled:1')).toBe(null);
+});
+
+test('UART bytes reach RX pins on the same wire and the USB-UART terminal', () => {
+  // GP0 (TX, 左 Row 1) -> GP1 (RX, 左 Row 2) のループバック
+  const loop = busOf([wire(1, 1, 2, 2, 2)]);
+  loop.uartOpen(1);
+  loop.uartWrite(0, [104, 105]);
+  expect(loop.uartAny(1)).toBe(2);
+  expect(loop.uartRead(1, 1)).toEqual([104]);
+  expect(loop.uartRead(1, -1)).toEqual([105]);
+  loop.uartWrite(0, Array(UART_RX_BUFFER + 10).fill(65));
+  expect(loop.uartAny(1)).toBe(UART_RX_BUFFER);
+
+  // 端末を Row 23-25 (GND, RX, TX) に: RX <- GP0, TX -> GP1
+  const terminal = [{ type: 'uart', id: 1, name: 'USB-UART 1', row: 23, col: 1, rotation: 0 }, wire(1, 23, 2, 13, 2), wire(2, 24, 2, 1, 2), wire(3, 25, 2, 2, 2)];
+  const bus = busOf(terminal);
+  bus.uartWrite(0, [79, 75]);
+  expect(bus.view('uart:1')).toEqual({ model: 'terminal', received: [79, 75] });
+  expect(bus.send('uart:1', [33])).toBe(false); // Pico 側の UART がまだ開いていない
+  bus.uartOpen(1);
+  expect(bus.send('uart:1', [33])).toBe(true);
+  expect(bus.uartRead(1, -1)).toEqual([33]);
+
+  // UI 側は差分を積む
+  const first = mergeDeviceUpdates({}, bus.takeUpdates());
+  bus.uartWrite(0, [10]);
+  expect(mergeDeviceUpdates(first, bus.takeUpdates())).toEqual({ 'uart:1': { model: 'terminal', received: [79, 75, 10] } });
+  expect(mergeDeviceUpdates(first, { 'uart:1': null })).toEqual({});
+});
+
+test('NeoPixels latch 3 bytes per LED from DIN and pass the rest on from DOUT', () => {
+  // リング (12個) を Row 23-26 (GND, VCC, DIN, DOUT), DIN <- GP2 (左 Row 4)。ストリップ (2個) を Row 27-30 に刺し, リングの DOUT -> DIN
+  const ring = { type: 'neopixel', id: 1, name: 'NeoPixel 1', row: 23, col: 1, rotation: 0, shape: 'ring', count: 12 };
+  const strip = { type: 'neopixel', id: 2, name: 'NeoPixel 2', row: 27, col: 1, rotation: 0, shape: 'strip', count: 2 };
+  const wires = [wire(1, 23, 2, 13, 2), wire(2, 24, 2, 5, 9), wire(3, 25, 2, 4, 2), wire(4, 23, 3, 27, 3), wire(5, 24, 3, 28, 3), wire(6, 26, 2, 29, 2)];
+  const grb = (g, r, b) => [g, r, b];
+  const bus = busOf([ring, strip, ...wires]);
+  bus.bitstream(2, [...Array(12).fill(grb(0, 0, 9)).flat(), ...grb(1, 2, 3), ...grb(4, 5, 6), 7]);
+  expect(bus.view('neopixel:1').rgb.slice(0, 6)).toEqual([0, 0, 9, 0, 0, 9]);
+  expect(bus.view('neopixel:2')).toEqual({ model: 'ws2812', rgb: [2, 1, 3, 5, 4, 6] });
+
+  // 途中で終わったデータ: そろった LED だけ変わる
+  bus.bitstream(2, [...grb(10, 20, 30), 1, 2]);
+  expect(bus.view('neopixel:1').rgb.slice(0, 6)).toEqual([20, 10, 30, 0, 0, 9]);
+  expect(bus.view('neopixel:2').rgb).toEqual([2, 1, 3, 5, 4, 6]);
+
+  // 別の GPIO / ストリップの電源が無い
+  const other = busOf([ring, strip, ...wires]);
+  other.bitstream(3, grb(1, 1, 1));
+  expect(other.view('neopixel:1')).toBe(null);
+  const unpowered = busOf([ring, strip, ...wires.filter(w => w.id !== 5)]);
+  unpowered.bitstream(2, Array(14 * 3).fill(1));
+  expect(unpowered.view('neopixel:1')).not.toBe(null);
+  expect(unpowered.view('neopixel:2')).toBe(null);
+});
@@ -0,0 +1,29 @@
+// --- 回路の編集履歴 (Undo / Redo) ---
+// entries[index].circuit が今の回路 ({ components, board, breadboard })。部品の追加/変更/削除/クリアや
+// Pico・ブレッドボードの変更を1件ずつ記録する (コードの編集は含めない。エディタ自身の Undo を使う)
+export const MAX_HISTORY = 200;
+const MERGE_MS = 1000; // 同じ mergeKey の変更が続いたら1件にまとめる (スライダー操作/名前の入力中)
+
+export const createHistory = (circuit, label = 'Open') => ({ entries: [{ label, circuit, time: 0 }], index: 0 });
+
+export const currentCircuit = (history) => history.entries[history.index].circuit;
+export const canUndo = (history) => history.index > 0;
+export const canRedo = (history) => history.index < history.entries.length - 1;
+
+// 新しい状態を記録する (Undo した後なら、その先の履歴は捨てる)
+export function commitHistory(history, circuit, label, { mergeKey = null, now = Date.now() } = {}) {
+  const current = history.entries[history.index];
+  if (circuit === current.circuit) return history;
+  const past = history.entries.slice(0, history.index + 1);
+  if (mergeKey && history.index > 0 && current.mergeKey === mergeKey && now - current.time < MERGE_MS) {
+    past[past.length - 1] = { ...current, circuit, time: now };
+    return { entries: past, index: past.length - 1 };
+  }
+  const entries = [...past, { label, circuit, mergeKey, time: now }];
+  const dropped = Math.max(0, entries.length - MAX_HISTORY);
+  return { entries: entries.slice(dropped), index: entries.length - 1 - dropped };
+}
+
+export const jumpHistory = (history, index) => ({ ...history, index: Math.min(history.entries.length - 1, Math.max(0, index)) });
+export const undoHistory = (history) => jumpHistory(history, history.index - 1);
+export const redoHistory = (history) => jumpHistory(history, history.index + 1);
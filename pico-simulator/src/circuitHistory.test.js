@@ -0,0 +1,64 @@
+import { createHistory, currentCircuit, commitHistory, canUndo, canRedo, undoHistory, redoHistory, jumpHistory, MAX_HISTORY } from './circuitHistory';
+import { copyParts, partRows } from './parts';
+import { BLINK_EXAMPLE } from './examples';
+
+const led = { type: 'led', id: 1, sR: 25, sC: 7, eR: 28, eC: 7, name: 'LED 1' };
+const resistor = { type: 'resistor', id: 1, sR: 25, sC: 3, eR: 25, eC: 6, scale: 1, ohms: 330, name: 'Resistor 1' };
+
+test('undo / redo walk the history and a new edit drops the redo branch', () => {
+  let h = createHistory([]);
+  expect(canUndo(h)).toBe(false);
+  h = commitHistory(h, [led], 'Add LED 1', { now: 1000 });
+  h = commitHistory(h, [led, resistor], 'Add Resistor 1', { now: 5000 });
+  expect(h.entries.map(e => e.label)).toEqual(['Open', 'Add LED 1', 'Add Resistor 1']);
+
+  h = undoHistory(undoHistory(h));
+  expect(currentCircuit(h)).toEqual([]);
+  expect(canUndo(h)).toBe(false);
+  h = redoHistory(h);
+  expect(currentCircuit(h)).toEqual([led]);
+  expect(canRedo(h)).toBe(true);
+
+  h = commitHistory(h, [], 'Delete LED 1', { now: 9000 });
+  expect(h.entries.map(e => e.label)).toEqual(['Open', 'Add LED 1', 'Delete LED 1']);
+  expect(canRedo(h)).toBe(false);
+  expect(currentCircuit(jumpHistory(h, 1))).toEqual([led]);
+  expect(jumpHistory(h, 99).index).toBe(2);
+});
+
+test('consecutive edits with the same merge key become one entry', () => {
+  let h = commitHistory(createHistory([]), [resistor], 'Add Resistor 1', { now: 0 });
+  [100, 220, 470].forEach((ohms, i) => {
+    h = commitHistory(h, [{ ...resistor, ohms }], 'Edit Resistor 1 (ohms)', { mergeKey: 'resistor-1:ohms', now: 10000 + i * 200 });
+  });
+  expect(h.entries).toHaveLength(3);
+  expect(currentCircuit(h)[0].ohms).toBe(470);
+  expect(currentCircuit(undoHistory(h))[0].ohms).toBe(330);
+
+  // 間が空いたら別の1件
+  h = commitHistory(h, [{ ...resistor, ohms: 1000 }], 'Edit Resistor 1 (ohms)', { mergeKey: 'resistor-1:ohms', now: 20000 });
+  expect(h.entries).toHaveLength(4);
+  // 変化が無ければ積まない
+  expect(commitHistory(h, currentCircuit(h), 'noop')).toBe(h);
+});
+
+test('history is capped at MAX_HISTORY entries', () => {
+  let h = createHistory([]);
+  for (let i = 0; i < MAX_HISTORY + 10; i++) h = commitHistory(h, [{ ...led, sR: i }], `Edit ${i}`, { now: i * 10000 });
+  expect(h.entries).toHaveLength(MAX_HISTORY);
+  expect(h.index).toBe(MAX_HISTORY - 1);
+  expect(h.entries[h.index].label).toBe(`Edit ${MAX_HISTORY + 9}`);
+});
+
+test('copies are shifted down by the rows they use and get new ids and names', () => {
+  const stage = [{ ...resistor, sR: 3, eR: 3 }, { ...led, sR: 3, eR: 5 }];
+  expect(partRows(stage)).toEqual({ min: 3, max: 5 });
+  const result = copyParts(stage, BLINK_EXAMPLE.components, 3);
+  expect(result.added.map(c => [c.name, c.sR, c.eR, c.sC, c.eC])).toEqual([['Resistor 2', 6, 6, 3, 6], ['LED 2', 6, 8, 7, 7]]);
+  expect(new Set(result.components.map(c => `${c.type}-${c.id}`)).size).toBe(result.components.length);
+
+  const seg = { type: 'sevenseg', id: 1, row: 10, col: 5, common: 'cathode', color: 'red', name: '7-Segment 1' };
+  expect(copyParts([seg], [seg], 5).added[0]).toMatchObject({ row: 15, col: 5 });
+  // はみ出すなら何も足さない
+  expect(copyParts([{ ...led, sR: 28, eR: 30 }], [], 3)).toBeNull();
+});
@@ -0,0 +1,179 @@
+import { circuitNodes, wireGroups, isDrivenState, compKey, GROUND } from './circuitSolver';
+import { getPart, partPins, partFits } from './parts';
+import { DEFAULT_BOARD, BOARDS, boardFits } from './picoBoard';
+import { RAIL_COLS, boardCol } from './breadboard';
+
+// --- 電気的ルールチェック (ERC) ---
+// 配線だけで分かる問題 (同じ行に両足 / 直結ショート / LEDの向き) と、
+// ソルバーの電流値から分かる問題 (過電流 / 電流制限抵抗なし / 逆バイアス) を列挙する
+export const PIN_CURRENT_LIMIT = 0.012; // RP2040 1ピンあたりの上限の目安 (12mA)
+export const LED_CURRENT_LIMIT = 0.02; // 砲弾型LEDの定格 (20mA)
+export const SHORT_CURRENT = 0.05; // これを超えるピン電流はショート扱い (ピン破損)
+export const LED_DAMAGE_CURRENT = 0.05; // これを超えるとLEDが焼ける
+export const SUPPLY_SHORT_CURRENT = 0.3; // 3V3(OUT) / 外部電源 のショート判定
+export const VBUS_SHORT_CURRENT = 0.5; // USB (ポリスイッチが切れる)
+export const PIN_MAX_VOLTAGE = 3.6; // RP2040 の GPIO は 5V 非対応
+const LED_REVERSE_VOLTAGE = 0.5; // これ以上の逆電圧がかかったLEDを「逆向き」とみなす
+
+export const ERROR = 'error';
+export const WARNING = 'warning';
+
+const mA = (amps) => `${(Math.abs(amps) * 1000).toFixed(1)}mA`;
+
+// 部品のピン名 -> ネット
+const pinNodes = (item, nodeOfHole) => {
+  const nodes = {};
+  partPins(item).forEach(({ name, row, col }) => { nodes[name] = nodeOfHole(row, col); });
+  return nodes;
+};
+
+// Pico の電源出力 (GND とつながるとショート)
+const POWER_OUTPUTS = [['3V3', '3V3(OUT)'], ['VBUS', 'VBUS'], ['VSYS', 'VSYS']];
+
+// 発光ダイオードを持つ部品 [{ item, key, diode, name }] (1つの部品に複数あれば "RGB 1 R" のように区別する)
+const diodesOf = (components) => components.flatMap(item => {
+  const def = getPart(item.type);
+  if (!def || !def.diodes) return [];
+  const key = compKey(item.type, item.id);
+  return def.diodes(item).map(diode => ({ item, key, id: diode.sub ? `${key}:${diode.sub}` : key, diode, name: diode.label ? `${item.name} ${diode.label}` : item.name }));
+});
+
+// circuit: solveCircuit に渡したものと同じ入力 (+ damage), solved: solveCircuit の結果 (省略時は静的チェックのみ)
+// 戻り値: [{ id, rule, severity, message, parts: [compKey], pins: [GPIO番号], damage?: true }]
+export function checkCircuit(circuit, solved = null) {
+  const { components = [], pinStates = {}, damage = {} } = circuit;
+  const issues = new Map(); // id で重複を除く (静的/動的で同じ問題を二重に出さない)
+  const add = (issue) => {
+    if (!issues.has(issue.id)) issues.set(issue.id, { parts: [], pins: [], ...issue });
+    return issues.get(issue.id);
+  };
+  const { nodeOfHole, gpio: gpioNets, power, layout } = circuitNodes(circuit);
+  const { find, linksOf } = wireGroups(circuit, nodeOfHole);
+  const ground = find(GROUND);
+  const supply = find(power['3V3']);
+  // 外部電源 [{ item, key, nodes }] (プラス側は電源扱い)
+  const supplies = components.filter(item => getPart(item.type) && getPart(item.type).supply)
+    .map(item => ({ item, key: compKey(item.type, item.id), nodes: pinNodes(item, nodeOfHole) }));
+
+  // 1. 別々のピンが同じ行 (部品が自分自身を短絡している)
+  components.forEach(item => {
+    const def = getPart(item.type);
+    if (!def || def.sameRowOk) return;
+    const nodes = pinNodes(item, nodeOfHole);
+    const nets = Object.values(nodes);
+    if (new Set(nets).size === nets.length) return;
+    const key = compKey(item.type, item.id);
+    const message = nets.length === 2
+      ? `${item.name}: 両足が同じ行 (Row ${partPins(item)[0].row}) に刺さっていて働きません`
+      : `${item.name}: 2本以上の足が同じ行に刺さっています`;
+    add({ id: `same-row:${key}`, rule: 'same-row', severity: WARNING, parts: [key], message });
+  });
+
+  // 2. 導線だけで 電源/GPIO が GND や他の出力とつながっている
+  POWER_OUTPUTS.forEach(([name, label]) => {
+    if (find(power[name]) === ground) add({ id: `short:${name}`, rule: 'short', severity: ERROR, parts: linksOf(GROUND), message: `${label} が GND にショートしています` });
+  });
+  supplies.forEach(({ item, key, nodes }) => {
+    if (find(nodes['+']) === find(nodes['-'])) add({ id: `short:${key}`, rule: 'short', severity: ERROR, parts: [key, ...linksOf(nodes['+'])], message: `${item.name}: + と - が直結されています (ショート)` });
+  });
+  const gpioByGroup = {};
+  Object.entries(gpioNets).forEach(([pin, net]) => {
+    const group = find(net);
+    const driven = isDrivenState(pinStates[pin]);
+    if (group === ground) {
+      add({ id: `short:${pin}`, rule: 'short', severity: driven ? ERROR : WARNING, parts: linksOf(net), pins: [Number(pin)], message: `GP${pin} が GND に直結されています (HIGH出力でショート)` });
+    } else if (group === supply) {
+      add({ id: `short:${pin}`, rule: 'short', severity: driven ? ERROR : WARNING, parts: linksOf(net), pins: [Number(pin)], message: `GP${pin} が 3V3 に直結されています (LOW出力でショート)` });
+    }
+    (gpioByGroup[group] = gpioByGroup[group] || []).push(Number(pin));
+  });
+  Object.values(gpioByGroup).filter(pins => pins.length > 1).forEach(pins => {
+    const id = `short:${pins.join('-')}`;
+    add({ id, rule: 'short', severity: WARNING, parts: linksOf(gpioNets[pins[0]]), pins, message: `${pins.map(p => `GP${p}`).join(' と ')} が直結されています (逆レベル出力でショート)` });
+  });
+
+  // 3. LEDの向き (アノード(+) が GND / カソード(-) が 3V3 につながっている)
+  const diodes = diodesOf(components);
+  diodes.forEach(({ item, key, id, diode, name }) => {
+    const nodes = pinNodes(item, nodeOfHole);
+    if (find(nodes[diode.anode]) === ground || find(nodes[diode.cathode]) === supply) {
+      add({ id: `reversed:${id}`, rule: 'reversed', severity: WARNING, parts: [key], message: `${name}: 向きが逆です (Anode(+) -> Cathode(-) の順に配置)` });
+    }
+  });
+
+  // 4. 解いた電流値によるチェック
+  if (solved) {
+    Object.entries(solved.pinCurrents).forEach(([pin, current]) => {
+      if (Math.abs(current) > SHORT_CURRENT) {
+        const issue = add({ id: `short:${pin}`, rule: 'short', parts: linksOf(gpioNets[pin]), pins: [Number(pin)], message: `GP${pin}: ${mA(current)} 流れています (ショート)` });
+        Object.assign(issue, { severity: ERROR, damage: true }); // 静的チェックで警告済みでも実際に流れたらエラー
+      } else if (Math.abs(current) > PIN_CURRENT_LIMIT) {
+        add({ id: `overcurrent:${pin}`, rule: 'overcurrent', severity: ERROR, pins: [Number(pin)], message: `GP${pin}: ${mA(current)} は RP2040 の上限 (${mA(PIN_CURRENT_LIMIT)}) を超えています` });
+      }
+    });
+    if (Math.abs(solved.supplyCurrent || 0) > SUPPLY_SHORT_CURRENT) {
+      add({ id: 'short:3V3', rule: 'short', severity: ERROR, parts: linksOf(GROUND), message: `3V3(OUT): ${mA(solved.supplyCurrent)} 流れています (ショート)` });
+    }
+    const vbusCurrent = solved.power ? solved.power.currents.VBUS : 0;
+    if (Math.abs(vbusCurrent) > VBUS_SHORT_CURRENT) {
+      add({ id: 'short:VBUS', rule: 'short', severity: ERROR, parts: linksOf(GROUND), message: `VBUS: ${mA(vbusCurrent)} 流れています (USB のショート)` });
+    }
+    supplies.forEach(({ item, key }) => {
+      const elec = solved.parts[key];
+      if (elec && Math.abs(elec.current) > SUPPLY_SHORT_CURRENT) add({ id: `short:${key}`, rule: 'short', severity: ERROR, parts: [key], message: `${item.name}: ${mA(elec.current)} 流れています (ショート)` });
+    });
+    Object.entries(gpioNets).forEach(([pin, net]) => {
+      const volts = solved.voltages[net] || 0;
+      if (volts > PIN_MAX_VOLTAGE) add({ id: `overvoltage:${pin}`, rule: 'overvoltage', severity: ERROR, damage: true, pins: [Number(pin)], message: `GP${pin}: ${volts.toFixed(1)}V がかかっています (GPIO は 3.3V まで, 5V 非対応)` });
+    });
+    diodes.forEach(({ key, id, diode, name }) => {
+      const elec = solved.parts[key] && solved.parts[key].diodes.find(d => d.sub === diode.sub);
+      if (!elec) return;
+      if (elec.current > LED_CURRENT_LIMIT) {
+        add({ id: `no-resistor:${id}`, rule: 'no-resistor', severity: elec.current > LED_DAMAGE_CURRENT ? ERROR : WARNING, parts: [key], damage: elec.current > LED_DAMAGE_CURRENT, message: `${name}: ${mA(elec.current)} (電流制限抵抗が無いか小さすぎます)` });
+      } else if (elec.voltage < -LED_REVERSE_VOLTAGE) {
+        add({ id: `reversed:${id}`, rule: 'reversed', severity: WARNING, parts: [key], message: `${name}: 逆バイアスになっています (向きが逆?)` });
+      }
+    });
+  }
+
+  // 5. 既に壊れたピン/部品
+  Object.keys(damage.pins || {}).forEach(pin => {
+    add({ id: `damaged:${pin}`, rule: 'damaged', severity: ERROR, pins: [Number(pin)], message: `GP${pin} は過電流で壊れています (出力できません)` });
+  });
+  Object.keys(damage.parts || {}).forEach(key => {
+    const item = components.find(c => compKey(c.type, c.id) === key);
+    if (item) add({ id: `damaged:${key}`, rule: 'damaged', severity: ERROR, parts: [key], message: `${item.name} は焼損しています` });
+  });
+
+  // 6. ブレッドボードに刺さっていない (ボードを小さくした / Pico がはみ出す)
+  const board = circuit.board || DEFAULT_BOARD;
+  if (!boardFits(board, layout)) {
+    add({ id: 'off-board:pico', rule: 'off-board', severity: WARNING, message: `${(BOARDS[board.type] || BOARDS.pico).label} がブレッドボードに収まっていません (どのピンもつながりません)` });
+  }
+  components.forEach(item => {
+    if (getPart(item.type) && !partFits(item, layout)) {
+      const key = compKey(item.type, item.id);
+      add({ id: `off-board:${key}`, rule: 'off-board', severity: WARNING, parts: [key], message: `${item.name}: ブレッドボードの外に出ている足があります` });
+    }
+  });
+
+  // 7. 電源レールの向き (赤 + のレールが GND / 青 - のレールが電源につながっている)
+  const positive = new Set([...POWER_OUTPUTS.map(([name]) => find(power[name])), ...supplies.map(({ nodes }) => find(nodes['+']))]);
+  const used = new Set(components.flatMap(item => Object.values(pinNodes(item, nodeOfHole)).map(find)));
+  for (let b = 0; layout.rails && b < layout.boards; b++) {
+    Object.entries(RAIL_COLS).forEach(([rail, col]) => {
+      const group = find(nodeOfHole(1, boardCol(b, col)));
+      if (!used.has(group)) return;
+      const name = `${layout.boards > 1 ? `Board ${b + 1}: ` : ''}Power ${rail.slice(1)}`;
+      const volts = solved ? solved.voltages[nodeOfHole(1, boardCol(b, col))] || 0 : 0;
+      if (rail.endsWith('+') && group === ground) {
+        add({ id: `rail-polarity:${b}:${rail}`, rule: 'rail-polarity', severity: WARNING, parts: linksOf(GROUND), message: `${name} (赤) レールが GND につながっています (+ と - が逆?)` });
+      } else if (rail.endsWith('-') && (positive.has(group) || volts > 1)) {
+        add({ id: `rail-polarity:${b}:${rail}`, rule: 'rail-polarity', severity: WARNING, message: `${name} (青) レールに電源がつながっています (+ と - が逆?)` });
+      }
+    });
+  }
+
+  return [...issues.values()];
+}
@@ -0,0 +1,38 @@
+import { checkCircuit, ERROR, WARNING } from './circuitRules';
+import { solveCircuit } from './circuitSolver';
+
+const check = (components, extra = {}) => {
+  const circuit = { components, pinStates: {}, pinPulls: {}, ...extra };
+  return checkCircuit(circuit, solveCircuit(circuit));
+};
+const ids = (issues) => issues.map(issue => issue.id);
+
+test('rails wired against their markings are reported', () => {
+  // 電池の + を青 (-) レール, - を赤 (+) レール (右側, Col 12 / Col 11) に逆に刺して LED を点ける
+  const issues = check([
+    { type: 'supply', id: 1, name: 'Battery 1', sR: 28, sC: 12, eR: 28, eC: 11, kind: 'aa3', on: true },
+    { type: 'resistor', id: 1, name: 'R1', sR: 25, sC: 12, eR: 25, eC: 9, ohms: 1000 },
+    { type: 'led', id: 1, name: 'LED 1', sR: 25, sC: 10, eR: 26, eC: 10 },
+    { type: 'wire', id: 1, name: 'Wire 1', sR: 26, sC: 9, eR: 26, eC: 11 },
+  ]);
+  expect(issues.find(issue => issue.id === 'rail-polarity:0:PR-')).toMatchObject({ severity: WARNING, message: expect.stringContaining('Power R-') });
+
+  // 赤レールを Pico の GND (右 Row 3) へ
+  const grounded = check([{ type: 'wire', id: 1, name: 'Wire 1', sR: 3, sC: 10, eR: 3, eC: 11 }, { type: 'led', id: 1, name: 'LED 1', sR: 10, sC: 11, eR: 10, eC: 10 }]);
+  expect(ids(grounded)).toContain('rail-polarity:0:PR+');
+});
+
+test('supplies shorted by a wire and 5V on a GPIO are errors', () => {
+  const shorted = check([
+    { type: 'supply', id: 1, name: 'Battery 1', sR: 28, sC: 11, eR: 28, eC: 12, kind: 'aa2', on: true },
+    { type: 'wire', id: 1, name: 'Wire 1', sR: 20, sC: 11, eR: 20, eC: 12 },
+  ]);
+  expect(shorted.find(issue => issue.id === 'short:supply:1')).toMatchObject({ severity: ERROR });
+
+  // VBUS (右 Row 1) -> GP0 (左 Row 1)
+  const overvoltage = check([{ type: 'wire', id: 1, name: 'Wire 1', sR: 1, sC: 9, eR: 1, eC: 1 }]);
+  expect(overvoltage.find(issue => issue.id === 'overvoltage:0')).toMatchObject({ severity: ERROR, damage: true, pins: [0] });
+
+  // VSYS (右 Row 2) -> GND (右 Row 3)
+  expect(ids(check([{ type: 'wire', id: 1, name: 'Wire 1', sR: 2, sC: 10, eR: 3, eC: 10 }]))).toContain('short:VSYS');
+});
@@ -0,0 +1,293 @@
+import { getLayout, isHole, getHoleId, getNetKey } from './breadboard';
+import { DEFAULT_BOARD, POWER_PINS, boardNets, usbPowered } from './picoBoard';
+import { getPart, partElements, partResult, partPins } from './parts';
+
+// --- DC回路ソルバー (節点解析) ---
+// ブレッドボードの行/電源レールをネットとして扱い、
+// GPIO = 内部抵抗付き3.3V電源, 部品 = parts.js の電気モデル (抵抗 / 順方向電圧付きダイオード / 電池) として解く。
+// Pico の電源: USB (VBUS 5V) -> ショットキーダイオード -> VSYS -> 3.3V レギュレータ (3V3_EN が HIGH の間) -> 3V3(OUT)
+// RUN は 3V3 にプルアップされていて、LOW の間 (または 3V3 が出ていない間) は RP2040 がリセットされたまま (GPIO は全部ハイインピーダンス)
+export const GPIO_VOLTAGE = 3.3;
+export const GPIO_RESISTANCE = 50; // 出力段の内部抵抗 (Ω)
+export const PULL_RESISTANCE = 50000; // 内蔵プルアップ/プルダウン
+export const REGULATOR_RESISTANCE = 1; // 3V3(OUT) の出力抵抗
+export const INPUT_THRESHOLD = GPIO_VOLTAGE / 2;
+export const VBUS_VOLTAGE = 5.0; // USB給電
+export const USB_RESISTANCE = 0.5; // USBケーブル + ポリスイッチ
+export const VSYS_DIODE_DROP = 0.3; // VBUS -> VSYS のショットキーダイオード (D1)
+export const VSYS_MIN_VOLTAGE = 1.8; // レギュレータ (RT6150) が動く VSYS の下限
+export const EN_PULL_RESISTANCE = 100000; // 3V3_EN -> VSYS のプルアップ
+export const PICO_LOAD_RESISTANCE = 250; // レギュレータが動いている間の Pico 自身の消費 (5V で約20mA)
+export const PULL_UP = 1; // machine.Pin.PULL_UP と同じ値
+export const PULL_DOWN = 2;
+export const CURRENT_THRESHOLD = 1e-5; // これ以下は「流れていない」扱い (10µA)
+export const GROUND = 'GND';
+
+const G_MIN = 1e-12; // 浮いているネットの電位を決めるための微小コンダクタンス
+const DIODE_OFF_CONDUCTANCE = 1e-9;
+const MAX_ITERATIONS = 30;
+const MAX_PWM_PHASE_PINS = 4; // ON/OFF の組合せで平均を取る PWM ピン数の上限 (2^4 回解く)
+
+export const compKey = (type, id) => `${type}:${id}`;
+
+// ピン状態: true/false = デジタル出力, { duty, freq } = PWM出力, それ以外 = ハイインピーダンス
+export const isPwmState = (state) => !!state && typeof state === 'object' && typeof state.duty === 'number';
+export const isDrivenState = (state) => typeof state === 'boolean' || isPwmState(state);
+// 平均デューティ (0-1)。Picoのオンボード LED 等の明るさに使う
+export const pinDuty = (state) => (isPwmState(state) ? state.duty : state === true ? 1 : 0);
+
+// RP2040 内蔵温度センサ (ADC4): 27℃で0.706V, -1.721mV/℃
+export const tempSensorVoltage = (tempC) => 0.706 - (tempC - 27) * 0.001721;
+
+// ★回路のノード: Pico をどこに刺したか (circuit.board) とブレッドボードの形 (circuit.breadboard) で決まる
+// nodeOfHole(row, col): 穴 -> 電気的なノード (Pico の GND ピンの行はすべて基準ノードにまとめる / ボードの外の穴はどこにもつながらない)
+// gpio: GPIO番号 -> ノード (Pico が刺さっていなければ空)
+// power: 電源ピン名 ('3V3' など) -> ノード (刺さっていなければ Pico の中だけのノード 'PICO:3V3')
+export function circuitNodes({ board = DEFAULT_BOARD, breadboard } = {}) {
+  const layout = getLayout(breadboard);
+  const nets = boardNets(board, layout);
+  const node = (net) => (nets.ground.includes(net) ? GROUND : net);
+  const nodeOfHole = (row, col) => (isHole(row, col, layout) ? node(getNetKey(getHoleId(row, col))) : `NC:${row},${col}`);
+  const gpio = Object.fromEntries(Object.entries(nets.gpio).map(([pin, net]) => [pin, node(net)]));
+  const power = Object.fromEntries(POWER_PINS.map(name => [name, nets.power[name] ? node(nets.power[name]) : `PICO:${name}`]));
+  return { layout, nodeOfHole, gpio, power };
+}
+
+// ジャンパ線/閉じたスイッチ (部品定義の link) で直結されたネットのグループ (Union-Find)
+// ERC のショート検出 (circuitRules.js), バスの配線 (busDevices.js), 部品の信号ピン (partResult の r.signal) が
+// 「どの GPIO / GND に直結されているか」をこれで決める
+export function wireGroups({ components = [], switchStates = {} }, nodeOfHole) {
+  const parent = {};
+  const find = (n) => {
+    if (parent[n] === undefined) parent[n] = n;
+    while (parent[n] !== n) { parent[n] = parent[parent[n]]; n = parent[n]; }
+    return n;
+  };
+  const links = components
+    .filter(item => { const def = getPart(item.type); return def && def.link && def.link(item, { switchStates }); })
+    .map(item => ({ key: compKey(item.type, item.id), nets: partPins(item).map(({ row, col }) => nodeOfHole(row, col)) }));
+  links.forEach(({ nets }) => nets.slice(1).forEach(net => { parent[find(net)] = find(nets[0]); }));
+  // グループに属する導線 (ハイライト用)
+  const linksOf = (net) => links.filter(({ nets }) => find(nets[0]) === find(net)).map(({ key }) => key);
+  return { find, linksOf };
+}
+
+// 部品リスト -> 素子リスト (部品ごとの素子は parts.js の partElements)
+// switchStates: 押しボタンの押下状態 (閉じているスイッチだけ導線として扱う)
+// pwmPhase: PWMピンを ON(true)/OFF(false) のどちらの瞬間として解くか (指定が無ければ平均電圧で近似)
+// damage: 過電流で壊れたピン/部品 ({ pins: {GPIO番号: true}, parts: {compKey: true} }) は回路から外す
+// supply: { regulator: 3V3 が出ているか, running: RP2040 が動いているか (false なら GPIO/プル抵抗は効かない) }
+export function buildNetlist(circuit, supply = { regulator: true, running: true }) {
+  const { components = [], switchStates = {}, pinStates, pinPulls = {}, pwmPhase = {}, damage = {} } = circuit;
+  const { nodeOfHole, gpio: gpioNets, power } = circuitNodes(circuit);
+  const elements = [];
+  const damagedParts = damage.parts || {};
+  const damagedPins = damage.pins || {};
+
+  components.forEach(item => {
+    const key = compKey(item.type, item.id);
+    elements.push(...partElements(item, { key, nodeOfHole, switchStates, damaged: !!damagedParts[key] }));
+  });
+
+  // Pico の電源回路
+  if (usbPowered(circuit.board)) elements.push({ kind: 'source', key: 'power:VBUS', a: power.VBUS, volts: VBUS_VOLTAGE, ohms: USB_RESISTANCE });
+  elements.push({ kind: 'diode', key: 'power:D1', a: power.VBUS, b: power.VSYS, vf: VSYS_DIODE_DROP, ron: USB_RESISTANCE });
+  elements.push({ kind: 'resistor', key: 'power:3V3_EN', a: power.VSYS, b: power['3V3_EN'], ohms: EN_PULL_RESISTANCE });
+  if (supply.regulator) {
+    elements.push({ kind: 'source', key: 'power:3V3', a: power['3V3'], volts: GPIO_VOLTAGE, ohms: REGULATOR_RESISTANCE });
+    elements.push({ kind: 'resistor', key: 'power:load', a: power.VSYS, b: GROUND, ohms: PICO_LOAD_RESISTANCE });
+  }
+  elements.push({ kind: 'resistor', key: 'power:RUN', a: power['3V3'], b: power.RUN, ohms: PULL_RESISTANCE });
+  if (!supply.running) return elements;
+
+  Object.entries(pinStates).forEach(([pin, state]) => {
+    if (gpioNets[pin] === undefined || !isDrivenState(state) || damagedPins[pin]) return;
+    let volts = state === true ? GPIO_VOLTAGE : 0;
+    if (isPwmState(state)) volts = pwmPhase[pin] === undefined ? state.duty * GPIO_VOLTAGE : (pwmPhase[pin] ? GPIO_VOLTAGE : 0);
+    elements.push({ kind: 'source', key: `gpio:${pin}`, a: gpioNets[pin], volts, ohms: GPIO_RESISTANCE });
+  });
+  // 入力ピンの内蔵プル抵抗 (出力として駆動中のピンには効かせない)
+  Object.entries(pinPulls).forEach(([pin, pull]) => {
+    if (gpioNets[pin] === undefined || isDrivenState(pinStates[pin])) return;
+    if (pull !== PULL_UP && pull !== PULL_DOWN) return;
+    elements.push({ kind: 'source', key: `pull:${pin}`, a: gpioNets[pin], volts: pull === PULL_UP ? GPIO_VOLTAGE : 0, ohms: PULL_RESISTANCE });
+  });
+  return elements;
+}
+
+// ガウスの消去法 (部分ピボット選択)
+function gaussSolve(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      if (f === 0) continue;
+      for (let c = col; c < n; c++) A[r][c] -= f * A[col][c];
+      b[r] -= f * b[col];
+    }
+  }
+  const x = new Float64Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = b[r];
+    for (let c = r + 1; c < n; c++) sum -= A[r][c] * x[c];
+    x[r] = sum / A[r][r];
+  }
+  return x;
+}
+
+// 素子リストを解いて各ネットの電圧と各素子の電流 (a -> b 向きが正 / 電源は b -> a に押し出す向きが正) を返す
+// ダイオードは区分線形モデル: ON/OFF を仮定して解き、矛盾がなくなるまで繰り返す
+export function solveNetwork(elements) {
+  const index = {};
+  const nets = [];
+  const nodeOf = (net) => {
+    if (net === GROUND) return -1;
+    if (index[net] === undefined) { index[net] = nets.length; nets.push(net); }
+    return index[net];
+  };
+  const els = elements.map(el => ({ ...el, na: nodeOf(el.a), nb: el.b === undefined ? -1 : nodeOf(el.b) }));
+  const n = nets.length;
+  const diodeOn = els.map(() => false);
+  let v = new Float64Array(n);
+  const volt = (node) => (node < 0 ? 0 : v[node]);
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const G = Array.from({ length: n }, () => new Float64Array(n));
+    const I = new Float64Array(n);
+    for (let i = 0; i < n; i++) G[i][i] += G_MIN;
+    const stampG = (a, b, g) => {
+      if (a >= 0) G[a][a] += g;
+      if (b >= 0) G[b][b] += g;
+      if (a >= 0 && b >= 0) { G[a][b] -= g; G[b][a] -= g; }
+    };
+    const stampI = (a, b, i) => { // a -> b へ素子内を流れる定電流
+      if (a >= 0) I[a] -= i;
+      if (b >= 0) I[b] += i;
+    };
+
+    els.forEach((el, k) => {
+      if (el.kind === 'resistor') stampG(el.na, el.nb, 1 / el.ohms);
+      else if (el.kind === 'source') { stampG(el.na, el.nb, 1 / el.ohms); stampI(el.nb, el.na, el.volts / el.ohms); } // b 省略 = GND 基準
+      else if (el.kind === 'diode') {
+        if (diodeOn[k]) { stampG(el.na, el.nb, 1 / el.ron); stampI(el.na, el.nb, -el.vf / el.ron); }
+        else stampG(el.na, el.nb, DIODE_OFF_CONDUCTANCE);
+      }
+    });
+    v = n > 0 ? gaussSolve(G, I) : v;
+
+    let changed = false;
+    els.forEach((el, k) => {
+      if (el.kind !== 'diode') return;
+      const next = volt(el.na) - volt(el.nb) > el.vf;
+      if (next !== diodeOn[k]) { diodeOn[k] = next; changed = true; }
+    });
+    if (!changed) break;
+  }
+
+  const voltages = { [GROUND]: 0 };
+  nets.forEach((net, i) => { voltages[net] = v[i]; });
+  const currents = {};
+  const drops = {};
+  els.forEach((el, k) => {
+    const vab = volt(el.na) - volt(el.nb);
+    let i = 0;
+    if (el.kind === 'resistor') i = vab / el.ohms;
+    else if (el.kind === 'source') i = (el.volts - vab) / el.ohms;
+    else if (el.kind === 'diode') i = diodeOn[k] ? (vab - el.vf) / el.ron : vab * DIODE_OFF_CONDUCTANCE;
+    currents[el.key] = i;
+    drops[el.key] = vab;
+  });
+  return { voltages, currents, drops };
+}
+
+// PWMピンの ON/OFF の全組合せを解き、デューティで重み付けした時間平均を返す
+// (LEDは非線形なので「平均電圧で1回解く」より正確)
+function solveTimeAveraged(circuit, supply) {
+  const pwmPins = Object.keys(circuit.pinStates)
+    .filter(pin => isPwmState(circuit.pinStates[pin]) && circuit.pinStates[pin].duty > 0 && circuit.pinStates[pin].duty < 1)
+    .slice(0, MAX_PWM_PHASE_PINS);
+  if (pwmPins.length === 0) return solveNetwork(buildNetlist(circuit, supply));
+
+  const avg = { voltages: {}, currents: {}, drops: {} };
+  const accumulate = (target, source, weight) => {
+    Object.entries(source).forEach(([key, value]) => { target[key] = (target[key] || 0) + value * weight; });
+  };
+  for (let mask = 0; mask < (1 << pwmPins.length); mask++) {
+    const pwmPhase = {};
+    let weight = 1;
+    pwmPins.forEach((pin, i) => {
+      const on = (mask & (1 << i)) !== 0;
+      const duty = circuit.pinStates[pin].duty;
+      pwmPhase[pin] = on;
+      weight *= on ? duty : 1 - duty;
+    });
+    const result = solveNetwork(buildNetlist({ ...circuit, pwmPhase }, supply));
+    accumulate(avg.voltages, result.voltages, weight);
+    accumulate(avg.currents, result.currents, weight);
+    accumulate(avg.drops, result.drops, weight);
+  }
+  return avg;
+}
+
+// 電源の状態: いったん「動いている」として解き、VSYS / 3V3_EN / RUN の電圧で決める
+// (GPIO で RUN を LOW にすると、リセットで GPIO が離れて次の解では動き出す = 実機の自己リセットと同じ)
+export function powerState(circuit) {
+  const { power } = circuitNodes(circuit);
+  const { voltages } = solveNetwork(buildNetlist(circuit));
+  const volt = (name) => voltages[power[name]] || 0;
+  const regulator = volt('VSYS') >= VSYS_MIN_VOLTAGE && volt('3V3_EN') > INPUT_THRESHOLD;
+  return { usb: usbPowered(circuit.board), regulator, running: regulator && volt('RUN') > INPUT_THRESHOLD };
+}
+
+// App向け: 回路全体を解いて可視化用の情報をまとめる
+export function solveCircuit(circuit) {
+  const { components = [], chipTempC = 27, pinStates = {} } = circuit;
+  const supply = powerState(circuit);
+  const { voltages, currents, drops } = solveTimeAveraged(circuit, supply);
+  const { nodeOfHole, gpio: gpioNets, power: powerNodes, layout } = circuitNodes(circuit);
+  // ネットに直結された GPIO の出力 { pin, state } (サーボ / ブザーはピンではなく刺さった行の信号を見る)
+  const { find } = wireGroups(circuit, nodeOfHole);
+  const signalOf = (node) => {
+    if (!supply.running) return null;
+    const pin = Object.keys(gpioNets).find(p => find(gpioNets[p]) === find(node) && isDrivenState(pinStates[p]));
+    return pin === undefined ? null : { pin: Number(pin), state: pinStates[pin] };
+  };
+  const groundedNode = (node) => find(node) === find(GROUND);
+
+  // 部品ごとの値と、電流が流れている部品のピンのネット (素子キーは compKey または compKey:sub)
+  const parts = {};
+  const activeNets = new Set();
+  components.forEach(item => {
+    const key = compKey(item.type, item.id);
+    parts[key] = partResult(item, { key, nodeOfHole, voltages, currents, drops, signalOf, groundedNode });
+    const active = Object.keys(currents).some(k => (k === key || k.startsWith(`${key}:`)) && Math.abs(currents[k]) > CURRENT_THRESHOLD);
+    if (active) partPins(item).forEach(({ row, col }) => { if (isHole(row, col, layout)) activeNets.add(getNetKey(getHoleId(row, col))); });
+  });
+
+  // 電源ピンの電圧と、3V3(OUT) / VBUS から流れ出ている電流
+  const supplyCurrent = currents['power:3V3'] || 0;
+  const power = {
+    ...supply,
+    volts: Object.fromEntries(Object.entries(powerNodes).map(([name, node]) => [name, voltages[node] || 0])),
+    currents: { '3V3': supplyCurrent, VBUS: currents['power:VBUS'] || 0 },
+  };
+  const pinCurrents = {};
+  Object.keys(currents).forEach(key => {
+    if (key.startsWith('gpio:')) pinCurrents[key.slice(5)] = currents[key];
+  });
+
+  // 各GPIOの入力レベル (ピンの行のネット電圧をしきい値で判定)
+  const inputLevels = {};
+  Object.entries(gpioNets).forEach(([pin, net]) => {
+    inputLevels[pin] = (voltages[net] || 0) > INPUT_THRESHOLD ? 1 : 0;
+  });
+
+  // ADC入力 (ch0-2 = GP26-28 の行の電圧, ch3 = VSYS/3, ch4 = 内蔵温度センサ)
+  const adcVoltages = { 3: power.volts.VSYS / 3, 4: tempSensorVoltage(chipTempC) };
+  [26, 27, 28].forEach((pin, ch) => { adcVoltages[ch] = voltages[gpioNets[pin]] || 0; });
+  return { voltages, parts, pinCurrents, supplyCurrent, power, activeNets, inputLevels, adcVoltages };
+}
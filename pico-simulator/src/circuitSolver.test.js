@@ -0,0 +1,155 @@
+import { solveCircuit, compKey, PULL_UP } from './circuitSolver';
+import { BLINK_EXAMPLE } from './examples';
+
+const circuitOf = (overrides) => ({ components: [], pinStates: {}, pinPulls: {}, ...overrides });
+const ledCurrent = (result) => result.parts[compKey('led', 1)].current;
+
+test('GP15 HIGH drives about 3.3mA through 330Ω and the LED', () => {
+  const result = solveCircuit(circuitOf({ ...BLINK_EXAMPLE, pinStates: { 15: true } }));
+  expect(ledCurrent(result)).toBeGreaterThan(0.0032);
+  expect(ledCurrent(result)).toBeLessThan(0.0035);
+  expect(result.pinCurrents[15]).toBeCloseTo(ledCurrent(result), 6);
+  expect(result.activeNets.has('L-25')).toBe(true);
+});
+
+test('LED stays dark when the pin is LOW or the LED is reversed', () => {
+  expect(ledCurrent(solveCircuit(circuitOf({ ...BLINK_EXAMPLE, pinStates: { 15: false } })))).toBeCloseTo(0, 6);
+  const reversed = BLINK_EXAMPLE.components.map(c => (c.type === 'led' ? { ...c, sR: c.eR, eR: c.sR } : c));
+  expect(ledCurrent(solveCircuit(circuitOf({ components: reversed, pinStates: { 15: true } })))).toBeCloseTo(0, 6);
+});
+
+test('PWM duty scales the time-averaged LED current', () => {
+  const full = ledCurrent(solveCircuit(circuitOf({ ...BLINK_EXAMPLE, pinStates: { 15: true } })));
+  const quarter = ledCurrent(solveCircuit(circuitOf({ ...BLINK_EXAMPLE, pinStates: { 15: { duty: 0.25, freq: 1000 } } })));
+  expect(quarter / full).toBeCloseTo(0.25, 3);
+});
+
+test('button to GND pulls an input with PULL_UP low only while pressed', () => {
+  // GP14 (左 Row 19) -- 押しボタン -- GND (左 Row 18)
+  const components = [{ type: 'switch', id: 1, sR: 19, sC: 3, eR: 18, eC: 3, kind: 'button' }];
+  const released = solveCircuit(circuitOf({ components, pinPulls: { 14: PULL_UP } }));
+  const pressed = solveCircuit(circuitOf({ components, switchStates: { 1: true }, pinPulls: { 14: PULL_UP } }));
+  expect(released.inputLevels[14]).toBe(1);
+  expect(pressed.inputLevels[14]).toBe(0);
+});
+
+test('RGB LED lights only the channels driven through their resistors', () => {
+  // GP15 (左 Row 20) -> 330Ω -> R (Row 24), GP14 (Row 19) -> 330Ω -> B (Row 27), COM (Row 25) -> GND (右 Row 18)
+  const components = [
+    { type: 'rgbled', id: 1, row: 24, col: 8, common: 'cathode' },
+    { type: 'resistor', id: 1, sR: 20, sC: 3, eR: 24, eC: 6, ohms: 330 },
+    { type: 'resistor', id: 2, sR: 19, sC: 4, eR: 27, eC: 7, ohms: 330 },
+    { type: 'wire', id: 1, sR: 25, sC: 10, eR: 18, eC: 10 },
+  ];
+  const result = solveCircuit(circuitOf({ components, pinStates: { 15: true, 14: false } }));
+  const channels = Object.fromEntries(result.parts[compKey('rgbled', 1)].diodes.map(d => [d.sub, d.current]));
+  expect(channels.r).toBeGreaterThan(0.003);
+  expect(channels.g).toBeCloseTo(0, 6);
+  expect(channels.b).toBeCloseTo(0, 6);
+});
+
+test('7-segment segments share the common pin', () => {
+  // 溝をまたいで Row 22-26: 左 e,d,COM,c,dp / 右 g,f,COM,a,b。COM(左 Row 24) -> GND (左 Row 18), a (右 Row 25) <- 3V3 経由 1kΩ
+  const components = [
+    { type: 'sevenseg', id: 1, row: 22, col: 5, common: 'cathode', color: 'red' },
+    { type: 'wire', id: 1, sR: 24, sC: 1, eR: 18, eC: 1 },
+    { type: 'resistor', id: 1, sR: 5, sC: 10, eR: 25, eC: 10, ohms: 1000 },
+  ];
+  const result = solveCircuit(circuitOf({ components }));
+  const segments = Object.fromEntries(result.parts[compKey('sevenseg', 1)].diodes.map(d => [d.sub, d.current]));
+  expect(segments.a).toBeGreaterThan(0.001);
+  expect(segments.b).toBeCloseTo(0, 6);
+  expect(result.parts[compKey('sevenseg', 1)].current).toBeCloseTo(segments.a, 9);
+});
+
+test('GPIO and GND rows follow where the Pico is plugged in', () => {
+  // GP0 HIGH -> LED -> gndRow (抵抗なしなので GND につながれば大きく流れる)
+  const ledCurrentTo = (from, to, board) => ledCurrent(solveCircuit(circuitOf({
+    board, components: [{ type: 'led', id: 1, sR: from.row, sC: from.col, eR: to.row, eC: to.col }], pinStates: { 0: true },
+  })));
+  // 既定の位置: GP0 = 左 Row 1, GND = Row 3/8/13/18 (Row 28 は GND ではない)
+  expect(ledCurrentTo({ row: 1, col: 1 }, { row: 3, col: 1 })).toBeGreaterThan(0.01);
+  expect(ledCurrentTo({ row: 1, col: 1 }, { row: 28, col: 1 })).toBeCloseTo(0, 6);
+  // 10行下に動かすと GP0 = Row 11, GND = Row 13
+  const moved = { type: 'pico', row: 11, col: 3, rotation: 0 };
+  expect(ledCurrentTo({ row: 11, col: 1 }, { row: 13, col: 1 }, moved)).toBeGreaterThan(0.01);
+  expect(ledCurrentTo({ row: 1, col: 1 }, { row: 3, col: 1 }, moved)).toBeCloseTo(0, 6);
+  // 180度回すと GP0 (ピン1) は右側の一番下 (Row 20), その2つ上がGND
+  const turned = { type: 'pico', row: 1, col: 3, rotation: 180 };
+  expect(ledCurrentTo({ row: 20, col: 10 }, { row: 18, col: 10 }, turned)).toBeGreaterThan(0.01);
+});
+
+test('an external battery on the rails powers parts without the Pico', () => {
+  // 3 x AA (4.5V): + -> 右の + レール (Col 11), - -> 右の - レール (Col 12), 1kΩ + LED をレール間に
+  const components = [
+    { type: 'supply', id: 1, sR: 28, sC: 11, eR: 28, eC: 12, kind: 'aa3', on: true },
+    { type: 'resistor', id: 1, sR: 25, sC: 11, eR: 25, eC: 9, ohms: 1000 },
+    { type: 'led', id: 1, sR: 25, sC: 10, eR: 26, eC: 10 },
+    { type: 'wire', id: 1, sR: 26, sC: 9, eR: 26, eC: 12 },
+  ];
+  const lit = solveCircuit(circuitOf({ components }));
+  expect(ledCurrent(lit)).toBeCloseTo(2.5 / 1000, 4);
+  expect(lit.parts[compKey('supply', 1)].current).toBeCloseTo(ledCurrent(lit), 9);
+  expect(lit.activeNets.has('PR+')).toBe(true);
+  const off = components.map(c => (c.type === 'supply' ? { ...c, on: false } : c));
+  expect(ledCurrent(solveCircuit(circuitOf({ components: off })))).toBeCloseTo(0, 6);
+});
+
+test('USB, VSYS, 3V3_EN and RUN decide whether the Pico runs', () => {
+  // 右側: Row 1 = VBUS, Row 2 = VSYS, Row 4 = 3V3_EN, Row 5 = 3V3, Row 11 = RUN, Row 3 / 13 = GND
+  const usb = solveCircuit(circuitOf({ ...BLINK_EXAMPLE, pinStates: { 15: true } }));
+  expect(usb.power).toMatchObject({ usb: true, regulator: true, running: true });
+  expect(usb.power.volts.VBUS).toBeCloseTo(5, 1);
+  expect(usb.power.volts.VSYS).toBeCloseTo(4.7, 1);
+  expect(usb.power.volts['3V3']).toBeCloseTo(3.3, 2);
+  expect(usb.adcVoltages[3]).toBeCloseTo(usb.power.volts.VSYS / 3, 6);
+
+  // RUN を GND へ: リセット中は GPIO が出力しない
+  const runLow = { type: 'wire', id: 9, sR: 11, sC: 9, eR: 13, eC: 9 };
+  const reset = solveCircuit(circuitOf({ components: [...BLINK_EXAMPLE.components, runLow], pinStates: { 15: true } }));
+  expect(reset.power).toMatchObject({ regulator: true, running: false });
+  expect(ledCurrent(reset)).toBeCloseTo(0, 6);
+
+  // 3V3_EN を GND へ: 3V3 が止まる
+  const disabled = solveCircuit(circuitOf({ components: [{ type: 'wire', id: 9, sR: 4, sC: 9, eR: 3, eC: 9 }] }));
+  expect(disabled.power).toMatchObject({ regulator: false, running: false });
+  expect(disabled.power.volts['3V3']).toBeCloseTo(0, 3);
+
+  // USB を抜くと止まり、VSYS に電池をつなぐと動く
+  const unplugged = { type: 'pico', row: 1, col: 3, rotation: 0, usb: false };
+  expect(solveCircuit(circuitOf({ board: unplugged })).power.running).toBe(false);
+  const battery = [{ type: 'supply', id: 1, sR: 2, sC: 10, eR: 3, eC: 10, kind: 'aa3', on: true }];
+  const onBattery = solveCircuit(circuitOf({ board: unplugged, components: battery }));
+  expect(onBattery.power).toMatchObject({ usb: false, running: true });
+  expect(onBattery.power.volts.VSYS).toBeCloseTo(4.5, 1);
+  expect(onBattery.power.volts.VBUS).toBeLessThan(4.5); // D1 で VBUS 側へは逆流しない
+});
+
+test('servo angle follows the PWM pulse width on the net its SIG leg is wired to', () => {
+  // サーボ (左 Row 23-25: GND, VCC, SIG) -> GND (Row 13), VBUS (右 Row 1), GP15 (Row 20) へジャンパ線
+  const wire = (id, sR, sC, eR, eC) => ({ type: 'wire', id, sR, sC, eR, eC });
+  const servo = [{ type: 'servo', id: 1, row: 23, col: 1, rotation: 0 }, wire(1, 23, 2, 13, 2), wire(2, 24, 2, 1, 9), wire(3, 25, 2, 20, 2)];
+  const servoAt = (pinStates, components = servo) => solveCircuit(circuitOf({ components, pinStates })).parts[compKey('servo', 1)];
+  const pulse = (us) => ({ duty: us / 20000, freq: 50 });
+  expect(servoAt({ 15: pulse(1500) }).pulseUs).toBeCloseTo(1500, 6);
+  expect(servoAt({ 15: pulse(500) }).angle).toBeCloseTo(0, 6);
+  expect(servoAt({ 15: pulse(1500) }).angle).toBeCloseTo(90, 6);
+  expect(servoAt({ 15: pulse(2500) }).angle).toBeCloseTo(180, 6);
+  // HIGH のまま / 速すぎる PWM / 別のピン / VCC の線が無い -> 角度の指示なし
+  expect(servoAt({ 15: true }).angle).toBe(null);
+  expect(servoAt({ 15: { duty: 0.5, freq: 1000 } }).angle).toBe(null);
+  expect(servoAt({ 14: pulse(1500) }).angle).toBe(null);
+  expect(servoAt({ 15: pulse(1500) }, servo.filter(c => c.id !== 2 || c.type !== 'wire'))).toMatchObject({ angle: null, voltage: 0 });
+});
+
+test('passive buzzer sounds at the PWM frequency only with its - leg on GND', () => {
+  // ブザー + (左 Row 20 = GP15), - (左 Row 18 = GND)
+  const buzzer = { type: 'buzzer', id: 1, sR: 20, sC: 1, eR: 18, eC: 1 };
+  const buzzerAt = (pinStates, item = buzzer) => solveCircuit(circuitOf({ components: [item], pinStates })).parts[compKey('buzzer', 1)];
+  expect(buzzerAt({ 15: { duty: 0.5, freq: 440 } })).toMatchObject({ freq: 440, volume: 1 });
+  expect(buzzerAt({ 15: { duty: 0.1, freq: 440 } }).volume).toBeCloseTo(Math.sin(Math.PI * 0.1), 6);
+  expect(buzzerAt({ 15: { duty: 0, freq: 440 } }).freq).toBe(0);
+  expect(buzzerAt({ 15: true }).freq).toBe(0);
+  // - を GND ではない行 (GP14) に
+  expect(buzzerAt({ 15: { duty: 0.5, freq: 440 } }, { ...buzzer, eR: 19 }).freq).toBe(0);
+});
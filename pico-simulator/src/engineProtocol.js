@@ -0,0 +1,84 @@
+/* global Atomics, SharedArrayBuffer, globalThis */
+// --- Pythonエンジン <-> ワーカー 共通定義 ---
+export const PYODIDE_INDEX_URL = 'https://cdn.jsdelivr.net/pyodide/v0.29.0/full/';
+
+// SharedArrayBuffer(Int32) 上の制御スロット
+// INTERRUPT は Pyodide の割り込みバッファを兼ねるため必ず先頭 (index 0)
+// INPUTS から GPIO_COUNT 個: 各GPIOの入力レベル (0/1, 未確定は -1)
+// ANALOG から ADC_CHANNELS 個: ADC入力電圧 (µV, 未確定は -1)
+// SPEED: 仮想クロックの速度 (x1000, 0 = 最速) / PAUSED: 1 = 一時停止 / STEP: 1 = 次のイベントまで進める
+// CONSOLE: コンソールから送った1行のバイト数 (0 = 空) / CONSOLE_KIND: その行の種類 (CONSOLE_INPUT / CONSOLE_REPL)
+//   行の中身 (UTF-8) は制御スロットの後ろの CONSOLE_BYTES バイトに入れる
+// BUS_SEQ: バスの配線 (busDevices.js の busWiring) の版 (奇数 = 書き込み中) / BUS_LENGTH: その JSON のバイト数
+//   JSON はコンソールの後ろの BUS_BYTES バイトに入れる
+export const GPIO_COUNT = 30;
+export const ADC_CHANNELS = 5;
+export const CTRL = {
+  INTERRUPT: 0,
+  INPUTS: 1,
+  ANALOG: 1 + GPIO_COUNT,
+  SPEED: 1 + GPIO_COUNT + ADC_CHANNELS,
+  PAUSED: 2 + GPIO_COUNT + ADC_CHANNELS,
+  STEP: 3 + GPIO_COUNT + ADC_CHANNELS,
+  CONSOLE: 4 + GPIO_COUNT + ADC_CHANNELS,
+  CONSOLE_KIND: 5 + GPIO_COUNT + ADC_CHANNELS,
+  BUS_SEQ: 6 + GPIO_COUNT + ADC_CHANNELS,
+  BUS_LENGTH: 7 + GPIO_COUNT + ADC_CHANNELS,
+};
+export const CTRL_SIZE = CTRL.BUS_LENGTH + 1;
+export const CONSOLE_BYTES = 4096;
+export const BUS_BYTES = 16384;
+export const CTRL_BYTES = CTRL_SIZE * Int32Array.BYTES_PER_ELEMENT + CONSOLE_BYTES + BUS_BYTES;
+export const SIGINT = 2; // -> Python側で KeyboardInterrupt
+export const CONSOLE_INPUT = 1; // input() への入力
+export const CONSOLE_REPL = 2; // 実行中のプログラムの sleep の合間に実行する REPL の文
+export const CONSOLE_UART = 3; // UART 端末から送るバイト (JSON { key: 端末の compKey, text })
+
+const consoleText = (ctrl) => new Uint8Array(ctrl.buffer, CTRL_SIZE * Int32Array.BYTES_PER_ELEMENT, CONSOLE_BYTES);
+const busText = (ctrl) => new Uint8Array(ctrl.buffer, CTRL_SIZE * Int32Array.BYTES_PER_ELEMENT + CONSOLE_BYTES, BUS_BYTES);
+
+// メインスレッド -> ワーカー: 1行書いて起こす (前の行がまだ読まれていない/長すぎるなら false)
+export function writeConsole(ctrl, kind, text) {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length === 0 || bytes.length > CONSOLE_BYTES || Atomics.load(ctrl, CTRL.CONSOLE) !== 0) return false;
+  consoleText(ctrl).set(bytes);
+  Atomics.store(ctrl, CTRL.CONSOLE_KIND, kind);
+  Atomics.store(ctrl, CTRL.CONSOLE, bytes.length);
+  Atomics.notify(ctrl, CTRL.INTERRUPT);
+  return true;
+}
+
+// ワーカー側: 届いている行を取り出す { kind, text } (無ければ null)
+export function readConsole(ctrl) {
+  const length = Atomics.load(ctrl, CTRL.CONSOLE);
+  if (length === 0) return null;
+  // 共有メモリのままでは TextDecoder に渡せないのでコピーする
+  const text = new TextDecoder().decode(consoleText(ctrl).slice(0, length));
+  const kind = Atomics.load(ctrl, CTRL.CONSOLE_KIND);
+  Atomics.store(ctrl, CTRL.CONSOLE, 0);
+  return { kind, text };
+}
+
+// メインスレッド -> ワーカー: バスの配線を書き換える (大きすぎれば false)
+export function writeBusWiring(ctrl, wiring) {
+  const bytes = new TextEncoder().encode(JSON.stringify(wiring));
+  if (bytes.length > BUS_BYTES) return false;
+  const seq = Atomics.load(ctrl, CTRL.BUS_SEQ);
+  Atomics.store(ctrl, CTRL.BUS_SEQ, seq + 1);
+  busText(ctrl).set(bytes);
+  Atomics.store(ctrl, CTRL.BUS_LENGTH, bytes.length);
+  Atomics.store(ctrl, CTRL.BUS_SEQ, seq + 2);
+  return true;
+}
+
+// ワーカー側: lastSeq から変わっていれば { seq, wiring } (変わっていない / 書き込み中なら null)
+export function readBusWiring(ctrl, lastSeq) {
+  const seq = Atomics.load(ctrl, CTRL.BUS_SEQ);
+  if (seq === lastSeq || seq % 2 === 1) return null;
+  const text = new TextDecoder().decode(busText(ctrl).slice(0, Atomics.load(ctrl, CTRL.BUS_LENGTH)));
+  if (Atomics.load(ctrl, CTRL.BUS_SEQ) !== seq) return null;
+  return { seq, wiring: JSON.parse(text) };
+}
+
+// Cross-Origin Isolation が有効なときだけ SharedArrayBuffer が使える
+export const canShareMemory = () => typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated !== false;
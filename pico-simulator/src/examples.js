@@ -0,0 +1,20 @@
+import { PROJECT_FORMAT, PROJECT_VERSION } from './projectFile';
+
+// --- 同梱サンプル (起動時の初期状態。ヘッドレスのテストでも同じものを使う) ---
+// GP15 -> 330Ω -> LED 1 -> GND を 1Hz で5回点滅させる (保存ファイルと同じ形式)
+export const BLINK_EXAMPLE = {
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  board: { type: 'pico', row: 1, col: 3, rotation: 0 },
+  breadboard: { type: 'half' },
+  components: [
+    { type: 'wire', id: 1, sR: 20, sC: 2, eR: 25, eC: 2, color: "green", level: 2, name: "Wire 1" },
+    { type: 'wire', id: 2, sR: 28, sC: 10, eR: 18, eC: 10, color: "black", level: 1, name: "Wire 2" },
+    { type: 'led', id: 1, sR: 25, sC: 7, eR: 28, eC: 7, name: "LED 1" },
+    { type: 'resistor', id: 1, sR: 25, sC: 3, eR: 25, eC: 6, scale: 1, ohms: 330, name: "Resistor 1" },
+  ],
+  files: {
+    'main.py': `from machine import Pin\nimport time\n\ntest = Pin(15, Pin.OUT)\n\nprint("Start")\nfor i in range(5):\n    test.value(1)\n    time.sleep(0.5)\n    test.value(0)\n    time.sleep(0.5)\nprint("Done")`,
+  },
+  settings: {},
+};
@@ -0,0 +1,139 @@
+import { isPwmState } from './circuitSolver';
+
+// --- ロジックアナライザ: ピン変化の記録 / 測定 / VCD出力 ---
+// 値: 1/0 = デジタル出力, 'z' = ハイインピーダンス(入力), { duty, freq } = PWM出力
+export const MAX_CAPTURE_EVENTS = 200000; // これを超えたら記録を打ち切る (メモリ保護)
+const MAX_VCD_PWM_EDGES = 200000; // VCDでPWMをパルス列に展開する上限 (超えたら duty のみ)
+
+export const createCapture = () => ({ events: [], last: {}, endUs: 0, truncated: false });
+
+export const signalValue = (state) => {
+  if (isPwmState(state)) return { duty: state.duty, freq: state.freq };
+  if (state === true) return 1;
+  if (state === false) return 0;
+  return 'z';
+};
+
+const sameValue = (a, b) => (isPwmState(a) && isPwmState(b) ? a.duty === b.duty && a.freq === b.freq : a === b);
+
+// ワーカーからの pins メッセージを記録 (updates: [pin, state, pull, tUs], nowUs: 送信時刻)
+export function recordPins(capture, updates, nowUs = 0) {
+  updates.forEach(([pin, state, , t = nowUs]) => {
+    const value = signalValue(state);
+    if (capture.last[pin] !== undefined && sameValue(capture.last[pin], value)) return;
+    if (capture.events.length >= MAX_CAPTURE_EVENTS) { capture.truncated = true; return; }
+    capture.last[pin] = value;
+    capture.events.push({ t, pin: Number(pin), value });
+    capture.endUs = Math.max(capture.endUs, t);
+  });
+  capture.endUs = Math.max(capture.endUs, nowUs);
+}
+
+// ピンごとの変化列 { pin: [{ t, value }] } (記録に出てきたピンだけ)
+export function captureTracks(capture) {
+  const tracks = {};
+  capture.events.forEach(({ t, pin, value }) => { (tracks[pin] = tracks[pin] || []).push({ t, value }); });
+  return tracks;
+}
+
+// t を含む区間の index (二分探索, t より前に変化が無ければ -1)
+export function segmentIndexAt(track, t) {
+  let lo = 0;
+  let hi = track.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (track[mid].t <= t) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+// 時刻 t の波形を測る: パルス幅 (その区間の長さ), 周期 (同じ向きのエッジ間), デューティ
+// 戻り値: { value, width, period, high, duty } (不明な値は null)
+export function measureAt(track, t, endUs) {
+  const i = segmentIndexAt(track, t);
+  if (i < 0) return null;
+  const seg = track[i];
+  if (isPwmState(seg.value)) {
+    const period = seg.value.freq > 0 ? 1e6 / seg.value.freq : null;
+    return { value: seg.value, width: null, period, high: period && period * seg.value.duty, duty: seg.value.duty };
+  }
+  const next = track[i + 1];
+  const width = (next ? next.t : endUs) - seg.t;
+  // 区間の開始エッジから、次の同じ向きのエッジまでが1周期
+  const isDigital = (k) => track[k] && (track[k].value === 0 || track[k].value === 1);
+  let period = null;
+  let high = null;
+  if (isDigital(i) && isDigital(i + 1) && isDigital(i + 2)) {
+    period = track[i + 2].t - seg.t;
+    high = seg.value === 1 ? width : period - width;
+  }
+  return { value: seg.value, width: next ? width : null, period, high, duty: period ? high / period : null };
+}
+
+// VCD (Value Change Dump) 形式。GTKWave 等で開ける
+// 各ピンは 1bit wire, PWM を使ったピンには duty (real) も出力する
+export function toVcd(capture, { date = new Date() } = {}) {
+  const tracks = captureTracks(capture);
+  const pins = Object.keys(tracks).map(Number).sort((a, b) => a - b);
+  let nextId = 33;
+  const ids = {};
+  pins.forEach(pin => {
+    ids[pin] = { wire: String.fromCharCode(nextId++) };
+    if (tracks[pin].some(e => isPwmState(e.value))) ids[pin].duty = String.fromCharCode(nextId++);
+  });
+
+  // 時刻ごとの変化 (PWM は上限内ならパルス列に展開)
+  const changes = [];
+  let pwmEdges = 0;
+  const bit = (v) => (v === 1 ? '1' : v === 0 ? '0' : 'z');
+  pins.forEach(pin => {
+    const track = tracks[pin];
+    track.forEach((seg, i) => {
+      const end = i + 1 < track.length ? track[i + 1].t : capture.endUs;
+      if (!isPwmState(seg.value)) {
+        changes.push([seg.t, `${bit(seg.value)}${ids[pin].wire}`]);
+        if (ids[pin].duty) changes.push([seg.t, `r0 ${ids[pin].duty}`]);
+        return;
+      }
+      const { duty, freq } = seg.value;
+      changes.push([seg.t, `r${duty} ${ids[pin].duty}`]);
+      const period = 1e6 / freq;
+      const edges = Math.ceil((end - seg.t) / period) * 2;
+      if (duty <= 0 || duty >= 1 || pwmEdges + edges > MAX_VCD_PWM_EDGES) {
+        changes.push([seg.t, `${duty >= 1 ? '1' : duty <= 0 ? '0' : 'x'}${ids[pin].wire}`]);
+        return;
+      }
+      pwmEdges += edges;
+      for (let t = seg.t; t < end; t += period) {
+        changes.push([Math.round(t), `1${ids[pin].wire}`]);
+        if (t + period * duty < end) changes.push([Math.round(t + period * duty), `0${ids[pin].wire}`]);
+      }
+    });
+  });
+  changes.sort((a, b) => a[0] - b[0]);
+
+  const lines = [
+    `$date ${date.toISOString()} $end`,
+    '$version pico-simulator logic analyzer $end',
+    '$timescale 1us $end',
+    '$scope module pico $end',
+  ];
+  pins.forEach(pin => {
+    lines.push(`$var wire 1 ${ids[pin].wire} GP${pin} $end`);
+    if (ids[pin].duty) lines.push(`$var real 64 ${ids[pin].duty} GP${pin}_duty $end`);
+  });
+  lines.push('$upscope $end', '$enddefinitions $end', '#0', '$dumpvars');
+  pins.forEach(pin => {
+    lines.push(`x${ids[pin].wire}`);
+    if (ids[pin].duty) lines.push(`r0 ${ids[pin].duty}`);
+  });
+  lines.push('$end');
+  let currentT = 0;
+  changes.forEach(([t, change]) => {
+    if (t !== currentT) { lines.push(`#${t}`); currentT = t; }
+    lines.push(change);
+  });
+  if (capture.endUs > currentT) lines.push(`#${capture.endUs}`);
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,1219 @@
+// --- MicroPython互換モジュール (Python側ソース) ---
+// 実行のたびに新しいモジュールとして sys.modules に登録される (picoRuntime.js 参照)。
+// JS側のホスト関数は `_pico` モジュール経由で呼ぶ。
+
+// 共通ランタイム: クロック / タイマー / コールバック予約 / ピンのハードウェア状態
+const PICORT = `
+import sys
+import _pico
+
+TICKS_PERIOD = 1 << 30
+TICKS_MAX = TICKS_PERIOD - 1
+TICKS_HALFPERIOD = TICKS_PERIOD // 2
+
+def now_us():
+    return int(_pico.ticks_us())
+
+def unsupported(name):
+    raise NotImplementedError(name + " is not supported by the simulator")
+
+# --- ピンのハードウェア状態 (同じ番号の Pin オブジェクトは状態を共有する) ---
+MODE_IN = 0
+MODE_OUT = 1
+MODE_OPEN_DRAIN = 2
+MODE_ALT = 3
+PULL_UP = 1
+PULL_DOWN = 2
+
+pins = {}
+
+# --- PWM (GPIOは2本ずつスライスを共有し、周波数はスライス単位) ---
+PWM_DEFAULT_FREQ = 125000000 // 65536
+pwm = {}         # pin_id -> {"duty": u16, "invert": bool}
+slice_freq = {}  # slice -> Hz
+
+def pwm_slice(pin_id):
+    return (pin_id >> 1) & 7
+
+def pin_state(pin_id):
+    st = pins.get(pin_id)
+    if st is None:
+        st = pins[pin_id] = {"mode": None, "pull": None, "out": 0}
+    return st
+
+def drive(pin_id):
+    # 出力ドライバとプル抵抗の状態を3D側へ通知 (True/False = 駆動, None = ハイインピーダンス)
+    st = pin_state(pin_id)
+    if pin_id in pwm:
+        duty = pwm[pin_id]["duty"] / 65535
+        if pwm[pin_id]["invert"]:
+            duty = 1 - duty
+        freq = slice_freq.get(pwm_slice(pin_id), PWM_DEFAULT_FREQ)
+        _pico.pwm_update(pin_id, duty, freq, st["pull"] or 0)
+        return
+    if st["mode"] == MODE_OUT:
+        level = bool(st["out"])
+    elif st["mode"] == MODE_OPEN_DRAIN:
+        level = False if st["out"] == 0 else None
+    else:
+        level = None
+    _pico.pin_update(pin_id, level, st["pull"] or 0)
+
+def read_input(pin_id):
+    # 回路から求めた入力レベル (ホストが分からなければプル抵抗の向きで代用)
+    level = int(_pico.read_pin(pin_id))
+    if level >= 0:
+        return level
+    st = pin_state(pin_id)
+    return 1 if st["pull"] == PULL_UP else 0
+
+def read_adc(channel):
+    volts = float(_pico.read_adc(channel))
+    return volts if volts >= 0 else 0.0
+
+# --- バス (I2C / SPI / UART): 相手はホスト側の仮想デバイス (busDevices.js)。バイト列は16進文字列で渡す ---
+def claim_pin(pin_id, pull=None):
+    # ピンを周辺機能 (ALT) に切り替える: GPIO出力やPWMは外れる
+    st = pin_state(pin_id)
+    st["mode"] = MODE_ALT
+    st["pull"] = pull
+    pwm.pop(pin_id, None)
+    drive(pin_id)
+
+def i2c_scan(sda, scl):
+    return [int(addr) for addr in _pico.i2c_scan(sda, scl)]
+
+def i2c_write(sda, scl, addr, data):
+    return bool(_pico.i2c_write(sda, scl, addr, bytes(data).hex()))
+
+def i2c_read(sda, scl, addr, nbytes):
+    # NACK なら None
+    data = _pico.i2c_read(sda, scl, addr, nbytes)
+    return bytes.fromhex(data) if isinstance(data, str) else None
+
+def spi_transfer(sck, mosi, miso, data):
+    return bytes.fromhex(_pico.spi_transfer(sck, mosi, miso, bytes(data).hex()))
+
+def uart_open(rx):
+    _pico.uart_open(rx)
+
+def uart_write(tx, data):
+    _pico.uart_write(tx, bytes(data).hex())
+
+def uart_read(rx, nbytes):
+    # nbytes < 0 なら受信済みを全部
+    return bytes.fromhex(_pico.uart_read(rx, nbytes))
+
+def uart_any(rx):
+    return int(_pico.uart_any(rx))
+
+def bitstream(pin_id, data):
+    # WS2812 (NeoPixel) などへ1本の線でバイト列を送る。送り終わると線は LOW に戻る
+    pin_state(pin_id)["mode"] = MODE_OUT
+    pin_state(pin_id)["out"] = 0
+    pwm.pop(pin_id, None)
+    drive(pin_id)
+    _pico.bitstream(pin_id, bytes(data).hex())
+
+# --- ピン割り込み (Pin.irq) ---
+IRQ_FALLING = 4
+IRQ_RISING = 8
+
+irqs = {}
+
+def set_irq(pin, handler, trigger):
+    if handler is None:
+        irqs.pop(pin._id, None)
+        return
+    irqs[pin._id] = {"pin": pin, "handler": handler, "trigger": trigger, "last": read_input(pin._id), "flags": 0}
+
+def poll_irqs():
+    for pin_id, irq in list(irqs.items()):
+        level = read_input(pin_id)
+        last = irq["last"]
+        if level == last:
+            continue
+        irq["last"] = level
+        edge = IRQ_RISING if level else IRQ_FALLING
+        if irq["trigger"] & edge:
+            irq["flags"] = edge
+            call_handler(irq["handler"], irq["pin"])
+
+# --- タイマーと予約コールバック ---
+timers = []
+pending = []
+in_callback = False
+
+def schedule(func, arg):
+    if len(pending) >= 32:
+        raise RuntimeError("schedule queue full")
+    pending.append((func, arg))
+
+def call_handler(func, arg):
+    global in_callback
+    in_callback = True
+    try:
+        func(arg)
+    except Exception as e:
+        print("Uncaught exception in callback handler")
+        sys.print_exception(e)
+        return False
+    finally:
+        in_callback = False
+    return True
+
+def service():
+    # 期限の来たタイマーと予約済みコールバックを実行する
+    if in_callback:
+        return
+    poll_irqs()
+    now = now_us()
+    for t in list(timers):
+        if t._due is not None and now >= t._due:
+            t._fire(now)
+    while pending:
+        func, arg = pending.pop(0)
+        call_handler(func, arg)
+
+def next_due():
+    dues = [t._due for t in timers if t._due is not None]
+    return min(dues) if dues else None
+
+def sleep_us(us):
+    deadline = now_us() + max(0, int(us))
+    while True:
+        service()
+        now = now_us()
+        if now >= deadline:
+            break
+        wake = deadline
+        due = next_due()
+        if due is not None and due < wake:
+            wake = max(due, now)
+        _pico.wait_ms((wake - now) / 1000)
+
+def idle_forever():
+    # main.py 終了後もタイマー/割り込みが残っていれば実機同様に動かし続ける
+    while timers or irqs:
+        due = next_due()
+        sleep_us(max(0, due - now_us()) if due is not None else 100000)
+`;
+
+const MICROPYTHON = `
+import _picort
+
+def const(x):
+    return x
+
+def native(f):
+    return f
+
+viper = native
+
+def schedule(func, arg):
+    _picort.schedule(func, arg)
+
+def alloc_emergency_exception_buf(size):
+    pass
+
+def opt_level(level=None):
+    return 0 if level is None else None
+
+def mem_info(verbose=False):
+    print("stack: 0 out of 7936")
+    print("GC: total: 192064, used: 0, free: 192064")
+
+def qstr_info(verbose=False):
+    pass
+
+def stack_use():
+    return 0
+
+def heap_lock():
+    return 0
+
+def heap_unlock():
+    return 0
+
+def kbd_intr(chr):
+    pass
+`;
+
+// time / utime (同一モジュール)
+// _host_time (本物の time モジュール) は picoRuntime.js が注入する
+const TIME = `
+import _picort
+
+def sleep(seconds):
+    _picort.sleep_us(seconds * 1000000)
+
+def sleep_ms(ms):
+    _picort.sleep_us(ms * 1000)
+
+def sleep_us(us):
+    _picort.sleep_us(us)
+
+def ticks_us():
+    return _picort.now_us() & _picort.TICKS_MAX
+
+def ticks_ms():
+    return (_picort.now_us() // 1000) & _picort.TICKS_MAX
+
+def ticks_cpu():
+    return ticks_us()
+
+def ticks_add(ticks, delta):
+    return (ticks + delta) & _picort.TICKS_MAX
+
+def ticks_diff(ticks1, ticks2):
+    half = _picort.TICKS_HALFPERIOD
+    return ((ticks1 - ticks2 + half) & _picort.TICKS_MAX) - half
+
+def time():
+    return int(_host_time.time())
+
+def time_ns():
+    return _host_time.time_ns()
+
+def localtime(secs=None):
+    return tuple(_host_time.localtime(secs))[:8]
+
+def gmtime(secs=None):
+    return tuple(_host_time.gmtime(secs))[:8]
+
+def mktime(t):
+    return int(_host_time.mktime(tuple(t[:8]) + (-1,)))
+
+def __getattr__(name):
+    # MicroPythonに無い関数 (標準ライブラリ内部が使う time.monotonic 等) は本物の time に委譲
+    return getattr(_host_time, name)
+`;
+
+// framebuf: ssd1306.py などのディスプレイドライバが継承するフレームバッファ
+// 実機と同じメモリ配置で buffer を直接書き換える (ドライバはその buffer をそのまま I2C で送る)
+const FRAMEBUF = `
+MONO_VLSB = 0
+MVLSB = MONO_VLSB
+RGB565 = 1
+GS4_HMSB = 2
+MONO_HLSB = 3
+MONO_HMSB = 4
+GS2_HMSB = 5
+GS8 = 6
+
+# 8x8 フォント (font8x8_basic, public domain): ' '..'~' と 0x7F (表示できない文字用の枠)。各行の bit0 が左端
+_FONT = bytes.fromhex(
+    "0000000000000000183c3c1818001800363600000000000036367f367f3636000c3e031e301f0c00006333180c6663001c361c6e3b336e000606030000000000"
+    "180c0606060c1800060c1818180c060000663cff3c660000000c0c3f0c0c000000000000000c0c060000003f0000000000000000000c0c006030180c06030100"
+    "3e63737b6f673e000c0e0c0c0c0c3f001e33301c06333f001e33301c30331e00383c36337f3078003f031f3030331e001c06031f33331e003f3330180c0c0c00"
+    "1e33331e33331e001e33333e30180e00000c0c00000c0c00000c0c00000c0c06180c0603060c180000003f00003f0000060c1830180c06001e3330180c000c00"
+    "3e637b7b7b031e000c1e33333f3333003f66663e66663f003c66030303663c001f36666666361f007f46161e16467f007f46161e16060f003c66030373667c00"
+    "3333333f333333001e0c0c0c0c0c1e007830303033331e006766361e366667000f06060646667f0063777f7f6b63630063676f7b736363001c36636363361c00"
+    "3f66663e06060f001e3333333b1e38003f66663e366667001e33070e38331e003f2d0c0c0c0c1e003333333333333f0033333333331e0c006363636b7f776300"
+    "6363361c1c3663003333331e0c0c1e007f6331184c667f001e06060606061e0003060c18306040001e18181818181e00081c36630000000000000000000000ff"
+    "0c0c18000000000000001e303e336e000706063e66663b0000001e3303331e003830303e33336e0000001e333f031e001c36060f06060f0000006e33333e301f"
+    "0706366e666667000c000e0c0c0c1e00300030303033331e070666361e3667000e0c0c0c0c0c1e000000337f7f6b630000001f333333330000001e3333331e00"
+    "00003b66663e060f00006e33333e307800003b6e66060f0000003e031e301f00080c3e0c0c2c18000000333333336e0000003333331e0c000000636b7f7f3600"
+    "000063361c36630000003333333e301f00003f190c263f00380c0c070c0c38001818180018181800070c0c380c0c07006e3b0000000000007f41414141417f00"
+)
+
+class FrameBuffer:
+    def __init__(self, buffer, width, height, format, stride=None):
+        if format not in (MONO_VLSB, RGB565, GS4_HMSB, MONO_HLSB, MONO_HMSB, GS2_HMSB, GS8):
+            raise ValueError("invalid format")
+        self._buf = buffer
+        self._width = width
+        self._height = height
+        self._format = format
+        self._stride = width if stride is None else stride
+
+    # --- 形式ごとのピクセル配置 ---
+    def _get(self, x, y):
+        buf, f = self._buf, self._format
+        if f == MONO_VLSB:
+            return (buf[(y >> 3) * self._stride + x] >> (y & 7)) & 1
+        i = x + y * self._stride
+        if f == MONO_HLSB:
+            return (buf[i >> 3] >> (7 - (x & 7))) & 1
+        if f == MONO_HMSB:
+            return (buf[i >> 3] >> (x & 7)) & 1
+        if f == RGB565:
+            return buf[2 * i] | (buf[2 * i + 1] << 8)
+        if f == GS4_HMSB:
+            return (buf[i >> 1] >> (0 if x & 1 else 4)) & 0x0F
+        if f == GS2_HMSB:
+            return (buf[i >> 2] >> ((x & 3) << 1)) & 0x03
+        return buf[i]
+
+    def _set(self, x, y, c):
+        buf, f = self._buf, self._format
+        if f == MONO_VLSB:
+            i, bit = (y >> 3) * self._stride + x, 1 << (y & 7)
+        elif f == MONO_HLSB or f == MONO_HMSB:
+            i = (x + y * self._stride) >> 3
+            bit = 1 << (7 - (x & 7) if f == MONO_HLSB else x & 7)
+        else:
+            i = x + y * self._stride
+            if f == RGB565:
+                buf[2 * i] = c & 0xFF
+                buf[2 * i + 1] = (c >> 8) & 0xFF
+            elif f == GS4_HMSB:
+                shift = 0 if x & 1 else 4
+                buf[i >> 1] = (buf[i >> 1] & ~(0x0F << shift) & 0xFF) | ((c & 0x0F) << shift)
+            elif f == GS2_HMSB:
+                shift = (x & 3) << 1
+                buf[i >> 2] = (buf[i >> 2] & ~(0x03 << shift) & 0xFF) | ((c & 0x03) << shift)
+            else:
+                buf[i] = c & 0xFF
+            return
+        buf[i] = (buf[i] | bit) if c else (buf[i] & ~bit & 0xFF)
+
+    def _inside(self, x, y):
+        return 0 <= x < self._width and 0 <= y < self._height
+
+    # --- 描画 ---
+    def fill(self, c):
+        if self._format in (MONO_VLSB, MONO_HLSB, MONO_HMSB) and self._stride == self._width:
+            # 1ビット形式は全バイトを一度に埋める (毎フレームの fill(0) を速く)
+            size = (self._height + 7) // 8 * self._width if self._format == MONO_VLSB else (self._width * self._height + 7) // 8
+            self._buf[:size] = bytes([0xFF if c else 0x00]) * size
+            return
+        self.fill_rect(0, 0, self._width, self._height, c)
+
+    def pixel(self, x, y, c=None):
+        if not self._inside(x, y):
+            return None
+        if c is None:
+            return self._get(x, y)
+        self._set(x, y, c)
+
+    def fill_rect(self, x, y, w, h, c):
+        x0, y0 = max(x, 0), max(y, 0)
+        x1, y1 = min(x + w, self._width), min(y + h, self._height)
+        for yy in range(y0, y1):
+            for xx in range(x0, x1):
+                self._set(xx, yy, c)
+
+    def hline(self, x, y, w, c):
+        self.fill_rect(x, y, w, 1, c)
+
+    def vline(self, x, y, h, c):
+        self.fill_rect(x, y, 1, h, c)
+
+    def rect(self, x, y, w, h, c, f=False):
+        if f:
+            self.fill_rect(x, y, w, h, c)
+            return
+        self.fill_rect(x, y, w, 1, c)
+        self.fill_rect(x, y + h - 1, w, 1, c)
+        self.fill_rect(x, y, 1, h, c)
+        self.fill_rect(x + w - 1, y, 1, h, c)
+
+    def line(self, x1, y1, x2, y2, c):
+        # Bresenham
+        dx, dy = abs(x2 - x1), -abs(y2 - y1)
+        sx, sy = (1 if x1 < x2 else -1), (1 if y1 < y2 else -1)
+        err = dx + dy
+        while True:
+            self.pixel(x1, y1, c)
+            if x1 == x2 and y1 == y2:
+                break
+            e2 = 2 * err
+            if e2 >= dy:
+                err += dy
+                x1 += sx
+            if e2 <= dx:
+                err += dx
+                y1 += sy
+
+    def ellipse(self, x, y, xr, yr, c, f=False, m=0x0F):
+        # 中点アルゴリズム (MicroPython と同じ点列)。m: 描く象限 (bit0 = 右上, bit1 = 左上, bit2 = 左下, bit3 = 右下)
+        def points(dx, dy):
+            for sx, sy, bit in ((1, -1, 1), (-1, -1, 2), (-1, 1, 4), (1, 1, 8)):
+                if not m & bit:
+                    continue
+                if f:
+                    self.hline(x if sx > 0 else x - dx, y + sy * dy, dx + 1, c)
+                else:
+                    self.pixel(x + sx * dx, y + sy * dy, c)
+        if xr == 0 and yr == 0:
+            if m & 0x0F:
+                self.pixel(x, y, c)
+            return
+        a2, b2 = 2 * xr * xr, 2 * yr * yr
+        # 傾きが緩い部分 (y を1ずつ進める)
+        dx, dy = xr, 0
+        xchange, ychange, err = yr * yr * (1 - 2 * xr), xr * xr, 0
+        stop_x, stop_y = b2 * xr, 0
+        while stop_x >= stop_y:
+            points(dx, dy)
+            dy += 1
+            stop_y += a2
+            err += ychange
+            ychange += a2
+            if 2 * err + xchange > 0:
+                dx -= 1
+                stop_x -= b2
+                err += xchange
+                xchange += b2
+        # 傾きが急な部分 (x を1ずつ進める)
+        dx, dy = 0, yr
+        xchange, ychange, err = yr * yr, xr * xr * (1 - 2 * yr), 0
+        stop_x, stop_y = 0, a2 * yr
+        while stop_x <= stop_y:
+            points(dx, dy)
+            dx += 1
+            stop_x += b2
+            err += xchange
+            xchange += b2
+            if 2 * err + ychange > 0:
+                dy -= 1
+                stop_y -= a2
+                err += ychange
+                ychange += a2
+
+    def poly(self, x, y, coords, c, f=False):
+        points = [(x + coords[i], y + coords[i + 1]) for i in range(0, len(coords) - 1, 2)]
+        if not points:
+            return
+        if f:
+            # 偶奇規則のスキャンライン塗り
+            ys = [p[1] for p in points]
+            for row in range(min(ys), max(ys) + 1):
+                nodes = []
+                for (ax, ay), (bx, by) in zip(points, points[1:] + points[:1]):
+                    if ay != by and min(ay, by) <= row < max(ay, by):
+                        nodes.append(ax + (row - ay) * (bx - ax) / (by - ay))
+                nodes.sort()
+                for i in range(0, len(nodes) - 1, 2):
+                    left = int(nodes[i] + 0.5)
+                    self.hline(left, row, int(nodes[i + 1] + 0.5) - left + 1, c)
+        for (ax, ay), (bx, by) in zip(points, points[1:] + points[:1]):
+            self.line(ax, ay, bx, by, c)
+
+    def text(self, s, x, y, c=1):
+        for ch in str(s):
+            code = ord(ch)
+            glyph = (code - 32 if 32 <= code <= 127 else 95) * 8
+            for row in range(8):
+                bits = _FONT[glyph + row]
+                for col in range(8):
+                    if (bits >> col) & 1:
+                        self.pixel(x + col, y + row, c)
+            x += 8
+
+    def scroll(self, xstep, ystep):
+        # 空いた部分は元の内容のまま (実機と同じ)
+        w, h = self._width, self._height
+        if abs(xstep) >= w or abs(ystep) >= h:
+            return
+        rows = range(h - 1, ystep - 1, -1) if ystep > 0 else range(0, h + ystep)
+        cols = range(w - 1, xstep - 1, -1) if xstep > 0 else range(0, w + xstep)
+        for yy in rows:
+            for xx in cols:
+                self._set(xx, yy, self._get(xx - xstep, yy - ystep))
+
+    def blit(self, fbuf, x, y, key=-1, palette=None):
+        if not isinstance(fbuf, FrameBuffer):
+            fbuf = FrameBuffer(*fbuf)
+        for sy in range(fbuf._height):
+            for sx in range(fbuf._width):
+                if not self._inside(x + sx, y + sy):
+                    continue
+                c = fbuf._get(sx, sy)
+                if palette is not None:
+                    c = palette._get(c, 0)
+                if c != key:
+                    self._set(x + sx, y + sy, c)
+
+def FrameBuffer1(buffer, width, height, stride=None):
+    return FrameBuffer(buffer, width, height, MONO_VLSB, stride)
+`;
+
+const MACHINE = `
+import _picort
+import time as _time
+
+_MODE_NAMES = {0: "IN", 1: "OUT", 2: "OPEN_DRAIN", 3: "ALT"}
+_PULL_NAMES = {1: "PULL_UP", 2: "PULL_DOWN"}
+
+def _resolve_pin(id):
+    if isinstance(id, Pin):
+        return id._id
+    if isinstance(id, str):
+        name = id.upper()
+        if name == "LED":
+            return 25
+        for prefix in ("GPIO", "GP"):
+            if name.startswith(prefix) and name[len(prefix):].isdigit():
+                id = int(name[len(prefix):])
+                break
+        else:
+            raise ValueError("unknown named pin '" + id + "'")
+    if not isinstance(id, int) or not 0 <= id <= 29:
+        raise ValueError("invalid pin")
+    return id
+
+class Pin:
+    IN = _picort.MODE_IN
+    OUT = _picort.MODE_OUT
+    OPEN_DRAIN = _picort.MODE_OPEN_DRAIN
+    ALT = _picort.MODE_ALT
+    PULL_UP = _picort.PULL_UP
+    PULL_DOWN = _picort.PULL_DOWN
+    IRQ_FALLING = _picort.IRQ_FALLING
+    IRQ_RISING = _picort.IRQ_RISING
+    ALT_SPI = 1
+    ALT_UART = 2
+    ALT_I2C = 3
+    ALT_PWM = 4
+    ALT_SIO = 5
+    ALT_PIO0 = 6
+    ALT_PIO1 = 7
+
+    def __init__(self, id, mode=-1, pull=-1, *, value=None, drive=None, alt=None):
+        self._id = _resolve_pin(id)
+        self.init(mode, pull, value=value, drive=drive, alt=alt)
+
+    def init(self, mode=-1, pull=-1, *, value=None, drive=None, alt=None):
+        st = _picort.pin_state(self._id)
+        if value is not None:
+            st["out"] = 1 if value else 0
+        if mode != -1:
+            if mode not in _MODE_NAMES:
+                raise ValueError("invalid pin mode: " + str(mode))
+            st["mode"] = mode
+            _picort.pwm.pop(self._id, None)
+        if pull != -1:
+            if pull is not None and pull not in _PULL_NAMES:
+                raise ValueError("invalid pull value: " + str(pull))
+            st["pull"] = pull
+        _picort.drive(self._id)
+
+    def value(self, x=None):
+        st = _picort.pin_state(self._id)
+        if x is None:
+            if st["mode"] in (Pin.OUT, Pin.OPEN_DRAIN):
+                return st["out"]
+            _picort.service()
+            return _picort.read_input(self._id)
+        st["out"] = 1 if x else 0
+        # モードを一度も決めていないピン (Pin(15).value(1) など) は書いた時点で出力にする
+        if st["mode"] is None:
+            st["mode"] = Pin.OUT
+        _picort.drive(self._id)
+
+    def __call__(self, x=None):
+        return self.value(x)
+
+    def on(self):
+        self.value(1)
+
+    def off(self):
+        self.value(0)
+
+    def high(self):
+        self.value(1)
+
+    def low(self):
+        self.value(0)
+
+    def toggle(self):
+        st = _picort.pin_state(self._id)
+        self.value(0 if st["out"] else 1)
+
+    def mode(self, mode=None):
+        if mode is None:
+            return _picort.pin_state(self._id)["mode"]
+        self.init(mode)
+
+    def pull(self, pull=-1):
+        if pull == -1:
+            return _picort.pin_state(self._id)["pull"]
+        self.init(pull=pull)
+
+    def drive(self, drive=None):
+        return 0 if drive is None else None
+
+    def irq(self, handler=None, trigger=IRQ_FALLING | IRQ_RISING, *, priority=1, wake=None, hard=False):
+        _picort.set_irq(self, handler, trigger)
+        return _PinIRQ(self._id)
+
+    def __repr__(self):
+        st = _picort.pin_state(self._id)
+        s = "Pin(GPIO" + str(self._id)
+        if st["mode"] is not None:
+            s += ", mode=" + _MODE_NAMES[st["mode"]]
+        if st["pull"]:
+            s += ", pull=" + _PULL_NAMES[st["pull"]]
+        return s + ")"
+
+class _PinIRQ:
+    def __init__(self, pin_id):
+        self._pin_id = pin_id
+
+    def flags(self):
+        irq = _picort.irqs.get(self._pin_id)
+        return irq["flags"] if irq else 0
+
+    def trigger(self, trigger=None):
+        irq = _picort.irqs.get(self._pin_id)
+        if trigger is None:
+            return irq["trigger"] if irq else 0
+        if irq:
+            irq["trigger"] = trigger
+
+class Signal:
+    def __init__(self, pin, *args, invert=False, **kwargs):
+        self._pin = pin if isinstance(pin, Pin) else Pin(pin, *args, **kwargs)
+        self._invert = bool(invert)
+
+    def value(self, x=None):
+        if x is None:
+            return self._pin.value() ^ self._invert
+        self._pin.value((1 if x else 0) ^ self._invert)
+
+    def __call__(self, x=None):
+        return self.value(x)
+
+    def on(self):
+        self.value(1)
+
+    def off(self):
+        self.value(0)
+
+class Timer:
+    ONE_SHOT = 0
+    PERIODIC = 1
+
+    def __init__(self, id=-1, *, mode=PERIODIC, period=-1, tick_hz=1000, freq=None, callback=None):
+        if id != -1:
+            raise ValueError("only virtual timers (id=-1) are supported")
+        self._due = None
+        self._mode = mode
+        self._period_us = 0
+        self._callback = None
+        if callback is not None or period != -1 or freq is not None:
+            self.init(mode=mode, period=period, tick_hz=tick_hz, freq=freq, callback=callback)
+
+    def init(self, *, mode=PERIODIC, period=-1, tick_hz=1000, freq=None, callback=None):
+        if mode not in (Timer.ONE_SHOT, Timer.PERIODIC):
+            raise ValueError("invalid mode")
+        if freq is not None:
+            if freq <= 0:
+                raise ValueError("invalid freq")
+            period_us = 1000000 / freq
+        elif period >= 0:
+            period_us = period * 1000000 / tick_hz
+        else:
+            raise ValueError("period or freq required")
+        self._mode = mode
+        self._period_us = max(1, int(period_us))
+        self._callback = callback
+        self._due = _picort.now_us() + self._period_us
+        if self not in _picort.timers:
+            _picort.timers.append(self)
+
+    def deinit(self):
+        self._due = None
+        if self in _picort.timers:
+            _picort.timers.remove(self)
+
+    def _fire(self, now):
+        if self._mode == Timer.PERIODIC:
+            self._due += self._period_us
+            if self._due <= now:
+                self._due = now + self._period_us
+        else:
+            self.deinit()
+        if self._callback is not None and not _picort.call_handler(self._callback, self):
+            self.deinit()
+
+    def __repr__(self):
+        mode = "PERIODIC" if self._mode == Timer.PERIODIC else "ONE_SHOT"
+        return "Timer(mode=" + mode + ", period=" + str(self._period_us) + ", tick_hz=1000000)"
+
+class RTC:
+    def __init__(self, id=0):
+        self._offset = 0
+
+    def datetime(self, dt=None):
+        if dt is None:
+            t = _time.localtime(_time.time() + self._offset)
+            return (t[0], t[1], t[2], t[6], t[3], t[4], t[5], 0)
+        target = _time.mktime((dt[0], dt[1], dt[2], dt[4], dt[5], dt[6], 0, 0))
+        self._offset = target - _time.time()
+
+def _unsupported_class(name):
+    class _Unsupported:
+        def __init__(self, *args, **kwargs):
+            _picort.unsupported("machine." + name)
+    _Unsupported.__name__ = name
+    return _Unsupported
+
+class PWM:
+    def __init__(self, dest, *, freq=None, duty_u16=None, duty_ns=None, invert=False):
+        self._pin = dest if isinstance(dest, Pin) else Pin(dest)
+        self._id = self._pin._id
+        _picort.pin_state(self._id)["mode"] = Pin.ALT
+        _picort.pwm[self._id] = {"duty": 0, "invert": bool(invert)}
+        self.init(freq=freq, duty_u16=duty_u16, duty_ns=duty_ns)
+
+    def init(self, *, freq=None, duty_u16=None, duty_ns=None, invert=None):
+        state = self._state()
+        if invert is not None:
+            state["invert"] = bool(invert)
+        if freq is not None:
+            self.freq(freq)
+        if duty_u16 is not None:
+            self.duty_u16(duty_u16)
+        if duty_ns is not None:
+            self.duty_ns(duty_ns)
+        _picort.drive(self._id)
+
+    def _state(self):
+        state = _picort.pwm.get(self._id)
+        if state is None:
+            raise ValueError("PWM is deinitialised")
+        return state
+
+    def _slice_pins(self):
+        sl = _picort.pwm_slice(self._id)
+        return [p for p in _picort.pwm if _picort.pwm_slice(p) == sl]
+
+    def freq(self, value=None):
+        sl = _picort.pwm_slice(self._id)
+        if value is None:
+            return _picort.slice_freq.get(sl, _picort.PWM_DEFAULT_FREQ)
+        if value < 8:
+            raise ValueError("freq too small")
+        if value > 62500000:
+            raise ValueError("freq too large")
+        _picort.slice_freq[sl] = int(value)
+        for p in self._slice_pins():
+            _picort.drive(p)
+
+    def duty_u16(self, value=None):
+        state = self._state()
+        if value is None:
+            return state["duty"]
+        state["duty"] = max(0, min(65535, int(value)))
+        _picort.drive(self._id)
+
+    def duty_ns(self, value=None):
+        period_ns = 1000000000 / self.freq()
+        if value is None:
+            return int(self._state()["duty"] / 65535 * period_ns)
+        self.duty_u16(value / period_ns * 65535)
+
+    def deinit(self):
+        _picort.pwm.pop(self._id, None)
+        _picort.drive(self._id)
+
+    def __repr__(self):
+        state = _picort.pwm.get(self._id)
+        duty = state["duty"] if state else 0
+        return "<PWM slice=" + str(_picort.pwm_slice(self._id)) + " channel=" + str(self._id & 1) + " invert=" + str(int(bool(state and state["invert"]))) + " freq=" + str(self.freq()) + " duty_u16=" + str(duty) + ">"
+
+class ADC:
+    CORE_TEMP = 4
+
+    def __init__(self, id):
+        if isinstance(id, Pin):
+            id = id._id
+        if isinstance(id, int) and 26 <= id <= 29:
+            self._ch, gpio = id - 26, id
+        elif isinstance(id, int) and 0 <= id <= 4:
+            self._ch, gpio = id, (26 + id if id < 4 else None)
+        else:
+            raise ValueError("Pin doesn't have ADC capabilities")
+        if gpio is not None:
+            # アナログ入力: デジタル入出力とプル抵抗を切り離す
+            st = _picort.pin_state(gpio)
+            st["mode"] = None
+            st["pull"] = None
+            _picort.pwm.pop(gpio, None)
+            _picort.drive(gpio)
+
+    def read_u16(self):
+        raw12 = int(_picort.read_adc(self._ch) / 3.3 * 4095 + 0.5)
+        raw12 = max(0, min(4095, raw12))
+        return (raw12 << 4) | (raw12 >> 8)
+
+    def __repr__(self):
+        return "<ADC channel=" + str(self._ch) + ">"
+
+# --- バス (I2C / SPI / UART) ---
+# ハードウェアのバスは RP2040 の機能表どおりのピンしか使えない (Soft* はどのピンでもよい)。
+# 転送相手は「そのピンに実際に配線されている」仮想デバイスだけ (busDevices.js)
+def _bus_id(kind, id):
+    if id not in (0, 1):
+        raise ValueError(kind + "(" + str(id) + ") doesn't exist")
+    return id
+
+def _bus_pin(pin, default, ok, label):
+    pin_id = _resolve_pin(default if pin is None else pin)
+    if not ok(pin_id):
+        raise ValueError("bad " + label + " pin")
+    return pin_id
+
+# deinit() したバスは init() し直すまで使えない (転送は ValueError)
+def _bus_check(bus):
+    if not bus._open:
+        raise ValueError(type(bus).__name__ + " is deinitialised")
+
+class I2C:
+    _NACK = 5  # EIO (SoftI2C は ENODEV)
+
+    def __init__(self, id, *, scl=None, sda=None, freq=400000, timeout=50000):
+        self._id = _bus_id("I2C", id)
+        # I2C0: SDA = GP0,4,8,...  SCL = GP1,5,9,... / I2C1 はそれぞれ +2
+        self._scl = _bus_pin(scl, (9, 7)[id], lambda p: p % 4 == 2 * id + 1, "SCL")
+        self._sda = _bus_pin(sda, (8, 6)[id], lambda p: p % 4 == 2 * id, "SDA")
+        self.init(freq=freq, timeout=timeout)
+
+    def init(self, *, freq=400000, timeout=50000):
+        self._freq = freq
+        self._timeout = timeout
+        self._open = True
+        _picort.claim_pin(self._scl, _picort.PULL_UP)
+        _picort.claim_pin(self._sda, _picort.PULL_UP)
+
+    def deinit(self):
+        self._open = False
+
+    def scan(self):
+        _bus_check(self)
+        return _picort.i2c_scan(self._sda, self._scl)
+
+    def writeto(self, addr, buf, stop=True):
+        _bus_check(self)
+        if not _picort.i2c_write(self._sda, self._scl, addr, buf):
+            raise OSError(self._NACK)
+        return len(buf)
+
+    def writevto(self, addr, vector, stop=True):
+        return self.writeto(addr, b"".join(bytes(buf) for buf in vector), stop)
+
+    def readfrom(self, addr, nbytes, stop=True):
+        _bus_check(self)
+        data = _picort.i2c_read(self._sda, self._scl, addr, nbytes)
+        if data is None:
+            raise OSError(self._NACK)
+        return data
+
+    def readfrom_into(self, addr, buf, stop=True):
+        buf[:] = self.readfrom(addr, len(buf), stop)
+
+    def writeto_mem(self, addr, memaddr, buf, *, addrsize=8):
+        self.writeto(addr, memaddr.to_bytes(addrsize // 8, "big") + bytes(buf))
+
+    def readfrom_mem(self, addr, memaddr, nbytes, *, addrsize=8):
+        self.writeto(addr, memaddr.to_bytes(addrsize // 8, "big"), False)
+        return self.readfrom(addr, nbytes)
+
+    def readfrom_mem_into(self, addr, memaddr, buf, *, addrsize=8):
+        buf[:] = self.readfrom_mem(addr, memaddr, len(buf), addrsize=addrsize)
+
+    # 1バイト単位の低レベル操作 (start/stop を自分で出す) は仮想デバイスが扱えない
+    def start(self):
+        _picort.unsupported("I2C.start")
+
+    def stop(self):
+        _picort.unsupported("I2C.stop")
+
+    def readinto(self, buf, nack=True):
+        _picort.unsupported("I2C.readinto")
+
+    def write(self, buf):
+        _picort.unsupported("I2C.write")
+
+    def __repr__(self):
+        return "I2C(" + str(self._id) + ", freq=" + str(self._freq) + ", scl=" + str(self._scl) + ", sda=" + str(self._sda) + ", timeout=" + str(self._timeout) + ")"
+
+class SoftI2C(I2C):
+    _NACK = 19  # ENODEV
+
+    def __init__(self, scl, sda, *, freq=400000, timeout=50000):
+        self._id = -1
+        self._scl = _resolve_pin(scl)
+        self._sda = _resolve_pin(sda)
+        self.init(freq=freq, timeout=timeout)
+
+    def __repr__(self):
+        return "SoftI2C(scl=" + str(self._scl) + ", sda=" + str(self._sda) + ", freq=" + str(self._freq) + ")"
+
+class SPI:
+    MSB = 0
+    LSB = 1
+    CONTROLLER = 0
+
+    def __init__(self, id, baudrate=1000000, *, polarity=0, phase=0, bits=8, firstbit=MSB, sck=None, mosi=None, miso=None):
+        self._id = _bus_id("SPI", id)
+        # SPI0: GP0-7, GP16-23 / SPI1: GP8-15, GP24-29 (下2ビットで MISO / CS / SCK / MOSI)
+        in_bus = lambda p: (p >> 3) & 1 == id
+        self._sck = _bus_pin(sck, (18, 10)[id], lambda p: in_bus(p) and p % 4 == 2, "SCK")
+        self._mosi = _bus_pin(mosi, (19, 11)[id], lambda p: in_bus(p) and p % 4 == 3, "MOSI")
+        self._miso = _bus_pin(miso, (16, 8)[id], lambda p: in_bus(p) and p % 4 == 0, "MISO")
+        self.init(baudrate, polarity=polarity, phase=phase, bits=bits, firstbit=firstbit)
+
+    def init(self, baudrate=1000000, *, polarity=0, phase=0, bits=8, firstbit=MSB):
+        self._baudrate = baudrate
+        self._polarity = polarity
+        self._phase = phase
+        self._bits = bits
+        self._firstbit = firstbit
+        self._open = True
+        for p in (self._sck, self._mosi, self._miso):
+            _picort.claim_pin(p)
+
+    def deinit(self):
+        self._open = False
+
+    def _transfer(self, data):
+        _bus_check(self)
+        return _picort.spi_transfer(self._sck, self._mosi, self._miso, data)
+
+    def read(self, nbytes, write=0x00):
+        return self._transfer(bytes([write]) * nbytes)
+
+    def readinto(self, buf, write=0x00):
+        buf[:] = self.read(len(buf), write)
+
+    def write(self, buf):
+        self._transfer(buf)
+
+    def write_readinto(self, write_buf, read_buf):
+        if len(write_buf) != len(read_buf):
+            raise ValueError("buffers must be the same length")
+        read_buf[:] = self._transfer(write_buf)
+
+    def __repr__(self):
+        return "SPI(" + str(self._id) + ", baudrate=" + str(self._baudrate) + ", polarity=" + str(self._polarity) + ", phase=" + str(self._phase) + ", bits=" + str(self._bits) + ", sck=" + str(self._sck) + ", mosi=" + str(self._mosi) + ", miso=" + str(self._miso) + ")"
+
+class SoftSPI(SPI):
+    def __init__(self, baudrate=500000, *, polarity=0, phase=0, bits=8, firstbit=SPI.MSB, sck=None, mosi=None, miso=None):
+        if sck is None or mosi is None or miso is None:
+            raise TypeError("must specify all of sck/mosi/miso")
+        self._id = -1
+        self._sck = _resolve_pin(sck)
+        self._mosi = _resolve_pin(mosi)
+        self._miso = _resolve_pin(miso)
+        self.init(baudrate, polarity=polarity, phase=phase, bits=bits, firstbit=firstbit)
+
+    def __repr__(self):
+        return "SoftSPI(baudrate=" + str(self._baudrate) + ", polarity=" + str(self._polarity) + ", phase=" + str(self._phase) + ")"
+
+class UART:
+    INV_TX = 1
+    INV_RX = 2
+    RTS = 1
+    CTS = 2
+
+    def __init__(self, id, baudrate=115200, bits=8, parity=None, stop=1, *, tx=None, rx=None, timeout=0, timeout_char=1, **kwargs):
+        self._id = _bus_id("UART", id)
+        # UART0: TX = GP0,12,16,28 / UART1: TX = GP4,8,20,24 (RX はそれぞれ +1)
+        in_bus = lambda p: ((p + 4) >> 3) & 1 == id
+        self._tx = _bus_pin(tx, (0, 4)[id], lambda p: in_bus(p) and p % 4 == 0, "TX")
+        self._rx = _bus_pin(rx, (1, 5)[id], lambda p: in_bus(p) and p % 4 == 1, "RX")
+        self.init(baudrate, bits, parity, stop, timeout=timeout, timeout_char=timeout_char)
+
+    def init(self, baudrate=115200, bits=8, parity=None, stop=1, *, timeout=0, timeout_char=1, **kwargs):
+        self._baudrate = baudrate
+        self._bits = bits
+        self._parity = parity
+        self._stop = stop
+        self._timeout = timeout
+        self._timeout_char = timeout_char
+        self._open = True
+        _picort.claim_pin(self._tx)
+        _picort.claim_pin(self._rx)
+        _picort.uart_open(self._rx)
+
+    def deinit(self):
+        self._open = False
+
+    def any(self):
+        _bus_check(self)
+        _picort.service()
+        return _picort.uart_any(self._rx)
+
+    def _wait(self, nbytes):
+        # timeout (ms) の間、nbytes 揃うのを待つ
+        deadline = _picort.now_us() + self._timeout * 1000
+        while self.any() < nbytes and _picort.now_us() < deadline:
+            _picort.sleep_us(min(1000, deadline - _picort.now_us()))
+
+    def read(self, nbytes=None):
+        _bus_check(self)
+        self._wait(1 if nbytes is None else nbytes)
+        data = _picort.uart_read(self._rx, -1 if nbytes is None else nbytes)
+        return data if data or nbytes == 0 else None
+
+    def readinto(self, buf, nbytes=None):
+        data = self.read(len(buf) if nbytes is None else nbytes)
+        if data is None:
+            return None
+        buf[:len(data)] = data
+        return len(data)
+
+    def readline(self):
+        # 改行 (0x0A) まで。timeout までに来なければ、そこまでに届いた分
+        line = b""
+        deadline = _picort.now_us() + self._timeout * 1000
+        while True:
+            if self.any():
+                byte = _picort.uart_read(self._rx, 1)
+                line += byte
+                if byte[0] == 10:
+                    break
+            elif _picort.now_us() >= deadline:
+                break
+            else:
+                _picort.sleep_us(min(1000, deadline - _picort.now_us()))
+        return line or None
+
+    def write(self, buf):
+        _bus_check(self)
+        data = buf.encode() if isinstance(buf, str) else bytes(buf)
+        _picort.uart_write(self._tx, data)
+        return len(data)
+
+    def sendbreak(self):
+        _bus_check(self)
+
+    def flush(self):
+        _bus_check(self)
+
+    def txdone(self):
+        _bus_check(self)
+        return True
+
+    def irq(self, *args, **kwargs):
+        _picort.unsupported("UART.irq")
+
+    def __repr__(self):
+        return "UART(" + str(self._id) + ", baudrate=" + str(self._baudrate) + ", bits=" + str(self._bits) + ", parity=" + str(self._parity) + ", stop=" + str(self._stop) + ", tx=" + str(self._tx) + ", rx=" + str(self._rx) + ", timeout=" + str(self._timeout) + ")"
+
+WDT = _unsupported_class("WDT")
+I2S = _unsupported_class("I2S")
+
+_freq = 125000000
+_irq_state = 1
+
+def freq(hz=None):
+    global _freq
+    if hz is None:
+        return _freq
+    _freq = hz
+
+def unique_id():
+    return bytes([0xE6, 0x61, 0x38, 0x97, 0x43, 0x2B, 0x5C, 0x2E])
+
+def reset():
+    raise SystemExit("machine.reset()")
+
+def soft_reset():
+    raise SystemExit("machine.soft_reset()")
+
+def reset_cause():
+    return PWRON_RESET
+
+def bootloader(value=None):
+    _picort.unsupported("machine.bootloader")
+
+def idle():
+    _picort.sleep_us(1000)
+
+def lightsleep(ms=None):
+    if ms is None:
+        _picort.unsupported("machine.lightsleep() without timeout")
+    _picort.sleep_us(ms * 1000)
+
+deepsleep = lightsleep
+
+def disable_irq():
+    global _irq_state
+    state = _irq_state
+    _irq_state = 0
+    return state
+
+def enable_irq(state=1):
+    global _irq_state
+    _irq_state = state
+
+def time_pulse_us(pin, pulse_level, timeout_us=1000000):
+    _picort.unsupported("machine.time_pulse_us")
+
+# encoding 0 = (high_0, low_0, high_1, low_1) ns のパルス。タイミングは見ずにバイト列だけ配線の先へ届ける
+def bitstream(pin, encoding, timing, buf):
+    if encoding != 0:
+        raise ValueError("invalid encoding")
+    if len(timing) != 4:
+        raise ValueError("invalid timing")
+    _picort.bitstream(_resolve_pin(pin), buf)
+
+PWRON_RESET = 1
+WDT_RESET = 3
+`;
+
+// micropython-lib の neopixel.py と同じ (バッファは G R B (W) の順)
+const NEOPIXEL = `
+from machine import bitstream
+
+class NeoPixel:
+    # G R B W
+    ORDER = (1, 0, 2, 3)
+
+    def __init__(self, pin, n, bpp=3, timing=1):
+        self.pin = pin
+        self.n = n
+        self.bpp = bpp
+        self.buf = bytearray(n * bpp)
+        self.pin.init(pin.OUT)
+        # timing: 1 = 800kHz / 0 = 400kHz / (high_0, low_0, high_1, low_1) ns
+        self.timing = (
+            ((400, 850, 800, 450) if timing else (800, 1700, 1600, 900))
+            if isinstance(timing, int)
+            else timing
+        )
+
+    def __len__(self):
+        return self.n
+
+    def __setitem__(self, i, v):
+        offset = i * self.bpp
+        for i in range(self.bpp):
+            self.buf[offset + self.ORDER[i]] = v[i]
+
+    def __getitem__(self, i):
+        offset = i * self.bpp
+        return tuple(self.buf[offset + self.ORDER[i]] for i in range(self.bpp))
+
+    def fill(self, v):
+        b = self.buf
+        l = len(self.buf)
+        bpp = self.bpp
+        for i in range(bpp):
+            c = v[i]
+            j = self.ORDER[i]
+            while j < l:
+                b[j] = c
+                j += bpp
+
+    def write(self):
+        bitstream(self.pin, 0, self.timing, self.buf)
+`;
+
+// 実行順 (依存される側が先)
+export const MICROPYTHON_MODULES = [
+  ['_picort', PICORT],
+  ['micropython', MICROPYTHON],
+  ['time', TIME],
+  ['framebuf', FRAMEBUF],
+  ['machine', MACHINE],
+  ['neopixel', NEOPIXEL],
+];
+
+// MicroPythonの "u" 付きモジュール名 (ujson 等) -> 標準ライブラリ
+export const U_MODULE_ALIASES = ['json', 'struct', 'binascii', 'random', 'collections', 're', 'os', 'io', 'sys', 'errno', 'heapq', 'hashlib', 'array', 'select', 'asyncio'];
@@ -0,0 +1,34 @@
+import { circuitNodes, solveNetwork, compKey } from './circuitSolver';
+import { partElements } from './parts';
+
+// --- マルチメーター (テスター) ---
+// 赤 / 黒のプローブを刺した穴 ({ row, col }) のネットどうしを測る。
+// 電圧: 回路を解いた結果 (solveCircuit) の電位差 (赤 - 黒)。実行中はピンの出力に合わせて変わる
+// 抵抗: 置いた部品の抵抗 (抵抗器 / ジャンパ線 / 閉じたスイッチ / ポテンショメータなど) だけを残した回路に
+//       メーターの測定電圧をかけて求める。LED は測定電圧では光らないので開放、電源と Pico の中は見ない
+//       (本物と同じく、電源を切って / プログラムを止めて測る前提)。Pico の GND ピンどうしは 0Ω
+export const OHM_OVERLOAD = 40e6; // これより大きければ "OL" (レンジ外)
+export const CONTINUITY_OHMS = 30; // これより小さければ導通ブザーが鳴る
+const METER_VOLTS = 0.5;
+const METER_OHMS = 1000; // 測定電流を決める内部抵抗
+
+export function measureVoltage(circuit, solved, red, black) {
+  const { nodeOfHole } = circuitNodes(circuit);
+  const volt = (probe) => solved.voltages[nodeOfHole(probe.row, probe.col)] || 0;
+  return volt(red) - volt(black);
+}
+
+// 赤-黒 間の抵抗 [Ω] (つながっていなければ Infinity)
+export function measureResistance(circuit, red, black) {
+  const { components = [], switchStates = {} } = circuit;
+  const { nodeOfHole } = circuitNodes(circuit);
+  const a = nodeOfHole(red.row, red.col);
+  const b = nodeOfHole(black.row, black.col);
+  if (a === b) return 0;
+  const resistors = components
+    .flatMap(item => partElements(item, { key: compKey(item.type, item.id), nodeOfHole, switchStates }))
+    .filter(el => el.kind === 'resistor');
+  const { currents, drops } = solveNetwork([...resistors, { kind: 'source', key: 'meter', a, b, volts: METER_VOLTS, ohms: METER_OHMS }]);
+  const ohms = drops.meter / currents.meter;
+  return currents.meter > 0 && ohms < OHM_OVERLOAD ? ohms : Infinity;
+}
@@ -0,0 +1,40 @@
+import { measureVoltage, measureResistance, CONTINUITY_OHMS } from './multimeter';
+import { solveCircuit } from './circuitSolver';
+import { BLINK_EXAMPLE } from './examples';
+
+const circuitOf = (overrides) => ({ components: [], pinStates: {}, pinPulls: {}, ...overrides });
+const hole = (row, col) => ({ row, col });
+
+test('voltage is the potential difference between the red and black probe nets', () => {
+  const circuit = circuitOf({ ...BLINK_EXAMPLE, pinStates: { 15: true } });
+  const solved = solveCircuit(circuit);
+  // GP15 (左 Row 20) と GND (左 Row 18)
+  expect(measureVoltage(circuit, solved, hole(20, 1), hole(18, 1))).toBeGreaterThan(3.0); // 出力段の内部抵抗で LED の電流の分だけ下がる
+  expect(measureVoltage(circuit, solved, hole(18, 1), hole(20, 1))).toBeLessThan(-3.0);
+  const low = circuitOf({ ...BLINK_EXAMPLE, pinStates: { 15: false } });
+  expect(measureVoltage(low, solveCircuit(low), hole(20, 1), hole(18, 1))).toBeCloseTo(0, 6);
+});
+
+test('resistance adds up resistors and wires between the probes and ignores LEDs', () => {
+  // Row 24 -1kΩ- Row 26 -1kΩ- Row 28, Row 24 と Row 28 の間にも 2kΩ (並列で 1kΩ), Row 28 -> Row 29 はジャンパ線
+  const resistor = (id, sR, eR, ohms) => ({ type: 'resistor', id, sR, sC: 1, eR, eC: 1, ohms });
+  const components = [
+    resistor(1, 24, 26, 1000), resistor(2, 26, 28, 1000), resistor(3, 24, 28, 2000),
+    { type: 'wire', id: 1, sR: 28, sC: 2, eR: 29, eC: 2 },
+    { type: 'led', id: 1, sR: 29, sC: 8, eR: 30, eC: 8 },
+  ];
+  const circuit = circuitOf({ components });
+  expect(measureResistance(circuit, hole(24, 5), hole(28, 5))).toBeCloseTo(1000, 3);
+  expect(measureResistance(circuit, hole(28, 5), hole(24, 5))).toBeCloseTo(1000, 3);
+  expect(measureResistance(circuit, hole(28, 3), hole(29, 3))).toBeLessThan(CONTINUITY_OHMS);
+  expect(measureResistance(circuit, hole(26, 3), hole(26, 4))).toBe(0);
+  expect(measureResistance(circuit, hole(29, 3), hole(30, 3))).toBe(Infinity);
+  // Pico の GND ピンの行どうしは導通
+  expect(measureResistance(circuit, hole(3, 1), hole(18, 1))).toBe(0);
+});
+
+test('closed switches conduct and open ones do not', () => {
+  const components = [{ type: 'switch', id: 1, sR: 24, sC: 1, eR: 26, eC: 1, kind: 'button' }];
+  expect(measureResistance(circuitOf({ components }), hole(24, 2), hole(26, 2))).toBe(Infinity);
+  expect(measureResistance(circuitOf({ components, switchStates: { 1: true } }), hole(24, 2), hole(26, 2))).toBeLessThan(CONTINUITY_OHMS);
+});
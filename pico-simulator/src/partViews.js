@@ -0,0 +1,647 @@
+import React, { useMemo, useRef, useEffect, useContext, createContext } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Tube, RoundedBox } from '@react-three/drei';
+import * as THREE from 'three';
+import { DEFAULT_LAYOUT, getHolePos } from './breadboard';
+import { CURRENT_THRESHOLD } from './circuitSolver';
+import { partPins, potWiperHole, sensorResistance, SUPPLY_KINDS, neopixelCount, neopixelColumns, SERVO_MIN_VOLTAGE } from './parts';
+import { ssd1306Pixels, OLED_WIDTH, OLED_HEIGHT } from './busDevices';
+
+// --- 部品の3D表示 (parts.js の部品定義と同じ type で PART_VIEWS に登録する) ---
+// render: ({ item, elec, setHoverInfo, onChange(patch), pressed, onPress(bool), device }) => 3D
+//   device: バスのデバイスの表示 (busDevices.js。OLED の画面 / 端末が受け取ったバイト。電源が入っていなければ undefined)
+// summary(item): 部品リストで名前の後ろに出す値 / labelColor(item): 部品リストの文字色 (省略時は定義の color)
+
+// 3Dアニメーションはシミュレーション時刻で進める (一時停止で止まり、倍速で速くなる)
+export const SimTimeScale = createContext({ current: 1 });
+
+// 今のブレッドボードの形 (穴の座標はこれで決まる)
+export const BoardLayout = createContext(DEFAULT_LAYOUT);
+export const useHolePos = () => {
+  const layout = useContext(BoardLayout);
+  return (row, col) => getHolePos(row, col, layout);
+};
+
+function Electron({ path, speed = 0.5, offset = 0, reverse = false }) {
+  const meshRef = useRef();
+  const progress = useRef(offset);
+  const timeScale = useContext(SimTimeScale);
+  const color = useMemo(() => new THREE.Color('#ffff00'), []);
+
+  useFrame((state, delta) => {
+    if (!meshRef.current || !path) return;
+    progress.current = (progress.current + speed * delta * timeScale.current) % 1;
+    const t = reverse ? 1.0 - progress.current : progress.current;
+    meshRef.current.position.copy(path.getPointAt(t));
+  });
+  return <mesh ref={meshRef}><sphereGeometry args={[0.04]} /><meshBasicMaterial color={color} toneMapped={false}/></mesh>;
+}
+
+// 電流に応じた電子アニメーション (速度 ∝ 電流, 向きは符号で反転)
+function ElectronFlow({ path, current }) {
+  if (Math.abs(current) <= CURRENT_THRESHOLD) return null;
+  const speed = Math.min(2, 0.05 + Math.abs(current) * 150);
+  return [0, 0.2, 0.4, 0.6, 0.8].map(i => <Electron key={i} path={path} offset={i} speed={speed} reverse={current < 0} />);
+}
+
+// 1.234e-3 -> "1.23m" のようなSI接頭辞表記
+export function formatSI(value, unit) {
+  const abs = Math.abs(value);
+  if (abs < 1e-9) return `0${unit}`;
+  const prefixes = [[1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n']];
+  const [scale, prefix] = prefixes.find(([f]) => abs >= f) || prefixes[prefixes.length - 1];
+  return `${(value / scale).toPrecision(3)}${prefix}${unit}`;
+}
+const formatElec = (elec) => `${formatSI(elec.voltage, 'V')} / ${formatSI(Math.abs(elec.current), 'A')}`;
+
+// LEDの明るさ (0-1): 20mAで最大, 低電流でも見えるよう平方根で補正
+const LED_FULL_CURRENT = 0.02;
+const ledBrightness = (current) => Math.sqrt(Math.min(1, Math.max(0, current) / LED_FULL_CURRENT));
+
+function useComponentPath(start, end, height) {
+  return useMemo(() => {
+    const pStart = new THREE.Vector3(...start);
+    const pEnd = new THREE.Vector3(...end);
+    const sink = 0.3;
+    const points = [
+      pStart.clone().setY(pStart.y - sink),
+      pStart,
+      pStart.clone().setY(height),
+      pEnd.clone().setY(height),
+      pEnd,
+      pEnd.clone().setY(pEnd.y - sink)
+    ];
+    return new THREE.CatmullRomCurve3(points, false, 'catmullrom', 0.05);
+  }, [start, end, height]);
+}
+
+function ResistorComponent({ item, setHoverInfo, elec }) {
+  const holePos = useHolePos();
+  const { sR, sC, eR, eC, scale, ohms = 330, name } = item;
+  const start = holePos(sR, sC);
+  const end = holePos(eR, eC);
+  const height = 0.4 * scale;
+  const path = useComponentPath(start, end, height);
+  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height);
+  const direction = new THREE.Vector3(...end).sub(new THREE.Vector3(...start));
+  const angleY = Math.atan2(direction.x, direction.z) + Math.PI / 2;
+  const legRadius = 0.015 * scale;
+  
+  const tooltipText = `[${name || 'Res'}]\n${ohms}Ω\n${formatElec(elec)}`;
+
+  return (
+    <group 
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={mid} rotation={[0, angleY, 0]} scale={[scale, scale, scale]}>
+        <mesh rotation={[0,0,Math.PI/2]}><cylinderGeometry args={[0.12, 0.12, 0.6]} /><meshStandardMaterial color="#e0c0a0" /></mesh>
+        <mesh rotation={[0,0,Math.PI/2]} position={[0.15, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="brown" /></mesh>
+        <mesh rotation={[0,0,Math.PI/2]} position={[0.05, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="black" /></mesh>
+        <mesh rotation={[0,0,Math.PI/2]} position={[-0.05, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="red" /></mesh>
+        <mesh rotation={[0,0,Math.PI/2]} position={[-0.2, 0, 0]}><cylinderGeometry args={[0.125, 0.125, 0.05]} /><meshStandardMaterial color="gold" metalness={0.8} /></mesh>
+      </group>
+      <Tube args={[path, 64, legRadius, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>
+      <ElectronFlow path={path} current={elec.current} />
+    </group>
+  );
+}
+
+function LEDComponent({ item, setHoverInfo, elec }) {
+  const holePos = useHolePos();
+  const { sR, sC, eR, eC, name } = item;
+  const start = holePos(sR, sC);
+  const end = holePos(eR, eC);
+  const height = 0.5;
+  const path = useComponentPath(start, end, height);
+  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height + 0.1); 
+  const tooltipText = `[${name || 'LED'}]\n${formatElec(elec)}`;
+  const brightness = ledBrightness(elec.current);
+  const lit = brightness > 0;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={mid}>
+        <mesh position={[0, 0.2, 0]}><sphereGeometry args={[0.18, 32, 16, 0, Math.PI * 2, 0, Math.PI/2]} /><meshStandardMaterial color={lit ? "#ff0000" : "#aa0000"} emissive={lit ? "#ff0000" : "#000"} emissiveIntensity={2 * brightness} transparent opacity={0.9} roughness={0.1}/></mesh>
+        <mesh position={[0, 0.05, 0]}><cylinderGeometry args={[0.18, 0.18, 0.3]} /><meshStandardMaterial color={lit ? "#ff0000" : "#aa0000"} emissive={lit ? "#ff0000" : "#000"} emissiveIntensity={brightness} transparent opacity={0.9} /></mesh>
+        <mesh position={[0, -0.1, 0]}><cylinderGeometry args={[0.2, 0.2, 0.05]} /><meshStandardMaterial color={lit ? "#ff0000" : "#aa0000"} transparent opacity={0.8} /></mesh>
+      </group>
+      <Tube args={[path, 64, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>
+      <ElectronFlow path={path} current={elec.current} />
+    </group>
+  );
+}
+
+// 押しボタン (押している間だけON) / スライドスイッチ (クリックで切替)
+function SwitchComponent({ item, setHoverInfo, elec, pressed, onPress, onChange }) {
+  const holePos = useHolePos();
+  const { sR, sC, eR, eC, kind, on, name } = item;
+  const start = holePos(sR, sC);
+  const end = holePos(eR, eC);
+  const height = 0.25;
+  const path = useComponentPath(start, end, height);
+  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height);
+  const direction = new THREE.Vector3(...end).sub(new THREE.Vector3(...start));
+  const angleY = Math.atan2(direction.x, direction.z) + Math.PI / 2;
+  const isButton = kind !== 'slide';
+  const closed = isButton ? pressed : on;
+  const tooltipText = `[${name || (isButton ? 'Button' : 'Switch')}]\n${closed ? 'ON' : 'OFF'}\n${formatElec(elec)}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={mid} rotation={[0, angleY, 0]}>
+        {isButton ? (
+          <>
+            <mesh><boxGeometry args={[0.5, 0.2, 0.5]} /><meshStandardMaterial color="#222" /></mesh>
+            <mesh position={[0, closed ? 0.12 : 0.17, 0]}
+              onPointerDown={(e) => { e.stopPropagation(); onPress(true); }}
+              onPointerUp={(e) => { e.stopPropagation(); onPress(false); }}
+              onPointerLeave={() => { if (pressed) onPress(false); }}>
+              <cylinderGeometry args={[0.14, 0.14, 0.14, 24]} /><meshStandardMaterial color={closed ? "#d04040" : "#e06060"} />
+            </mesh>
+          </>
+        ) : (
+          <>
+            <mesh onClick={(e) => { e.stopPropagation(); onChange({ on: !on }); }}><boxGeometry args={[0.6, 0.2, 0.25]} /><meshStandardMaterial color="#2050c0" /></mesh>
+            <mesh position={[closed ? 0.12 : -0.12, 0.14, 0]} onClick={(e) => { e.stopPropagation(); onChange({ on: !on }); }}><boxGeometry args={[0.12, 0.1, 0.1]} /><meshStandardMaterial color="#eee" /></mesh>
+          </>
+        )}
+      </group>
+      <Tube args={[path, 64, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>
+      <ElectronFlow path={path} current={elec.current} />
+    </group>
+  );
+}
+
+// ポテンショメータ (3本足): クリックでつまみを10%回す (Shift+クリックで逆回転)
+function PotComponent({ item, setHoverInfo, elec, onChange }) {
+  const holePos = useHolePos();
+  const { sR, sC, eR, eC, ohms = 10000, position = 0.5, name } = item;
+  const wiperHole = potWiperHole(item);
+  const start = holePos(sR, sC);
+  const end = holePos(eR, eC);
+  const wiper = holePos(wiperHole.row, wiperHole.col);
+  const height = 0.35;
+  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height);
+  const direction = new THREE.Vector3(...end).sub(new THREE.Vector3(...start));
+  const angleY = Math.atan2(direction.x, direction.z) + Math.PI / 2;
+  const length = direction.length() + 0.2;
+  const knobAngle = (0.75 - 1.5 * position) * Math.PI; // -135° 〜 +135°
+  const tooltipText = `[${name || 'Pot'}]\n${formatSI(ohms, 'Ω')} @ ${Math.round(position * 100)}%\nWiper ${formatSI(elec.wiper || 0, 'V')}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={mid} rotation={[0, angleY, 0]}>
+        <mesh><boxGeometry args={[length, 0.2, 0.5]} /><meshStandardMaterial color="#1f4fa0" /></mesh>
+        <group position={[0, 0.2, 0]} rotation={[0, knobAngle, 0]} onClick={(e) => { e.stopPropagation(); onChange({ position: Math.min(1, Math.max(0, Math.round((position + (e.shiftKey ? -0.1 : 0.1)) * 10) / 10)) }); }}>
+          <mesh><cylinderGeometry args={[0.18, 0.18, 0.2, 24]} /><meshStandardMaterial color="#ddd" /></mesh>
+          <mesh position={[0.09, 0.101, 0]}><boxGeometry args={[0.16, 0.01, 0.03]} /><meshBasicMaterial color="#111" /></mesh>
+        </group>
+      </group>
+      {[start, wiper, end].map((p, i) => (
+        <mesh key={i} position={[p[0], (p[1] + height) / 2 - 0.1, p[2]]}><cylinderGeometry args={[0.015, 0.015, height + 0.1]} /><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></mesh>
+      ))}
+    </group>
+  );
+}
+
+// 光センサ(CdS) / サーミスタ: クリックで明るさ・温度を段階的に変える
+const LDR_LEVELS = [1, 10, 100, 300, 1000];
+const THERMISTOR_LEVELS = [0, 15, 25, 40, 60];
+const nextSensorLevel = (item) => {
+  const isThermistor = item.kind === 'thermistor';
+  const levels = isThermistor ? THERMISTOR_LEVELS : LDR_LEVELS;
+  const next = levels[(levels.findIndex(v => v >= (isThermistor ? item.tempC : item.lux)) + 1) % levels.length];
+  return isThermistor ? { tempC: next } : { lux: next };
+};
+function SensorComponent({ item, setHoverInfo, elec, onChange }) {
+  const holePos = useHolePos();
+  const { sR, sC, eR, eC, kind, lux = 300, tempC = 25, name } = item;
+  const start = holePos(sR, sC);
+  const end = holePos(eR, eC);
+  const height = 0.45;
+  const path = useComponentPath(start, end, height);
+  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height);
+  const isThermistor = kind === 'thermistor';
+  const reading = isThermistor ? `${tempC}℃` : `${lux} lux`;
+  const tooltipText = `[${name || (isThermistor ? 'NTC' : 'LDR')}]\n${reading} → ${formatSI(sensorResistance(item), 'Ω')}\n${formatElec(elec)}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={mid} onClick={(e) => { e.stopPropagation(); onChange(nextSensorLevel(item)); }}>
+        {isThermistor ? (
+          <mesh><sphereGeometry args={[0.1, 16, 12]} /><meshStandardMaterial color="#222" /></mesh>
+        ) : (
+          <>
+            <mesh rotation={[Math.PI/2, 0, 0]}><cylinderGeometry args={[0.2, 0.2, 0.08, 24]} /><meshStandardMaterial color="#c87533" /></mesh>
+            <mesh position={[0, 0, 0.045]}><planeGeometry args={[0.3, 0.05]} /><meshBasicMaterial color={`hsl(40, 100%, ${20 + Math.min(60, lux / 15)}%)`} /></mesh>
+          </>
+        )}
+      </group>
+      <Tube args={[path, 64, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>
+      <ElectronFlow path={path} current={elec.current} />
+    </group>
+  );
+}
+
+function CleanWire({ item, setHoverInfo, elec }) {
+  const holePos = useHolePos();
+  const { sR, sC, eR, eC, color: userColor, name } = item;
+  const start = holePos(sR, sC);
+  const end = holePos(eR, eC);
+  const path = useMemo(() => {
+    const pStart = new THREE.Vector3(...start); pStart.y += 0.15;
+    const pEnd = new THREE.Vector3(...end); pEnd.y += 0.15;
+    const points = [pStart, new THREE.Vector3(pStart.x, 0.5 + 2*0.2, pStart.z), new THREE.Vector3(pEnd.x, 0.5 + 2*0.2, pEnd.z), pEnd];
+    return new THREE.CatmullRomCurve3(points, false, 'catmullrom', 0.1);
+  }, [start, end]);
+
+  const mid = path.getPointAt(0.5);
+  const tooltipText = `[${name || 'Wire'}]\n${formatElec(elec)}`;
+
+  return (
+    <group 
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <Tube args={[path, 64, 0.045, 8, false]}>
+        <meshPhysicalMaterial color={userColor} transparent opacity={0.5} roughness={0.2} metalness={0.1} />
+      </Tube>
+      <mesh position={[start[0],0.1,start[2]]}><cylinderGeometry args={[0.025,0.025,0.4]}/><meshStandardMaterial color="#ccc"/></mesh>
+      <mesh position={[end[0],0.1,end[2]]}><cylinderGeometry args={[0.025,0.025,0.4]}/><meshStandardMaterial color="#ccc"/></mesh>
+      <ElectronFlow path={path} current={elec.current} />
+    </group>
+  );
+}
+
+// 外部電源: 2本のリード (赤 = +, 黒 = -) の先に電池ボックス。クリックでボックスのスイッチを切替
+function SupplyComponent({ item, setHoverInfo, elec, onChange }) {
+  const holePos = useHolePos();
+  const { sR, sC, eR, eC, kind, on = true, name } = item;
+  const start = holePos(sR, sC);
+  const end = holePos(eR, eC);
+  const spec = SUPPLY_KINDS[kind] || SUPPLY_KINDS.aa3;
+  const isUsb = kind === 'usb';
+  const height = 0.7;
+  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height);
+  const leads = useMemo(() => [start, end].map(p => new THREE.CatmullRomCurve3([
+    new THREE.Vector3(p[0], p[1] - 0.3, p[2]),
+    new THREE.Vector3(p[0], p[1] + 0.3, p[2]),
+    new THREE.Vector3((start[0] + end[0]) / 2, height - 0.15, (start[2] + end[2]) / 2),
+  ])), [start, end]);
+  const tooltipText = `[${name || 'Battery'}]
+${spec.label}${on ? '' : ' (OFF)'}
+${formatElec(elec)}`;
+  const toggle = (e) => { e.stopPropagation(); onChange({ on: !on }); };
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={mid} onClick={toggle}>
+        <RoundedBox args={isUsb ? [0.6, 0.15, 0.45] : [0.9, 0.3, 0.6]} radius={0.03}><meshStandardMaterial color={isUsb ? '#1a6b3a' : '#222'} /></RoundedBox>
+        <mesh position={[0, isUsb ? 0.09 : 0.16, 0]}><boxGeometry args={[0.16, 0.04, 0.1]} /><meshStandardMaterial color={on ? '#40d040' : '#666'} emissive={on ? '#20a020' : '#000'} /></mesh>
+      </group>
+      {leads.map((lead, i) => <Tube key={i} args={[lead, 16, 0.03, 8, false]}><meshStandardMaterial color={i === 0 ? '#d02020' : '#111'} /></Tube>)}
+      {leads.map((lead, i) => <ElectronFlow key={`e${i}`} path={lead} current={i === 0 ? -elec.current : elec.current} />)}
+    </group>
+  );
+}
+
+// 部品の中心 (ピンの穴の平均) と、ピンから本体へ向かう足
+function usePinLegs(item, height) {
+  const layout = useContext(BoardLayout);
+  return useMemo(() => {
+    const holes = partPins(item).map(p => getHolePos(p.row, p.col, layout));
+    const center = holes.reduce((sum, [x, , z]) => sum.add(new THREE.Vector3(x, 0, z)), new THREE.Vector3()).multiplyScalar(1 / holes.length);
+    const legs = holes.map(([x, y, z]) => new THREE.CatmullRomCurve3([
+      new THREE.Vector3(x, y - 0.3, z),
+      new THREE.Vector3(x, y, z),
+      new THREE.Vector3(x + (center.x - x) * 0.6, height, z + (center.z - z) * 0.6),
+    ]));
+    return { center, legs };
+  }, [item, height, layout]);
+}
+
+// RGB LED: 3色の明るさを混ぜた色で光る
+function RgbLedComponent({ item, setHoverInfo, elec }) {
+  const height = 0.5;
+  const { center, legs } = usePinLegs(item, height);
+  const level = {};
+  (elec.diodes || []).forEach(d => { level[d.sub] = ledBrightness(d.current); });
+  const [r, g, b] = ['r', 'g', 'b'].map(sub => level[sub] || 0);
+  const lit = r + g + b > 0;
+  const color = lit ? new THREE.Color(r, g, b) : new THREE.Color('#ddd');
+  const pos = center.clone().setY(height + 0.1);
+  const tooltipText = `[${item.name || 'RGB LED'}]\n${(elec.diodes || []).map(d => `${d.label} ${formatSI(d.current, 'A')}`).join('  ')}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={pos}>
+        <mesh position={[0, 0.2, 0]}><sphereGeometry args={[0.2, 32, 16, 0, Math.PI * 2, 0, Math.PI/2]} /><meshStandardMaterial color={color} emissive={lit ? color : '#000'} emissiveIntensity={2 * Math.max(r, g, b)} transparent opacity={0.85} roughness={0.1}/></mesh>
+        <mesh position={[0, 0.05, 0]}><cylinderGeometry args={[0.2, 0.2, 0.3]} /><meshStandardMaterial color={color} emissive={lit ? color : '#000'} emissiveIntensity={Math.max(r, g, b)} transparent opacity={0.85} /></mesh>
+        <mesh position={[0, -0.1, 0]}><cylinderGeometry args={[0.22, 0.22, 0.05]} /><meshStandardMaterial color="#eee" transparent opacity={0.8} /></mesh>
+      </group>
+      {legs.map((leg, i) => <Tube key={i} args={[leg, 16, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>)}
+    </group>
+  );
+}
+
+// 7セグメント: 上 (-z 側) が a。セグメントごとに電流で光る
+const SEGMENT_SHAPES = {
+  a: [0, -0.42, 0.32, 0.07], g: [0, 0, 0.32, 0.07], d: [0, 0.42, 0.32, 0.07], // [x, z, 幅, 奥行き]
+  f: [-0.19, -0.21, 0.07, 0.36], b: [0.19, -0.21, 0.07, 0.36],
+  e: [-0.19, 0.21, 0.07, 0.36], c: [0.19, 0.21, 0.07, 0.36],
+  dp: [0.3, 0.45, 0.07, 0.07],
+};
+function SevenSegComponent({ item, setHoverInfo, elec }) {
+  const height = 0.45;
+  const { center, legs } = usePinLegs(item, 0.3);
+  const pos = center.clone().setY(height);
+  const diodes = elec.diodes || [];
+  const litNames = diodes.filter(d => ledBrightness(d.current) > 0).map(d => d.label);
+  const tooltipText = `[${item.name || '7-Seg'}]\n${litNames.length ? litNames.join(' ') : '(off)'}\n${formatSI(elec.current, 'A')}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={pos} rotation={[0, item.rotation === 180 ? Math.PI : 0, 0]}>
+        <RoundedBox args={[0.9, 0.3, 1.3]} radius={0.03}><meshStandardMaterial color="#222" /></RoundedBox>
+        {diodes.map(d => {
+          const [x, z, w, depth] = SEGMENT_SHAPES[d.sub];
+          const brightness = ledBrightness(d.current);
+          return (
+            <mesh key={d.sub} position={[x, 0.16, z]}>
+              <boxGeometry args={[w, 0.02, depth]} />
+              <meshStandardMaterial color={brightness > 0 ? d.color : '#3a3a3a'} emissive={brightness > 0 ? d.color : '#000'} emissiveIntensity={2 * brightness} toneMapped={false} />
+            </mesh>
+          );
+        })}
+      </group>
+      {legs.map((leg, i) => <Tube key={i} args={[leg, 16, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>)}
+    </group>
+  );
+}
+
+// OLED: ピンの列 (ヘッダ) を画面の上辺にしてモジュールが横 (+x) に張り出す。
+// 画面の横 128 ドットはピンの列に沿って GND -> SDA の向き (実物のモジュールを横向きに刺したのと同じ)
+const OLED_COLORS = { white: '#e6f2ff', blue: '#4fc1ff', yellow: '#ffd24a' };
+const OLED_YELLOW_ROWS = 16; // 2色モデルは上 16 行が黄色
+const OLED_ACTIVE = [1.09, 2.17]; // 表示部 (x = 画面の縦, z = 画面の横) [cm]
+function OledComponent({ item, setHoverInfo, elec, device }) {
+  const height = 0.5;
+  const { center, legs } = usePinLegs(item, height);
+  const pos = center.clone().setY(height);
+  // テクスチャの列 = 画面の y (ヘッダから離れる向き), 行 = 画面の x (行0 が SDA 側)
+  const texture = useMemo(() => {
+    const tex = new THREE.DataTexture(new Uint8Array(OLED_WIDTH * OLED_HEIGHT * 4), OLED_HEIGHT, OLED_WIDTH);
+    tex.magFilter = THREE.NearestFilter;
+    tex.colorSpace = THREE.SRGBColorSpace;
+    return tex;
+  }, []);
+  const on = !!(device && device.on);
+  useEffect(() => {
+    const pixels = ssd1306Pixels(device);
+    const brightness = 0.35 + 0.65 * ((device ? device.contrast : 0) / 255);
+    const tint = (y) => new THREE.Color(OLED_COLORS[item.color === 'yellow-blue' ? (y < OLED_YELLOW_ROWS ? 'yellow' : 'blue') : item.color] || OLED_COLORS.white);
+    const rowColors = Array.from({ length: OLED_HEIGHT }, (_, y) => tint(y).multiplyScalar(brightness));
+    const data = texture.image.data;
+    for (let r = 0; r < OLED_WIDTH; r++) {
+      for (let y = 0; y < OLED_HEIGHT; y++) {
+        const i = (r * OLED_HEIGHT + y) * 4;
+        const lit = pixels[y * OLED_WIDTH + (OLED_WIDTH - 1 - r)];
+        const c = rowColors[y];
+        data[i] = lit ? c.r * 255 : 8;
+        data[i + 1] = lit ? c.g * 255 : 8;
+        data[i + 2] = lit ? c.b * 255 : 10;
+        data[i + 3] = 255;
+      }
+    }
+    texture.needsUpdate = true;
+  }, [device, item.color, texture]);
+  useEffect(() => () => texture.dispose(), [texture]);
+  const state = !device ? '(電源なし)' : on ? 'ON' : 'OFF (display off)';
+  const tooltipText = `[${item.name || 'OLED'}] ${item.address}\n${state}\n${formatElec(elec)}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={pos} rotation={[0, item.rotation === 180 ? Math.PI : 0, 0]}>
+        <mesh position={[0, -0.15, 0]}><boxGeometry args={[0.25, 0.25, 1.05]} /><meshStandardMaterial color="#222" /></mesh>
+        <mesh position={[1.2, 0, 0]}><boxGeometry args={[2.75, 0.05, 2.8]} /><meshStandardMaterial color="#1c3f8f" /></mesh>
+        <mesh position={[1.3, 0.05, 0]}><boxGeometry args={[1.5, 0.05, 2.65]} /><meshStandardMaterial color="#111" roughness={0.2} /></mesh>
+        <mesh position={[1.25, 0.08, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+          <planeGeometry args={OLED_ACTIVE} />
+          <meshBasicMaterial map={texture} toneMapped={false} />
+        </mesh>
+      </group>
+      {legs.map((leg, i) => <Tube key={i} args={[leg, 16, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>)}
+    </group>
+  );
+}
+
+// USB-シリアル変換モジュール: ピンの列から横に小さな基板と USB コネクタ
+function UartComponent({ item, setHoverInfo, elec, device }) {
+  const height = 0.35;
+  const { center, legs } = usePinLegs(item, height);
+  const pos = center.clone().setY(height);
+  const received = device ? device.received.length : 0;
+  const tooltipText = `[${item.name || 'USB-UART'}]\n${device ? `受信 ${received} バイト` : '(GND 未接続)'}\nTX ${formatSI(elec.voltage, 'V')}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={pos} rotation={[0, item.rotation === 180 ? Math.PI : 0, 0]}>
+        <mesh position={[0, -0.1, 0]}><boxGeometry args={[0.25, 0.2, 0.8]} /><meshStandardMaterial color="#222" /></mesh>
+        <mesh position={[0.8, 0, 0]}><boxGeometry args={[1.8, 0.05, 1.0]} /><meshStandardMaterial color="#b22222" /></mesh>
+        <mesh position={[0.8, 0.06, 0]}><boxGeometry args={[0.5, 0.06, 0.5]} /><meshStandardMaterial color="#111" /></mesh>
+        <mesh position={[1.65, 0.1, 0]}><boxGeometry args={[0.5, 0.15, 0.6]} /><meshStandardMaterial color="#ccc" metalness={0.8} roughness={0.3} /></mesh>
+      </group>
+      {legs.map((leg, i) => <Tube key={i} args={[leg, 16, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>)}
+    </group>
+  );
+}
+
+// NeoPixel: ピンの列から横 (+x) に基板。LED (5050) の位置 [x, z] はストリップ = 1列, リング = 円周 (上から時計回り), マトリクス = 行ごと
+const NEOPIXEL_PITCH = 0.7; // [cm]
+const NEOPIXEL_MIN_VOLTAGE = 2.5;
+function neopixelLayout(item) {
+  const count = neopixelCount(item);
+  if (item.shape === 'ring') {
+    const radius = Math.max(0.6, (count * NEOPIXEL_PITCH) / (2 * Math.PI));
+    const cx = 0.5 + radius;
+    const points = Array.from({ length: count }, (_, i) => {
+      const angle = (2 * Math.PI * i) / count;
+      return [cx + radius * Math.sin(angle), -radius * Math.cos(angle)];
+    });
+    return { points, radius, cx };
+  }
+  const columns = item.shape === 'matrix' ? neopixelColumns(item) : count;
+  const rows = Math.ceil(count / columns);
+  const points = Array.from({ length: count }, (_, i) => [0.6 + (i % columns) * NEOPIXEL_PITCH, (Math.floor(i / columns) - (rows - 1) / 2) * NEOPIXEL_PITCH]);
+  return { points, width: columns * NEOPIXEL_PITCH, depth: Math.max(1, rows * NEOPIXEL_PITCH) };
+}
+
+function NeoPixelComponent({ item, setHoverInfo, elec, device }) {
+  const height = 0.35;
+  const { center, legs } = usePinLegs(item, height);
+  const pos = center.clone().setY(height);
+  const layout = useMemo(() => neopixelLayout(item), [item]);
+  const rgb = (device && device.rgb) || [];
+  const colors = layout.points.map((_, i) => (rgb[i * 3] || rgb[i * 3 + 1] || rgb[i * 3 + 2]
+    ? new THREE.Color().setRGB(rgb[i * 3] / 255, rgb[i * 3 + 1] / 255, rgb[i * 3 + 2] / 255, THREE.SRGBColorSpace)
+    : null));
+  const lit = colors.filter(Boolean).length;
+  const state = elec.voltage < NEOPIXEL_MIN_VOLTAGE ? '(電源なし)' : !device ? '(データ待ち: DIN <- GPIO)' : `点灯 ${lit} / ${colors.length}`;
+  const tooltipText = `[${item.name || 'NeoPixel'}] ${item.shape} x${colors.length}
+${state}
+${formatElec(elec)}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={pos} rotation={[0, item.rotation === 180 ? Math.PI : 0, 0]}>
+        <mesh position={[0, -0.1, 0]}><boxGeometry args={[0.25, 0.2, 1.05]} /><meshStandardMaterial color="#222" /></mesh>
+        {item.shape === 'ring' ? (
+          <mesh position={[layout.cx, 0, 0]} rotation={[-Math.PI / 2, 0, 0]}><ringGeometry args={[layout.radius - 0.4, layout.radius + 0.4, 48]} /><meshStandardMaterial color="#1a1a1a" side={THREE.DoubleSide} /></mesh>
+        ) : (
+          <mesh position={[0.25 + layout.width / 2, 0, 0]}><boxGeometry args={[layout.width + 0.3, 0.05, layout.depth]} /><meshStandardMaterial color="#1a1a1a" /></mesh>
+        )}
+        {layout.points.map(([x, z], i) => (
+          <group key={i} position={[x, 0.08, z]}>
+            <mesh><boxGeometry args={[0.5, 0.1, 0.5]} /><meshStandardMaterial color="#f4f4f4" /></mesh>
+            <mesh position={[0, 0.06, 0]}><cylinderGeometry args={[0.18, 0.18, 0.02, 16]} /><meshStandardMaterial color={colors[i] || '#ddd'} emissive={colors[i] || '#000'} emissiveIntensity={colors[i] ? 2 : 0} toneMapped={!colors[i]} /></mesh>
+          </group>
+        ))}
+      </group>
+      {legs.map((leg, i) => <Tube key={i} args={[leg, 16, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>)}
+    </group>
+  );
+}
+
+// サーボ: ピンの列から横 (+x) に本体, 上にホーン。ホーンは SG90 の速さ (0.1s/60°) で目標の角度へ回る (信号が無ければそのまま)
+const SERVO_SPEED = 600; // [°/s]
+function ServoComponent({ item, setHoverInfo, elec }) {
+  const height = 0.3;
+  const { center, legs } = usePinLegs(item, height);
+  const pos = center.clone().setY(height);
+  const hornRef = useRef();
+  const angle = useRef(90);
+  const timeScale = useContext(SimTimeScale);
+  const target = elec.angle ?? null;
+  const held = useRef(90);
+  if (target !== null) held.current = target;
+  useFrame((state, delta) => {
+    if (!hornRef.current) return;
+    const diff = held.current - angle.current;
+    const move = SERVO_SPEED * delta * timeScale.current;
+    angle.current += Math.abs(diff) <= move ? diff : Math.sign(diff) * move;
+    // 0° = +z 側, 180° = -z 側 (上から見て反時計回り)
+    hornRef.current.rotation.y = THREE.MathUtils.degToRad(angle.current - 90);
+  });
+  const state = elec.voltage < SERVO_MIN_VOLTAGE ? `(電源不足 ${formatSI(elec.voltage, 'V')})`
+    : target !== null ? `${target.toFixed(0)}° (パルス ${elec.pulseUs.toFixed(0)}µs)`
+      : elec.pulseUs != null ? `パルス ${elec.pulseUs.toFixed(0)}µs (範囲外)` : '(信号なし: 50Hz の PWM を SIG へ)';
+  const tooltipText = `[${item.name || 'Servo'}]
+${state}
+${formatElec(elec)}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={pos} rotation={[0, item.rotation === 180 ? Math.PI : 0, 0]}>
+        <mesh position={[0, -0.1, 0]}><boxGeometry args={[0.25, 0.2, 0.8]} /><meshStandardMaterial color="#222" /></mesh>
+        <mesh position={[1.6, 0.9, 0]}><boxGeometry args={[2.3, 2.2, 1.2]} /><meshStandardMaterial color="#1f4fbf" /></mesh>
+        <mesh position={[1.6, 1.5, 0]}><boxGeometry args={[3.2, 0.15, 1.2]} /><meshStandardMaterial color="#1f4fbf" /></mesh>
+        <mesh position={[2.2, 2.1, 0]}><cylinderGeometry args={[0.6, 0.6, 0.4, 24]} /><meshStandardMaterial color="#1f4fbf" /></mesh>
+        <group ref={hornRef} position={[2.2, 2.4, 0]}>
+          <mesh><cylinderGeometry args={[0.3, 0.3, 0.2, 16]} /><meshStandardMaterial color="#f4f4f4" /></mesh>
+          <mesh position={[0, 0, 0.8]}><boxGeometry args={[0.35, 0.15, 1.6]} /><meshStandardMaterial color="#f4f4f4" /></mesh>
+        </group>
+      </group>
+      {legs.map((leg, i) => <Tube key={i} args={[leg, 16, 0.015, 8, false]}><meshStandardMaterial color={['#6b3a1e', '#c0392b', '#e67e22'][i]} /></Tube>)}
+    </group>
+  );
+}
+
+// 圧電ブザー: 黒い円筒。鳴っている間は上に音の輪が広がる
+function BuzzerComponent({ item, setHoverInfo, elec }) {
+  const holePos = useHolePos();
+  const start = holePos(item.sR, item.sC);
+  const end = holePos(item.eR, item.eC);
+  const height = 0.5;
+  const path = useComponentPath(start, end, height);
+  const mid = new THREE.Vector3(...start).add(new THREE.Vector3(...end)).multiplyScalar(0.5).setY(height);
+  const waveRef = useRef();
+  const sounding = elec.freq > 0;
+  useFrame((state) => {
+    if (!waveRef.current) return;
+    const t = (state.clock.elapsedTime * 2) % 1;
+    waveRef.current.scale.setScalar(1 + t);
+    waveRef.current.material.opacity = (1 - t) * 0.6 * elec.volume;
+  });
+  const tooltipText = `[${item.name || 'Buzzer'}]
+${sounding ? `${formatSI(elec.freq, 'Hz')} 音量 ${Math.round(elec.volume * 100)}%` : '(無音: + に PWM, - を GND へ)'}
+${formatSI(elec.voltage, 'V')}`;
+
+  return (
+    <group
+      onPointerOver={(e) => { e.stopPropagation(); setHoverInfo({ pos: mid, text: tooltipText }); }}
+      onPointerOut={() => setHoverInfo(null)}
+    >
+      <group position={mid}>
+        <mesh position={[0, 0.45, 0]}><cylinderGeometry args={[0.6, 0.6, 0.9, 32]} /><meshStandardMaterial color="#151515" roughness={0.6} /></mesh>
+        <mesh position={[0, 0.91, 0]}><cylinderGeometry args={[0.12, 0.12, 0.02, 16]} /><meshStandardMaterial color="#444" /></mesh>
+        {sounding && (
+          <mesh ref={waveRef} position={[0, 1.0, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+            <ringGeometry args={[0.5, 0.58, 32]} /><meshBasicMaterial color="#ffd24a" transparent side={THREE.DoubleSide} />
+          </mesh>
+        )}
+      </group>
+      <Tube args={[path, 64, 0.015, 8, false]}><meshStandardMaterial color="silver" metalness={0.8} roughness={0.2} /></Tube>
+    </group>
+  );
+}
+
+export const PART_VIEWS = {
+  wire: { render: CleanWire, labelColor: (item) => (item.color === 'black' ? '#aaa' : item.color) },
+  led: { render: LEDComponent },
+  resistor: { render: ResistorComponent, summary: (item) => `(${item.ohms}Ω)` },
+  switch: { render: SwitchComponent },
+  pot: { render: PotComponent, summary: (item) => `(${formatSI(item.ohms, 'Ω')})` },
+  sensor: { render: SensorComponent, summary: (item) => `(${item.kind === 'thermistor' ? `${item.tempC}℃` : `${item.lux} lux`})` },
+  rgbled: { render: RgbLedComponent, summary: (item) => `(${item.common})` },
+  sevenseg: { render: SevenSegComponent, summary: (item) => `(${item.color}, ${item.common})` },
+  oled: { render: OledComponent, summary: (item) => `(${item.address})` },
+  uart: { render: UartComponent },
+  servo: { render: ServoComponent },
+  buzzer: { render: BuzzerComponent },
+  neopixel: { render: NeoPixelComponent, summary: (item) => `(${item.shape} x${neopixelCount(item)})` },
+  supply: { render: SupplyComponent, summary: (item) => `(${(SUPPLY_KINDS[item.kind] || SUPPLY_KINDS.aa3).volts}V${item.on === false ? ', OFF' : ''})` },
+};
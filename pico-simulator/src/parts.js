@@ -0,0 +1,483 @@
+import { DEFAULT_LAYOUT, isHole, splitCol, boardCol } from './breadboard';
+
+// --- 部品レジストリ ---
+// 部品の種類ごとに ピン / ブレッドボード上の置き方 / 編集できるプロパティ / 電気モデル を宣言する。
+// ツールボックス・部品リスト・設定パネル (App), 素子リスト (circuitSolver), ERC (circuitRules),
+// 保存形式の検証 (projectFile) はすべてここを見るので、新しい部品は registerPart と
+// partViews.js の PART_VIEWS (3D表示) に足すだけでよい。
+//
+//   type, label, title   保存時の type / 名前の接頭辞 ("LED 1") / 設定パネルの見出し
+//   color                部品リスト・設定パネルの文字色
+//   placement            'span' = 2点クリック (sR,sC -> eR,eC) / 'footprint' = 1点クリック (row,col を基準に footprint の形で刺す)
+//                          footprint の部品には rotation (0 / 180) が自動で付く (R キーで上下反転して刺す)
+//   legs                 span の両端のピン名 [始点, 終点]
+//   footprint            footprint のピン [{ name, dr, dc }] (基準の穴からの行/列のずれ)
+//   anchor(row, col)     (省略可) クリックした穴 -> 基準の穴 (中央の溝をまたぐ部品など)
+//   extraPins(item)      (省略可) 両端以外のピン (ポテンショメータのワイパー)
+//   validSpan(item)      (省略可) その両端で置けるか
+//   tools                ツールボックスのボタン [{ id, label, title?, props? }] (props は置くときの初期値)
+//   props                編集できるプロパティ [{ key, label, type, default, ... }]
+//                          type: 'number' (min / max / positive / unit) | 'text' | 'select' (options) | 'color' (options, 任意の文字列も可) | 'boolean'
+//                          required: 保存ファイルで必須 / hidden: 設定パネルに出さない
+//                          slider: { min, max, step } 部品リストにスライダーを出す / when(item): 表示する条件
+//   name(item)           (省略可) label の代わりの名前の接頭辞
+//   hint                 設定パネルの操作説明
+//   sameRowOk            両足が同じ行でも警告しない (ジャンパ線)
+//   link(item, ctx)      (省略可) 導線としてネットを直結しているか (ジャンパ線/閉じたスイッチ。ショート検出に使う)
+//   diodes(item)         (省略可) 発光ダイオード [{ sub, label, anode, cathode, vf, color }]
+//                          素子リスト / ERC (向き・過電流・焼損) / 3D の明るさ で共通に使う
+//   supply(item)         (省略可) 電池などの電源 { volts, ohms } ('+' -> '-' の向き, null なら切れている)
+//   netlist(item, ctx)   (省略可) ダイオード/電源以外の素子 [{ kind: 'resistor', key, a, b, ohms }]
+//                          ctx.node(ピン名) -> ネット, ctx.key(sub) -> 素子キー, ctx.switchStates
+//   result(item, r)      (省略可) 解いた結果 -> 表示用の値 (r.current(sub), r.drop(sub), r.volt(ピン名),
+//                          r.signal(ピン名) = 直結された GPIO の出力 { pin, state } | null, r.grounded(ピン名) = GND に直結か)
+//   bus(item)            (省略可) I2C / UART / NeoPixel でプログラムとやりとりする仮想デバイス (busDevices.js)
+//                          { kind: 'i2c' | 'uart' | 'neopixel', model, address?, count?, pins: [信号のピン名], power?: 電源のピン名 }
+//                          電源はピン名 'GND' との間の電圧で判定する (power が無ければ GND が Pico とつながっていればよい)
+// Python からは回路を通して見える (Pin.value の入力レベル / ADC の電圧)。
+export const WIRE_RESISTANCE = 0.01; // ジャンパ線 (≒0Ω だが電流を求めるため有限値)
+export const LED_FORWARD_VOLTAGE = 2.0;
+export const LED_ON_RESISTANCE = 10;
+
+// 発光色ごとの順方向電圧 (3.3V駆動で光る程度に丸めた値)
+export const LED_COLORS = {
+  red: { hex: '#ff2020', vf: 2.0 },
+  yellow: { hex: '#ffd020', vf: 2.1 },
+  green: { hex: '#20ff40', vf: 2.2 },
+  blue: { hex: '#3060ff', vf: 2.8 },
+  white: { hex: '#ffffff', vf: 2.8 },
+};
+const ledColorOptions = Object.keys(LED_COLORS).map(value => ({ value, label: value[0].toUpperCase() + value.slice(1) }));
+const COMMON_OPTIONS = [{ value: 'cathode', label: 'Common cathode (-)' }, { value: 'anode', label: 'Common anode (+)' }];
+
+// --- アナログ部品の抵抗値 ---
+// ポテンショメータ: 端子1-ワイパー = R*pos, ワイパー-端子3 = R*(1-pos)
+export const potResistances = (pot) => {
+  const total = Number(pot.ohms) || 10000;
+  const pos = Math.min(1, Math.max(0, pot.position ?? 0.5));
+  return [Math.max(total * pos, WIRE_RESISTANCE), Math.max(total * (1 - pos), WIRE_RESISTANCE)];
+};
+// ポテンショメータのワイパーは両端の中間の穴
+export const potWiperHole = (pot) => ({ row: Math.round((pot.sR + pot.eR) / 2), col: Math.round((pot.sC + pot.eC) / 2) });
+// CdS (GL5528相当): 10lux で約10kΩ, 暗いほど高抵抗
+export const ldrResistance = (lux) => Math.min(1e6, Math.max(100, 10000 * Math.pow(Math.max(lux, 0.01) / 10, -0.7)));
+// NTCサーミスタ (10kΩ @25℃, B=3950)
+export const thermistorResistance = (tempC) => 10000 * Math.exp(3950 * (1 / (tempC + 273.15) - 1 / 298.15));
+export const sensorResistance = (sensor) => (sensor.kind === 'thermistor' ? thermistorResistance(sensor.tempC ?? 25) : ldrResistance(sensor.lux ?? 300));
+
+// 押しボタンは押している間だけ, スライドスイッチは item.on で閉じる
+export const isSwitchClosed = (sw, switchStates) => (sw.kind === 'slide' ? !!sw.on : !!switchStates[sw.id]);
+
+const resistor = (ctx, a, b, ohms, sub) => ({ kind: 'resistor', key: ctx.key(sub), a: ctx.node(a), b: ctx.node(b), ohms });
+
+// --- 登録 ---
+export const PARTS = {};
+export const TOOLS = []; // ツールボックスの並び順 = 登録順
+
+const ROTATION_PROP = { key: 'rotation', type: 'select', hidden: true, default: 0, options: [{ value: 0, label: '0°' }, { value: 180, label: '180°' }] };
+
+export function registerPart(def) {
+  const part = { placement: 'span', legs: ['1', '2'], props: [], tools: [], title: def.label, ...def };
+  if (part.placement === 'footprint') part.props = [...part.props, ROTATION_PROP];
+  PARTS[part.type] = part;
+  part.tools.forEach(tool => TOOLS.push({ props: {}, ...tool, type: part.type }));
+  return part;
+}
+
+export const getPart = (type) => PARTS[type] || null;
+export const getTool = (id) => TOOLS.find(tool => tool.id === id) || null;
+
+registerPart({
+  type: 'wire', label: 'Wire', color: '#4ec9b0',
+  tools: [{ id: 'wire', label: '⚡ Wire' }],
+  props: [
+    { key: 'color', label: 'Color', type: 'color', default: 'green', options: ['green', 'black', 'red', 'blue', 'yellow'].map(value => ({ value, label: value[0].toUpperCase() + value.slice(1) })) },
+    { key: 'level', type: 'number', hidden: true, default: 2 },
+  ],
+  hint: 'Click Start -> End',
+  sameRowOk: true,
+  link: () => true,
+  netlist: (item, ctx) => [resistor(ctx, '1', '2', WIRE_RESISTANCE)],
+});
+
+registerPart({
+  type: 'led', label: 'LED', color: '#ce9178', legs: ['A', 'K'],
+  tools: [{ id: 'led', label: '💡 LED' }],
+  hint: 'Click Anode(+) -> Cathode(-)',
+  // s側 = アノード(+), e側 = カソード(-)
+  diodes: () => [{ sub: null, anode: 'A', cathode: 'K', vf: LED_FORWARD_VOLTAGE, color: LED_COLORS.red.hex }],
+});
+
+registerPart({
+  type: 'resistor', label: 'Resistor', color: '#dcdcaa',
+  tools: [{ id: 'resistor', label: '📏 Res' }],
+  props: [
+    { key: 'ohms', label: 'Resistance', type: 'number', min: 0, unit: 'Ω', default: 330 },
+    { key: 'scale', type: 'number', positive: true, hidden: true, default: 1 },
+  ],
+  hint: 'Click Start -> End',
+  netlist: (item, ctx) => [resistor(ctx, '1', '2', Math.max(Number(item.ohms) || 0, WIRE_RESISTANCE))],
+});
+
+registerPart({
+  type: 'switch', label: 'Switch', color: '#9cdcfe',
+  name: (item) => (item.kind === 'slide' ? 'Switch' : 'Button'),
+  tools: [
+    { id: 'button', label: '🔘 Btn', title: 'Push Button', props: { kind: 'button' } },
+    { id: 'switch', label: '🎚 SW', props: { kind: 'slide', on: false } },
+  ],
+  props: [
+    { key: 'kind', label: 'Kind', type: 'select', default: 'button', options: [{ value: 'button', label: 'Push button' }, { value: 'slide', label: 'Slide switch' }] },
+    { key: 'on', type: 'boolean', hidden: true },
+  ],
+  hint: 'Click Start -> End (ボタンは押している間ON / スライドはクリックで切替)',
+  link: (item, ctx) => isSwitchClosed(item, ctx.switchStates),
+  netlist: (item, ctx) => (isSwitchClosed(item, ctx.switchStates) ? [resistor(ctx, '1', '2', WIRE_RESISTANCE)] : []),
+});
+
+registerPart({
+  type: 'pot', label: 'Pot', title: 'Potentiometer', color: '#c586c0', legs: ['1', '3'],
+  tools: [{ id: 'pot', label: '🎛 Pot' }],
+  props: [
+    { key: 'ohms', label: 'Resistance', type: 'number', positive: true, unit: 'Ω', default: 10000 },
+    { key: 'position', type: 'number', min: 0, max: 1, default: 0.5, slider: { min: 0, max: 1, step: 0.01 } },
+  ],
+  hint: 'Click Leg1 -> Leg3 (ワイパー = 中間の穴, 2穴以上離す)',
+  extraPins: (item) => [{ name: 'W', ...potWiperHole(item) }],
+  // ワイパー(中間の穴)が両端と別の穴になる配置だけ受け付ける
+  validSpan: (item) => {
+    const w = potWiperHole(item);
+    return !(w.row === item.sR && w.col === item.sC) && !(w.row === item.eR && w.col === item.eC);
+  },
+  netlist: (item, ctx) => {
+    const [ra, rb] = potResistances(item);
+    return [resistor(ctx, '1', 'W', ra, 'a'), resistor(ctx, 'W', '3', rb, 'b')];
+  },
+  result: (item, r) => ({ voltage: r.drop('a') + r.drop('b'), current: r.current('a'), wiper: r.volt('W') }),
+});
+
+registerPart({
+  type: 'sensor', label: 'Sensor', color: '#c586c0',
+  name: (item) => (item.kind === 'thermistor' ? 'NTC' : 'LDR'),
+  tools: [{ id: 'sensor', label: '☀ Sensor' }],
+  props: [
+    { key: 'kind', label: 'Kind', type: 'select', required: true, default: 'ldr', options: [{ value: 'ldr', label: 'Light sensor (CdS/LDR)' }, { value: 'thermistor', label: 'Thermistor (NTC 10k)' }] },
+    { key: 'lux', type: 'number', min: 0, default: 300, slider: { min: 0, max: 1000, step: 10 }, when: (item) => item.kind !== 'thermistor' },
+    { key: 'tempC', type: 'number', default: 25, slider: { min: -20, max: 100, step: 1 }, when: (item) => item.kind === 'thermistor' },
+  ],
+  hint: 'Click Start -> End (3Dでクリック / 下のスライダーで明るさ・温度を変更)',
+  netlist: (item, ctx) => [resistor(ctx, '1', '2', sensorResistance(item))],
+});
+
+// RGB LED (4本足, 1列に刺す): 上から R, COM, G, B
+registerPart({
+  type: 'rgbled', label: 'RGB LED', color: '#b5cea8', placement: 'footprint',
+  footprint: [{ name: 'R', dr: 0, dc: 0 }, { name: 'COM', dr: 1, dc: 0 }, { name: 'G', dr: 2, dc: 0 }, { name: 'B', dr: 3, dc: 0 }],
+  tools: [{ id: 'rgbled', label: '🌈 RGB' }],
+  props: [{ key: 'common', label: 'Type', type: 'select', default: 'cathode', options: COMMON_OPTIONS }],
+  hint: 'Click 一番上の穴 (上から R, COM, G, B の4行に刺さる)',
+  diodes: (item) => [['r', 'R', 'red'], ['g', 'G', 'green'], ['b', 'B', 'blue']].map(([sub, pin, color]) => ({
+    sub, label: pin, vf: LED_COLORS[color].vf, color: LED_COLORS[color].hex,
+    anode: item.common === 'anode' ? 'COM' : pin,
+    cathode: item.common === 'anode' ? pin : 'COM',
+  })),
+});
+
+// 7セグメントLED (10本足, 中央の溝をまたいで5行): 左列 e, d, COM, c, dp / 右列 g, f, COM, a, b
+const SEGMENTS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'];
+registerPart({
+  type: 'sevenseg', label: '7-Seg', title: '7-Segment Display', color: '#f48771', placement: 'footprint',
+  footprint: [
+    ...['e', 'd', 'COM2', 'c', 'dp'].map((name, i) => ({ name, dr: i, dc: 0 })),
+    ...['g', 'f', 'COM1', 'a', 'b'].map((name, i) => ({ name, dr: i, dc: 1 })),
+  ],
+  anchor: (row, col) => ({ row, col: boardCol(splitCol(col).board, 5) }), // 左側の本体の右端 (そのボードの Col 5)
+  tools: [{ id: 'sevenseg', label: '🔢 7Seg' }],
+  props: [
+    { key: 'common', label: 'Type', type: 'select', default: 'cathode', options: COMMON_OPTIONS },
+    { key: 'color', label: 'Color', type: 'select', default: 'red', options: ledColorOptions },
+  ],
+  hint: 'Click 上端の行 (溝をまたいで5行: 左 e,d,COM,c,dp / 右 g,f,COM,a,b)',
+  // 2本の COM は内部でつながっている
+  netlist: (item, ctx) => [resistor(ctx, 'COM1', 'COM2', WIRE_RESISTANCE, 'com')],
+  diodes: (item) => SEGMENTS.map(seg => {
+    const { vf, hex } = LED_COLORS[item.color] || LED_COLORS.red;
+    return { sub: seg, label: seg, vf, color: hex, anode: item.common === 'anode' ? 'COM1' : seg, cathode: item.common === 'anode' ? seg : 'COM1' };
+  }),
+});
+
+// 外部電源 (電池ボックス / USB電源モジュール): ボックスのスイッチで ON/OFF
+export const SUPPLY_KINDS = {
+  aa2: { label: '2 x AA battery (3.0V)', volts: 3.0, ohms: 0.3 },
+  aa3: { label: '3 x AA battery (4.5V)', volts: 4.5, ohms: 0.45 },
+  aa4: { label: '4 x AA battery (6.0V)', volts: 6.0, ohms: 0.6 },
+  lipo: { label: 'LiPo 1S (3.7V)', volts: 3.7, ohms: 0.1 },
+  usb: { label: 'USB power module (5V)', volts: 5.0, ohms: 0.2 },
+};
+registerPart({
+  type: 'supply', label: 'Supply', title: 'External Supply', color: '#f14c4c', legs: ['+', '-'],
+  name: (item) => (item.kind === 'usb' ? 'USB' : 'Battery'),
+  tools: [{ id: 'supply', label: '🔋 Supply' }],
+  props: [
+    { key: 'kind', label: 'Kind', type: 'select', required: true, default: 'aa3', options: Object.entries(SUPPLY_KINDS).map(([value, k]) => ({ value, label: k.label })) },
+    { key: 'on', type: 'boolean', hidden: true, default: true },
+  ],
+  hint: 'Click +(赤) -> -(黒) (電源レールの + / - に刺す。3Dでクリックすると ON/OFF)',
+  supply: (item) => (item.on === false ? null : SUPPLY_KINDS[item.kind] || SUPPLY_KINDS.aa3),
+});
+
+// SSD1306 OLED モジュール (128x64, I2C, 4本足を1列に刺す): 上から GND, VCC, SCL, SDA
+// 表示は約10mA, SDA/SCL はモジュール上の 10kΩ で VCC にプルアップされている
+export const OLED_ADDRESSES = ['0x3C', '0x3D'];
+const OLED_LOAD_RESISTANCE = 330;
+const I2C_PULLUP_RESISTANCE = 10000;
+registerPart({
+  type: 'oled', label: 'OLED', title: 'SSD1306 OLED (128x64 I2C)', color: '#4fc1ff', placement: 'footprint',
+  footprint: ['GND', 'VCC', 'SCL', 'SDA'].map((name, dr) => ({ name, dr, dc: 0 })),
+  tools: [{ id: 'oled', label: '🖼 OLED' }],
+  props: [
+    { key: 'address', label: 'I2C address', type: 'select', default: '0x3C', options: OLED_ADDRESSES.map(value => ({ value, label: `I2C address ${value}` })) },
+    { key: 'color', label: 'Color', type: 'select', default: 'white', options: [{ value: 'white', label: 'White' }, { value: 'blue', label: 'Blue' }, { value: 'yellow-blue', label: 'Yellow / Blue (2 color)' }] },
+  ],
+  hint: 'Click 一番上の穴 (上から GND, VCC, SCL, SDA の4行に刺さる。VCC は 3V3 へ)',
+  netlist: (item, ctx) => [
+    resistor(ctx, 'VCC', 'GND', OLED_LOAD_RESISTANCE, 'load'),
+    resistor(ctx, 'SDA', 'VCC', I2C_PULLUP_RESISTANCE, 'sda'),
+    resistor(ctx, 'SCL', 'VCC', I2C_PULLUP_RESISTANCE, 'scl'),
+  ],
+  result: (item, r) => ({ voltage: r.drop('load'), current: r.current('load') }),
+  bus: (item) => ({ kind: 'i2c', model: 'ssd1306', address: parseInt(item.address, 16), pins: ['SDA', 'SCL'], power: 'VCC' }),
+});
+
+// USB-シリアル変換モジュール (UART 端末, 3本足を1列に刺す): 上から GND, RX, TX
+// RX (受信) に Pico の TX を, TX (送信) に Pico の RX をつなぐ。TX は送っていない間 HIGH (1kΩ で 3.3V)
+const UART_IDLE_RESISTANCE = 1000;
+registerPart({
+  type: 'uart', label: 'USB-UART', title: 'USB-Serial Adapter (UART terminal)', color: '#d7ba7d', placement: 'footprint',
+  footprint: ['GND', 'RX', 'TX'].map((name, dr) => ({ name, dr, dc: 0 })),
+  tools: [{ id: 'uart', label: '🔌 UART' }],
+  hint: 'Click 一番上の穴 (上から GND, RX, TX。Pico の TX -> RX, RX <- TX, GND 同士をつなぐ)',
+  netlist: (item, ctx) => [{ kind: 'source', key: ctx.key('tx'), a: ctx.node('TX'), b: ctx.node('GND'), volts: 3.3, ohms: UART_IDLE_RESISTANCE }],
+  result: (item, r) => ({ voltage: r.volt('TX') - r.volt('GND'), current: r.current('tx') }),
+  bus: () => ({ kind: 'uart', model: 'terminal', pins: ['RX', 'TX'] }),
+});
+
+// NeoPixel (WS2812 を数珠つなぎにしたストリップ / リング / マトリクス, 4本足を1列に刺す): 上から GND, VCC, DIN, DOUT
+// DIN に GPIO をつなぎ neopixel.NeoPixel で色を送る。DOUT を次の DIN につなぐと続きの色がそちらへ流れる
+// 制御回路は1個あたり約1mA (点灯している色の電流は含めない)
+export const NEOPIXEL_MAX_COUNT = 256;
+const NEOPIXEL_IDLE_RESISTANCE = 3300; // 1個あたり (3.3V で 1mA)
+export const neopixelCount = (item) => Math.min(NEOPIXEL_MAX_COUNT, Math.max(1, Math.floor(Number(item.count) || 1)));
+export const neopixelColumns = (item) => Math.min(neopixelCount(item), Math.max(1, Math.floor(Number(item.columns) || 8)));
+registerPart({
+  type: 'neopixel', label: 'NeoPixel', title: 'NeoPixel (WS2812)', color: '#ff9de2', placement: 'footprint',
+  footprint: ['GND', 'VCC', 'DIN', 'DOUT'].map((name, dr) => ({ name, dr, dc: 0 })),
+  tools: [
+    { id: 'neopixel', label: '🌈 Strip', title: 'NeoPixel strip', props: { shape: 'strip', count: 8 } },
+    { id: 'neoring', label: '⭕ Ring', title: 'NeoPixel ring', props: { shape: 'ring', count: 12 } },
+    { id: 'neomatrix', label: '▦ Matrix', title: 'NeoPixel matrix', props: { shape: 'matrix', count: 64, columns: 8 } },
+  ],
+  props: [
+    { key: 'shape', label: 'Shape', type: 'select', default: 'strip', options: [{ value: 'strip', label: 'Strip' }, { value: 'ring', label: 'Ring' }, { value: 'matrix', label: 'Matrix' }] },
+    { key: 'count', label: 'LEDs', type: 'number', min: 1, max: NEOPIXEL_MAX_COUNT, default: 8 },
+    { key: 'columns', label: 'Columns', type: 'number', min: 1, max: NEOPIXEL_MAX_COUNT, default: 8, when: (item) => item.shape === 'matrix' },
+  ],
+  hint: 'Click 一番上の穴 (上から GND, VCC, DIN, DOUT の4行に刺さる。DIN を GPIO へ, VCC は 3V3 / VBUS へ)',
+  netlist: (item, ctx) => [resistor(ctx, 'VCC', 'GND', NEOPIXEL_IDLE_RESISTANCE / neopixelCount(item), 'load')],
+  result: (item, r) => ({ voltage: r.drop('load'), current: r.current('load') }),
+  bus: (item) => ({ kind: 'neopixel', model: 'ws2812', count: neopixelCount(item), pins: ['DIN', 'DOUT'], power: 'VCC' }),
+});
+
+// --- PWM で動かす部品 (SIG / + の行に直結された GPIO の PWM を読む) ---
+const pwmOf = (signal) => (signal && typeof signal.state === 'object' && signal.state.freq > 0 ? signal.state : null);
+
+// サーボモーター (SG90 相当, 3本足を1列に刺す): 上から GND (茶), VCC (赤), SIG (橙)
+// 50Hz の PWM のパルス幅 0.5ms〜2.5ms で 0°〜180°。信号が無くなるとその角度のまま止まる
+// VCC の定格は 4.8V〜 だが、3V 以上あれば (遅いなりに) 動くことにする
+export const SERVO_PULSE_US = [500, 2500];
+export const SERVO_RANGE = 180;
+export const SERVO_MIN_VOLTAGE = 3.0;
+const SERVO_MAX_FREQ = 400; // これより速い PWM はサーボのパルスとして読めない
+const SERVO_LOAD_RESISTANCE = 500; // 待機中 約10mA (5V)
+// パルス幅 [µs] -> 角度 (範囲外のパルスは無視して null)
+export const servoAngle = (pulseUs) => {
+  const [min, max] = SERVO_PULSE_US;
+  if (pulseUs < min * 0.8 || pulseUs > max * 1.04) return null;
+  return Math.min(SERVO_RANGE, Math.max(0, ((pulseUs - min) / (max - min)) * SERVO_RANGE));
+};
+registerPart({
+  type: 'servo', label: 'Servo', title: 'Servo Motor (SG90)', color: '#569cd6', placement: 'footprint',
+  footprint: ['GND', 'VCC', 'SIG'].map((name, dr) => ({ name, dr, dc: 0 })),
+  tools: [{ id: 'servo', label: '⚙ Servo' }],
+  hint: 'Click 一番上の穴 (上から GND, VCC, SIG。SIG を GPIO へ, VCC は VBUS (5V) へ)',
+  netlist: (item, ctx) => [resistor(ctx, 'VCC', 'GND', SERVO_LOAD_RESISTANCE, 'load')],
+  result: (item, r) => {
+    const voltage = r.drop('load');
+    const pwm = pwmOf(r.signal('SIG'));
+    const pulseUs = pwm && pwm.freq <= SERVO_MAX_FREQ ? (pwm.duty / pwm.freq) * 1e6 : null;
+    const angle = voltage >= SERVO_MIN_VOLTAGE && pulseUs !== null ? servoAngle(pulseUs) : null;
+    return { voltage, current: r.current('load'), pulseUs, angle };
+  },
+});
+
+// 圧電ブザー (パッシブ, 2本足): + に PWM の GPIO, - を GND へ。PWM の周波数の音が鳴る (デューティ 50% で一番大きい)
+// 圧電素子なので直流はほとんど流れない (素子なし)
+export const BUZZER_FREQ_RANGE = [20, 20000];
+registerPart({
+  type: 'buzzer', label: 'Buzzer', title: 'Piezo Buzzer (passive)', color: '#d7ba7d', legs: ['+', '-'],
+  tools: [{ id: 'buzzer', label: '🔔 Buzzer' }],
+  hint: 'Click +(長い足) -> - (+ を PWM の GPIO へ, - を GND へ)',
+  result: (item, r) => {
+    const pwm = pwmOf(r.signal('+'));
+    const sounding = !!pwm && r.grounded('-') && pwm.duty > 0 && pwm.duty < 1 && pwm.freq >= BUZZER_FREQ_RANGE[0] && pwm.freq <= BUZZER_FREQ_RANGE[1];
+    return { voltage: r.volt('+') - r.volt('-'), current: 0, freq: sounding ? pwm.freq : 0, volume: sounding ? Math.sin(Math.PI * pwm.duty) : 0 };
+  },
+});
+
+// --- 部品インスタンスの操作 ---
+export const partDefaults = (def) => Object.fromEntries(def.props.filter(p => p.default !== undefined).map(p => [p.key, p.default]));
+export const partLabel = (item) => {
+  const def = getPart(item.type);
+  if (!def) return item.type;
+  return def.name ? def.name(item) : def.label;
+};
+// その部品を置いたツール (select のプロパティで区別する: スイッチの kind = ボタン/スライド, NeoPixel の shape)
+export const partTool = (item) => {
+  const def = getPart(item.type);
+  const selects = def ? def.props.filter(p => p.type === 'select').map(p => p.key) : [];
+  const tools = TOOLS.filter(tool => tool.type === item.type);
+  return tools.find(tool => Object.entries(tool.props).every(([key, value]) => !selects.includes(key) || item[key] === value)) || tools[0] || null;
+};
+
+// 実際に刺さっている穴 [{ name, row, col }]
+export function partPins(item) {
+  const def = getPart(item.type);
+  if (!def) return [];
+  if (def.placement === 'footprint') {
+    // 180° 回すと同じ範囲の穴に逆順で刺さる
+    const turned = item.rotation === 180;
+    const maxDr = Math.max(...def.footprint.map(p => p.dr));
+    const maxDc = Math.max(...def.footprint.map(p => p.dc));
+    return def.footprint.map(({ name, dr, dc }) => ({ name, row: item.row + (turned ? maxDr - dr : dr), col: item.col + (turned ? maxDc - dc : dc) }));
+  }
+  const [first, last] = def.legs;
+  const pins = [{ name: first, row: item.sR, col: item.sC }, { name: last, row: item.eR, col: item.eC }];
+  return def.extraPins ? [...pins, ...def.extraPins(item)] : pins;
+}
+
+// 全部のピンがブレッドボードの穴に収まるか (layout: breadboard.js の getLayout)
+export const partFits = (item, layout = DEFAULT_LAYOUT) => partPins(item).every(({ row, col }) => isHole(row, col, layout));
+
+// その位置に置けるか (穴に収まる / 両端が別の穴 / validSpan)
+export function partPlaceable(item, layout = DEFAULT_LAYOUT) {
+  const def = getPart(item.type);
+  if (!def || !partFits(item, layout)) return false;
+  if (def.placement === 'footprint') return true;
+  if (item.sR === item.eR && item.sC === item.eC) return false;
+  return !def.validSpan || def.validSpan(item);
+}
+
+// 新しい部品の id (同じミリ秒に複数作っても重ならないように)
+export const newPartId = (components) => Math.max(Date.now(), ...components.map(c => (typeof c.id === 'number' ? c.id + 1 : 0)));
+const nextName = (item, components) => `${partLabel(item)} ${components.filter(c => c.type === item.type).length + 1}`;
+
+// ツールで新しい部品を作る (名前は同じ種類の数 + 1)
+export function createPart(toolId, props, components) {
+  const tool = getTool(toolId);
+  const def = getPart(tool.type);
+  const item = { id: newPartId(components), type: def.type, ...partDefaults(def), ...tool.props, ...props };
+  return { ...item, name: nextName(item, components) };
+}
+
+// 部品を dr 行 / dc 列 ずらす (anchor のある部品は決まった列に寄せる)
+export function movePart(item, dr, dc = 0) {
+  const def = getPart(item.type);
+  if (def && def.placement === 'footprint') {
+    const position = { row: item.row + dr, col: item.col + dc };
+    return { ...item, ...(def.anchor ? def.anchor(position.row, position.col) : position) };
+  }
+  return { ...item, sR: item.sR + dr, eR: item.eR + dr, sC: item.sC + dc, eC: item.eC + dc };
+}
+
+// 回転: span は始点を中心に終点を上から見て時計回りに 90° / footprint は 180°
+export function rotatePart(item) {
+  const def = getPart(item.type);
+  if (def && def.placement === 'footprint') return { ...item, rotation: item.rotation === 180 ? 0 : 180 };
+  const dr = item.eR - item.sR;
+  const dc = item.eC - item.sC;
+  return { ...item, eR: item.sR + dc, eC: item.sC - dr };
+}
+
+// 反転: 両端を入れ替える (LED の向きなど)。footprint の部品はそのまま
+export function flipPart(item) {
+  const def = getPart(item.type);
+  if (def && def.placement === 'footprint') return item;
+  return { ...item, sR: item.eR, sC: item.eC, eR: item.sR, eC: item.sC };
+}
+
+// 部品が使っている行の範囲 (コピーをずらす量に使う)
+export function partRows(items) {
+  const rows = items.flatMap(item => partPins(item).map(p => p.row));
+  return { min: Math.min(...rows), max: Math.max(...rows) };
+}
+
+// items の複製を dr 行ずらして components に足す (新しい id / 名前)
+// 戻り値 { components, added } (1つでもブレッドボードからはみ出すなら null)
+export function copyParts(items, components, dr, layout = DEFAULT_LAYOUT) {
+  const moved = items.map(item => movePart(item, dr));
+  if (!moved.every(item => partFits(item, layout))) return null;
+  const added = [];
+  let next = components;
+  moved.forEach(item => {
+    const copy = { ...item, id: newPartId(next) };
+    copy.name = nextName(copy, next);
+    added.push(copy);
+    next = [...next, copy];
+  });
+  return { components: next, added };
+}
+
+// --- 電気モデル (circuitSolver から使う) ---
+// key: 部品のキー (compKey), nodeOfHole(row, col) -> ネット, damaged: 焼損した部品はダイオードを外す
+export function partElements(item, { key, nodeOfHole, switchStates = {}, damaged = false }) {
+  const def = getPart(item.type);
+  if (!def) return [];
+  const pins = partPins(item);
+  const node = (name) => {
+    const pin = pins.find(p => p.name === name);
+    return nodeOfHole(pin.row, pin.col);
+  };
+  const ctx = { node, key: (sub) => (sub ? `${key}:${sub}` : key), switchStates };
+  const elements = def.netlist ? def.netlist(item, ctx) : [];
+  const supply = def.supply && def.supply(item);
+  if (supply) elements.push({ kind: 'source', key, a: node(def.legs[0]), b: node(def.legs[1]), volts: supply.volts, ohms: supply.ohms });
+  if (def.diodes && !damaged) {
+    def.diodes(item).forEach(d => elements.push({ kind: 'diode', key: ctx.key(d.sub), a: node(d.anode), b: node(d.cathode), vf: d.vf, ron: LED_ON_RESISTANCE }));
+  }
+  return elements;
+}
+
+// 解いた電流/電圧 -> 部品ごとの値 { voltage, current, ... }
+// ダイオードを持つ部品は diodes: [{ sub, label, color, current, voltage }] も返す (current は合計)
+export function partResult(item, { key, nodeOfHole, voltages, currents, drops, signalOf, groundedNode }) {
+  const def = getPart(item.type);
+  const pins = partPins(item);
+  const elementKey = (sub) => (sub ? `${key}:${sub}` : key);
+  const nodeOf = (name) => {
+    const pin = pins.find(p => p.name === name);
+    return pin ? nodeOfHole(pin.row, pin.col) : null;
+  };
+  const r = {
+    current: (sub) => currents[elementKey(sub)] || 0,
+    drop: (sub) => drops[elementKey(sub)] || 0,
+    volt: (name) => (nodeOf(name) !== null && voltages[nodeOf(name)]) || 0,
+    signal: (name) => (nodeOf(name) !== null ? signalOf(nodeOf(name)) : null),
+    grounded: (name) => nodeOf(name) !== null && groundedNode(nodeOf(name)),
+  };
+  if (def.result) return def.result(item, r);
+  if (def.diodes) {
+    const diodes = def.diodes(item).map(({ sub, label, color }) => ({ sub, label, color, current: r.current(sub), voltage: r.drop(sub) }));
+    return { voltage: Math.max(...diodes.map(d => d.voltage)), current: diodes.reduce((sum, d) => sum + d.current, 0), diodes };
+  }
+  return { voltage: r.drop(), current: r.current() };
+}
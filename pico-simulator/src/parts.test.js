@@ -0,0 +1,51 @@
+import { partPins, partPlaceable, movePart, rotatePart, flipPart, partTool, createPart } from './parts';
+import { getHolePos, nearestHole, getLayout, getHoleId, getNetKey } from './breadboard';
+
+const led = { type: 'led', id: 1, sR: 10, sC: 3, eR: 13, eC: 3, name: 'LED 1' };
+const seg = { type: 'sevenseg', id: 1, row: 10, col: 5, common: 'cathode', color: 'red', rotation: 0, name: '7-Seg 1' };
+
+test('holes snap from 3D coordinates', () => {
+  const [x, , z] = getHolePos(12, 7);
+  expect(nearestHole(x + 0.05, z - 0.1)).toEqual({ row: 12, col: 7 });
+  const [rx, , rz] = getHolePos(30, -1);
+  expect(nearestHole(rx, rz)).toEqual({ row: 30, col: -1 });
+  expect(nearestHole(x, z + 5)).toBeNull();
+  expect(nearestHole(-4, z)).toBeNull();
+});
+
+test('side-by-side boards have their own columns and nets', () => {
+  const dual = getLayout('dual');
+  const [x, , z] = getHolePos(5, 17, dual); // 2枚目の Col 3
+  expect(nearestHole(x, z, dual)).toEqual({ row: 5, col: 17 });
+  expect(getNetKey(getHoleId(5, 17))).toBe('B2:L-5');
+  expect(getNetKey(getHoleId(5, 3))).toBe('L-5');
+  expect(partPlaceable({ ...led, sC: 17, eC: 17 }, dual)).toBe(true);
+  expect(partPlaceable({ ...led, sC: 17, eC: 17 })).toBe(false);
+  expect(partPlaceable({ ...led, sC: 0, eC: 0 }, getLayout('mini'))).toBe(false); // 電源レールが無い
+});
+
+test('span parts rotate around their first leg and flip end to end', () => {
+  expect(rotatePart(led)).toMatchObject({ sR: 10, sC: 3, eR: 10, eC: 0 });
+  expect(rotatePart(rotatePart(rotatePart(rotatePart(led))))).toEqual(led);
+  expect(flipPart(led)).toMatchObject({ sR: 13, sC: 3, eR: 10, eC: 3 });
+  expect(partPlaceable(rotatePart({ ...led, sC: 1 }))).toBe(false); // 左端の外に出る
+  expect(partPlaceable({ ...led, eR: 10 })).toBe(false); // 両足が同じ穴
+  expect(partPlaceable({ type: 'pot', id: 1, sR: 5, sC: 2, eR: 6, eC: 2 })).toBe(false); // ワイパーの穴が無い
+});
+
+test('footprint parts turn 180 degrees in place and keep their anchor column when moved', () => {
+  const pins = Object.fromEntries(partPins(rotatePart(seg)).map(p => [p.name, [p.row, p.col]]));
+  expect(pins.e).toEqual([14, 6]);
+  expect(pins.b).toEqual([10, 5]);
+  expect(flipPart(seg)).toBe(seg);
+  expect(movePart(seg, 3, -2)).toMatchObject({ row: 13, col: 5 });
+  expect(partPlaceable(movePart(seg, 20))).toBe(false);
+});
+
+test('parts remember the tool that placed them after their numbers are edited', () => {
+  const matrix = createPart('neomatrix', { row: 23, col: 1 }, []);
+  expect(matrix).toMatchObject({ type: 'neopixel', shape: 'matrix', count: 64, columns: 8, name: 'NeoPixel 1' });
+  expect(partTool({ ...matrix, count: 16, columns: 4 }).id).toBe('neomatrix');
+  expect(partTool({ ...matrix, shape: 'ring' }).id).toBe('neoring');
+  expect(partTool({ type: 'switch', id: 1, kind: 'slide', on: true }).id).toBe('switch');
+});
@@ -0,0 +1,71 @@
+import { DEFAULT_LAYOUT, isHole, splitCol, getHoleId, getNetKey } from './breadboard';
+
+// --- Pico 本体 ---
+// ブレッドボードのどこに刺したか (board) から、ピン -> 穴 -> ネット を求める。
+// board: { type: 'pico' | 'picow', row: 上端の行, col: 左側のヘッダの列 (右側は +5), rotation: 0 | 180, usb?: false }
+// rotation 0 = USB が上 (Row の小さい側), 180 = USB が下 / usb: false = USBケーブルを抜いた (VSYS から給電する)
+
+// 物理ピン番号順 (USB を上にして 1-20 = 左側の上から下, 21-40 = 右側の下から上)
+export const PICO_PINOUT = [
+  'GP0', 'GP1', 'GND', 'GP2', 'GP3', 'GP4', 'GP5', 'GND', 'GP6', 'GP7',
+  'GP8', 'GP9', 'GND', 'GP10', 'GP11', 'GP12', 'GP13', 'GND', 'GP14', 'GP15',
+  'GP16', 'GP17', 'GND', 'GP18', 'GP19', 'GP20', 'GP21', 'GND', 'GP22', 'RUN',
+  'GP26', 'GP27', 'GND', 'GP28', 'ADC_VREF', '3V3', '3V3_EN', 'GND', 'VSYS', 'VBUS',
+];
+export const PICO_ROWS = 20;
+export const HEADER_SPAN = 5; // 左右のヘッダの列の差 (溝をまたぐ)
+
+// ピン配置 (ヘッダ) はどちらも同じ。Pico W はオンボードLEDが無線チップ側 (Pin("LED") で使う) で GP23-25, 29 は内部用
+export const BOARDS = {
+  pico: { label: 'Raspberry Pi Pico', silk: 'RPi Pico', wireless: false },
+  picow: { label: 'Raspberry Pi Pico W', silk: 'Pico W', wireless: true },
+};
+export const DEFAULT_BOARD = { type: 'pico', row: 1, col: 3, rotation: 0 };
+export const usbPowered = (board = DEFAULT_BOARD) => board.usb !== false;
+// 電源系のピン (GPIO/GND 以外)。刺さっていなくても Pico の中のノードとしては存在する
+export const POWER_PINS = ['VBUS', 'VSYS', '3V3_EN', '3V3', 'ADC_VREF', 'RUN'];
+
+const pinAt = (number, row, col) => {
+  const name = PICO_PINOUT[number - 1];
+  return { number, name, gpio: name.startsWith('GP') ? Number(name.slice(2)) : null, row, col };
+};
+
+// 各ピンが刺さる穴 [{ number, name, gpio, row, col }]
+export function boardPins(board = DEFAULT_BOARD) {
+  const pins = [];
+  for (let i = 0; i < PICO_ROWS; i++) {
+    const left = board.rotation === 180 ? 21 + i : 1 + i;
+    const right = board.rotation === 180 ? 20 - i : 40 - i;
+    pins.push(pinAt(left, board.row + i, board.col), pinAt(right, board.row + i, board.col + HEADER_SPAN));
+  }
+  return pins;
+}
+
+// 全部のピンがブレッドボードに刺さっているか (左右のヘッダは同じボードの溝の両側)
+export function boardFits(board = DEFAULT_BOARD, layout = DEFAULT_LAYOUT) {
+  const { col } = splitCol(board.col);
+  return col >= 1 && col <= 5 && boardPins(board).every(p => isHole(p.row, p.col, layout));
+}
+
+// クリックした穴 -> Pico の位置 (右側の本体をクリックしたら左のヘッダの列に直す)
+export function boardAt(board, row, col) {
+  const { col: c } = splitCol(col);
+  return { ...board, row, col: c >= 6 && c <= 10 ? col - HEADER_SPAN : col };
+}
+
+// ピン -> ネット (刺さっていなければどこにもつながらない)
+// { gpio: { GPIO番号: net }, ground: [net], power: { '3V3': net, VSYS: net, ... } }
+export function boardNets(board = DEFAULT_BOARD, layout = DEFAULT_LAYOUT) {
+  const nets = { gpio: {}, ground: [], power: {} };
+  if (!boardFits(board, layout)) return nets;
+  boardPins(board).forEach(p => {
+    const net = getNetKey(getHoleId(p.row, p.col));
+    if (p.gpio !== null) nets.gpio[p.gpio] = net;
+    else if (p.name === 'GND') { if (!nets.ground.includes(net)) nets.ground.push(net); }
+    else nets.power[p.name] = net;
+  });
+  return nets;
+}
+
+// その穴に刺さっている Pico のピン (無ければ null)
+export const boardPinAt = (board, row, col) => boardPins(board).find(p => p.row === row && p.col === col) || null;
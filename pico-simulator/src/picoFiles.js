@@ -0,0 +1,98 @@
+// --- Pico のファイルシステム (main.py / boot.py / lib/ のモジュール / データファイル) ---
+// プロジェクトの files = { "main.py": "...", "lib/helpers.py": "...", "log.csv": "..." } (パス -> UTF-8 テキスト)
+// 実行時は Pyodide の FS の FS_ROOT 以下に書き出してカレントディレクトリにする (open("log.csv", "w") がそのまま使える)。
+// 起動時は実機と同じく boot.py -> main.py の順に実行し、FS_ROOT と FS_ROOT/lib から import できる。
+export const FS_ROOT = '/pico';
+export const MAIN_FILE = 'main.py';
+export const BOOT_FILE = 'boot.py';
+export const LIB_DIR = 'lib';
+export const MAX_FILES = 100;
+export const MAX_FILE_SIZE = 256 * 1024; // プロジェクトに保存する1ファイルの上限 (文字数)
+
+const PATH_PART = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+export const isPythonFile = (path) => path.endsWith('.py');
+export const fileName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// パスの検査 (相対パス, "/" 区切り, 各要素は英数字/_/-/. で "." から始まらない)。問題なければ null
+export function checkPath(path) {
+  if (typeof path !== 'string' || path === '') return 'path is empty';
+  if (path.length > 128) return 'path is too long';
+  const parts = path.split('/');
+  if (parts.some(part => !PATH_PART.test(part))) return `invalid path "${path}" (use letters, digits, _ - . and "/" between folders)`;
+  if (parts.length > 4) return `"${path}" is nested too deep`;
+  return null;
+}
+
+// プロジェクトの files の検証 (projectFile.js と同じくパス付きのエラー文)
+export function validateFiles(files) {
+  if (!files || typeof files !== 'object' || Array.isArray(files)) return ['files: must be an object'];
+  const paths = Object.keys(files);
+  const errors = [];
+  if (paths.length > MAX_FILES) errors.push(`files: at most ${MAX_FILES} files`);
+  paths.forEach(path => {
+    const at = `files[${JSON.stringify(path)}]`;
+    const problem = checkPath(path);
+    if (problem) errors.push(`${at}: ${problem}`);
+    else if (paths.some(other => other.startsWith(`${path}/`))) errors.push(`${at}: is also used as a folder`);
+    if (typeof files[path] !== 'string') errors.push(`${at}: must be a string`);
+  });
+  return errors;
+}
+
+// 新しいファイル/名前の変更先が使えるか (使えなければエラー文)
+export function checkNewPath(files, path) {
+  const problem = checkPath(path);
+  if (problem) return problem;
+  if (files[path] !== undefined) return `"${path}" already exists`;
+  const paths = Object.keys(files);
+  if (paths.some(other => other.startsWith(`${path}/`) || path.startsWith(`${other}/`))) return `"${path}" clashes with a folder`;
+  if (paths.length >= MAX_FILES) return `at most ${MAX_FILES} files`;
+  return null;
+}
+
+// ファイル名の変更 (並び順はそのまま)
+export function renameFile(files, from, to) {
+  return Object.fromEntries(Object.entries(files).map(([path, text]) => [path === from ? to : path, text]));
+}
+
+export function removeFile(files, path) {
+  const { [path]: removed, ...rest } = files;
+  return rest;
+}
+
+// ファイル一覧の表示順: main.py, boot.py, その他 (フォルダは中身の前に見出しの行)
+// 戻り値 [{ path, name, depth, dir }]
+export function fileTree(files) {
+  const rank = (path) => (path === MAIN_FILE ? 0 : path === BOOT_FILE ? 1 : 2);
+  const paths = Object.keys(files).sort((a, b) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0));
+  const rows = [];
+  const dirs = new Set();
+  paths.forEach(path => {
+    const parts = path.split('/');
+    for (let depth = 1; depth < parts.length; depth++) {
+      const dir = parts.slice(0, depth).join('/');
+      if (dirs.has(dir)) continue;
+      dirs.add(dir);
+      rows.push({ path: dir, name: `${parts[depth - 1]}/`, depth: depth - 1, dir: true });
+    }
+    rows.push({ path, name: parts[parts.length - 1], depth: parts.length - 1, dir: false });
+  });
+  return rows;
+}
+
+// 実行の前後の差分 (プログラムが書いた/消したファイル) { changed: { path: text }, removed: [path] }
+export function diffFiles(before, after) {
+  const changed = {};
+  Object.entries(after).forEach(([path, text]) => { if (before[path] !== text) changed[path] = text; });
+  const removed = Object.keys(before).filter(path => after[path] === undefined);
+  return { changed, removed };
+}
+
+export const hasFileChanges = (diff) => Object.keys(diff.changed).length > 0 || diff.removed.length > 0;
+
+export function applyFileChanges(files, { changed, removed }) {
+  const next = { ...files, ...changed };
+  removed.forEach(path => { delete next[path]; });
+  return next;
+}
@@ -0,0 +1,37 @@
+import { checkNewPath, renameFile, removeFile, fileTree, diffFiles, applyFileChanges, hasFileChanges } from './picoFiles';
+
+const files = { 'log.csv': '', 'lib/sensors/dht.py': '', 'main.py': '', 'lib/helpers.py': '', 'boot.py': '' };
+
+test('the file tree lists main.py and boot.py first and folders before their files', () => {
+  expect(fileTree(files).map(row => `${'  '.repeat(row.depth)}${row.name}`)).toEqual([
+    'main.py',
+    'boot.py',
+    'lib/',
+    '  helpers.py',
+    '  sensors/',
+    '    dht.py',
+    'log.csv',
+  ]);
+});
+
+test('new paths must be valid and must not clash with files or folders', () => {
+  expect(checkNewPath(files, 'lib/leds.py')).toBeNull();
+  expect(checkNewPath(files, 'main.py')).toBe('"main.py" already exists');
+  expect(checkNewPath(files, 'lib')).toBe('"lib" clashes with a folder');
+  expect(checkNewPath(files, 'log.csv/x.py')).toBe('"log.csv/x.py" clashes with a folder');
+  expect(checkNewPath(files, '/abs.py')).toMatch(/^invalid path/);
+  expect(checkNewPath(files, '.hidden')).toMatch(/^invalid path/);
+
+  expect(Object.keys(renameFile(files, 'log.csv', 'data/log.csv'))).toEqual(['data/log.csv', 'lib/sensors/dht.py', 'main.py', 'lib/helpers.py', 'boot.py']);
+  expect(Object.keys(removeFile(files, 'boot.py'))).not.toContain('boot.py');
+});
+
+test('files written or deleted by the program are merged back', () => {
+  const before = { 'main.py': 'a', 'old.txt': 'x' };
+  const diff = diffFiles(before, { 'main.py': 'a', 'log.csv': '1\n' });
+  expect(diff).toEqual({ changed: { 'log.csv': '1\n' }, removed: ['old.txt'] });
+  expect(hasFileChanges(diff)).toBe(true);
+  expect(hasFileChanges(diffFiles(before, before))).toBe(false);
+  // 実行中にエディタで書き換えた main.py はそのまま
+  expect(applyFileChanges({ 'main.py': 'edited', 'old.txt': 'x' }, diff)).toEqual({ 'main.py': 'edited', 'log.csv': '1\n' });
+});
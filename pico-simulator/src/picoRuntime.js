@@ -0,0 +1,216 @@
+import { MICROPYTHON_MODULES, U_MODULE_ALIASES } from './micropythonModules';
+import { FS_ROOT, MAIN_FILE, BOOT_FILE, LIB_DIR } from './picoFiles';
+import { toHex, fromHex } from './busDevices';
+
+// --- Pyodide上のMicroPython互換ランタイム ---
+// host: ワーカー(またはテスト)が用意するハードウェア側の実装
+//   pinUpdate(pin, level, pull)  出力ピン/プル抵抗の変化 (level: true/false/undefined=ハイインピーダンス)
+//   pwmUpdate(pin, duty, freq, pull)  PWM出力の変化 (duty: 0-1)
+//   readPin(pin)           回路から求めた入力レベル (0/1, 不明なら -1)
+//   readAdc(ch)            ADCチャンネルの入力電圧 (V, 不明なら -1)
+//   ticksUs()              起動からの経過時間 (µs)
+//   waitMs(ms)             ブロッキング待機 (割り込み確認もここで行う)
+//   readLine(prompt)       input() の1行 (コンソールから届くまで待つ。使えなければ null -> EOFError)
+//   flush()                溜めた通知の送信
+//   i2cScan(sda, scl) / i2cWrite(sda, scl, addr, bytes) / i2cRead(sda, scl, addr, n)
+//   spiTransfer(sck, mosi, miso, bytes) / uartOpen(rx) / uartWrite(tx, bytes) / uartRead(rx, n) / uartAny(rx)
+//   bitstream(pin, bytes) (machine.bitstream / neopixel)
+//                          バスの転送 (busDevices.js の createBus。bytes はバイト値の配列、Python とは16進文字列でやりとり)
+
+const BOOT = `
+import _pico
+import builtins
+import importlib
+import os
+import sys
+import types
+import traceback
+
+sys.dont_write_bytecode = True  # __pycache__ をファイル一覧に出さない
+
+_HOST_TIME = sys.modules["time"]
+
+def _print_exception(exc, file=None):
+    traceback.print_exception(type(exc), exc, exc.__traceback__, file=file or sys.stdout)
+
+sys.print_exception = _print_exception
+
+def _input(prompt=""):
+    line = _pico.read_line(str(prompt))
+    if not isinstance(line, str):  # null / undefined
+        raise EOFError("no console input")
+    return line
+
+builtins.input = _input
+
+def _prepare_files(root, lib):
+    # 前の実行で import したユーザーのモジュールを捨てる (編集後の内容で import し直す)
+    for name, mod in list(sys.modules.items()):
+        if (getattr(mod, "__file__", None) or "").startswith(root + "/"):
+            del sys.modules[name]
+    sys.path[:] = [root, root + "/" + lib] + [p for p in sys.path if p != root and not p.startswith(root + "/")]
+    importlib.invalidate_caches()
+    os.chdir(root)
+
+def install(sources, aliases, root, lib):
+    _prepare_files(root, lib)
+    # 実行ごとにモジュールを作り直して状態 (ピン/タイマー) をリセットする
+    for name, src in sources:
+        mod = types.ModuleType(name)
+        mod.__file__ = "<" + name + ">"
+        if name == "time":
+            mod._host_time = _HOST_TIME
+        sys.modules[name] = mod
+        exec(compile(src, mod.__file__, "exec"), mod.__dict__)
+    sys.modules["utime"] = sys.modules["time"]
+    for name in aliases:
+        if name == "time":
+            continue
+        try:
+            sys.modules["u" + name] = __import__(name)
+        except ImportError:
+            pass
+`;
+
+export function installMicroPython(pyodide, host) {
+  pyodide.registerJsModule('_pico', {
+    pin_update: (pin, level, pull) => host.pinUpdate(pin, level, pull),
+    pwm_update: (pin, duty, freq, pull) => host.pwmUpdate(pin, duty, freq, pull),
+    read_pin: (pin) => host.readPin(pin),
+    read_adc: (ch) => host.readAdc(ch),
+    ticks_us: () => host.ticksUs(),
+    wait_ms: (ms) => host.waitMs(ms),
+    flush: () => host.flush(),
+    read_line: (prompt) => host.readLine(prompt),
+    i2c_scan: (sda, scl) => host.i2cScan(sda, scl),
+    i2c_write: (sda, scl, addr, hex) => host.i2cWrite(sda, scl, addr, fromHex(hex)),
+    i2c_read: (sda, scl, addr, n) => {
+      const bytes = host.i2cRead(sda, scl, addr, n);
+      return bytes ? toHex(bytes) : null;
+    },
+    spi_transfer: (sck, mosi, miso, hex) => toHex(host.spiTransfer(sck, mosi, miso, fromHex(hex))),
+    uart_open: (rx) => host.uartOpen(rx),
+    uart_write: (tx, hex) => host.uartWrite(tx, fromHex(hex)),
+    uart_read: (rx, n) => toHex(host.uartRead(rx, n)),
+    uart_any: (rx) => host.uartAny(rx),
+    bitstream: (pin, hex) => host.bitstream(pin, fromHex(hex)),
+  });
+  const boot = pyodide.globals.get('dict')();
+  pyodide.runPython(BOOT, { globals: boot, filename: '<boot>' });
+  const install = boot.get('install');
+  boot.destroy();
+  return () => install(pyodide.toPy(MICROPYTHON_MODULES), pyodide.toPy(U_MODULE_ALIASES), FS_ROOT, LIB_DIR);
+}
+
+// --- ファイル (picoFiles.js) <-> Pyodide の FS ---
+// プロジェクトのファイルで FS_ROOT を作り直す
+export function writeFiles(pyodide, files) {
+  const { FS } = pyodide;
+  const removeTree = (dir) => {
+    FS.readdir(dir).filter(name => name !== '.' && name !== '..').forEach(name => {
+      const path = `${dir}/${name}`;
+      if (FS.isDir(FS.stat(path).mode)) { removeTree(path); FS.rmdir(path); } else FS.unlink(path);
+    });
+  };
+  if (FS.analyzePath(FS_ROOT).exists) removeTree(FS_ROOT);
+  FS.mkdirTree(FS_ROOT);
+  Object.entries(files).forEach(([path, text]) => {
+    const dir = path.includes('/') ? `${FS_ROOT}/${path.slice(0, path.lastIndexOf('/'))}` : FS_ROOT;
+    FS.mkdirTree(dir);
+    FS.writeFile(`${FS_ROOT}/${path}`, text);
+  });
+}
+
+// FS_ROOT 以下のファイルを { path: text } で読む (プログラムが書いたファイルも入る)
+export function readFiles(pyodide) {
+  const { FS } = pyodide;
+  const files = {};
+  const walk = (dir, prefix) => {
+    FS.readdir(dir).filter(name => name !== '.' && name !== '..' && name !== '__pycache__').sort().forEach(name => {
+      const path = `${dir}/${name}`;
+      if (FS.isDir(FS.stat(path).mode)) walk(path, `${prefix}${name}/`);
+      else files[`${prefix}${name}`] = FS.readFile(path, { encoding: 'utf8' });
+    });
+  };
+  if (FS.analyzePath(FS_ROOT).exists) walk(FS_ROOT, '');
+  return files;
+}
+
+// 今実行しているユーザーのファイルと行 { file, line } (ホスト関数 = sleep やピン更新の中から呼ぶ。外なら null)
+// 呼び出し元の Python のフレームを遡って一番内側のユーザーのファイルを探す (sys.settrace より軽い)
+const LINE_PROBE = `
+import sys
+
+def user_line(root):
+    frame = sys._getframe(0).f_back
+    while frame is not None:
+        if frame.f_code.co_filename.startswith(root):
+            return frame.f_code.co_filename[len(root):], frame.f_lineno
+        frame = frame.f_back
+    return None
+
+user_line
+`;
+
+export function createLineProbe(pyodide) {
+  const globals = pyodide.globals.get('dict')();
+  const probe = pyodide.runPython(LINE_PROBE, { globals, filename: '<probe>' });
+  globals.destroy();
+  return () => {
+    const found = probe(`${FS_ROOT}/`);
+    if (!found) return null;
+    const [file, line] = found.toJs();
+    found.destroy();
+    return { file, line };
+  };
+}
+
+// プログラムと REPL が共有する名前空間 (main.py の変数は終了後も REPL から見える。使い終わったら destroy する)
+export function createGlobals(pyodide) {
+  const globals = pyodide.globals.get('dict')();
+  globals.set('__name__', '__main__');
+  return globals;
+}
+
+// FS_ROOT の boot.py -> main.py を globals で実行する。終了後も Timer が残っていれば動かし続ける
+// (MicroPython にトップレベル await は無いので同期実行。runPythonAsync だと KeyboardInterrupt が
+//  asyncio のイベントループ側にも漏れて未処理エラーになる)
+export async function runProgram(pyodide, installModules, globals) {
+  installModules();
+  [BOOT_FILE, MAIN_FILE].forEach(file => {
+    const path = `${FS_ROOT}/${file}`;
+    if (!pyodide.FS.analyzePath(path).exists) return;
+    pyodide.runPython(pyodide.FS.readFile(path, { encoding: 'utf8' }), { globals, filename: path });
+  });
+  pyodide.runPython('import _picort\n_picort.idle_forever()');
+}
+
+// --- REPL ---
+// 1文を対話モードで実行する (式の値は repr で表示)。エラーは MicroPython と同じく traceback を表示して続ける
+// KeyboardInterrupt だけは呼び出し元へ (実行中のプログラムの中なら、そのままプログラムを止める)
+const REPL = `
+import sys
+import traceback
+
+def repl_exec(source, globals):
+    try:
+        code = compile(source, "<stdin>", "single")
+    except SyntaxError as e:
+        traceback.print_exception(type(e), e, None, file=sys.stdout)
+        return
+    try:
+        exec(code, globals)
+    except (KeyboardInterrupt, SystemExit):
+        raise
+    except BaseException as e:
+        traceback.print_exception(type(e), e, e.__traceback__.tb_next, file=sys.stdout)
+
+repl_exec
+`;
+
+export function createRepl(pyodide) {
+  const globals = pyodide.globals.get('dict')();
+  const replExec = pyodide.runPython(REPL, { globals, filename: '<repl>' });
+  globals.destroy();
+  return (source, sessionGlobals) => replExec(source, sessionGlobals);
+}
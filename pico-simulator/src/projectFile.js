@@ -0,0 +1,209 @@
+import { BREADBOARDS, DEFAULT_BREADBOARD, getLayout, colRange, isHole } from './breadboard';
+import { BOARDS, DEFAULT_BOARD } from './picoBoard';
+import { getPart, partDefaults, partFits } from './parts';
+import { MAIN_FILE, validateFiles } from './picoFiles';
+
+// --- プロジェクトファイル形式 (保存/読み込み/localStorage 共通) ---
+// {
+//   "format": "pico-sim-project",
+//   "version": 4,
+//   "board":      { "type": "pico", "row": 1, "col": 3, "rotation": 0 },   Pico / Pico W の位置 (picoBoard.js, "usb": false = USB なし)
+//   "breadboard": { "type": "half" },                                    テンプレート (breadboard.js の BREADBOARDS)
+//   "components": [ { "type": "led", "id": 1, "name": "LED 1", "sR": 25, "sC": 7, "eR": 28, "eC": 7 }, ... ],
+//   "files": { "main.py": "from machine import Pin ...", "lib/helpers.py": "..." },   Pico のファイル (picoFiles.js)
+//   "settings": { "chipTempC": 27 }
+// }
+// components の type と固有プロパティは parts.js の部品定義 (props) で決まる。
+// 位置: 2点で置く部品は sR, sC -> eR, eC / 形の決まった部品 (7セグ等) は基準の穴 row, col
+// 座標: row = 1..rows, col = 1..10 (本体), 0/11 = 電源レール(+), -1/12 = 電源レール(-) (2枚目のボードは +14)
+//
+// 古い形式は migrateProject で順に最新版へ変換する:
+//   version 1 = バージョン無し { wires, leds, resistors, switches, pots, sensors, code }
+//   version 2 = Pico の位置が固定, breadboard は { type: 'full', rows: 30 } (今の half)
+//   version 3 = プログラムは main.py だけ ("code": "...")
+export const PROJECT_FORMAT = 'pico-sim-project';
+export const PROJECT_VERSION = 4;
+export const STORAGE_KEY = 'pico_sim_project';
+const LEGACY_STORAGE_KEY = /^pico_sim_data_v(\d+)$/; // 旧バージョンの localStorage キー
+
+// version 1 の種類ごとの配列 -> components の type
+const V1_LISTS = { wire: 'wires', led: 'leds', resistor: 'resistors', switch: 'switches', pot: 'pots', sensor: 'sensors' };
+
+const MIGRATIONS = {
+  // 1 -> 2: 種類ごとの配列を components にまとめ、ボード情報を付ける
+  1: (data) => ({
+    format: PROJECT_FORMAT,
+    version: 2,
+    board: { type: 'pico' },
+    breadboard: { type: 'full', rows: 30 },
+    components: Object.entries(V1_LISTS).flatMap(([type, key]) => (Array.isArray(data[key]) ? data[key] : []).map(item => ({ type, ...item }))),
+    code: typeof data.code === 'string' ? data.code : '',
+    settings: {},
+  }),
+  // 2 -> 3: Pico を置ける部品に (今までの位置 = Row 1 から, USB が上), ブレッドボードはテンプレート名に
+  2: (data) => ({
+    ...data,
+    version: 3,
+    board: { ...DEFAULT_BOARD, type: data.board && data.board.type === 'picow' ? 'picow' : 'pico' },
+    breadboard: { type: DEFAULT_BREADBOARD },
+  }),
+  // 3 -> 4: code を main.py にして複数ファイルに
+  3: ({ code, ...data }) => ({
+    ...data,
+    version: 4,
+    files: { [MAIN_FILE]: typeof code === 'string' ? code : '' },
+  }),
+};
+
+export function projectVersion(data) {
+  return data && typeof data === 'object' && data.version !== undefined ? data.version : 1;
+}
+
+// 古い形式を最新版へ変換する (新しすぎる/不明なバージョンはエラー)
+export function migrateProject(data) {
+  let version = projectVersion(data);
+  if (!Number.isInteger(version) || version < 1) throw new Error(`version: unknown format version ${JSON.stringify(version)}`);
+  if (version > PROJECT_VERSION) throw new Error(`version: file version ${version} is newer than this simulator (${PROJECT_VERSION})`);
+  let migrated = data;
+  while (version < PROJECT_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
+
+// --- 検証 (エラーはパス付きの文字列で返す: "components[2].ohms: must be a positive number") ---
+const isInt = (v) => Number.isInteger(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// 部品定義のプロパティ -> [検査, エラー文]
+function propCheck(prop) {
+  if (prop.type === 'select') {
+    const values = prop.options.map(o => o.value);
+    return [v => values.includes(v), `one of ${values.map(v => JSON.stringify(v)).join(', ')}`];
+  }
+  if (prop.type === 'text' || prop.type === 'color') return [v => typeof v === 'string', 'a string'];
+  if (prop.type === 'boolean') return [v => typeof v === 'boolean', 'a boolean'];
+  if (prop.positive) return [v => isNumber(v) && v > 0, 'a positive number'];
+  if (prop.min !== undefined && prop.max !== undefined) return [v => isNumber(v) && v >= prop.min && v <= prop.max, `a number between ${prop.min} and ${prop.max}`];
+  if (prop.min === 0) return [v => isNumber(v) && v >= 0, 'a non-negative number'];
+  return [isNumber, 'a number'];
+}
+
+export function validateProject(project) {
+  const errors = [];
+  if (!project || typeof project !== 'object' || Array.isArray(project)) return ['(root): must be an object'];
+  if (project.format !== PROJECT_FORMAT) errors.push(`format: must be "${PROJECT_FORMAT}"`);
+  if (project.version !== PROJECT_VERSION) errors.push(`version: must be ${PROJECT_VERSION}`);
+  const breadboardType = project.breadboard && project.breadboard.type;
+  if (!BREADBOARDS[breadboardType]) errors.push(`breadboard.type: must be one of ${Object.keys(BREADBOARDS).map(t => JSON.stringify(t)).join(', ')}`);
+  const layout = getLayout(breadboardType);
+  const cols = colRange(layout);
+  const board = project.board || {};
+  if (!BOARDS[board.type]) errors.push(`board.type: must be one of ${Object.keys(BOARDS).map(t => JSON.stringify(t)).join(', ')}`);
+  if (!isInt(board.row) || board.row < 1 || board.row > layout.rows) errors.push(`board.row: must be a row number 1-${layout.rows}`);
+  if (!isInt(board.col) || !isHole(1, board.col, layout)) errors.push(`board.col: must be a column number ${cols.min}..${cols.max}`);
+  if (board.rotation !== 0 && board.rotation !== 180) errors.push('board.rotation: must be 0 or 180');
+  if (board.usb !== undefined && typeof board.usb !== 'boolean') errors.push('board.usb: must be a boolean');
+  errors.push(...validateFiles(project.files));
+  if (project.settings !== undefined && (typeof project.settings !== 'object' || project.settings === null)) errors.push('settings: must be an object');
+  if (!Array.isArray(project.components)) {
+    errors.push('components: must be an array');
+    return errors;
+  }
+
+  const maxRow = layout.rows;
+  const seen = new Set();
+  project.components.forEach((c, i) => {
+    const at = `components[${i}]`;
+    if (!c || typeof c !== 'object') { errors.push(`${at}: must be an object`); return; }
+    const def = getPart(c.type);
+    if (!def) { errors.push(`${at}.type: unknown component type ${JSON.stringify(c.type)}`); return; }
+    if (!isInt(c.id) && typeof c.id !== 'string') errors.push(`${at}.id: must be an integer or string`);
+    else if (seen.has(`${c.type}:${c.id}`)) errors.push(`${at}.id: duplicate ${c.type} id ${c.id}`);
+    seen.add(`${c.type}:${c.id}`);
+    if (c.name !== undefined && typeof c.name !== 'string') errors.push(`${at}.name: must be a string`);
+    const [rowKeys, colKeys] = def.placement === 'footprint' ? [['row'], ['col']] : [['sR', 'eR'], ['sC', 'eC']];
+    const positionErrors = errors.length;
+    rowKeys.forEach(key => { if (!isInt(c[key]) || c[key] < 1 || c[key] > maxRow) errors.push(`${at}.${key}: must be a row number 1-${maxRow}`); });
+    colKeys.forEach(key => { if (!isInt(c[key]) || c[key] < cols.min || c[key] > cols.max) errors.push(`${at}.${key}: must be a column number ${cols.min}..${cols.max}`); });
+    // 形の決まった部品は全部のピンがボードに収まること
+    if (errors.length === positionErrors && def.placement === 'footprint' && !partFits(c, layout)) {
+      errors.push(`${at}.row: ${def.label} does not fit on the breadboard at row ${c.row}`);
+    }
+    def.props.forEach(prop => {
+      if (c[prop.key] === undefined) {
+        if (prop.required) errors.push(`${at}.${prop.key}: is required`);
+        return;
+      }
+      const [check, hint] = propCheck(prop);
+      if (!check(c[prop.key])) errors.push(`${at}.${prop.key}: must be ${hint}`);
+    });
+  });
+  return errors;
+}
+
+// --- App state <-> プロジェクト ---
+// state: { components, board, breadboard (テンプレート名), files, chipTempC }
+export function toProject(state) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    board: { ...DEFAULT_BOARD, ...state.board },
+    breadboard: { type: state.breadboard || DEFAULT_BREADBOARD },
+    components: state.components || [],
+    files: state.files || { [MAIN_FILE]: '' },
+    settings: { chipTempC: state.chipTempC },
+  };
+}
+
+// 省略されたプロパティは部品定義の既定値で埋める
+export function fromProject(project) {
+  return {
+    components: project.components.map(c => ({ ...partDefaults(getPart(c.type)), ...c })),
+    board: { ...project.board },
+    breadboard: project.breadboard.type,
+    files: { ...project.files },
+    chipTempC: project.settings && project.settings.chipTempC,
+  };
+}
+
+// JSON テキスト / オブジェクトを読み込む: 変換 -> 検証
+// 戻り値 { state, errors, fromVersion } (errors が空でなければ state は null)
+export function readProject(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try { data = JSON.parse(input); } catch (e) { return { state: null, errors: [`(file): invalid JSON - ${e.message}`], fromVersion: null }; }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { state: null, errors: ['(root): must be an object'], fromVersion: null };
+  const fromVersion = projectVersion(data);
+  let project;
+  try { project = migrateProject(data); } catch (e) { return { state: null, errors: [e.message], fromVersion }; }
+  const errors = validateProject(project);
+  return { state: errors.length ? null : fromProject(project), errors, fromVersion };
+}
+
+export const serializeProject = (state) => JSON.stringify(toProject(state), null, 2);
+
+// localStorage: 新しいキーが無ければ旧キー (pico_sim_data_vNN) の一番新しいものを変換して引き継ぐ
+export function loadFromStorage(storage) {
+  const saved = storage.getItem(STORAGE_KEY);
+  if (saved !== null) return readProject(saved);
+  const legacyKeys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const match = LEGACY_STORAGE_KEY.exec(storage.key(i));
+    if (match) legacyKeys.push({ key: match[0], n: Number(match[1]) });
+  }
+  if (legacyKeys.length === 0) return null;
+  legacyKeys.sort((a, b) => b.n - a.n);
+  const result = readProject(storage.getItem(legacyKeys[0].key));
+  if (result.state) {
+    storage.setItem(STORAGE_KEY, serializeProject(result.state));
+    legacyKeys.forEach(({ key }) => storage.removeItem(key));
+  }
+  return result;
+}
+
+export function saveToStorage(storage, state) {
+  storage.setItem(STORAGE_KEY, serializeProject(state));
+}
@@ -0,0 +1,141 @@
+import { readProject, serializeProject, loadFromStorage, saveToStorage, migrateProject, STORAGE_KEY, PROJECT_VERSION } from './projectFile';
+import { BLINK_EXAMPLE } from './examples';
+
+// version 1 (バージョン無し, 種類ごとの配列) の保存ファイル
+const V1_BLINK = {
+  wires: [{ id: 1, sR: 20, sC: 2, eR: 25, eC: 2, color: 'green', level: 2, name: 'Wire 1' }],
+  leds: [{ id: 1, sR: 25, sC: 7, eR: 28, eC: 7, name: 'LED 1' }],
+  resistors: [{ id: 1, sR: 25, sC: 3, eR: 25, eC: 6, scale: 1, ohms: 330, name: 'Resistor 1' }],
+  switches: [],
+  code: BLINK_EXAMPLE.files['main.py'],
+};
+
+// localStorage の代わり (getItem / setItem / removeItem / key / length)
+function fakeStorage(items = {}) {
+  const data = { ...items };
+  return {
+    data,
+    get length() { return Object.keys(data).length; },
+    key: (i) => Object.keys(data)[i] ?? null,
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    removeItem: (key) => { delete data[key]; },
+  };
+}
+
+test('version 1 files are migrated to the component list format', () => {
+  const result = readProject(JSON.stringify(V1_BLINK));
+  expect(result.errors).toEqual([]);
+  expect(result.fromVersion).toBe(1);
+  expect(result.state.components.filter(c => c.type === 'led')).toEqual(V1_BLINK.leds.map(l => ({ type: 'led', ...l })));
+  expect(result.state.components.filter(c => c.type === 'resistor')).toEqual(V1_BLINK.resistors.map(r => ({ type: 'resistor', ...r })));
+  expect(result.state.files).toEqual({ 'main.py': V1_BLINK.code });
+
+  const project = migrateProject(V1_BLINK);
+  expect(project.version).toBe(PROJECT_VERSION);
+  expect(project.components.map(c => c.type)).toEqual(['wire', 'led', 'resistor']);
+});
+
+test('saved projects round-trip', () => {
+  const state = { components: BLINK_EXAMPLE.components, board: { type: 'picow', row: 5, col: 16, rotation: 180 }, breadboard: 'dual', files: { ...BLINK_EXAMPLE.files, 'lib/helpers.py': 'X = 1\n', 'log.csv': 't,v\n' }, chipTempC: 40 };
+  const result = readProject(serializeProject(state));
+  expect(result.errors).toEqual([]);
+  expect(result.fromVersion).toBe(PROJECT_VERSION);
+  expect(result.state).toEqual(state);
+});
+
+test('invalid files report errors with their path', () => {
+  const project = JSON.parse(JSON.stringify(BLINK_EXAMPLE));
+  project.components.push({ type: 'resistor', id: 9, sR: 0, sC: 1, eR: 3, eC: 1, ohms: 'big' });
+  project.components.push({ type: 'flux-capacitor', id: 1 });
+  const result = readProject(JSON.stringify(project));
+  expect(result.state).toBeNull();
+  const last = project.components.length - 1;
+  expect(result.errors).toEqual([
+    `components[${last - 1}].sR: must be a row number 1-30`,
+    `components[${last - 1}].ohms: must be a non-negative number`,
+    `components[${last}].type: unknown component type "flux-capacitor"`,
+  ]);
+
+  expect(readProject('{ nope').errors[0]).toMatch(/^\(file\): invalid JSON/);
+  expect(readProject({ ...project, version: PROJECT_VERSION + 1 }).errors).toEqual([`version: file version ${PROJECT_VERSION + 1} is newer than this simulator (${PROJECT_VERSION})`]);
+});
+
+test('legacy localStorage keys are migrated once', () => {
+  const storage = fakeStorage({
+    pico_sim_data_v9: JSON.stringify({ wires: [], code: 'old' }),
+    pico_sim_data_v15: JSON.stringify(V1_BLINK),
+    other_app: 'keep',
+  });
+  const result = loadFromStorage(storage);
+  expect(result.fromVersion).toBe(1);
+  expect(result.state.files['main.py']).toBe(BLINK_EXAMPLE.files['main.py']);
+  expect(Object.keys(storage.data).sort()).toEqual(['other_app', STORAGE_KEY]);
+  expect(loadFromStorage(storage).fromVersion).toBe(PROJECT_VERSION);
+
+  saveToStorage(storage, { ...result.state, files: { 'main.py': 'new' } });
+  expect(loadFromStorage(storage).state.files).toEqual({ 'main.py': 'new' });
+  expect(loadFromStorage(fakeStorage())).toBeNull();
+});
+
+test('components are validated against the part registry', () => {
+  const project = JSON.parse(JSON.stringify(BLINK_EXAMPLE));
+  project.components = [
+    { type: 'sevenseg', id: 1, row: 22, col: 5, common: 'both' },
+    { type: 'rgbled', id: 1, row: 29, col: 3 },
+    { type: 'sensor', id: 1, sR: 1, sC: 1, eR: 2, eC: 1 },
+  ];
+  expect(readProject(project).errors).toEqual([
+    'components[0].common: must be one of "cathode", "anode"',
+    'components[1].row: RGB LED does not fit on the breadboard at row 29',
+    'components[2].kind: is required',
+  ]);
+  // 省略したプロパティは既定値で埋まる
+  project.components = [{ type: 'rgbled', id: 1, row: 3, col: 3 }];
+  expect(readProject(project).state.components[0].common).toBe('cathode');
+});
+
+test('version 2 files get the default board and breadboard', () => {
+  const v2 = { format: 'pico-sim-project', version: 2, components: BLINK_EXAMPLE.components, board: { type: 'picow' }, breadboard: { rows: 30 }, code: '' };
+  const result = readProject(JSON.stringify(v2));
+  expect(result.errors).toEqual([]);
+  expect(result.fromVersion).toBe(2);
+  expect(result.state.board).toEqual({ type: 'picow', row: 1, col: 3, rotation: 0 });
+  expect(result.state.breadboard).toBe('half');
+});
+
+test('board position and breadboard type are validated', () => {
+  const project = JSON.parse(JSON.stringify(BLINK_EXAMPLE));
+  project.breadboard = { type: 'mini' };
+  project.board = { type: 'pico', row: 1, col: 12, rotation: 90 };
+  project.components = [{ type: 'wire', id: 1, sR: 1, sC: 0, eR: 2, eC: 1 }];
+  expect(readProject(project).errors).toEqual([
+    'board.col: must be a column number 1..10',
+    'board.rotation: must be 0 or 180',
+    'components[0].sC: must be a column number 1..10',
+  ]);
+  project.breadboard = { type: 'half' };
+  project.board = { type: 'pico', row: 1, col: 3, rotation: 0, usb: 'yes' };
+  expect(readProject(project).errors).toEqual(['board.usb: must be a boolean']);
+  project.breadboard = { type: 'jumbo' };
+  expect(readProject(project).errors[0]).toBe('breadboard.type: must be one of "half", "full", "mini", "dual"');
+});
+
+test('version 3 code becomes main.py and files are validated', () => {
+  const v3 = { ...JSON.parse(JSON.stringify(BLINK_EXAMPLE)), version: 3, code: 'print(1)' };
+  delete v3.files;
+  const result = readProject(v3);
+  expect(result.errors).toEqual([]);
+  expect(result.fromVersion).toBe(3);
+  expect(result.state.files).toEqual({ 'main.py': 'print(1)' });
+
+  const project = JSON.parse(JSON.stringify(BLINK_EXAMPLE));
+  project.files = { 'main.py': 1, '../etc/passwd': '', 'lib': '', 'lib/a.py': '' };
+  expect(readProject(project).errors).toEqual([
+    'files["main.py"]: must be a string',
+    'files["../etc/passwd"]: invalid path "../etc/passwd" (use letters, digits, _ - . and "/" between folders)',
+    'files["lib"]: is also used as a folder',
+  ]);
+  project.files = ['main.py'];
+  expect(readProject(project).errors).toEqual(['files: must be an object']);
+});
@@ -0,0 +1,155 @@
+import { FS_ROOT } from './picoFiles';
+
+// --- Python ソースの解析 (コードエディタ用) ---
+// ハイライト用のトークン分割 / 自動インデント / Pyodide の traceback をユーザーの行番号に直す
+export const INDENT = '    ';
+
+const KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+  'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+]);
+const BUILTINS = new Set([
+  'abs', 'all', 'any', 'bin', 'bool', 'bytearray', 'bytes', 'callable', 'chr', 'dict', 'dir', 'divmod', 'enumerate',
+  'eval', 'exec', 'filter', 'float', 'getattr', 'globals', 'hasattr', 'hash', 'hex', 'id', 'input', 'int', 'isinstance',
+  'issubclass', 'iter', 'len', 'list', 'locals', 'map', 'max', 'memoryview', 'min', 'next', 'object', 'oct', 'open',
+  'ord', 'pow', 'print', 'property', 'range', 'repr', 'reversed', 'round', 'set', 'setattr', 'slice', 'sorted',
+  'staticmethod', 'str', 'sum', 'super', 'tuple', 'type', 'zip', 'self',
+]);
+
+// コメント / 文字列 (三重引用符は複数行, 閉じていなければ最後まで) / 数値 / デコレータ / 名前
+const TOKEN = /(#[^\n]*)|((?:[rRbBfFuU]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?))|(\b0[xXoObB][\da-fA-F_]+\b|(?:\b\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?[jJ]?)|(@[A-Za-z_][\w.]*)|([A-Za-z_]\w*)/g;
+
+// ソース全体 -> 行ごとのトークン [[{ text, kind }]] (kind: keyword / builtin / string / comment / number / decorator / def / null)
+export function tokenizePython(source) {
+  const tokens = [];
+  let last = 0;
+  let afterDef = false;
+  const push = (text, kind) => { if (text) tokens.push({ text, kind }); };
+  TOKEN.lastIndex = 0;
+  for (let m = TOKEN.exec(source); m; m = TOKEN.exec(source)) {
+    if (m[0] === '') { TOKEN.lastIndex++; continue; }
+    push(source.slice(last, m.index), null);
+    let kind = null;
+    if (m[1]) kind = 'comment';
+    else if (m[2]) kind = 'string';
+    else if (m[3]) kind = 'number';
+    else if (m[4]) kind = 'decorator';
+    else if (afterDef) kind = 'def';
+    else if (KEYWORDS.has(m[5])) kind = 'keyword';
+    else if (BUILTINS.has(m[5])) kind = 'builtin';
+    afterDef = m[5] === 'def' || m[5] === 'class';
+    push(m[0], kind);
+    last = m.index + m[0].length;
+  }
+  push(source.slice(last), null);
+
+  // 改行で行に分ける (複数行の文字列は行ごとに切る)
+  const lines = [[]];
+  tokens.forEach(({ text, kind }) => {
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ text: part, kind });
+    });
+  });
+  return lines;
+}
+
+// --- 自動インデント ---
+export const leadingSpace = (line) => /^[ \t]*/.exec(line)[0];
+
+// Enter で次の行に付けるインデント (":" で終わる行の次は1段深く, return/pass などの次は1段浅く)
+export function indentAfter(line) {
+  const indent = leadingSpace(line);
+  const code = line.replace(/#.*$/, '').trimEnd();
+  if (code.endsWith(':')) return indent + INDENT;
+  if (/^\s*(return|pass|break|continue|raise)\b/.test(code)) return indent.slice(0, Math.max(0, indent.length - INDENT.length));
+  return indent;
+}
+
+// 選択範囲の行をまとめて字下げ/字下げ解除する
+// 戻り値 { text, start, end } (start/end = 新しい選択範囲)
+export function shiftLines(text, start, end, outdent = false) {
+  const first = text.lastIndexOf('\n', start - 1) + 1;
+  const lastEnd = end > start && text[end - 1] === '\n' ? end - 1 : end; // 次の行の頭まで選んでいたらその行は含めない
+  const nl = text.indexOf('\n', lastEnd);
+  const last = nl === -1 ? text.length : nl;
+  const lines = text.slice(first, last).split('\n');
+  let removedFirst = 0;
+  const shifted = lines.map((line, i) => {
+    if (!outdent) return INDENT + line;
+    const remove = Math.min(INDENT.length, leadingSpace(line).length);
+    if (i === 0) removedFirst = remove;
+    return line.slice(remove);
+  });
+  const block = shifted.join('\n');
+  const delta = block.length - (last - first);
+  const firstDelta = outdent ? -removedFirst : INDENT.length;
+  return {
+    text: text.slice(0, first) + block + text.slice(last),
+    start: Math.max(first, start + firstDelta),
+    end: Math.max(first, end + delta),
+  };
+}
+
+// --- traceback ---
+// Pyodide の例外メッセージには Pyodide 自身や machine モジュールなどの内部のフレームも入っている。
+// ユーザーのファイル (FS_ROOT 以下) のフレームだけ残して MicroPython 風に整え、エラーの場所 (一番内側のユーザーのフレーム) を返す。
+// 戻り値 { text, file, line, message } (file は "lib/helpers.py" のようなプロジェクト内のパス。ユーザーのファイルの中に無ければ null)
+const FRAME = /^\s*File "([^"]+)", line (\d+)(?:, in (.+))?$/;
+export const isUserFile = (file) => file.startsWith(`${FS_ROOT}/`);
+const userPath = (file) => (isUserFile(file) ? file.slice(FS_ROOT.length + 1) : file);
+
+export function parseTraceback(raw, userFile = isUserFile) {
+  const lines = String(raw).replace(/\s+$/, '').split('\n');
+  const frames = [];
+  let tail = [];
+  let current = null;
+  lines.forEach(line => {
+    const frame = FRAME.exec(line);
+    if (frame) {
+      current = { file: userPath(frame[1]), raw: frame[1], line: Number(frame[2]), name: frame[3] || null, source: [] };
+      frames.push(current);
+      tail = [];
+    } else if (current && /^\s/.test(line) && tail.length === 0) {
+      current.source.push(line);
+    } else if (!/^Traceback \(most recent call last\):/.test(line)) {
+      current = null;
+      tail.push(line);
+    }
+  });
+  const user = frames.filter(f => userFile(f.raw));
+  const message = tail.join('\n') || String(raw);
+  const inner = user[user.length - 1] || null;
+  const body = user.flatMap(f => [
+    `  File "${f.file}", line ${f.line}${f.name ? `, in ${f.name}` : ''}`,
+    ...f.source.filter(s => !/^\s*[~^]+\s*$/.test(s)), // ^^^^ の下線は省く
+  ]);
+  // SyntaxError は "Traceback" 無しで場所とメッセージだけ
+  const head = user.length > 0 && user.some(f => f.name) ? ['Traceback (most recent call last):'] : [];
+  return {
+    text: [...head, ...body, ...tail].join('\n') || message,
+    file: inner ? inner.file : null,
+    line: inner ? inner.line : null,
+    message: tail[tail.length - 1] || message,
+  };
+}
+
+// --- REPL ---
+// 入力した行 (lines) で1文が終わったか (標準の Python REPL と同じ: ":" で始まるブロックは空行まで続け、
+// 括弧 / 三重引用符 / 行末の "\" が閉じていなければ次の行を待つ)
+export function replNeedsMore(lines) {
+  const source = lines.join('\n');
+  const code = tokenizePython(source).flat().filter(t => t.kind === null).map(t => t.text).join('');
+  let depth = 0;
+  for (const ch of code) {
+    if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth--;
+  }
+  const triples = (source.match(/"""|'''/g) || []).length;
+  const last = lines[lines.length - 1];
+  if (depth > 0 || triples % 2 === 1 || last.endsWith('\\')) return true;
+  const first = lines[0].replace(/#.*$/, '').trimEnd();
+  const block = first.endsWith(':') || first.startsWith('@');
+  return block && last.trim() !== '';
+}
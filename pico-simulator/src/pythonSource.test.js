@@ -0,0 +1,83 @@
+import { tokenizePython, indentAfter, shiftLines, parseTraceback, replNeedsMore } from './pythonSource';
+
+// Pyodide が投げる例外メッセージ (内部のフレーム付き)
+const NAME_ERROR = [
+  'Traceback (most recent call last):',
+  '  File "/lib/python313.zip/_pyodide/_base.py", line 523, in eval_code',
+  '    .run(globals, locals)',
+  '     ~~~^^^^^^^^^^^^^^^^^',
+  '  File "/pico/main.py", line 4, in <module>',
+  '    f()',
+  '    ~^^',
+  '  File "<machine>", line 120, in value',
+  '    return _pico.read_pin(self._id)',
+  '  File "/pico/lib/util.py", line 3, in f',
+  '    return y',
+  '           ^',
+  "NameError: name 'y' is not defined",
+].join('\n');
+const SYNTAX_ERROR = [
+  'Traceback (most recent call last):',
+  '  File "/lib/python313.zip/_pyodide/_base.py", line 149, in _parse_and_compile_gen',
+  '    mod = compile(source, filename, mode, flags | ast.PyCF_ONLY_AST)',
+  '  File "/pico/main.py", line 1',
+  '    x = = 1',
+  '        ^',
+  'SyntaxError: invalid syntax',
+].join('\n');
+
+test('tokens cover the source line by line', () => {
+  const source = 'from machine import Pin  # LED\n@micropython.native\ndef blink(n=0x10):\n    s = """a\nb"""\n    print(f"{n}", 1.5e3)';
+  const lines = tokenizePython(source);
+  expect(lines.map(line => line.map(t => t.text).join(''))).toEqual(source.split('\n'));
+  const kinds = (i) => lines[i].filter(t => t.kind).map(t => [t.text, t.kind]);
+  expect(kinds(0)).toEqual([['from', 'keyword'], ['import', 'keyword'], ['# LED', 'comment']]);
+  expect(kinds(1)).toEqual([['@micropython.native', 'decorator']]);
+  expect(kinds(2)).toEqual([['def', 'keyword'], ['blink', 'def'], ['0x10', 'number']]);
+  expect(kinds(3)).toEqual([['"""a', 'string']]);
+  expect(kinds(4)).toEqual([['b"""', 'string']]);
+  expect(kinds(5)).toEqual([['print', 'builtin'], ['f"{n}"', 'string'], ['1.5e3', 'number']]);
+});
+
+test('auto-indent follows blocks and Tab shifts whole lines', () => {
+  expect(indentAfter('while True:  # loop')).toBe('    ');
+  expect(indentAfter('    if x:')).toBe('        ');
+  expect(indentAfter('        return 1')).toBe('    ');
+  expect(indentAfter('    x = 1')).toBe('    ');
+
+  const text = 'a\nb\nc';
+  expect(shiftLines(text, 0, 3)).toEqual({ text: '    a\n    b\nc', start: 4, end: 11 });
+  expect(shiftLines('    a\n    b\nc', 4, 11, true)).toEqual({ text: 'a\nb\nc', start: 0, end: 3 });
+});
+
+test('tracebacks keep only the project files and point at the innermost line', () => {
+  const tb = parseTraceback(NAME_ERROR);
+  expect(tb.file).toBe('lib/util.py');
+  expect(tb.line).toBe(3);
+  expect(tb.message).toBe("NameError: name 'y' is not defined");
+  expect(tb.text.split('\n')).toEqual([
+    'Traceback (most recent call last):',
+    '  File "main.py", line 4, in <module>',
+    '    f()',
+    '  File "lib/util.py", line 3, in f',
+    '    return y',
+    "NameError: name 'y' is not defined",
+  ]);
+
+  const syntax = parseTraceback(SYNTAX_ERROR);
+  expect(syntax).toMatchObject({ file: 'main.py', line: 1, message: 'SyntaxError: invalid syntax' });
+  expect(syntax.text.split('\n')[0]).toBe('  File "main.py", line 1');
+
+  expect(parseTraceback('boom')).toEqual({ text: 'boom', file: null, line: null, message: 'boom' });
+});
+
+test('the REPL waits for the end of blocks, brackets and strings', () => {
+  expect(replNeedsMore(['x = 1'])).toBe(false);
+  expect(replNeedsMore(['for i in range(3):'])).toBe(true);
+  expect(replNeedsMore(['for i in range(3):', '    print(i)'])).toBe(true);
+  expect(replNeedsMore(['for i in range(3):', '    print(i)', ''])).toBe(false);
+  expect(replNeedsMore(['leds = [1,', '  2]'])).toBe(false);
+  expect(replNeedsMore(['print("(")'])).toBe(false);
+  expect(replNeedsMore(['s = """abc'])).toBe(true);
+  expect(replNeedsMore(['x = 1 + \\'])).toBe(true);
+});
@@ -0,0 +1,285 @@
+/* eslint-disable no-restricted-globals */
+/* global Atomics */
+// --- Python実行ワーカー ---
+// Pyodideをメインスレッドから切り離して動かす (ビジーループでもUI/3D描画が止まらない)
+import { PYODIDE_INDEX_URL, CTRL, CONSOLE_INPUT, CONSOLE_REPL, CONSOLE_UART, readConsole, readBusWiring } from './engineProtocol';
+import { installMicroPython, runProgram, createGlobals, createRepl, createLineProbe, writeFiles, readFiles } from './picoRuntime';
+import { diffFiles, hasFileChanges } from './picoFiles';
+import { parseTraceback } from './pythonSource';
+import { createVirtualClock } from './virtualClock';
+import { createBus } from './busDevices';
+
+let pyodide = null;
+let installModules = null;
+let lineProbe = null;
+let replExec = null;
+let session = null; // プログラムと REPL が共有する名前空間 (Thonny のように main.py の変数が REPL から見える)
+let currentLine = null; // 最後にピン変化/sleep したユーザーのファイルの行 { file, line } (エディタの実行行表示)
+let control = null; // Int32Array(SharedArrayBuffer) / 共有メモリが使えない環境では null
+let runId = 0;
+const clock = createVirtualClock(); // ticks_us() / sleep はこのシミュレーション時刻で動く
+let queue = Promise.resolve(); // メッセージは1つずつ順番に処理する
+const bus = createBus(); // I2C / SPI / UART の仮想デバイス
+let busSeq = 0; // 最後に読んだ配線の版 (engineProtocol.js の BUS_SEQ)
+
+// ピン更新はまとめて送る (ビジーループで大量のメッセージを投げないように)
+// 各更新には変化した時刻 (µs) を付ける -> ロジックアナライザで使う
+const PIN_FLUSH_MS = 16;
+let pendingPins = [];
+let lastFlush = 0;
+
+const post = (msg) => self.postMessage({ ...msg, runId });
+
+function flushPins() {
+  if (pendingPins.length > 0) post({ type: 'pins', updates: pendingPins, t: clock.nowUs(), line: currentLine });
+  pendingPins = [];
+  const devices = bus.takeUpdates();
+  if (devices) post({ type: 'devices', updates: devices });
+  lastFlush = Date.now();
+}
+
+// --- 仮想クロックの制御 (速度 / 一時停止 / ステップ実行) ---
+// 一時停止・ステップは共有メモリがあるときだけ使える (無ければ run 時に渡された速度で動くだけ)
+const CLOCK_REPORT_MS = 50; // 長い sleep 中もこの間隔で時刻を知らせる (速度変更もここで反映)
+let stepping = false; // Step 中: 次のピン変化/sleep で再び止まる
+let lastClockReport = 0;
+
+function reportClock(paused = false) {
+  lastClockReport = Date.now();
+  post({ type: 'clock', t: clock.nowUs(), paused, line: currentLine });
+}
+
+function syncSpeed() {
+  if (control) clock.setSpeed(Atomics.load(control, CTRL.SPEED) / 1000);
+}
+
+// ピン変化/sleep の開始 = ステップ実行の区切り
+function stepBoundary() {
+  if (!stepping) return;
+  stepping = false;
+  Atomics.store(control, CTRL.PAUSED, 1);
+}
+
+// 一時停止中はここで止まる。Step が押されたら true を返す (次の区切りまで進める)
+function holdWhilePaused() {
+  if (!control || !Atomics.load(control, CTRL.PAUSED)) return false;
+  flushPins();
+  clock.freeze();
+  reportClock(true);
+  let stepped = false;
+  while (Atomics.load(control, CTRL.PAUSED)) {
+    if (Atomics.exchange(control, CTRL.STEP, 0)) { stepped = true; break; }
+    Atomics.wait(control, CTRL.INTERRUPT, 0, 100);
+    pyodide.checkInterrupt();
+  }
+  clock.thaw();
+  stepping = stepped;
+  reportClock(false);
+  return stepped;
+}
+
+function pinChanged(update) {
+  currentLine = lineProbe();
+  pendingPins.push(update);
+  stepBoundary();
+  if (Date.now() - lastFlush >= PIN_FLUSH_MS) flushPins();
+  holdWhilePaused();
+}
+
+// --- バス: 配線は実行中も共有メモリで差し替わる (部品を抜き差しした/電源を切った) ---
+function syncBus() {
+  if (!control) return;
+  const next = readBusWiring(control, busSeq);
+  if (!next) return;
+  busSeq = next.seq;
+  bus.setWiring(next.wiring);
+}
+
+// コンソールの1行を受け取る。UART 端末から送られたバイトはここでバスへ流す (どこで待っていても届くように)
+function takeConsole() {
+  const line = readConsole(control);
+  if (!line || line.kind !== CONSOLE_UART) return line;
+  const { key, text } = JSON.parse(line.text);
+  syncBus();
+  bus.send(key, Array.from(new TextEncoder().encode(text)));
+  return null;
+}
+
+// 実行中のプログラムの sleep の合間に、コンソールから届いた REPL の文を実行する
+function pollRepl() {
+  if (!control || !session) return;
+  const line = takeConsole();
+  if (!line || line.kind !== CONSOLE_REPL) return; // input() を待っていないときの入力は捨てる
+  replExec(line.text, session);
+  flushPins();
+  post({ type: 'repl-done' });
+}
+
+// uart.any() を回すだけのループ (sleep 無し) でも、端末からの送信が届き表示も更新されるように
+function pollUart() {
+  pollRepl();
+  if (Date.now() - lastFlush >= PIN_FLUSH_MS) flushPins();
+}
+
+const host = {
+  pinUpdate: (pin, level, pull) => pinChanged([pin, level, pull, clock.nowUs()]),
+  pwmUpdate: (pin, duty, freq, pull) => pinChanged([pin, { duty, freq }, pull, clock.nowUs()]),
+  readPin: (pin) => (control ? Atomics.load(control, CTRL.INPUTS + pin) : -1),
+  readAdc: (ch) => {
+    const uv = control ? Atomics.load(control, CTRL.ANALOG + ch) : -1;
+    return uv < 0 ? -1 : uv / 1e6;
+  },
+  // ビジーループ (ticks_ms の比較) も一時停止できるようにここでも止まる
+  ticksUs: () => {
+    holdWhilePaused();
+    return clock.nowUs();
+  },
+  // sleep: シミュレーション時間で ms 進める。実際に眠るのは ms / speed (最速モードでは眠らない)
+  // Atomics.wait は Stop の割り込み/入力変化で即座に起きる
+  waitMs: (ms) => {
+    currentLine = lineProbe();
+    stepBoundary();
+    if (!clock.isFast() || Date.now() - lastFlush >= PIN_FLUSH_MS) flushPins();
+    const target = clock.nowUs() + ms * 1000;
+    while (!holdWhilePaused()) {
+      pollRepl();
+      syncSpeed();
+      const remainingUs = target - clock.nowUs();
+      if (remainingUs <= 0 || clock.isFast()) break;
+      const wait = Math.min(clock.wallMsFor(remainingUs), CLOCK_REPORT_MS);
+      if (control) {
+        if (Atomics.wait(control, CTRL.INTERRUPT, 0, wait) === 'ok') {
+          // 入力変化で起こされた: 時刻はそのままで戻り、割り込みを判定させる
+          pyodide.checkInterrupt();
+          return;
+        }
+      } else {
+        const end = performance.now() + wait;
+        while (performance.now() < end) { /* 共有メモリが無い環境ではビジーウェイト */ }
+      }
+      pyodide.checkInterrupt();
+      if (Date.now() - lastClockReport >= CLOCK_REPORT_MS) reportClock();
+    }
+    clock.jumpTo(target);
+    pyodide.checkInterrupt();
+    if (Date.now() - lastClockReport >= CLOCK_REPORT_MS) reportClock();
+  },
+  flush: () => flushPins(),
+  // input(): メインスレッドに入力欄を出させ、共有メモリに行が届くまで待つ (共有メモリが無ければ使えない)
+  readLine: (prompt) => {
+    if (!control) return null;
+    flushPins();
+    post({ type: 'input', prompt });
+    for (;;) {
+      const line = takeConsole();
+      if (line && line.kind === CONSOLE_INPUT) return line.text;
+      Atomics.wait(control, CTRL.INTERRUPT, 0, CLOCK_REPORT_MS);
+      pyodide.checkInterrupt();
+    }
+  },
+  i2cScan: (sda, scl) => { syncBus(); return bus.i2cScan(sda, scl); },
+  i2cWrite: (sda, scl, addr, bytes) => { syncBus(); return bus.i2cWrite(sda, scl, addr, bytes); },
+  i2cRead: (sda, scl, addr, n) => { syncBus(); return bus.i2cRead(sda, scl, addr, n); },
+  spiTransfer: (sck, mosi, miso, bytes) => { syncBus(); return bus.spiTransfer(sck, mosi, miso, bytes); },
+  uartOpen: (rx) => bus.uartOpen(rx),
+  uartWrite: (tx, bytes) => { syncBus(); bus.uartWrite(tx, bytes); },
+  uartRead: (rx, n) => { pollUart(); return bus.uartRead(rx, n); },
+  uartAny: (rx) => { pollUart(); return bus.uartAny(rx); },
+  bitstream: (pin, bytes) => { syncBus(); bus.bitstream(pin, bytes); },
+};
+
+function newSession() {
+  if (session) session.destroy();
+  session = createGlobals(pyodide);
+}
+
+async function init(sharedControl) {
+  control = sharedControl ? new Int32Array(sharedControl) : null;
+  self.importScripts(`${PYODIDE_INDEX_URL}pyodide.js`);
+  pyodide = await self.loadPyodide({ indexURL: PYODIDE_INDEX_URL });
+  // 割り込みバッファの index 0 に SIGINT が書かれると KeyboardInterrupt が発生する
+  if (control) pyodide.setInterruptBuffer(control);
+  installModules = installMicroPython(pyodide, host);
+  lineProbe = createLineProbe(pyodide);
+  replExec = createRepl(pyodide);
+  // t: print した時刻 (シリアルプロッタの横軸)
+  pyodide.setStdout({ batched: (text) => post({ type: 'log', text, t: clock.nowUs() }) });
+  pyodide.setStderr({ batched: (text) => post({ type: 'log', text, t: clock.nowUs() }) });
+  post({ type: 'ready' });
+}
+
+// wiring: 開始時点のバスの配線 (共有メモリが無い環境ではこれだけが使われる)
+function resetBus(wiring) {
+  bus.reset();
+  if (wiring) bus.setWiring(wiring);
+  syncBus();
+}
+
+async function run(files, speed, wiring) {
+  if (control) Atomics.store(control, CTRL.INTERRUPT, 0);
+  resetBus(wiring);
+  pendingPins = [];
+  stepping = false;
+  currentLine = null;
+  clock.reset();
+  clock.setSpeed(speed);
+  syncSpeed();
+  writeFiles(pyodide, files);
+  newSession();
+  try {
+    await runProgram(pyodide, installModules, session);
+    flushPins();
+    post({ type: 'done' });
+  } catch (err) {
+    flushPins();
+    if (err.type === 'KeyboardInterrupt') post({ type: 'stopped' });
+    else if (err.type === 'SystemExit') post({ type: 'done' });
+    else {
+      // traceback はユーザーのファイルのフレームだけにして、エラーの場所をエディタに知らせる
+      const tb = parseTraceback(err.message);
+      post({ type: 'error', message: tb.text, file: tb.file, line: tb.line, summary: tb.message });
+    }
+  }
+  // プログラムが書いた/消したファイルをプロジェクトに戻す
+  const changes = diffFiles(files, readFiles(pyodide));
+  if (hasFileChanges(changes)) post({ type: 'files', changes });
+}
+
+// プログラムが動いていないときの REPL (reset: Stop の後/起動直後は新しい状態から。files をその時に書き出す)
+function repl(code, reset, files, wiring) {
+  if (control) Atomics.store(control, CTRL.INTERRUPT, 0);
+  if (reset || !session) {
+    clock.reset();
+    resetBus(wiring);
+    writeFiles(pyodide, files);
+    installModules();
+    newSession();
+  } else if (wiring) {
+    bus.setWiring(wiring);
+    syncBus();
+  }
+  syncSpeed();
+  try {
+    replExec(code, session);
+  } catch (err) {
+    if (err.type !== 'KeyboardInterrupt' && err.type !== 'SystemExit') throw err;
+    if (err.type === 'KeyboardInterrupt') post({ type: 'log', text: 'KeyboardInterrupt' });
+  } finally {
+    flushPins();
+    reportClock();
+    post({ type: 'repl-done' });
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  queue = queue.then(async () => {
+    try {
+      if (msg.type === 'init') await init(msg.control);
+      else if (msg.type === 'run') { runId = msg.runId; await run(msg.files, msg.speed, msg.wiring); }
+      else if (msg.type === 'repl') { runId = msg.runId; repl(msg.code, msg.reset, msg.files, msg.wiring); }
+    } catch (err) {
+      post({ type: 'error', message: String(err && err.message ? err.message : err) });
+    }
+  });
+};
@@ -0,0 +1,128 @@
+import { circuitNodes, wireGroups, buildNetlist, solveNetwork, powerState, compKey, GROUND } from './circuitSolver';
+import { POWER_PINS } from './picoBoard';
+import { partPins } from './parts';
+
+// --- 回路図 (2D) のネットリスト / SPICE ネットリスト ---
+// 回路図: ブレッドボードの行/レール + ジャンパ線でつながった穴を1つのネットにまとめ、部品 (ジャンパ線以外) のピンをネットに割り当てる。
+//   スイッチは押していなくても記号で描くので、まとめるのはジャンパ線だけ (スイッチの状態で回路図の形が変わらないように)
+//   ネット名: Pico の GND = 'GND' / 電源ピン = '3V3', 'VBUS' など / GPIO = 'GP15' / それ以外 = 'N1', 'N2', ... (部品の順に番号)
+// SPICE: ソルバーと同じ素子リスト (buildNetlist) をそのまま ngspice 向けに書き出す (ジャンパ線は 0.01Ω の抵抗のまま)
+export const NET_KINDS = { ground: 'ground', power: 'power', gpio: 'gpio', local: 'local' };
+
+// { parts: [{ key, item, pins: [{ name, net }] }], nets: { ネット名: { name, kind, pins: [{ part, pin }], holes: [{ row, col }] } }, wires: { 導線のキー: ネット名 } }
+export function schematicNetlist(circuit) {
+  const { components = [] } = circuit;
+  const { nodeOfHole, gpio, power } = circuitNodes(circuit);
+  const wires = components.filter(item => item.type === 'wire');
+  const { find } = wireGroups({ components: wires }, nodeOfHole);
+
+  // Pico のピンにつながっているネットの名前 (同じネットに複数あれば GND > 電源 > GPIO の順で先のもの)
+  const named = {};
+  const nameGroup = (node, name, kind) => {
+    const root = find(node);
+    if (!named[root]) named[root] = { name, kind };
+  };
+  nameGroup(GROUND, 'GND', NET_KINDS.ground);
+  POWER_PINS.forEach(name => nameGroup(power[name], name, NET_KINDS.power));
+  Object.entries(gpio).forEach(([pin, node]) => nameGroup(node, `GP${pin}`, NET_KINDS.gpio));
+
+  const nets = {};
+  let local = 0;
+  const netAt = ({ row, col }) => {
+    const root = find(nodeOfHole(row, col));
+    if (!named[root]) named[root] = { name: `N${++local}`, kind: NET_KINDS.local };
+    const { name, kind } = named[root];
+    if (!nets[name]) nets[name] = { name, kind, pins: [], holes: [] };
+    nets[name].holes.push({ row, col });
+    return nets[name];
+  };
+
+  const parts = components.filter(item => item.type !== 'wire').map(item => {
+    const key = compKey(item.type, item.id);
+    const pins = partPins(item).map(hole => {
+      const net = netAt(hole);
+      net.pins.push({ part: key, pin: hole.name });
+      return { name: hole.name, net: net.name };
+    });
+    return { key, item, pins };
+  });
+  // 導線はどのネットの一部か (3D で導線にカーソルを合わせたとき、回路図ではそのネットを光らせる)
+  const wireNets = Object.fromEntries(wires.map(item => {
+    const [start] = partPins(item).map(netAt);
+    return [compKey(item.type, item.id), start.name];
+  }));
+  return { parts, nets, wires: wireNets };
+}
+
+// --- SPICE (.cir) ---
+// ノード名: GND = 0 / Pico のピン = 'GP15', '3V3' など / ブレッドボード = ネットキーの記号を置き換えたもの ('L-25' -> 'L_25', 'PL+' -> 'PL_P')
+// 電源 (内部抵抗付き) = 電圧源 + 直列抵抗 / LED など = 指数関数モデルのダイオード (RS = Ron)
+// GPIO の出力とプル抵抗は書き出した時点の状態 (PWM は平均電圧) で、回路を .op (動作点解析) で解く
+// ダイオードの IS は、書き出す回路をソルバーで解いたときの電流 I で ソルバーの区分線形モデル (Vf + I·Ron) と
+// 同じ電圧になるように選ぶ (N·Vt·ln(I/IS) + I·RS = Vf + I·Ron)。どのダイオードもソルバーの動作点を通るので
+// .op の電流はシミュレータの表示と同じになる。動作点から離れた所 (DC スイープ / 過渡解析) は指数関数の分だけずれる
+const THERMAL_VOLTAGE = 0.025865; // ngspice の既定温度 (27℃) の kT/q
+const DIODE_N = 2;
+const DIODE_FIT_CURRENT = 0.01; // 流れていない (OFF の) ダイオードは 10mA で合わせる
+const DIODE_MIN_FIT_CURRENT = 1e-6;
+const spiceId = (text) => text.replace(/\+/g, '_P').replace(/[^A-Za-z0-9_]/g, '_');
+const spiceNumber = (value) => String(Number(value.toPrecision(6)));
+
+export function spiceNetlist(circuit, title = 'Pico Simulator circuit') {
+  const input = { pinStates: {}, ...circuit };
+  const elements = buildNetlist(input, powerState(input));
+  const { currents } = solveNetwork(elements);
+  const { gpio, power } = circuitNodes(input);
+  const pinNames = {};
+  Object.entries(gpio).forEach(([pin, node]) => { pinNames[node] = `GP${pin}`; });
+  POWER_PINS.forEach(name => { if (!pinNames[power[name]]) pinNames[power[name]] = name; });
+  const nodeName = (node) => (node === undefined || node === GROUND ? '0' : pinNames[node] || spiceId(node));
+
+  // 素子キー -> 見出し (部品の名前 / Pico の中の回路)
+  const partNames = Object.fromEntries((input.components || []).map(item => [compKey(item.type, item.id), item.name || compKey(item.type, item.id)]));
+  const SECTIONS = { power: 'Pico power (USB VBUS -> D1 -> VSYS -> 3V3 regulator, RUN pull-up)', gpio: 'GPIO outputs (50 ohm output stage)', pull: 'GPIO internal pull resistors' };
+  const sectionOf = (key) => {
+    const owner = key.split(':').slice(0, 2).join(':');
+    return partNames[owner] || SECTIONS[key.split(':')[0]] || owner;
+  };
+
+  const models = [];
+  const modelOf = ({ key, vf, ron }) => {
+    const current = currents[key] > DIODE_MIN_FIT_CURRENT ? currents[key] : DIODE_FIT_CURRENT;
+    let model = models.find(m => m.vf === vf && m.ron === ron && m.current === current);
+    if (!model) {
+      model = { vf, ron, current, name: `DMOD${models.length + 1}` };
+      models.push(model);
+    }
+    return model.name;
+  };
+
+  const lines = [
+    title,
+    '* Generated by Pico Simulator. Ground = node 0, Pico pins are named GPxx / 3V3 / VSYS / VBUS, breadboard rows L_25 / R_25, rails PL_P / PL_.',
+    '* Diode IS values are fitted so that .op reproduces the simulator operating point at export time;',
+    '* away from it (DC sweeps, transients) the exponential model differs from the simulator piecewise-linear diodes.',
+    '.option rshunt=1e12',
+  ];
+  let section = null;
+  elements.forEach(el => {
+    if (sectionOf(el.key) !== section) {
+      section = sectionOf(el.key);
+      lines.push('', `* ${section}`);
+    }
+    const id = spiceId(el.key);
+    const [a, b] = [nodeName(el.a), nodeName(el.b)];
+    if (el.kind === 'resistor') lines.push(`R_${id} ${a} ${b} ${spiceNumber(el.ohms)}`);
+    else if (el.kind === 'diode') lines.push(`D_${id} ${a} ${b} ${modelOf(el)}`);
+    else if (el.kind === 'source' && el.ohms > 0) {
+      lines.push(`V_${id} ${id}_int ${b} DC ${spiceNumber(el.volts)}`, `R_${id} ${a} ${id}_int ${spiceNumber(el.ohms)}`);
+    } else if (el.kind === 'source') lines.push(`V_${id} ${a} ${b} DC ${spiceNumber(el.volts)}`);
+  });
+  if (models.length > 0) lines.push('', '* diode models');
+  models.forEach(({ vf, ron, current, name }) => {
+    const is = current / Math.exp(vf / (DIODE_N * THERMAL_VOLTAGE));
+    lines.push(`* Vf=${vf}V Ron=${ron}ohm, fitted at ${spiceNumber(current * 1000)}mA`, `.model ${name} D(IS=${is.toExponential(6)} N=${DIODE_N} RS=${spiceNumber(ron)})`);
+  });
+  lines.push('', '.op', '.end', '');
+  return lines.join('\n');
+}
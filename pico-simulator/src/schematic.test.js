@@ -0,0 +1,75 @@
+import { schematicNetlist, spiceNetlist, NET_KINDS } from './schematic';
+import { solveCircuit } from './circuitSolver';
+import { BLINK_EXAMPLE } from './examples';
+
+const pinsOf = (schematic, key) => Object.fromEntries(schematic.parts.find(p => p.key === key).pins.map(p => [p.name, p.net]));
+
+test('jumper wires merge breadboard rows into nets named after the Pico pins', () => {
+  // GP15 (左 Row 20) -導線- Row 25 -330Ω- 右 Row 25 -LED- 右 Row 28 -導線- GND (右 Row 18)
+  const schematic = schematicNetlist(BLINK_EXAMPLE);
+  expect(schematic.parts.map(p => p.key)).toEqual(['led:1', 'resistor:1']);
+  expect(pinsOf(schematic, 'resistor:1')).toEqual({ 1: 'GP15', 2: 'N1' });
+  expect(pinsOf(schematic, 'led:1')).toEqual({ A: 'N1', K: 'GND' });
+  expect(schematic.nets.GP15.kind).toBe(NET_KINDS.gpio);
+  expect(schematic.nets.GND.kind).toBe(NET_KINDS.ground);
+  expect(schematic.nets.N1.pins).toEqual([{ part: 'led:1', pin: 'A' }, { part: 'resistor:1', pin: '2' }]);
+  expect(schematic.wires).toEqual({ 'wire:1': 'GP15', 'wire:2': 'GND' });
+});
+
+test('switches keep their own nets whether or not they are pressed', () => {
+  const components = [
+    { type: 'switch', id: 1, kind: 'button', sR: 24, sC: 1, eR: 26, eC: 1 },
+    { type: 'resistor', id: 1, sR: 26, sC: 3, eR: 28, eC: 3, ohms: 1000 },
+  ];
+  const released = schematicNetlist({ components });
+  const pressed = schematicNetlist({ components, switchStates: { 1: true } });
+  expect(pinsOf(pressed, 'switch:1')).toEqual(pinsOf(released, 'switch:1'));
+  expect(pinsOf(released, 'switch:1')).toEqual({ 1: 'N1', 2: 'N2' });
+  expect(pinsOf(released, 'resistor:1')).toEqual({ 1: 'N2', 2: 'N3' });
+});
+
+test('SPICE netlist names Pico pins and writes sources as a voltage source with its series resistance', () => {
+  const spice = spiceNetlist({ ...BLINK_EXAMPLE, pinStates: { 15: true } });
+  const lines = spice.split('\n');
+  expect(lines[0]).toBe('Pico Simulator circuit');
+  expect(lines).toContain('R_wire_1 GP15 L_25 0.01');
+  expect(lines).toContain('R_resistor_1 L_25 R_25 330');
+  expect(lines).toContain('D_led_1 R_25 R_28 DMOD1');
+  expect(lines).toContain('R_wire_2 R_28 0 0.01');
+  expect(lines).toContain('V_gpio_15 gpio_15_int 0 DC 3.3');
+  expect(lines).toContain('R_gpio_15 GP15 gpio_15_int 50');
+  expect(lines).toContain('V_power_3V3 power_3V3_int 0 DC 3.3');
+  expect(lines.filter(line => line.startsWith('.model'))).toHaveLength(2); // LED と VBUS -> VSYS のダイオード
+  expect(lines.slice(-3)).toEqual(['.op', '.end', '']);
+  // 停止中 (ピンの状態が無い) は GPIO の電源を書かない
+  expect(spiceNetlist(BLINK_EXAMPLE)).not.toContain('V_gpio_15');
+});
+
+test('SPICE element values reproduce the solver operating point of an LED and its resistor', () => {
+  const circuit = { ...BLINK_EXAMPLE, pinStates: { 15: true } };
+  const solved = solveCircuit(circuit);
+  const led = solved.parts['led:1'].current;
+  expect(led).toBeGreaterThan(0.003);
+  const lines = spiceNetlist(circuit).split('\n');
+  const value = (name) => Number(lines.find(line => line.startsWith(`${name} `)).split(' ').pop());
+
+  // GPIO の電源 (3.3V + 50Ω) と 330Ω: ソルバーの節点電圧でそれぞれ LED と同じ電流が流れる
+  const v = solved.voltages;
+  expect((value('V_gpio_15') - v['L-20']) / value('R_gpio_15')).toBeCloseTo(led, 6);
+  expect((v['L-25'] - v['R-25']) / value('R_resistor_1')).toBeCloseTo(led, 6);
+
+  // LED のモデル: ngspice のダイオード式 I = IS·(exp((Vd - I·RS) / (N·Vt)) - 1) を、ソルバーの LED の両端電圧で解く
+  const model = lines.find(line => line.startsWith('D_led_1 ')).split(' ').pop();
+  const params = Object.fromEntries(lines.find(line => line.startsWith(`.model ${model} `)).match(/\((.*)\)/)[1].split(' ').map(kv => {
+    const [key, text] = kv.split('=');
+    return [key, Number(text)];
+  }));
+  const vt = 0.025865; // ngspice の既定温度 (27℃)
+  const vd = v['R-25'] - v['R-28'];
+  let [lo, hi] = [0, vd / params.RS];
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (params.IS * (Math.exp((vd - mid * params.RS) / (params.N * vt)) - 1) > mid) lo = mid; else hi = mid;
+  }
+  expect(lo).toBeCloseTo(led, 6);
+});
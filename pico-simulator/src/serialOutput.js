@@ -0,0 +1,73 @@
+// --- シリアル出力 (print) のログとプロッタ ---
+// ログは固定長のリングバッファに入れて、長時間動かしてもメモリが増え続けないようにする。
+// プロッタは print した行から数値を拾う (Arduino / Thonny と同じ書き方):
+//   "25.3"                   -> value 1
+//   "1, 2.5 3"               -> value 1, value 2, value 3 (カンマ/空白/セミコロン区切り)
+//   "temp:25.3 hum=40"       -> temp, hum (名前:値 / 名前=値。"temp: 25.3 C" のように単位が付いていてもよい)
+export const MAX_LOG_LINES = 1000;
+export const MAX_PLOT_POINTS = 5000;
+
+// --- リングバッファ (いっぱいになったら古いものから捨てる) ---
+export function createRing(capacity) {
+  return { items: new Array(capacity), start: 0, size: 0, capacity, dropped: 0 };
+}
+
+export function ringPush(ring, item) {
+  ring.items[(ring.start + ring.size) % ring.capacity] = item;
+  if (ring.size < ring.capacity) ring.size++;
+  else { ring.start = (ring.start + 1) % ring.capacity; ring.dropped++; }
+}
+
+// 古い順の配列
+export function ringItems(ring) {
+  const items = new Array(ring.size);
+  for (let i = 0; i < ring.size; i++) items[i] = ring.items[(ring.start + i) % ring.capacity];
+  return items;
+}
+
+// --- プロッタ ---
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?';
+const NAMED = new RegExp(`([A-Za-z_][\\w.]*)\\s*[:=]\\s*(${NUMBER})`, 'g');
+const PLAIN = new RegExp(`^\\s*${NUMBER}(?:\\s*[,;\\s]\\s*${NUMBER})*\\s*[,;]?\\s*$`);
+
+// 1行 -> { 系列名: 値 } (数値が無い行は null)
+export function parsePlotLine(line) {
+  const named = {};
+  let found = false;
+  for (const m of line.matchAll(NAMED)) { named[m[1]] = Number(m[2]); found = true; }
+  if (found) return named;
+  if (!PLAIN.test(line)) return null;
+  const values = line.split(/[\s,;]+/).filter(Boolean).map(Number);
+  return Object.fromEntries(values.map((v, i) => [`value ${i + 1}`, v]));
+}
+
+// plot: { points: リングバッファ [{ t (µs), values }], names: 系列名 (出てきた順) }
+export const createPlot = () => ({ points: createRing(MAX_PLOT_POINTS), names: [] });
+
+export function appendPlot(plot, values, t) {
+  ringPush(plot.points, { t, values });
+  Object.keys(values).forEach(name => { if (!plot.names.includes(name)) plot.names.push(name); });
+}
+
+// 表示する点の縦軸の範囲 (少し余白を付ける。全部同じ値なら ±1)
+export function plotRange(points, names) {
+  let min = Infinity;
+  let max = -Infinity;
+  points.forEach(({ values }) => names.forEach(name => {
+    const v = values[name];
+    if (v === undefined) return;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }));
+  if (min === Infinity) return { min: 0, max: 1 };
+  if (min === max) return { min: min - 1, max: max + 1 };
+  const pad = (max - min) * 0.05;
+  return { min: min - pad, max: max + pad };
+}
+
+// CSV (time_s = シミュレーション時刻, 値の無い系列は空欄)
+export function plotToCsv(plot) {
+  const quote = (name) => (/[",\n]/.test(name) ? `"${name.replace(/"/g, '""')}"` : name);
+  const rows = ringItems(plot.points).map(({ t, values }) => [t / 1e6, ...plot.names.map(name => values[name] ?? '')].join(','));
+  return [['time_s', ...plot.names.map(quote)].join(','), ...rows].join('\n') + '\n';
+}
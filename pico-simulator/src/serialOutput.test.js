@@ -0,0 +1,32 @@
+import { createRing, ringPush, ringItems, parsePlotLine, createPlot, appendPlot, plotRange, plotToCsv } from './serialOutput';
+
+test('the ring buffer keeps only the newest items', () => {
+  const ring = createRing(3);
+  [1, 2].forEach(i => ringPush(ring, i));
+  expect(ringItems(ring)).toEqual([1, 2]);
+  [3, 4, 5].forEach(i => ringPush(ring, i));
+  expect(ringItems(ring)).toEqual([3, 4, 5]);
+  expect(ring.dropped).toBe(2);
+});
+
+test('printed lines are parsed into plot series', () => {
+  expect(parsePlotLine('25.3')).toEqual({ 'value 1': 25.3 });
+  expect(parsePlotLine('1, -2.5 3e2;')).toEqual({ 'value 1': 1, 'value 2': -2.5, 'value 3': 300 });
+  expect(parsePlotLine('temp:25.3 hum=40')).toEqual({ temp: 25.3, hum: 40 });
+  expect(parsePlotLine('Temperature: 21.5 C, light: 300')).toEqual({ Temperature: 21.5, light: 300 });
+  expect(parsePlotLine('Start')).toBeNull();
+  expect(parsePlotLine('>>> 1 + 1')).toBeNull();
+  expect(parsePlotLine('')).toBeNull();
+});
+
+test('the plot autoscales and exports CSV', () => {
+  const plot = createPlot();
+  appendPlot(plot, { a: 1 }, 0);
+  appendPlot(plot, { a: 3, b: -1 }, 500000);
+  expect(plot.names).toEqual(['a', 'b']);
+  const range = plotRange(ringItems(plot.points), plot.names);
+  expect(range.min).toBeCloseTo(-1.2);
+  expect(range.max).toBeCloseTo(3.2);
+  expect(plotRange([], ['a'])).toEqual({ min: 0, max: 1 });
+  expect(plotToCsv(plot)).toBe('time_s,a,b\n0,1,\n0.5,3,-1\n');
+});
@@ -0,0 +1,10 @@
+// 開発サーバー用: Cross-Origin Isolation を有効にして SharedArrayBuffer を使えるようにする
+// (Pythonワーカーへの割り込み = Stop に必要。無効な環境ではワーカー再起動で代用される)
+// ビルドしたものは public/coi-serviceworker.js が同じヘッダーを Service Worker で付ける
+module.exports = function (app) {
+  app.use((req, res, next) => {
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp');
+    next();
+  });
+};
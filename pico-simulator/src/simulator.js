@@ -0,0 +1,332 @@
+/* global SharedArrayBuffer */
+import { loadPyodide } from 'pyodide';
+import { installMicroPython, runProgram, createGlobals, createRepl, writeFiles, readFiles } from './picoRuntime';
+import { MAIN_FILE } from './picoFiles';
+import { solveCircuit, compKey } from './circuitSolver';
+import { createVirtualClock } from './virtualClock';
+import { createCapture, recordPins, captureTracks } from './logicCapture';
+import { SIGINT } from './engineProtocol';
+import { readProject } from './projectFile';
+import { parseTraceback } from './pythonSource';
+import { createBus, busWiring } from './busDevices';
+
+// --- ヘッドレス シミュレーター (React / WebGL / Worker なし) ---
+// 回路JSON と MicroPython コード (main.py / ファイル一式) を読み込み、仮想時間で実行してピンの変化と部品の電流を記録する。
+//   const sim = await createSimulator();
+//   sim.loadCircuit(json); sim.loadCode(code);   // または sim.loadFiles({ 'main.py': ..., 'lib/x.py': ... })
+//   sim.at(1500, () => sim.setSwitch(1, true));   // 1.5秒の時点でボタンを押す
+//   await sim.run({ untilMs: 6000 });
+//   sim.pinTrace(15); sim.partTrace('led', 1); sim.logs
+//   sim.input('42');                              // input() に渡す行 (無くなると EOFError)
+//   sim.repl('led.value(1)');                     // REPL: 実行後はプログラムの変数が見える / sim.at の中なら実行中のプログラムに割り込む
+//   sim.uartSend(1, 'hi\n'); sim.device('oled', 1)  // UART 端末から送る / バスのデバイスの状態 (OLED の画面, 端末が受け取ったバイト, NeoPixel の色)
+// 時刻は sleep でだけ進む (計算時間は0扱い) ので結果は毎回同じになる。
+// ただし ticks_us() を読むたびに TICK_COST_US 進め、ticks を見るビジーループも終わるようにする
+// RUN を LOW にする / 電源が切れると (solveCircuit の power.running) プログラムを止め、戻ったら最初から実行し直す
+const TICK_COST_US = 1;
+const UART_POLL_US = 100; // uart.any() / read() のたびに進める時間 (115200bps の1バイト ≒ 87µs)。受信待ちのループも終わる
+const DEFAULT_UNTIL_MS = 60000;
+
+// Pyodide の起動は重いので1つを使い回す (_pico モジュールは実行中のシミュレーターに委譲)
+let engine = null;
+let activeSim = null;
+
+function loadEngine() {
+  if (!engine) {
+    engine = loadPyodide().then(pyodide => {
+      const interruptBuffer = new Int32Array(new SharedArrayBuffer(4));
+      pyodide.setInterruptBuffer(interruptBuffer);
+      pyodide.setStdout({ batched: (text) => activeSim && activeSim.logs.push(text) });
+      pyodide.setStderr({ batched: (text) => activeSim && activeSim.logs.push(text) });
+      const installModules = installMicroPython(pyodide, {
+        pinUpdate: (pin, level, pull) => activeSim.host.pinUpdate(pin, level, pull),
+        pwmUpdate: (pin, duty, freq, pull) => activeSim.host.pwmUpdate(pin, duty, freq, pull),
+        readPin: (pin) => activeSim.host.readPin(pin),
+        readAdc: (ch) => activeSim.host.readAdc(ch),
+        ticksUs: () => activeSim.host.ticksUs(),
+        waitMs: (ms) => activeSim.host.waitMs(ms),
+        flush: () => {},
+        readLine: (prompt) => activeSim.host.readLine(prompt),
+        i2cScan: (sda, scl) => activeSim.host.i2cScan(sda, scl),
+        i2cWrite: (sda, scl, addr, bytes) => activeSim.host.i2cWrite(sda, scl, addr, bytes),
+        i2cRead: (sda, scl, addr, n) => activeSim.host.i2cRead(sda, scl, addr, n),
+        spiTransfer: (sck, mosi, miso, bytes) => activeSim.host.spiTransfer(sck, mosi, miso, bytes),
+        uartOpen: (rx) => activeSim.host.uartOpen(rx),
+        uartWrite: (tx, bytes) => activeSim.host.uartWrite(tx, bytes),
+        uartRead: (rx, n) => activeSim.host.uartRead(rx, n),
+        uartAny: (rx) => activeSim.host.uartAny(rx),
+        bitstream: (pin, bytes) => activeSim.host.bitstream(pin, bytes),
+      });
+      return { pyodide, installModules, interruptBuffer, replExec: createRepl(pyodide) };
+    });
+  }
+  return engine;
+}
+
+export async function createSimulator() {
+  const { pyodide, installModules, interruptBuffer, replExec } = await loadEngine();
+  const clock = createVirtualClock(() => 0); // 実時間を見ない (sleep/jumpTo でだけ進む)
+
+  let circuit = { components: [] };
+  let files = { [MAIN_FILE]: '' };
+  let switchStates = {};
+  let chipTempC = 27;
+  let pinStates = {};
+  let pinPulls = {};
+  let solved = null;
+  let capture = createCapture();
+  let partEvents = {};
+  let scheduled = [];
+  let untilUs = Infinity;
+  let timeUp = false;
+  let resetting = false;
+  let session = null; // プログラムと REPL の名前空間
+  let inputLines = [];
+  const bus = createBus();
+
+  const newSession = () => {
+    if (session) session.destroy();
+    session = createGlobals(pyodide);
+  };
+
+  // 回路を解き直し、部品ごとの電圧/電流の変化を記録する (バスの配線 / デバイスの電源もここで決まる)
+  const resolve = () => {
+    const input = { ...circuit, switchStates, chipTempC, pinStates, pinPulls };
+    solved = solveCircuit(input);
+    bus.setWiring(busWiring(input, solved));
+    const t = clock.nowUs();
+    Object.entries(solved.parts).forEach(([key, { voltage, current, ...rest }]) => {
+      // 電圧/電流以外の数値 (サーボの角度, ブザーの周波数など。信号が無ければ null) も残す
+      const values = Object.fromEntries(Object.entries(rest).filter(([, v]) => typeof v === 'number' || v === null));
+      const events = partEvents[key] = partEvents[key] || [];
+      const last = events[events.length - 1];
+      if (last && Math.abs(last.current - current) < 1e-9 && Math.abs(last.voltage - voltage) < 1e-6
+        && Object.keys(values).every(name => last[name] === values[name])) return;
+      events.push({ t, voltage, current, ...values });
+    });
+  };
+
+  // リセット (電源断 / RUN = LOW) になったら KeyboardInterrupt で Python を止める。GPIO はハイインピーダンスに戻る
+  const checkReset = () => {
+    if (solved.power.running || resetting) return;
+    resetting = true;
+    const t = clock.nowUs();
+    recordPins(capture, Object.keys(pinStates).map(pin => [Number(pin), undefined, undefined, t]), t);
+    pinStates = {};
+    pinPulls = {};
+    resolve();
+    interruptBuffer[0] = SIGINT;
+    pyodide.checkInterrupt();
+  };
+  // 電源が戻るまで予約操作を進める (untilUs までに戻らなければ false)
+  const waitForPower = () => {
+    while (!solved.power.running) {
+      if (scheduled.length === 0 || scheduled[0].t > untilUs) return false;
+      const action = scheduled.shift();
+      clock.jumpTo(Math.max(clock.nowUs(), action.t));
+      action.fn(sim);
+      resolve();
+    }
+    return true;
+  };
+
+  // 仮想時刻を targetUs まで進める。途中の予約操作を実行し、入力が変わったらそこで止まる (割り込み判定のため)
+  // untilUs に達したら KeyboardInterrupt でプログラムを止める
+  const advanceTo = (targetUs) => {
+    while (scheduled.length > 0 && scheduled[0].t <= Math.min(targetUs, untilUs)) {
+      const action = scheduled.shift();
+      const before = solved.inputLevels;
+      clock.jumpTo(Math.max(clock.nowUs(), action.t));
+      action.fn(sim);
+      resolve();
+      checkReset();
+      const after = solved.inputLevels;
+      if (Object.keys(before).some(pin => after[pin] !== before[pin])) return;
+    }
+    if (targetUs >= untilUs) {
+      clock.jumpTo(untilUs);
+      timeUp = true;
+      interruptBuffer[0] = SIGINT;
+      pyodide.checkInterrupt();
+    }
+    clock.jumpTo(Math.max(clock.nowUs(), targetUs));
+  };
+
+  const pinChanged = (pin, state, pull) => {
+    pinStates = { ...pinStates, [pin]: state };
+    pinPulls = { ...pinPulls, [pin]: pull };
+    recordPins(capture, [[pin, state, pull, clock.nowUs()]], clock.nowUs());
+    resolve();
+    checkReset();
+  };
+
+  const host = {
+    pinUpdate: (pin, level, pull) => pinChanged(pin, level, pull),
+    pwmUpdate: (pin, duty, freq, pull) => pinChanged(pin, { duty, freq }, pull),
+    readPin: (pin) => (solved.inputLevels[pin] === undefined ? -1 : solved.inputLevels[pin]),
+    readAdc: (ch) => (solved.adcVoltages[ch] === undefined ? -1 : solved.adcVoltages[ch]),
+    ticksUs: () => {
+      advanceTo(clock.nowUs() + TICK_COST_US);
+      return clock.nowUs();
+    },
+    waitMs: (ms) => advanceTo(clock.nowUs() + ms * 1000),
+    // input(): 入力した行はプロンプトと一緒にログに残す (端末の表示と同じ)
+    readLine: (prompt) => {
+      if (inputLines.length === 0) return null;
+      const line = inputLines.shift();
+      sim.logs.push(`${prompt}${line}`);
+      return line;
+    },
+    i2cScan: (sda, scl) => bus.i2cScan(sda, scl),
+    i2cWrite: (sda, scl, addr, bytes) => bus.i2cWrite(sda, scl, addr, bytes),
+    i2cRead: (sda, scl, addr, n) => bus.i2cRead(sda, scl, addr, n),
+    spiTransfer: (sck, mosi, miso, bytes) => bus.spiTransfer(sck, mosi, miso, bytes),
+    uartOpen: (rx) => bus.uartOpen(rx),
+    uartWrite: (tx, bytes) => bus.uartWrite(tx, bytes),
+    uartRead: (rx, n) => {
+      advanceTo(clock.nowUs() + UART_POLL_US);
+      return bus.uartRead(rx, n);
+    },
+    uartAny: (rx) => {
+      advanceTo(clock.nowUs() + UART_POLL_US);
+      return bus.uartAny(rx);
+    },
+    bitstream: (pin, bytes) => bus.bitstream(pin, bytes),
+  };
+
+  // 回路/入力の変更: 実行中 (予約操作の中) ならその場で解き直す
+  const changed = () => { if (activeSim === sim) resolve(); };
+  const findItem = (type, id) => circuit.components.find(item => item.type === type && item.id === id);
+  const updateItem = (type, id, patch) => {
+    circuit = { ...circuit, components: circuit.components.map(item => (item.type === type && item.id === id ? { ...item, ...patch } : item)) };
+    changed();
+  };
+
+  const sim = {
+    host,
+    logs: [],
+    // 保存ファイルと同じ形式 (projectFile.js, 旧形式も変換して読む。不正なら検証エラーを投げる)
+    loadCircuit: (data) => {
+      const { state, errors } = readProject(data);
+      if (!state) throw new Error(`invalid circuit:\n${errors.join('\n')}`);
+      circuit = { components: state.components, board: state.board, breadboard: state.breadboard };
+      if (data.files || typeof data.code === 'string') files = state.files;
+      if (typeof state.chipTempC === 'number') chipTempC = state.chipTempC;
+      switchStates = {};
+    },
+    loadCode: (source) => { files = { ...files, [MAIN_FILE]: source }; },
+    loadFiles: (next) => { files = { ...next }; },
+    input: (...lines) => { inputLines.push(...lines); },
+    // REPL の1文 (出力は sim.logs)。sim.at の中から呼ぶと実行中のプログラムの sleep の合間に実行する
+    repl: (source) => {
+      if (activeSim === sim) { replExec(source, session); return; }
+      if (activeSim) throw new Error('another simulation is running');
+      activeSim = sim;
+      untilUs = Infinity;
+      interruptBuffer[0] = 0;
+      try {
+        // まだ実行していなければ起動直後の状態から
+        if (!session) {
+          bus.reset();
+          writeFiles(pyodide, files);
+          installModules();
+          newSession();
+        }
+        if (!solved) resolve();
+        replExec(source, session);
+      } finally {
+        interruptBuffer[0] = 0;
+        activeSim = null;
+      }
+    },
+    // 実行後の Pico のファイル (プログラムが書いたファイルも入る)
+    files: () => readFiles(pyodide),
+    // 押しボタンは押下状態, スライドスイッチは ON/OFF
+    setSwitch: (id, value) => {
+      const sw = findItem('switch', id);
+      if (sw && sw.kind === 'slide') { updateItem('switch', id, { on: !!value }); return; }
+      switchStates = { ...switchStates, [id]: !!value };
+      changed();
+    },
+    setPot: (id, position) => updateItem('pot', id, { position }),
+    setSensor: (id, value) => {
+      const sensor = findItem('sensor', id);
+      updateItem('sensor', id, sensor && sensor.kind === 'thermistor' ? { tempC: value } : { lux: value });
+    },
+    setChipTemp: (tempC) => { chipTempC = tempC; changed(); },
+    // UART 端末 id から Pico へ送る (端末の TX につながった RX が開いていなければ false)
+    uartSend: (id, text) => bus.send(compKey('uart', id), Array.from(new TextEncoder().encode(text))),
+    // 仮想時刻 ms に fn(sim) を実行する (run の前に登録)
+    at: (ms, fn) => {
+      scheduled.push({ t: ms * 1000, fn });
+      scheduled.sort((a, b) => a.t - b.t);
+    },
+    // untilMs までの仮想時間を実行する。戻り値の status: 'done' (終了) / 'timeout' (untilMs で打ち切り) / 'error'
+    // / 'reset' (リセットされたまま = 電源が入っていない / RUN が LOW のまま終わった)
+    run: async ({ untilMs = DEFAULT_UNTIL_MS } = {}) => {
+      if (activeSim) throw new Error('another simulation is running');
+      activeSim = sim;
+      sim.logs = [];
+      clock.reset();
+      pinStates = {};
+      pinPulls = {};
+      capture = createCapture();
+      partEvents = {};
+      solved = null;
+      bus.reset();
+      untilUs = untilMs * 1000;
+      timeUp = false;
+      resetting = false;
+      interruptBuffer[0] = 0;
+      resolve();
+      // ファイルは実行の始めに書くだけ (RUN のリセットでは実機と同じく残る)
+      writeFiles(pyodide, files);
+      let status = 'done';
+      let error = null;
+      let errorFile = null;
+      let errorLine = null;
+      try {
+        for (;;) {
+          if (!waitForPower()) { status = 'reset'; break; }
+          resetting = false;
+          newSession(); // リセットで変数も消える
+          try {
+            await runProgram(pyodide, installModules, session);
+            break;
+          } catch (err) {
+            if (!(err.type === 'KeyboardInterrupt' && resetting)) throw err;
+            interruptBuffer[0] = 0;
+          }
+        }
+      } catch (err) {
+        if (err.type === 'KeyboardInterrupt' && timeUp) status = 'timeout';
+        else if (err.type !== 'SystemExit') {
+          // エディタと同じくユーザーのファイルのフレームだけの traceback とエラーの場所
+          const tb = parseTraceback(err.message);
+          status = 'error';
+          error = tb.text;
+          errorFile = tb.file;
+          errorLine = tb.line;
+        }
+      } finally {
+        interruptBuffer[0] = 0;
+        capture.endUs = Math.max(capture.endUs, clock.nowUs());
+        activeSim = null;
+      }
+      return { status, error, errorFile, errorLine, timeMs: clock.nowUs() / 1000 };
+    },
+    timeMs: () => clock.nowUs() / 1000,
+    pinStates: () => pinStates,
+    // 最後に解いた回路 (solveCircuit の戻り値)
+    solve: () => solved || solveCircuit({ ...circuit, switchStates, chipTempC, pinStates, pinPulls }),
+    component: (type, id) => sim.solve().parts[compKey(type, id)] || null,
+    capture: () => capture,
+    // ピンの変化列 [{ t (µs), value }] (value: 1/0/'z'/{ duty, freq })
+    pinTrace: (pin) => captureTracks(capture)[pin] || [],
+    // 部品の電圧/電流の変化列 [{ t (µs), voltage, current, ... }] (... = サーボの angle / ブザーの freq など部品ごとの数値)
+    partTrace: (type, id) => partEvents[compKey(type, id)] || [],
+    // バスのデバイスの今の状態 (busDevices.js: OLED は ssd1306Pixels で画素に、端末は received)。電源が入っていなければ null
+    device: (type, id) => bus.view(compKey(type, id)),
+  };
+  return sim;
+}
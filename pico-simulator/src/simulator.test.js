@@ -0,0 +1,446 @@
+/**
+ * @jest-environment node
+ */
+import { createSimulator } from './simulator';
+import { BLINK_EXAMPLE } from './examples';
+import { CURRENT_THRESHOLD } from './circuitSolver';
+import { ssd1306Pixels, OLED_WIDTH } from './busDevices';
+
+// Pyodide (npm パッケージ) をオフラインで読み込むので初回は時間がかかる
+jest.setTimeout(60000);
+
+// 部品の電流の変化列 -> 点灯/消灯が切り替わった時刻 (ms)
+const ledEdges = (trace) => {
+  const edges = [];
+  let lit = false;
+  trace.forEach(({ t, current }) => {
+    const next = current > CURRENT_THRESHOLD;
+    if (next !== lit) edges.push({ t: t / 1000, lit: next });
+    lit = next;
+  });
+  return edges;
+};
+
+test('bundled example blinks LED 1 five times at 1 Hz', async () => {
+  const sim = await createSimulator();
+  sim.loadCircuit(BLINK_EXAMPLE);
+  const result = await sim.run({ untilMs: 10000 });
+
+  expect(result.status).toBe('done');
+  expect(result.timeMs).toBeCloseTo(5000, 0);
+  expect(sim.logs).toEqual(['Start', 'Done']);
+
+  const edges = ledEdges(sim.partTrace('led', 1));
+  const onTimes = edges.filter(e => e.lit).map(e => e.t);
+  const offTimes = edges.filter(e => !e.lit).map(e => e.t);
+  expect(onTimes).toHaveLength(5);
+  expect(offTimes).toHaveLength(5);
+  onTimes.forEach((t, i) => {
+    expect(t).toBeCloseTo(i * 1000, -1); // 1Hz
+    expect(offTimes[i] - t).toBeCloseTo(500, -1); // duty 50%
+  });
+  // 330Ω で約 3.3mA
+  const onCurrent = sim.partTrace('led', 1).find(e => e.current > CURRENT_THRESHOLD).current;
+  expect(onCurrent).toBeGreaterThan(0.003);
+  expect(onCurrent).toBeLessThan(0.004);
+  expect(sim.pinTrace(15).map(e => e.value)).toEqual([0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0]);
+});
+
+test('run stops at untilMs and reports timeout for endless programs', async () => {
+  const sim = await createSimulator();
+  sim.loadCircuit(BLINK_EXAMPLE);
+  sim.loadCode('from machine import Pin\nimport time\nled = Pin(15, Pin.OUT)\nwhile True:\n    led.toggle()\n    time.sleep_ms(100)');
+  const result = await sim.run({ untilMs: 1000 });
+  expect(result.status).toBe('timeout');
+  expect(result.timeMs).toBe(1000);
+  // Pin(15, Pin.OUT) の初期 LOW + 100ms ごとのトグル10回
+  expect(sim.pinTrace(15)).toHaveLength(11);
+});
+
+test('scheduled button press triggers Pin.irq through the circuit', async () => {
+  const sim = await createSimulator();
+  // GP14 (左 Row 19) -- 押しボタン -- GND (左 Row 18)
+  sim.loadCircuit({ switches: [{ id: 1, sR: 19, sC: 3, eR: 18, eC: 3, kind: 'button', name: 'Button 1' }] });
+  sim.loadCode([
+    'from machine import Pin',
+    'import time',
+    'btn = Pin(14, Pin.IN, Pin.PULL_UP)',
+    'btn.irq(lambda p: print("pressed", time.ticks_ms()), Pin.IRQ_FALLING)',
+    'time.sleep(2)',
+    'print("value", btn.value())',
+  ].join('\n'));
+  sim.at(500, () => sim.setSwitch(1, true));
+  sim.at(1500, () => sim.setSwitch(1, false));
+  // IRQ が登録されたままなので main.py の終了後も untilMs まで動き続ける (実機と同じ)
+  const result = await sim.run({ untilMs: 3000 });
+  expect(result.status).toBe('timeout');
+  expect(sim.logs).toEqual(['pressed 500', 'value 1']);
+});
+
+test('ADC reads the potentiometer wiper voltage', async () => {
+  const sim = await createSimulator();
+  // 3V3 (右 Row 5) -- ポテンショメータ -- GND (右 Row 8), ワイパー = Row 7 (GP28)
+  sim.loadCircuit({ pots: [{ id: 1, sR: 5, sC: 8, eR: 8, eC: 8, ohms: 10000, position: 0.25, name: 'Pot 1' }] });
+  sim.loadCode('from machine import ADC\nprint(round(ADC(28).read_u16() * 3.3 / 65535, 1))');
+  await sim.run();
+  expect(sim.logs).toEqual(['2.5']);
+});
+
+test('holding RUN low resets the program and releasing it boots again', async () => {
+  const sim = await createSimulator();
+  // RUN (右 Row 11) -- スライドスイッチ -- GND (右 Row 13)
+  sim.loadCircuit({ ...BLINK_EXAMPLE, components: [...BLINK_EXAMPLE.components, { type: 'switch', id: 1, sR: 11, sC: 9, eR: 13, eC: 9, kind: 'slide', on: false, name: 'Switch 1' }] });
+  sim.loadCode('from machine import Pin\nimport time\nprint("boot", time.ticks_ms())\nled = Pin(15, Pin.OUT, value=1)\nwhile True:\n    time.sleep_ms(100)');
+  sim.at(500, () => sim.setSwitch(1, true));
+  sim.at(800, () => sim.setSwitch(1, false));
+  const result = await sim.run({ untilMs: 1000 });
+  expect(result.status).toBe('timeout');
+  expect(sim.logs).toEqual(['boot 0', 'boot 800']);
+  expect(sim.pinTrace(15).map(e => [Math.round(e.t / 1000), e.value])).toEqual([[0, 1], [500, 'z'], [800, 1]]);
+
+  // 押したまま終わると 'reset'
+  sim.at(200, () => sim.setSwitch(1, true));
+  expect((await sim.run({ untilMs: 1000 })).status).toBe('reset');
+  expect(sim.logs).toEqual(['boot 0']);
+});
+
+test('errors report a main.py-only traceback and the failing line', async () => {
+  const sim = await createSimulator();
+  sim.loadCode('from machine import Pin\n\ndef blink(pin):\n    Pin(pin, Pin.OUT).value(1 / 0)\n\nblink(15)');
+  const result = await sim.run();
+  expect(result.status).toBe('error');
+  expect(result.errorLine).toBe(4);
+  expect(result.error).toBe([
+    'Traceback (most recent call last):',
+    '  File "main.py", line 6, in <module>',
+    '    blink(15)',
+    '  File "main.py", line 4, in blink',
+    '    Pin(pin, Pin.OUT).value(1 / 0)',
+    'ZeroDivisionError: division by zero',
+  ].join('\n'));
+});
+
+test('main.py imports lib/ modules, boot.py runs first and written files can be read back', async () => {
+  const sim = await createSimulator();
+  sim.loadFiles({
+    'boot.py': 'print("boot")',
+    'main.py': 'import helpers\nwith open("log.csv", "w") as f:\n    f.write("t,v\\n" + helpers.row(1))\nprint(open("config.txt").read())',
+    'lib/helpers.py': 'def row(v):\n    return "0,%d\\n" % v',
+    'config.txt': 'rate=1',
+  });
+  expect((await sim.run()).status).toBe('done');
+  expect(sim.logs).toEqual(['boot', 'rate=1']);
+  expect(sim.files()['log.csv']).toBe('t,v\n0,1\n');
+
+  // 編集したモジュールは次の実行で import し直す / エラーはモジュールの行を指す
+  sim.loadFiles({ 'main.py': 'import helpers\nhelpers.row(1)', 'lib/helpers.py': 'def row(v):\n    return v / 0' });
+  const result = await sim.run();
+  expect(result).toMatchObject({ status: 'error', errorFile: 'lib/helpers.py', errorLine: 2 });
+  expect(sim.files()).toEqual({ 'lib/helpers.py': 'def row(v):\n    return v / 0', 'main.py': 'import helpers\nhelpers.row(1)' });
+});
+
+test('input() reads queued lines and the REPL sees the program variables', async () => {
+  const sim = await createSimulator();
+  sim.loadCircuit(BLINK_EXAMPLE);
+  sim.loadCode('from machine import Pin\nled = Pin(15, Pin.OUT)\nname = input("Name? ")\nprint("hi", name)');
+  sim.input('Pico');
+  expect((await sim.run()).status).toBe('done');
+  expect(sim.logs).toEqual(['Name? Pico', 'hi Pico']);
+
+  // Thonny のように終了後の変数で続けられる / 式は repr を表示 / エラーは traceback を出して続ける
+  sim.repl('name');
+  sim.repl('led.value(1)');
+  expect(sim.pinStates()[15]).toBe(true);
+  expect(sim.component('led', 1).current).toBeGreaterThan(0.003);
+  sim.repl('1 / 0');
+  sim.repl('for i in range(2):\n    print(i)\n');
+  expect(sim.logs.slice(2)).toEqual([
+    "'Pico'",
+    'Traceback (most recent call last):',
+    '  File "<stdin>", line 1, in <module>',
+    'ZeroDivisionError: division by zero',
+    '0',
+    '1',
+  ]);
+
+  // モードを決めていないピンも value() / on() / toggle() で出力になる
+  const fresh = await createSimulator();
+  fresh.loadCircuit(BLINK_EXAMPLE);
+  fresh.repl('from machine import Pin');
+  fresh.repl('Pin(15).value(1)');
+  expect(fresh.pinStates()[15]).toBe(true);
+  expect(fresh.component('led', 1).current).toBeGreaterThan(0.003);
+  fresh.repl('Pin(15).toggle()');
+  expect(fresh.pinStates()[15]).toBe(false);
+  expect(fresh.component('led', 1).current).toBe(0);
+
+  // 入力が無ければ EOFError
+  sim.loadCode('input()');
+  expect((await sim.run()).error).toMatch(/EOFError: no console input$/);
+});
+
+test('REPL statements can run between sleeps of a running program', async () => {
+  const sim = await createSimulator();
+  sim.loadCircuit(BLINK_EXAMPLE);
+  sim.loadCode('import time\ncount = 0\nwhile True:\n    count += 1\n    time.sleep_ms(100)');
+  sim.at(550, () => sim.repl('print("count", count)'));
+  expect((await sim.run({ untilMs: 1000 })).status).toBe('timeout');
+  expect(sim.logs).toEqual(['count 6']);
+});
+
+// micropython-lib の ssd1306.py (I2C 部分) をそのまま使う
+const SSD1306_DRIVER = [
+  'from micropython import const',
+  'import framebuf',
+  '',
+  'SET_CONTRAST = const(0x81)',
+  'SET_ENTIRE_ON = const(0xA4)',
+  'SET_NORM_INV = const(0xA6)',
+  'SET_DISP = const(0xAE)',
+  'SET_MEM_ADDR = const(0x20)',
+  'SET_COL_ADDR = const(0x21)',
+  'SET_PAGE_ADDR = const(0x22)',
+  'SET_DISP_START_LINE = const(0x40)',
+  'SET_SEG_REMAP = const(0xA0)',
+  'SET_MUX_RATIO = const(0xA8)',
+  'SET_IREF_SELECT = const(0xAD)',
+  'SET_COM_OUT_DIR = const(0xC0)',
+  'SET_DISP_OFFSET = const(0xD3)',
+  'SET_COM_PIN_CFG = const(0xDA)',
+  'SET_DISP_CLK_DIV = const(0xD5)',
+  'SET_PRECHARGE = const(0xD9)',
+  'SET_VCOM_DESEL = const(0xDB)',
+  'SET_CHARGE_PUMP = const(0x8D)',
+  '',
+  'class SSD1306(framebuf.FrameBuffer):',
+  '    def __init__(self, width, height, external_vcc):',
+  '        self.width = width',
+  '        self.height = height',
+  '        self.external_vcc = external_vcc',
+  '        self.pages = self.height // 8',
+  '        self.buffer = bytearray(self.pages * self.width)',
+  '        super().__init__(self.buffer, self.width, self.height, framebuf.MONO_VLSB)',
+  '        self.init_display()',
+  '',
+  '    def init_display(self):',
+  '        for cmd in (',
+  '            SET_DISP, SET_MEM_ADDR, 0x00, SET_DISP_START_LINE, SET_SEG_REMAP | 0x01,',
+  '            SET_MUX_RATIO, self.height - 1, SET_COM_OUT_DIR | 0x08, SET_DISP_OFFSET, 0x00,',
+  '            SET_COM_PIN_CFG, 0x02 if self.width > 2 * self.height else 0x12,',
+  '            SET_DISP_CLK_DIV, 0x80, SET_PRECHARGE, 0x22 if self.external_vcc else 0xF1,',
+  '            SET_VCOM_DESEL, 0x30, SET_CONTRAST, 0xFF, SET_ENTIRE_ON, SET_NORM_INV,',
+  '            SET_IREF_SELECT, 0x30, SET_CHARGE_PUMP, 0x10 if self.external_vcc else 0x14, SET_DISP | 0x01,',
+  '        ):',
+  '            self.write_cmd(cmd)',
+  '        self.fill(0)',
+  '        self.show()',
+  '',
+  '    def invert(self, invert):',
+  '        self.write_cmd(SET_NORM_INV | (invert & 1))',
+  '',
+  '    def show(self):',
+  '        self.write_cmd(SET_COL_ADDR)',
+  '        self.write_cmd(0)',
+  '        self.write_cmd(self.width - 1)',
+  '        self.write_cmd(SET_PAGE_ADDR)',
+  '        self.write_cmd(0)',
+  '        self.write_cmd(self.pages - 1)',
+  '        self.write_data(self.buffer)',
+  '',
+  'class SSD1306_I2C(SSD1306):',
+  '    def __init__(self, width, height, i2c, addr=0x3C, external_vcc=False):',
+  '        self.i2c = i2c',
+  '        self.addr = addr',
+  '        self.temp = bytearray(2)',
+  '        self.write_list = [b"\\x40", None]',
+  '        super().__init__(width, height, external_vcc)',
+  '',
+  '    def write_cmd(self, cmd):',
+  '        self.temp[0] = 0x80',
+  '        self.temp[1] = cmd',
+  '        self.i2c.writeto(self.addr, self.temp)',
+  '',
+  '    def write_data(self, buf):',
+  '        self.write_list[1] = buf',
+  '        self.i2c.writevto(self.addr, self.write_list)',
+].join('\n');
+
+// OLED (左 Row 23-26: GND, VCC, SCL, SDA) -> GND / 3V3 / GP9 / GP8 (I2C0)
+const OLED_CIRCUIT = {
+  ...BLINK_EXAMPLE,
+  components: [
+    { type: 'oled', id: 1, name: 'OLED 1', row: 23, col: 1, rotation: 0, address: '0x3C', color: 'white' },
+    { type: 'wire', id: 1, name: 'Wire 1', sR: 23, sC: 2, eR: 13, eC: 2 },
+    { type: 'wire', id: 2, name: 'Wire 2', sR: 24, sC: 2, eR: 5, eC: 9 },
+    { type: 'wire', id: 3, name: 'Wire 3', sR: 25, sC: 2, eR: 12, eC: 2 },
+    { type: 'wire', id: 4, name: 'Wire 4', sR: 26, sC: 2, eR: 11, eC: 2 },
+  ],
+};
+
+test('the stock ssd1306 driver draws text on a wired OLED through machine.I2C and framebuf', async () => {
+  const sim = await createSimulator();
+  sim.loadCircuit(OLED_CIRCUIT);
+  sim.loadFiles({
+    'lib/ssd1306.py': SSD1306_DRIVER,
+    'main.py': [
+      'from machine import Pin, I2C',
+      'import ssd1306',
+      'i2c = I2C(0, scl=Pin(9), sda=Pin(8))',
+      'print(i2c.scan(), i2c)',
+      'oled = ssd1306.SSD1306_I2C(128, 64, i2c)',
+      'oled.text("Hi", 0, 0)',
+      'oled.rect(0, 20, 10, 5, 1)',
+      'oled.show()',
+    ].join('\n'),
+  });
+  expect((await sim.run()).status).toBe('done');
+  expect(sim.logs).toEqual(['[60] I2C(0, freq=400000, scl=9, sda=8, timeout=50000)']);
+
+  const view = sim.device('oled', 1);
+  expect(view).toMatchObject({ on: true, contrast: 0xFF, invert: false });
+  const pixels = ssd1306Pixels(view);
+  const lit = (x, y) => pixels[y * OLED_WIDTH + x];
+  // 'H' の1行目 (##..##..) / rect の角と内側
+  expect([0, 1, 2, 3, 4, 5, 6].map(x => lit(x, 0))).toEqual([1, 1, 0, 0, 1, 1, 0]);
+  expect([lit(0, 20), lit(9, 24), lit(5, 22), lit(100, 40)]).toEqual([1, 1, 0, 0]);
+});
+
+test('I2C only reaches devices wired to its pins and rejects pins the bus cannot use', async () => {
+  const sim = await createSimulator();
+  // SDA の線が無い OLED
+  sim.loadCircuit({ ...OLED_CIRCUIT, components: OLED_CIRCUIT.components.filter(item => item.id !== 4 || item.type !== 'wire') });
+  sim.loadCode([
+    'from machine import Pin, I2C, SoftI2C',
+    'i2c = I2C(0)',
+    'print(i2c.scan(), SoftI2C(scl=Pin(9), sda=Pin(8)).scan())',
+    'try:',
+    '    i2c.writeto(0x3C, b"ab")',
+    'except OSError as e:',
+    '    print("OSError", e.args[0])',
+    'try:',
+    '    I2C(0, scl=Pin(7), sda=Pin(6))',
+    'except ValueError as e:',
+    '    print(e)',
+    'try:',
+    '    i2c.write(b"x")',
+    'except NotImplementedError as e:',
+    '    print(e)',
+    // deinit したバスは init し直すまで使えない
+    'i2c.deinit()',
+    'try:',
+    '    i2c.scan()',
+    'except ValueError as e:',
+    '    print(e)',
+    'i2c.init()',
+    'print(i2c.scan())',
+  ].join('\n'));
+  expect((await sim.run()).status).toBe('done');
+  expect(sim.logs).toEqual(['[] []', 'OSError 5', 'bad SCL pin', 'I2C.write is not supported by the simulator', 'I2C is deinitialised', '[]']);
+  expect(sim.device('oled', 1)).toBe(null);
+});
+
+test('UART talks to the USB-UART terminal in both directions', async () => {
+  const sim = await createSimulator();
+  // 端末 (左 Row 23-25: GND, RX, TX): RX <- GP0 (UART0 TX), TX -> GP1 (UART0 RX)
+  sim.loadCircuit({
+    ...BLINK_EXAMPLE,
+    components: [
+      { type: 'uart', id: 1, name: 'USB-UART 1', row: 23, col: 1, rotation: 0 },
+      { type: 'wire', id: 1, name: 'Wire 1', sR: 23, sC: 2, eR: 13, eC: 2 },
+      { type: 'wire', id: 2, name: 'Wire 2', sR: 24, sC: 2, eR: 1, eC: 2 },
+      { type: 'wire', id: 3, name: 'Wire 3', sR: 25, sC: 2, eR: 2, eC: 2 },
+    ],
+  });
+  sim.loadCode([
+    'from machine import UART, Pin',
+    'uart = UART(0, 115200, tx=Pin(0), rx=Pin(1), timeout=1000)',
+    'uart.write("hello\\n")',
+    'print(uart.readline(), uart.read())',
+    'uart.deinit()',
+    'try:',
+    '    uart.write("late")',
+    'except ValueError as e:',
+    '    print(e)',
+  ].join('\n'));
+  sim.at(100, () => sim.uartSend(1, 'ping\nrest'));
+  expect((await sim.run()).status).toBe('done');
+  expect(sim.logs).toEqual(["b'ping\\n' b'rest'", 'UART is deinitialised']);
+  expect(String.fromCharCode(...sim.device('uart', 1).received)).toBe('hello\n');
+});
+
+test('neopixel.NeoPixel colours a ring wired to its pin', async () => {
+  const sim = await createSimulator();
+  // リング (8個, 左 Row 23-26: GND, VCC, DIN, DOUT), DIN <- GP2 (左 Row 4)
+  // loadCircuit は main.py も読み込むので、配線を変えて読み直しても同じプログラムが動くように files に入れておく
+  const ring = {
+    ...BLINK_EXAMPLE,
+    components: [
+      { type: 'neopixel', id: 1, name: 'NeoPixel 1', row: 23, col: 1, rotation: 0, shape: 'ring', count: 8 },
+      { type: 'wire', id: 1, name: 'Wire 1', sR: 23, sC: 2, eR: 13, eC: 2 },
+      { type: 'wire', id: 2, name: 'Wire 2', sR: 24, sC: 2, eR: 5, eC: 9 },
+      { type: 'wire', id: 3, name: 'Wire 3', sR: 25, sC: 2, eR: 4, eC: 2 },
+    ],
+    files: {
+      'main.py': [
+        'import machine, neopixel',
+        'np = neopixel.NeoPixel(machine.Pin(2), 8)',
+        'np.fill((0, 0, 16))',
+        'np[0] = (255, 128, 0)',
+        'np.write()',
+        'print(len(np), np[0], np[1])',
+      ].join('\n'),
+    },
+  };
+  sim.loadCircuit(ring);
+  expect((await sim.run()).status).toBe('done');
+  expect(sim.logs).toEqual(['8 (255, 128, 0) (0, 0, 16)']);
+  expect(sim.device('neopixel', 1).rgb).toEqual([255, 128, 0, ...Array(7).fill([0, 0, 16]).flat()]);
+
+  // DIN を GP3 に刺し替えると届かない
+  sim.loadCircuit({ ...ring, components: ring.components.map(item => (item.type === 'wire' && item.id === 3 ? { ...item, eR: 5, eC: 2 } : item)) });
+  expect((await sim.run()).status).toBe('done');
+  expect(sim.logs).toEqual(['8 (255, 128, 0) (0, 0, 16)']);
+  expect(sim.device('neopixel', 1)).toBe(null);
+
+  // 電源が入っていなければ (VCC の線 = Wire 2 / GND の線 = Wire 1 を外す) DIN が届いても光らない
+  for (const unplugged of [2, 1]) {
+    sim.loadCircuit({ ...ring, components: ring.components.filter(item => item.type !== 'wire' || item.id !== unplugged) });
+    expect((await sim.run()).status).toBe('done');
+    expect(sim.logs).toEqual(['8 (255, 128, 0) (0, 0, 16)']);
+    expect(sim.device('neopixel', 1)).toBe(null);
+  }
+});
+
+test('a servo sweeps and a buzzer plays notes from machine.PWM', async () => {
+  const sim = await createSimulator();
+  // サーボ (左 Row 23-25: GND, VCC, SIG): SIG <- GP15 (Row 20), VCC <- VBUS (右 Row 1) / ブザー + = GP14 (Row 19), - = GND (Row 18)
+  sim.loadCircuit({
+    ...BLINK_EXAMPLE,
+    components: [
+      { type: 'servo', id: 1, name: 'Servo 1', row: 23, col: 1, rotation: 0 },
+      { type: 'wire', id: 1, name: 'Wire 1', sR: 23, sC: 2, eR: 13, eC: 2 },
+      { type: 'wire', id: 2, name: 'Wire 2', sR: 24, sC: 2, eR: 1, eC: 9 },
+      { type: 'wire', id: 3, name: 'Wire 3', sR: 25, sC: 2, eR: 20, eC: 2 },
+      { type: 'buzzer', id: 1, name: 'Buzzer 1', sR: 19, sC: 1, eR: 18, eC: 1 },
+    ],
+  });
+  sim.loadCode([
+    'from machine import Pin, PWM',
+    'import time',
+    'servo = PWM(Pin(15), freq=50)',
+    'for us in (500, 1500, 2500):',
+    '    servo.duty_ns(us * 1000)',
+    '    time.sleep_ms(100)',
+    'buzzer = PWM(Pin(14))',
+    'for f in (262, 440):',
+    '    buzzer.freq(f)',
+    '    buzzer.duty_u16(32768)',
+    '    time.sleep_ms(100)',
+    'buzzer.duty_u16(0)',
+  ].join('\n'));
+  expect((await sim.run()).status).toBe('done');
+  const angles = sim.partTrace('servo', 1).map(e => e.angle).filter(a => a !== null).map(Math.round);
+  expect([...new Set(angles)]).toEqual([0, 90, 180]);
+  const notes = sim.partTrace('buzzer', 1).map(e => e.freq);
+  expect(notes.filter((f, i) => f !== notes[i - 1])).toEqual([0, 262, 440, 0]);
+});
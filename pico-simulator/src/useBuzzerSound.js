@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react';
+
+// --- ブザーの音 (Web Audio API) ---
+// 鳴っているブザー (tones: [{ key, freq, volume }]) ごとに矩形波のオシレーターを1つ鳴らす。
+// 周波数/音量の切り替えは少しだけなめらかにする (プツッというノイズを防ぐ)。
+// AudioContext はブラウザの制約でユーザー操作 (Run のクリック) の後でないと鳴らないので、最初に音が必要になったときに作る
+const AudioContextClass = typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : undefined;
+const MASTER_GAIN = 0.05; // 矩形波はうるさいので小さめに
+const RAMP_S = 0.005;
+
+export function useBuzzerSound(tones, enabled) {
+  const contextRef = useRef(null);
+  const voicesRef = useRef({}); // key -> { osc, gain }
+
+  useEffect(() => {
+    const active = enabled ? tones.filter(t => t.freq > 0) : [];
+    if (!AudioContextClass || (active.length === 0 && !contextRef.current)) return;
+    if (!contextRef.current) contextRef.current = new AudioContextClass();
+    const ctx = contextRef.current;
+    if (ctx.state === 'suspended' && active.length > 0) ctx.resume();
+    const voices = voicesRef.current;
+    active.forEach(({ key, freq, volume }) => {
+      if (!voices[key]) {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = freq;
+        gain.gain.value = 0;
+        osc.connect(gain).connect(ctx.destination);
+        osc.start();
+        voices[key] = { osc, gain };
+      }
+      voices[key].osc.frequency.setTargetAtTime(freq, ctx.currentTime, RAMP_S);
+      voices[key].gain.gain.setTargetAtTime(MASTER_GAIN * volume, ctx.currentTime, RAMP_S);
+    });
+    Object.keys(voices).filter(key => !active.some(t => t.key === key)).forEach(key => {
+      const { osc, gain } = voices[key];
+      gain.gain.setTargetAtTime(0, ctx.currentTime, RAMP_S);
+      osc.stop(ctx.currentTime + RAMP_S * 10);
+      delete voices[key];
+    });
+  }, [tones, enabled]);
+
+  useEffect(() => () => {
+    if (contextRef.current) contextRef.current.close();
+  }, []);
+}
@@ -0,0 +1,336 @@
+/* global Atomics, SharedArrayBuffer */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CTRL, CTRL_BYTES, GPIO_COUNT, ADC_CHANNELS, SIGINT, CONSOLE_INPUT, CONSOLE_REPL, CONSOLE_UART, canShareMemory, writeConsole, writeBusWiring } from './engineProtocol';
+import { createCapture, recordPins } from './logicCapture';
+import { FAST } from './virtualClock';
+import { MAX_LOG_LINES, createRing, ringPush, ringItems, createPlot, appendPlot, parsePlotLine } from './serialOutput';
+import { mergeDeviceUpdates } from './busDevices';
+
+// --- 1. Python実行エンジン ---
+// Pyodideは専用ワーカーで動かし、ピン更新/printはメッセージで受け取る。
+// Stop: 共有メモリが使えれば KeyboardInterrupt を送る / 使えなければワーカーごと作り直す
+// コンソール: input() への入力と実行中の REPL は共有メモリ経由 (sleep の合間に読まれる)、止まっているときの REPL はメッセージで送る
+// バス: 配線は実行開始時にメッセージで、実行中の変化は共有メモリで渡す。デバイスの表示 (OLED の画面など) は差分で届く
+function createPythonWorker() {
+  return new Worker(new URL('./pythonWorker.js', import.meta.url));
+}
+
+// 3Dアニメーションの進み方: 停止中は等倍, 一時停止中は止める, 最速モードは実測した進み方
+function nextTimeScale(current, { speed, paused }, isRunning, measuredRate) {
+  if (!isRunning) return 1;
+  if (paused) return 0;
+  if (speed === FAST) return measuredRate === undefined ? current : measuredRate;
+  return speed;
+}
+
+export function usePythonEngine() {
+  const [pinStates, setPinStates] = useState({});
+  const [pinPulls, setPinPulls] = useState({});
+  const [ready, setReady] = useState(false);
+  // ログは最新 MAX_LOG_LINES 行だけ (serialOutput.js のリングバッファ)。古い行を捨てたら先頭に1行出す
+  const logRef = useRef(createRing(MAX_LOG_LINES));
+  const [logs, setLogs] = useState([]);
+  // シリアルプロッタ: print した行から拾った数値 (capture と同じく ref に溜めて浅いコピーで再描画)
+  const plotRef = useRef(createPlot());
+  const [plot, setPlot] = useState(plotRef.current);
+  const [isRunning, setIsRunning] = useState(false);
+  // エディタ用: 実行中の行 { file, line } / 最後のエラー { file, line, message, source (実行したときのそのファイルの中身) }
+  const [currentLine, setCurrentLine] = useState(null);
+  const [error, setError] = useState(null);
+  const runFilesRef = useRef({});
+  // プログラムが書いた/消したファイル (picoFiles.js の diffFiles。App がプロジェクトのファイルに反映する)
+  const [fileChanges, setFileChanges] = useState(null);
+  // コンソール: input() の入力待ち (プロンプト文字列 / null) と REPL の実行中
+  const [inputPrompt, setInputPrompt] = useState(null);
+  const [replBusy, setReplBusy] = useState(false);
+  const replResetRef = useRef(true); // 次の REPL は新しい状態から (起動直後 / Stop の後)
+  const workerRef = useRef(null);
+  const controlRef = useRef(null);
+  const runIdRef = useRef(0); // 古い実行からのメッセージを捨てるための世代番号
+  const isRunningRef = useRef(false);
+  const readyRef = useRef(false);
+  const pendingRunRef = useRef(null); // ワーカー起動中に押された Run
+  const inputsRef = useRef({ levels: {}, analog: {} });
+  const wiringRef = useRef(null);
+  const wiringJsonRef = useRef('');
+  // バスのデバイスの表示 { compKey: { model, ... } } (busDevices.js の mergeDeviceUpdates)
+  const [devices, setDevices] = useState({});
+  // ロジックアナライザ用の記録 (イベント配列は ref に溜め、state には浅いコピーを渡して再描画させる)
+  const captureRef = useRef(createCapture());
+  const [capture, setCapture] = useState(captureRef.current);
+  // 仮想クロック: simUs = シミュレーション時刻, speed = 倍率 (FAST = 最速)
+  const [clock, setClock] = useState({ simUs: 0, speed: 1, paused: false });
+  const clockRef = useRef(clock);
+  // 3Dアニメーション用: 実時間1秒あたりに進むシミュレーション時間 (毎フレーム読むので ref)
+  const timeScaleRef = useRef(1);
+  const lastClockSampleRef = useRef(null);
+
+  const addLogs = (...lines) => {
+    const ring = logRef.current;
+    lines.forEach(line => ringPush(ring, line));
+    setLogs(ring.dropped > 0 ? [`(古い ${ring.dropped} 行は省略)`, ...ringItems(ring)] : ringItems(ring));
+  };
+  const clearLogs = () => {
+    logRef.current = createRing(MAX_LOG_LINES);
+    setLogs([]);
+  };
+
+  const setRunning = (value) => {
+    if (!value) setInputPrompt(null);
+    isRunningRef.current = value;
+    setIsRunning(value);
+    timeScaleRef.current = nextTimeScale(timeScaleRef.current, clockRef.current, value);
+  };
+
+  const updateClock = (patch) => {
+    clockRef.current = { ...clockRef.current, ...patch };
+    setClock(clockRef.current);
+    timeScaleRef.current = nextTimeScale(timeScaleRef.current, clockRef.current, isRunningRef.current);
+  };
+
+  // ワーカーから届いたシミュレーション時刻 (最速モードでは実測の進み方をアニメーションに使う)
+  const sampleClock = (simUs, paused) => {
+    const wall = performance.now();
+    const last = lastClockSampleRef.current;
+    lastClockSampleRef.current = { simUs, wall };
+    const rate = last && wall > last.wall && simUs >= last.simUs ? (simUs - last.simUs) / 1000 / (wall - last.wall) : undefined;
+    clockRef.current = { ...clockRef.current, simUs, paused: paused ?? clockRef.current.paused };
+    setClock(clockRef.current);
+    timeScaleRef.current = nextTimeScale(timeScaleRef.current, clockRef.current, isRunningRef.current, rate);
+  };
+
+  // 速度/一時停止を共有メモリへ
+  const writeClock = () => {
+    const ctrl = controlRef.current;
+    if (!ctrl) return;
+    Atomics.store(ctrl, CTRL.SPEED, Math.round(clockRef.current.speed * 1000));
+    Atomics.store(ctrl, CTRL.PAUSED, clockRef.current.paused ? 1 : 0);
+  };
+
+  const handleMessage = useCallback((e) => {
+    const msg = e.data;
+    if (msg.type === 'ready') {
+      readyRef.current = true;
+      setReady(true);
+      if (pendingRunRef.current) { workerRef.current.postMessage(pendingRunRef.current); pendingRunRef.current = null; }
+      return;
+    }
+    // ファイルの変更は止めた後の実行のものも受け取る
+    if (msg.type === 'files') {
+      setFileChanges(msg.changes);
+      const paths = [...Object.keys(msg.changes.changed), ...msg.changes.removed.map(path => `-${path}`)];
+      addLogs(`>>> ファイル更新: ${paths.join(', ')}`);
+      return;
+    }
+    if (msg.runId !== runIdRef.current) return;
+    if (msg.type === 'pins') {
+      recordPins(captureRef.current, msg.updates, msg.t);
+      setCapture({ ...captureRef.current });
+      sampleClock(msg.t);
+      setCurrentLine(msg.line);
+      setPinStates(prev => {
+        const next = { ...prev };
+        msg.updates.forEach(([pin, state]) => { next[pin] = state; });
+        return next;
+      });
+      setPinPulls(prev => {
+        const next = { ...prev };
+        msg.updates.forEach(([pin, , pull]) => { next[pin] = pull; });
+        return next;
+      });
+    } else if (msg.type === 'devices') {
+      setDevices(prev => mergeDeviceUpdates(prev, msg.updates));
+    } else if (msg.type === 'clock') {
+      sampleClock(msg.t, msg.paused);
+      setCurrentLine(msg.line);
+    } else if (msg.type === 'log') {
+      addLogs(msg.text);
+      const values = parsePlotLine(msg.text);
+      if (values) {
+        appendPlot(plotRef.current, values, msg.t);
+        setPlot({ ...plotRef.current });
+      }
+    } else if (msg.type === 'done') {
+      addLogs(">>> 実行終了");
+      setRunning(false);
+    } else if (msg.type === 'error') {
+      const [first, ...rest] = msg.message.split('\n');
+      addLogs("Error: " + first, ...rest);
+      if (msg.line) setError({ file: msg.file, line: msg.line, message: msg.summary, source: runFilesRef.current[msg.file] });
+      setRunning(false);
+    } else if (msg.type === 'stopped') {
+      // Stop はこのメッセージを捨てるので、ここに来るのはコンソールの Ctrl+C
+      addLogs('KeyboardInterrupt');
+      setRunning(false);
+    } else if (msg.type === 'input') {
+      setInputPrompt(msg.prompt);
+    } else if (msg.type === 'repl-done') {
+      setInputPrompt(null);
+      setReplBusy(false);
+    }
+  }, []);
+
+  // 入力レベル/ADC電圧を共有メモリへ書き込む。デジタル入力が変化したら sleep 中のワーカーを起こして割り込みを判定させる
+  const writeInputs = ({ levels, analog }) => {
+    const ctrl = controlRef.current;
+    if (!ctrl) return false;
+    let changed = false;
+    for (let pin = 0; pin < GPIO_COUNT; pin++) {
+      const level = levels[pin] === undefined ? -1 : levels[pin];
+      if (Atomics.exchange(ctrl, CTRL.INPUTS + pin, level) !== level) changed = true;
+    }
+    for (let ch = 0; ch < ADC_CHANNELS; ch++) {
+      Atomics.store(ctrl, CTRL.ANALOG + ch, analog[ch] === undefined ? -1 : Math.round(analog[ch] * 1e6));
+    }
+    return changed;
+  };
+
+  const setInputs = useCallback((levels, analog = {}) => {
+    inputsRef.current = { levels, analog };
+    if (writeInputs(inputsRef.current)) Atomics.notify(controlRef.current, CTRL.INTERRUPT);
+  }, []);
+
+  // バスの配線 (busDevices.js の busWiring)。回路を解き直すたびに呼ばれるので、変わったときだけ書く
+  const setWiring = useCallback((wiring) => {
+    const json = JSON.stringify(wiring);
+    if (json === wiringJsonRef.current) return;
+    wiringRef.current = wiring;
+    wiringJsonRef.current = json;
+    if (controlRef.current) writeBusWiring(controlRef.current, wiring);
+  }, []);
+
+  const spawn = useCallback(() => {
+    const worker = createPythonWorker();
+    worker.onmessage = handleMessage;
+    const shared = canShareMemory() ? new SharedArrayBuffer(CTRL_BYTES) : null;
+    controlRef.current = shared ? new Int32Array(shared) : null;
+    writeInputs(inputsRef.current);
+    writeClock();
+    if (controlRef.current && wiringRef.current) writeBusWiring(controlRef.current, wiringRef.current);
+    worker.postMessage({ type: 'init', control: shared });
+    workerRef.current = worker;
+    readyRef.current = false;
+    setReady(false);
+    setReplBusy(false);
+    replResetRef.current = true;
+  }, [handleMessage]);
+
+  useEffect(() => {
+    spawn();
+    return () => { if (workerRef.current) workerRef.current.terminate(); workerRef.current = null; };
+  }, [spawn]);
+
+  // 実行中のプログラムを止める (共有メモリ無しの環境ではワーカーを作り直す)
+  const interrupt = useCallback(() => {
+    if (!isRunningRef.current) return;
+    if (controlRef.current) {
+      Atomics.store(controlRef.current, CTRL.INTERRUPT, SIGINT);
+      Atomics.notify(controlRef.current, CTRL.INTERRUPT); // sleep中のワーカーを起こす
+    } else {
+      workerRef.current.terminate();
+      spawn();
+    }
+  }, [spawn]);
+
+  const run = useCallback((files) => {
+    if (!workerRef.current) return;
+    interrupt();
+    runIdRef.current += 1;
+    setPinStates({});
+    setPinPulls({});
+    captureRef.current = createCapture();
+    setCapture(captureRef.current);
+    lastClockSampleRef.current = null;
+    updateClock({ simUs: 0, paused: false });
+    writeClock();
+    clearLogs();
+    addLogs(">>> 実行開始");
+    plotRef.current = createPlot();
+    setPlot(plotRef.current);
+    setDevices({});
+    setError(null);
+    setCurrentLine(null);
+    runFilesRef.current = files;
+    replResetRef.current = false;
+    setRunning(true);
+    const msg = { type: 'run', files, runId: runIdRef.current, speed: clockRef.current.speed, wiring: wiringRef.current };
+    if (readyRef.current) workerRef.current.postMessage(msg);
+    else pendingRunRef.current = msg; // 再起動したワーカーの ready を待って送る
+  }, [interrupt]);
+
+  const stop = useCallback(() => {
+    interrupt();
+    pendingRunRef.current = null;
+    runIdRef.current += 1;
+    setRunning(false);
+    setPinStates({});
+    setPinPulls({});
+    updateClock({ paused: false });
+    writeClock();
+    addLogs(">>> 停止 (リセット)");
+    replResetRef.current = true;
+  }, [interrupt]);
+
+  // --- コンソール ---
+  // REPL の1文 (files は止まっている状態から始めるときに書き出すファイル)
+  const repl = useCallback((source, files) => {
+    const lines = source.split('\n');
+    addLogs(...lines.map((line, i) => (i === 0 ? '>>> ' : '... ') + line));
+    if (isRunningRef.current) {
+      if (!controlRef.current) { addLogs('(実行中の REPL には Cross-Origin Isolation が必要です)'); return; }
+      if (!writeConsole(controlRef.current, CONSOLE_REPL, source)) { addLogs('(busy)'); return; }
+      setReplBusy(true);
+      return;
+    }
+    if (!readyRef.current) return;
+    setReplBusy(true);
+    workerRef.current.postMessage({ type: 'repl', code: source, runId: runIdRef.current, reset: replResetRef.current, files, wiring: wiringRef.current });
+    replResetRef.current = false;
+  }, []);
+  // input() への1行 (プロンプトと一緒にログに残す)
+  const sendInput = useCallback((text) => {
+    if (!controlRef.current || !writeConsole(controlRef.current, CONSOLE_INPUT, text)) return;
+    addLogs((inputPrompt || '') + text);
+    setInputPrompt(null);
+  }, [inputPrompt]);
+  // UART 端末から Pico へ送る (届くのは実行中 / REPL の実行中だけ。共有メモリが必要)
+  const uartSend = useCallback((key, text) => (
+    !!controlRef.current && writeConsole(controlRef.current, CONSOLE_UART, JSON.stringify({ key, text }))
+  ), []);
+  // Ctrl+C: プログラム / REPL の文だけ止める (ピンや変数はそのまま。共有メモリが無ければ Stop と同じ)
+  const interruptProgram = useCallback(() => {
+    if (!isRunningRef.current && !replBusy) return;
+    if (!controlRef.current) {
+      if (isRunningRef.current) stop();
+      else { workerRef.current.terminate(); spawn(); addLogs('KeyboardInterrupt (リセット)'); }
+      return;
+    }
+    Atomics.store(controlRef.current, CTRL.INTERRUPT, SIGINT);
+    Atomics.notify(controlRef.current, CTRL.INTERRUPT);
+  }, [stop, spawn, replBusy]);
+
+  // --- 仮想クロック操作 (一時停止/ステップは共有メモリが使えるときだけ) ---
+  const canPause = canShareMemory();
+  const setSpeed = useCallback((speed) => { updateClock({ speed }); writeClock(); }, []);
+  const pause = useCallback(() => { updateClock({ paused: true }); writeClock(); }, []);
+  const resume = useCallback(() => {
+    updateClock({ paused: false });
+    writeClock();
+    if (controlRef.current) Atomics.notify(controlRef.current, CTRL.INTERRUPT);
+  }, []);
+  // 次のピン変化 or sleep まで進めて再び止まる
+  const step = useCallback(() => {
+    const ctrl = controlRef.current;
+    if (!ctrl || !clockRef.current.paused) return;
+    Atomics.store(ctrl, CTRL.STEP, 1);
+    Atomics.notify(ctrl, CTRL.INTERRUPT);
+  }, []);
+
+  // プロッタのクリア (表示中のデータを捨てる)
+  const clearPlot = useCallback(() => {
+    plotRef.current = createPlot();
+    setPlot(plotRef.current);
+  }, []);
+
+  return { pinStates, pinPulls, ready, logs, plot, clearPlot, run, stop, isRunning, currentLine, error, fileChanges, inputPrompt, replBusy, repl, sendInput, interruptProgram, setInputs, devices, setWiring, uartSend, capture, clock, timeScaleRef, canPause, setSpeed, pause, resume, step };
+}
@@ -0,0 +1,35 @@
+// --- 仮想クロック (シミュレーション時刻) ---
+// 計算中は「実時間 x speed」で進み、sleep では要求された時間ぶんぴったり進める (実際に待つのは 時間 / speed)。
+// speed = FAST は最速モード: sleep で待たず時刻だけ進める (計算にかかった時間は等倍で数える)
+export const FAST = 0;
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 100;
+
+export function createVirtualClock(wallMs = () => performance.now()) {
+  let baseUs = 0;
+  let baseWall = wallMs();
+  let speed = 1;
+  let frozen = false; // 一時停止中は時刻を止める
+
+  const rate = () => (speed === FAST ? 1 : speed);
+  const current = () => (frozen ? baseUs : baseUs + (wallMs() - baseWall) * 1000 * rate());
+  const rebase = () => { baseUs = current(); baseWall = wallMs(); };
+
+  return {
+    nowUs: () => Math.floor(current()),
+    reset: () => { baseUs = 0; baseWall = wallMs(); frozen = false; },
+    getSpeed: () => speed,
+    isFast: () => speed === FAST,
+    setSpeed: (next) => {
+      if (next === speed) return;
+      rebase();
+      speed = next;
+    },
+    freeze: () => { if (!frozen) { rebase(); frozen = true; } },
+    thaw: () => { if (frozen) { baseWall = wallMs(); frozen = false; } },
+    // sleep の終わり: 実際の起床の遅れに関係なく、時刻を目標ちょうどにそろえる
+    jumpTo: (us) => { baseUs = us; baseWall = wallMs(); },
+    // シミュレーション時間 us を待つのに必要な実時間 (ms)
+    wallMsFor: (us) => (speed === FAST ? 0 : us / 1000 / speed),
+  };
+}